@@ -0,0 +1,53 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+const JSON_HEADERS = { 'Content-Type': 'application/json' };
+
+// The signed-in user ({ user: null, setupRequired } without a session) and today's Spamhaus quota.
+export async function getMe() {
+  return jsonOrThrow(await fetch('/api/auth/me'), 'Could not load the current user');
+}
+
+// The server answers with a session cookie; nothing has to be kept on the client.
+export async function login(username, password) {
+  const res = await fetch('/api/auth/login', {
+    method: 'POST',
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ username, password }),
+  });
+  return jsonOrThrow(res, 'Login failed');
+}
+
+// First admin account on an empty installation; setupToken is the server's AUTH_SETUP_TOKEN when it has one.
+export async function setupAdmin(username, password, setupToken = null) {
+  const res = await fetch('/api/auth/setup', {
+    method: 'POST',
+    headers: JSON_HEADERS,
+    body: JSON.stringify({ username, password, setupToken }),
+  });
+  return jsonOrThrow(res, 'Setup failed');
+}
+
+export async function logout() {
+  await fetch('/api/auth/logout', { method: 'POST' });
+}
+
+export async function listApiKeys() {
+  const data = await jsonOrThrow(await fetch('/api/auth/keys'), 'Could not load API keys');
+  return data.keys || [];
+}
+
+// The returned `key` is shown once; the server keeps only its hash.
+export async function createApiKey(name) {
+  const res = await fetch('/api/auth/keys', { method: 'POST', headers: JSON_HEADERS, body: JSON.stringify({ name }) });
+  return jsonOrThrow(res, 'Could not create API key');
+}
+
+export async function revokeApiKey(id) {
+  return jsonOrThrow(await fetch(`/api/auth/keys/${id}`, { method: 'DELETE' }), 'Could not revoke API key');
+}
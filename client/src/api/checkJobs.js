@@ -0,0 +1,39 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+export async function createCheckJob({ domains = null, criteria = null, dataset = null, force = false } = {}) {
+  const res = await fetch('/api/check-jobs', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(domains ? { domains, force } : { criteria, dataset, force }),
+  });
+  return jsonOrThrow(res, 'Could not start check job');
+}
+
+export async function listCheckJobs({ limit = 20 } = {}) {
+  const res = await fetch(`/api/check-jobs?limit=${encodeURIComponent(limit)}`);
+  const data = await jsonOrThrow(res, 'Could not load check jobs');
+  return data.jobs || [];
+}
+
+export async function checkJobAction(id, action) {
+  const res = await fetch(`/api/check-jobs/${encodeURIComponent(id)}/${action}`, { method: 'POST' });
+  return jsonOrThrow(res, `Could not ${action} job`);
+}
+
+// Subscribes to job progress; returns a function that closes the stream.
+export function subscribeCheckJob(id, { onJob, onItem } = {}) {
+  const source = new EventSource(`/api/check-jobs/${encodeURIComponent(id)}/events`);
+  source.addEventListener('job', (e) => {
+    const job = JSON.parse(e.data);
+    onJob?.(job);
+    if (['completed', 'cancelled', 'failed'].includes(job.status)) source.close();
+  });
+  source.addEventListener('item', (e) => onItem?.(JSON.parse(e.data)));
+  return () => source.close();
+}
@@ -0,0 +1,25 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+// Layouts are kept per signed-in user.
+export async function getColumnLayout() {
+  const res = await fetch('/api/column-layout');
+  if (res.status === 404) return null;
+  const data = await jsonOrThrow(res, 'Could not load column layout');
+  return data.columns || [];
+}
+
+export async function saveColumnLayout(columns) {
+  const res = await fetch('/api/column-layout', {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ columns }),
+  });
+  const data = await jsonOrThrow(res, 'Could not save column layout');
+  return data.columns || [];
+}
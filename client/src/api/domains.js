@@ -1,8 +1,17 @@
-export async function searchDomains({ page = 1, pageSize = 50, criteria = {} } = {}) {
+export async function searchDomains({
+  dataset = null,
+  page = 1,
+  pageSize = 50,
+  criteria = {},
+  sort = null,
+  cursor = null,
+  pagination = 'offset',
+  columns = null,
+} = {}) {
   const res = await fetch('/api/domains/search', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ page, pageSize, criteria }),
+    body: JSON.stringify({ dataset, page, pageSize, criteria, sort, cursor, pagination, columns }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({ error: res.statusText }));
@@ -11,17 +20,46 @@ export async function searchDomains({ page = 1, pageSize = 50, criteria = {} } =
   return res.json();
 }
 
-export async function getCapabilities() {
-  const res = await fetch('/api/capabilities');
+// Grouped counts of the whole result set (top values per field, histograms) for the facet sidebar.
+export async function getFacets({ dataset = null, criteria = {}, limit = null } = {}) {
+  const res = await fetch('/api/domains/facets', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dataset, criteria, limit }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || 'Facets failed');
+  }
+  return res.json();
+}
+
+// Per-day counts by drop or expiration date for the drop calendar, with today / 7 / 30 day totals.
+export async function getCalendar({ dataset = null, criteria = {}, field = null, from = null, to = null } = {}) {
+  const res = await fetch('/api/domains/calendar', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ dataset, criteria, field, from, to }),
+  });
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || 'Calendar failed');
+  }
+  return res.json();
+}
+
+// What the dataset's table offers (columns, supported filters, sort keys); the default dataset when none is given.
+export async function getCapabilities({ dataset = null } = {}) {
+  const res = await fetch(`/api/capabilities${dataset ? `?dataset=${encodeURIComponent(dataset)}` : ''}`);
   if (!res.ok) return null;
   return res.json().catch(() => null);
 }
 
-export async function checkDomain(domain) {
+export async function checkDomain(domain, { force = false } = {}) {
   const res = await fetch('/api/domains/check', {
     method: 'POST',
     headers: { 'Content-Type': 'application/json' },
-    body: JSON.stringify({ domain }),
+    body: JSON.stringify({ domain, force }),
   });
   if (!res.ok) {
     const err = await res.json().catch(() => ({ error: res.statusText }));
@@ -30,3 +68,43 @@ export async function checkDomain(domain) {
   return res.json();
 }
 
+// Wayback history profile; stored profiles are reused unless refresh is set.
+export async function getDomainHistory(domain, { refresh = false } = {}) {
+  const res = await fetch(`/api/domains/${encodeURIComponent(domain)}/history${refresh ? '?refresh=1' : ''}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || 'History lookup failed');
+  }
+  return res.json();
+}
+
+// Export streams the whole result set; the browser downloads it directly from this URL.
+export function exportDomainsUrl({
+  dataset = null,
+  criteria = {},
+  criteriaVersion = null,
+  sort = null,
+  format = 'csv',
+  columns = null,
+  includeChecks = false,
+} = {}) {
+  const params = new URLSearchParams({ format, criteria: JSON.stringify(criteria) });
+  if (criteriaVersion != null) params.set('criteriaVersion', String(criteriaVersion));
+  if (dataset) params.set('dataset', dataset);
+  if (sort?.key) params.set('sort', `${sort.key}:${sort.dir || 'asc'}`);
+  if (columns?.length) params.set('columns', columns.join(','));
+  if (includeChecks) params.set('includeChecks', '1');
+  return `/api/domains/export?${params.toString()}`;
+}
+
+// Full record of one domain with stored checks, Spamhaus details, history, RDAP and similar domains.
+// Without a dataset the server looks the domain up in every dataset.
+export async function getDomainDetail(domain, { dataset = null } = {}) {
+  const query = dataset ? `?dataset=${encodeURIComponent(dataset)}` : '';
+  const res = await fetch(`/api/domains/${encodeURIComponent(domain)}${query}`);
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || 'Domain lookup failed');
+  }
+  return res.json();
+}
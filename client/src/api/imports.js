@@ -0,0 +1,37 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+// Uploads `file` as the raw request body; `mapping` is { file column: table column } (CSV only).
+export async function startImport(file, { dataset = null, mapping = null } = {}) {
+  const params = new URLSearchParams({ fileName: file.name });
+  if (dataset) params.set('dataset', dataset);
+  if (mapping) params.set('mapping', JSON.stringify(mapping));
+  const res = await fetch(`/api/imports?${params.toString()}`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/octet-stream' },
+    body: file,
+  });
+  return jsonOrThrow(res, 'Could not start import');
+}
+
+export async function getImport(id) {
+  const res = await fetch(`/api/imports/${encodeURIComponent(id)}`);
+  return jsonOrThrow(res, 'Could not load import');
+}
+
+export async function listImports({ limit = 5 } = {}) {
+  const res = await fetch(`/api/imports?limit=${encodeURIComponent(limit)}`);
+  const data = await jsonOrThrow(res, 'Could not load imports');
+  return data.imports || [];
+}
+
+export async function getTableColumns({ dataset = null } = {}) {
+  const res = await fetch(`/api/db/columns${dataset ? `?dataset=${encodeURIComponent(dataset)}` : ''}`);
+  const data = await jsonOrThrow(res, 'Could not load table columns');
+  return data.columns || [];
+}
@@ -0,0 +1,17 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+// Looks the domains up via RDAP and, with writeBack, copies registrar and dates into the table.
+export async function refreshRdap(domains, { force = false, writeBack = true } = {}) {
+  const res = await fetch('/api/rdap/batch', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ domains, force, writeBack }),
+  });
+  return jsonOrThrow(res, 'RDAP refresh failed');
+}
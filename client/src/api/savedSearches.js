@@ -0,0 +1,44 @@
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.status === 204 ? null : res.json();
+}
+
+export async function listSavedSearches() {
+  const data = await jsonOrThrow(await fetch('/api/saved-searches'), 'Could not load saved searches');
+  return data.searches || [];
+}
+
+export async function createSavedSearch(search) {
+  const res = await fetch('/api/saved-searches', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(search),
+  });
+  return jsonOrThrow(res, 'Could not save search');
+}
+
+export async function updateSavedSearch(id, search) {
+  const res = await fetch(`/api/saved-searches/${encodeURIComponent(id)}`, {
+    method: 'PUT',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(search),
+  });
+  return jsonOrThrow(res, 'Could not update search');
+}
+
+export async function deleteSavedSearch(id) {
+  const res = await fetch(`/api/saved-searches/${encodeURIComponent(id)}`, { method: 'DELETE' });
+  return jsonOrThrow(res, 'Could not delete search');
+}
+
+export async function migrateSearchState(state) {
+  const res = await fetch('/api/saved-searches/migrate', {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify(state),
+  });
+  return jsonOrThrow(res, 'Could not migrate search state');
+}
@@ -0,0 +1,48 @@
+export const TRIAGE_LABELS = {
+  new: 'Новый',
+  shortlisted: 'Шорт-лист',
+  rejected: 'Отклонён',
+  backordered: 'Бэкордер',
+  bought: 'Куплен',
+};
+
+async function jsonOrThrow(res, fallback) {
+  if (!res.ok) {
+    const err = await res.json().catch(() => ({ error: res.statusText }));
+    throw new Error(err.error || fallback);
+  }
+  return res.json();
+}
+
+// The author recorded in the triage history is the signed-in user.
+function headers() {
+  return { 'Content-Type': 'application/json' };
+}
+
+export async function getTriage(domain) {
+  return jsonOrThrow(await fetch(`/api/triage/${encodeURIComponent(domain)}`), 'Could not load triage');
+}
+
+export async function updateTriage(domain, patch) {
+  const res = await fetch(`/api/triage/${encodeURIComponent(domain)}`, {
+    method: 'PATCH',
+    headers: headers(),
+    body: JSON.stringify(patch),
+  });
+  return jsonOrThrow(res, 'Could not update triage');
+}
+
+export async function bulkUpdateTriage(domains, patch) {
+  const res = await fetch('/api/triage/bulk', {
+    method: 'POST',
+    headers: headers(),
+    body: JSON.stringify({ domains, ...patch }),
+  });
+  const data = await jsonOrThrow(res, 'Could not update triage');
+  return data.items || [];
+}
+
+export async function listTriageTags() {
+  const data = await jsonOrThrow(await fetch('/api/triage/tags'), 'Could not load tags');
+  return data.tags || [];
+}
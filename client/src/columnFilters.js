@@ -0,0 +1,43 @@
+// Structured column filters (criteria.filters): [{ column, op, value }], operators per column kind
+// come from /api/capabilities (filterOps).
+
+export const OP_LABELS = {
+  contains: 'содержит',
+  notContains: 'не содержит',
+  equals: '=',
+  notEquals: '≠',
+  startsWith: 'начинается на',
+  endsWith: 'заканчивается на',
+  between: 'от … до',
+  in: 'одно из',
+  notIn: 'ни одно из',
+  isEmpty: 'пусто',
+  isNotEmpty: 'не пусто',
+  isTrue: 'да',
+  isFalse: 'нет',
+};
+
+export const VALUELESS_OPS = new Set(['isEmpty', 'isNotEmpty', 'isTrue', 'isFalse']);
+export const LIST_OPS = new Set(['in', 'notIn']);
+
+export function emptyValue(op) {
+  if (op === 'between') return ['', ''];
+  if (LIST_OPS.has(op)) return [];
+  return '';
+}
+
+function isFilled(v) {
+  return String(v ?? '').trim() !== '';
+}
+
+// Rows still being edited (no column, no value yet) are dropped before the criteria go to the server.
+export function activeFilters(filters) {
+  if (!Array.isArray(filters)) return [];
+  return filters.filter((f) => {
+    if (!f?.column || !f?.op) return false;
+    if (VALUELESS_OPS.has(f.op)) return true;
+    if (f.op === 'between') return Array.isArray(f.value) && f.value.some(isFilled);
+    if (LIST_OPS.has(f.op)) return Array.isArray(f.value) ? f.value.some(isFilled) : isFilled(f.value);
+    return isFilled(f.value);
+  });
+}
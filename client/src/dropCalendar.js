@@ -0,0 +1,26 @@
+// Drop calendar: the date fields it can be built on and the criteria keys of each field's day range.
+
+export const CALENDAR_RANGE_KEYS = {
+  scheduled_delete_date: ['scheduledDeleteFrom', 'scheduledDeleteTo'],
+  domain_expiration_date: ['expirationFrom', 'expirationTo'],
+};
+
+// Fields the dataset has, drop date first (the server's default).
+export function calendarFields(capabilities) {
+  const picked = capabilities?.columnsPicked;
+  return [
+    picked?.scheduledDeleteColumn && 'scheduled_delete_date',
+    picked?.expiresColumn && 'domain_expiration_date',
+  ].filter(Boolean);
+}
+
+export function currentMonth() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}`;
+}
+
+// First and last day of a 'YYYY-MM' month.
+export function monthRange(month) {
+  const [y, m] = month.split('-').map(Number);
+  return { from: `${month}-01`, to: `${month}-${String(new Date(Date.UTC(y, m, 0)).getUTCDate()).padStart(2, '0')}` };
+}
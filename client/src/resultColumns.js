@@ -0,0 +1,148 @@
+// Result-table columns: the plain ones come from `resultColumns` in /api/capabilities, the composite
+// ones (pills, buttons) are defined here together with the search fields they read.
+
+export const LAYOUT_STORAGE_KEY = 'domainsDbApp.columnLayout';
+
+const COMPOSITE_COLUMNS = [
+  { key: 'domain', label: 'Domain', sortKey: 'domain', fields: ['domain'] },
+  {
+    key: 'triage',
+    label: 'Triage',
+    sortKey: 'triage_updated_at',
+    requires: 'triage',
+    fields: ['triage_status', 'triage_tags', 'triage_notes'],
+  },
+  { key: 'score', label: 'Score', sortKey: 'score', requires: 'scoring', fields: ['score', 'name_words'] },
+  {
+    key: 'similarity',
+    label: 'Similar',
+    sortKey: 'similarity',
+    requires: 'similarity',
+    fields: ['similarity', 'similarity_match'],
+  },
+  { key: 'availabilityCheck', label: 'DNS', fields: ['check_availability', 'last_checked_at'] },
+  {
+    key: 'blocklistCheck',
+    label: 'Blocklists',
+    fields: ['check_blocklists', 'check_spamhaus_listed', 'last_checked_at'],
+  },
+  { key: 'waybackCheck', label: 'Wayback', sortKey: 'wayback', fields: ['check_wayback_snapshots'] },
+  {
+    key: 'history',
+    label: 'History',
+    sortKey: 'history_first_capture',
+    requires: 'history',
+    fields: [
+      'history_first_capture',
+      'history_capture_days',
+      'history_languages',
+      'history_risk_flags',
+      'history_long_redirect',
+      'history_long_parking',
+    ],
+  },
+  { key: 'checks', label: 'Checks', fields: ['last_checked_at'] },
+];
+
+// Short headers for the usual Webatla columns; anything else is shown under its column name.
+const LABELS = {
+  dataset: 'Dataset',
+  tld: 'TLD',
+  country_by_ip: 'Country',
+  detected_hosts: 'Hosts',
+  domain_creation_date: 'Created',
+  domain_expiration_date: 'Expires',
+  scheduled_delete_date: 'Drop',
+  domain_last_changed: 'Changed',
+  registrar: 'Registrar',
+  technologies: 'Technologies',
+  response_status: 'Status',
+  status: 'State',
+  pr_value: 'PR',
+  harmonic_value: 'Harmonic',
+  tld_suffix: 'Suffix',
+};
+
+// Read by the table itself (row dimming, hotkeys) and the detail drawer (row origin), whatever columns are shown.
+const ROW_FIELDS = ['domain', 'dataset', 'triage_status', 'triage_notes', 'last_checked_at'];
+
+// `dataset` only exists when searching all datasets at once.
+export const DEFAULT_LAYOUT = [
+  'domain',
+  'dataset',
+  'triage',
+  'tld',
+  'score',
+  'country_by_ip',
+  'detected_hosts',
+  'domain_creation_date',
+  'domain_expiration_date',
+  'registrar',
+  'technologies',
+  'response_status',
+  'availabilityCheck',
+  'blocklistCheck',
+  'waybackCheck',
+  'history',
+  'checks',
+].map((key) => ({ key, width: null }));
+
+/**
+ * Every column the user can pick, as `{ key, label, kind, sortKey, fields, composite }`. Without
+ * capabilities (server not answered yet) only the composite and default columns are known.
+ */
+export function columnCatalog(capabilities) {
+  const result = capabilities?.resultColumns;
+  const supports = capabilities?.supports;
+  const composites = COMPOSITE_COLUMNS.filter((c) => !c.requires || !supports || supports[c.requires]).map((c) => ({
+    ...c,
+    composite: true,
+    kind: null,
+  }));
+  const taken = new Set(composites.flatMap((c) => c.fields));
+
+  const plain = (result || DEFAULT_LAYOUT.filter((l) => !COMPOSITE_COLUMNS.some((c) => c.key === l.key)))
+    .filter((c) => !c.check && !taken.has(c.key))
+    .map((c) => ({ key: c.key, label: LABELS[c.key] || c.key, kind: c.kind || 'text', sortKey: c.key, fields: [c.key] }));
+  return [...composites, ...plain];
+}
+
+// The saved layout resolved against the catalog: unknown keys are skipped, widths kept.
+export function layoutColumns(layout, catalog) {
+  const byKey = new Map(catalog.map((c) => [c.key, c]));
+  return (layout?.length ? layout : DEFAULT_LAYOUT)
+    .filter((l) => byKey.has(l.key))
+    .map((l) => ({ ...byKey.get(l.key), width: l.width ?? null }));
+}
+
+// Search fields needed to render `columns`, limited to what the server can return.
+export function layoutFields(columns, capabilities) {
+  const available = new Set((capabilities?.resultColumns || []).map((c) => c.key));
+  const fields = new Set([...ROW_FIELDS, ...columns.flatMap((c) => c.fields)]);
+  return [...fields].filter((f) => available.has(f));
+}
+
+// Plain dates, or timestamps at midnight as imported date columns often hold them.
+const DATE_ONLY = /^\d{4}-\d{2}-\d{2}([ T]00:00(:00)?(\.0+)?)?$/;
+
+// Display text for a plain column by its kind; '—' for empty values.
+export function formatCell(value, kind) {
+  if (value == null || value === '') return '—';
+  if (Array.isArray(value)) return value.length ? value.join(', ') : '—';
+  if (typeof value === 'object') return JSON.stringify(value);
+  if (kind === 'boolean' || typeof value === 'boolean') {
+    const s = String(value).toLowerCase();
+    return ['true', 't', '1', 'yes'].includes(s) ? 'да' : ['false', 'f', '0', 'no'].includes(s) ? 'нет' : String(value);
+  }
+  if (kind === 'number') {
+    const n = Number(value);
+    return Number.isFinite(n) && String(value).trim() !== '' ? n.toLocaleString() : String(value);
+  }
+  if (kind === 'date') {
+    const s = String(value);
+    if (DATE_ONLY.test(s)) return s.slice(0, 10);
+    const d = new Date(s);
+    return Number.isNaN(d.getTime()) ? s : d.toLocaleString();
+  }
+  return String(value);
+}
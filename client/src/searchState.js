@@ -0,0 +1,70 @@
+// Shape version of { criteria, pageSize, sort } produced by this UI; older states are upgraded by the server.
+// The dataset travels next to them and is not versioned.
+export const CRITERIA_VERSION = 2;
+
+export const STATE_STORAGE_KEY = 'domainsDbApp.searchState';
+
+// Query parameters that are not criteria keys.
+const RESERVED = new Set(['v', 'dataset', 'page', 'pageSize', 'sort']);
+
+function encodeValue(v) {
+  if (typeof v === 'boolean') return v ? 'true' : null;
+  if (Array.isArray(v) && !v.length) return null;
+  if (v && typeof v === 'object') return JSON.stringify(v);
+  const s = v == null ? '' : String(v);
+  return s === '' ? null : s;
+}
+
+function decodeValue(s) {
+  if (s === 'true') return true;
+  if (s === 'false') return false;
+  if (/^[[{]/.test(s)) {
+    try {
+      return JSON.parse(s);
+    } catch {
+      return s;
+    }
+  }
+  return s;
+}
+
+// Only non-empty criteria are written, so links stay short and readable.
+export function stateToQuery(state, page = 1) {
+  const params = new URLSearchParams();
+  params.set('v', String(CRITERIA_VERSION));
+  if (state?.dataset) params.set('dataset', state.dataset);
+  for (const [key, value] of Object.entries(state?.criteria || {})) {
+    const encoded = encodeValue(value);
+    if (encoded != null) params.set(key, encoded);
+  }
+  if (state?.pageSize) params.set('pageSize', String(state.pageSize));
+  if (state?.sort?.key) params.set('sort', `${state.sort.key}:${state.sort.dir || 'asc'}`);
+  if (page > 1) params.set('page', String(page));
+  return params.toString();
+}
+
+// Returns null when the URL carries no search state.
+export function stateFromQuery(search) {
+  const params = new URLSearchParams(search);
+  if (!params.has('v')) return null;
+  const criteria = {};
+  for (const [key, value] of params) {
+    if (!RESERVED.has(key)) criteria[key] = decodeValue(value);
+  }
+  const [sortKey, sortDir] = String(params.get('sort') || '').split(':');
+  return {
+    version: Number(params.get('v')) || 1,
+    dataset: params.get('dataset') || '',
+    criteria,
+    pageSize: Number(params.get('pageSize')) || null,
+    sort: sortKey ? { key: sortKey, dir: sortDir === 'desc' ? 'desc' : 'asc' } : null,
+    page: Math.max(1, Number(params.get('page')) || 1),
+  };
+}
+
+// Same keys as `defaults`, all empty: URL/preset criteria replace the form instead of merging into defaults.
+export function blankCriteria(defaults) {
+  return Object.fromEntries(
+    Object.entries(defaults).map(([k, v]) => [k, typeof v === 'boolean' ? false : Array.isArray(v) ? [] : ''])
+  );
+}
@@ -0,0 +1,572 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { appTable, lazySchema, pool } from './db.js';
+import { log } from './logger.js';
+import { clampInt, httpError, normalizeString, sendError } from './util.js';
+
+const scryptAsync = promisify(scrypt);
+
+const USERS_TABLE = appTable('users');
+const SESSIONS_TABLE = appTable('user_sessions');
+const API_KEYS_TABLE = appTable('api_keys');
+const SPAMHAUS_USAGE_TABLE = appTable('spamhaus_usage');
+
+// Ordered by privilege: every role can do what the ones before it can.
+export const ROLES = ['viewer', 'analyst', 'admin'];
+
+export const SESSION_COOKIE = 'ddb_session';
+const API_KEY_PREFIX = 'ddb_';
+const SESSION_TTL_HOURS = clampInt(process.env.AUTH_SESSION_TTL_HOURS, 1, 24 * 365, 24 * 7);
+const COOKIE_SECURE = process.env.AUTH_COOKIE_SECURE === '1' || process.env.AUTH_COOKIE_SECURE === 'true';
+// Paid Spamhaus Intel lookups per user and day, unless the user has an own quota.
+const DEFAULT_SPAMHAUS_QUOTA = clampInt(process.env.SPAMHAUS_DAILY_QUOTA, 0, 10_000_000, 100);
+// Without a setup token the first admin can only be created from the server itself.
+const SETUP_TOKEN = normalizeString(process.env.AUTH_SETUP_TOKEN);
+// Failed logins allowed per client address and username within the window (five times as many per address).
+const LOGIN_MAX_FAILURES = clampInt(process.env.AUTH_LOGIN_MAX_FAILURES, 1, 10_000, 10);
+const LOGIN_WINDOW_MS = clampInt(process.env.AUTH_LOGIN_WINDOW_MINUTES, 1, 24 * 60, 15) * 60_000;
+
+export const ensureAuthTables = lazySchema('auth', [
+  `
+  CREATE TABLE IF NOT EXISTS ${USERS_TABLE} (
+    id bigserial PRIMARY KEY,
+    username text NOT NULL UNIQUE,
+    password_hash text NOT NULL,
+    role text NOT NULL,
+    spamhaus_daily_quota integer,
+    disabled boolean NOT NULL DEFAULT false,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS ${SESSIONS_TABLE} (
+    token_hash text PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES ${USERS_TABLE} (id) ON DELETE CASCADE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    expires_at timestamptz NOT NULL
+  );
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS ${API_KEYS_TABLE} (
+    id bigserial PRIMARY KEY,
+    user_id bigint NOT NULL REFERENCES ${USERS_TABLE} (id) ON DELETE CASCADE,
+    name text NOT NULL,
+    prefix text NOT NULL,
+    key_hash text NOT NULL UNIQUE,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    last_used_at timestamptz,
+    revoked_at timestamptz
+  );
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS ${SPAMHAUS_USAGE_TABLE} (
+    user_id bigint NOT NULL REFERENCES ${USERS_TABLE} (id) ON DELETE CASCADE,
+    day date NOT NULL,
+    used integer NOT NULL DEFAULT 0,
+    PRIMARY KEY (user_id, day)
+  );
+  `,
+]);
+
+async function requireTables() {
+  if (!(await ensureAuthTables())) throw httpError(503, 'Authentication is unavailable (database not ready)');
+}
+
+export function hasRole(user, role) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(role);
+}
+
+function toUser(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    username: row.username,
+    role: row.role,
+    spamhausDailyQuota: row.spamhaus_daily_quota,
+    disabled: row.disabled,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Stored as "scrypt$<salt>$<hash>", both hex.
+async function hashPassword(password) {
+  const salt = randomBytes(16);
+  const hash = await scryptAsync(password, salt, 64);
+  return `scrypt$${salt.toString('hex')}$${hash.toString('hex')}`;
+}
+
+async function verifyPassword(password, stored) {
+  const [scheme, saltHex, hashHex] = String(stored || '').split('$');
+  if (scheme !== 'scrypt' || !saltHex || !hashHex) return false;
+  const expected = Buffer.from(hashHex, 'hex');
+  const actual = await scryptAsync(password, Buffer.from(saltHex, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+// Sessions and API keys are stored as hashes only; the token itself is shown once.
+function tokenHash(token) {
+  return createHash('sha256').update(token).digest('hex');
+}
+
+function newToken(prefix = '') {
+  return prefix + randomBytes(32).toString('base64url');
+}
+
+function readUsername(input) {
+  const username = normalizeString(input)?.toLowerCase();
+  if (!username || !/^[a-z0-9._@-]{2,64}$/.test(username)) {
+    throw httpError(400, 'username must be 2-64 characters: letters, digits, . _ @ -');
+  }
+  return username;
+}
+
+function readPassword(input) {
+  if (typeof input !== 'string' || input.length < 8 || input.length > 200) {
+    throw httpError(400, 'password must be 8-200 characters');
+  }
+  return input;
+}
+
+function readRole(input) {
+  if (!ROLES.includes(input)) throw httpError(400, `role must be one of: ${ROLES.join(', ')}`);
+  return input;
+}
+
+// null = the default SPAMHAUS_DAILY_QUOTA.
+function readQuota(input) {
+  if (input == null || input === '') return null;
+  const n = Number(input);
+  if (!Number.isInteger(n) || n < 0 || n > 10_000_000) {
+    throw httpError(400, 'spamhausDailyQuota must be a whole number from 0 to 10000000, or null');
+  }
+  return n;
+}
+
+// --- Users (admin) ---
+
+export async function listUsers() {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${USERS_TABLE} ORDER BY username;`);
+  return r.rows.map(toUser);
+}
+
+export async function createUser(body, db = pool) {
+  await requireTables();
+  const username = readUsername(body?.username);
+  const passwordHash = await hashPassword(readPassword(body?.password));
+  try {
+    const r = await db.query(
+      `
+      INSERT INTO ${USERS_TABLE} (username, password_hash, role, spamhaus_daily_quota)
+      VALUES ($1, $2, $3, $4)
+      RETURNING *;
+      `,
+      [username, passwordHash, readRole(body?.role ?? 'viewer'), readQuota(body?.spamhausDailyQuota)]
+    );
+    return toUser(r.rows[0]);
+  } catch (err) {
+    if (err.code === '23505') throw httpError(409, `User already exists: ${username}`);
+    throw err;
+  }
+}
+
+// Demoting, disabling or deleting the last active admin would lock everyone out of user management.
+async function assertOtherAdmin(db, userId) {
+  const r = await db.query(
+    `SELECT 1 FROM ${USERS_TABLE} WHERE role = 'admin' AND NOT disabled AND id <> $1 LIMIT 1;`,
+    [userId]
+  );
+  if (!r.rowCount) throw httpError(400, 'At least one active admin is required');
+}
+
+export async function updateUser(userId, body) {
+  await requireTables();
+  const sets = [];
+  const values = [userId];
+  const set = (column, value) => {
+    values.push(value);
+    sets.push(`${column} = $${values.length}`);
+  };
+  if (body?.role !== undefined) set('role', readRole(body.role));
+  if (body?.password !== undefined) set('password_hash', await hashPassword(readPassword(body.password)));
+  if (body?.spamhausDailyQuota !== undefined) set('spamhaus_daily_quota', readQuota(body.spamhausDailyQuota));
+  if (body?.disabled !== undefined) set('disabled', body.disabled === true);
+  if (!sets.length) throw httpError(400, 'Nothing to update');
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = await client.query(`SELECT * FROM ${USERS_TABLE} WHERE id = $1 FOR UPDATE;`, [userId]);
+    if (!cur.rowCount) throw httpError(404, 'User not found');
+    const losesAdmin = (body.role !== undefined && body.role !== 'admin') || body.disabled === true;
+    if (cur.rows[0].role === 'admin' && losesAdmin) await assertOtherAdmin(client, userId);
+
+    const r = await client.query(
+      `UPDATE ${USERS_TABLE} SET ${sets.join(', ')}, updated_at = now() WHERE id = $1 RETURNING *;`,
+      values
+    );
+    // A new password or a disabled account ends the running sessions.
+    if (body.password !== undefined || body.disabled === true) {
+      await client.query(`DELETE FROM ${SESSIONS_TABLE} WHERE user_id = $1;`, [userId]);
+    }
+    await client.query('COMMIT');
+    return toUser(r.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteUser(userId) {
+  await requireTables();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = await client.query(`SELECT role FROM ${USERS_TABLE} WHERE id = $1 FOR UPDATE;`, [userId]);
+    if (!cur.rowCount) throw httpError(404, 'User not found');
+    if (cur.rows[0].role === 'admin') await assertOtherAdmin(client, userId);
+    await client.query(`DELETE FROM ${USERS_TABLE} WHERE id = $1;`, [userId]);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// --- First admin ---
+
+// Constant-time comparison of a presented secret with the configured one.
+export function tokensEqual(given, expected) {
+  const a = Buffer.from(String(given ?? ''));
+  const b = Buffer.from(String(expected ?? ''));
+  return a.length === b.length && timingSafeEqual(a, b);
+}
+
+export function isSetupTokenRequired() {
+  return !!SETUP_TOKEN;
+}
+
+// Straight from a loopback address, not through a proxy (which would make every client look local).
+function isLocalRequest(req) {
+  if (req.get('X-Forwarded-For') || req.get('Forwarded')) return false;
+  return /^(127\.|::1$|::ffff:127\.)/.test(req.socket?.remoteAddress || '');
+}
+
+/**
+ * Until the first admin exists anyone who reaches the server could claim it, so setup needs the
+ * AUTH_SETUP_TOKEN (`setupToken` in the body) or, when none is configured, a request from the server itself.
+ */
+export function assertSetupAllowed(req) {
+  if (SETUP_TOKEN) {
+    if (!tokensEqual(req.body?.setupToken, SETUP_TOKEN)) throw httpError(403, 'A valid setup token is required');
+  } else if (!isLocalRequest(req)) {
+    throw httpError(403, 'Set AUTH_SETUP_TOKEN to create the first admin from another host');
+  }
+}
+
+export async function isSetupRequired() {
+  if (!(await ensureAuthTables())) return false;
+  const r = await pool.query(`SELECT 1 FROM ${USERS_TABLE} LIMIT 1;`);
+  return r.rowCount === 0;
+}
+
+/**
+ * Creates the first account, always an admin. Only allowed while there are no users at all;
+ * the table lock keeps two concurrent setups from both succeeding.
+ */
+export async function setupFirstAdmin(body) {
+  await requireTables();
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`LOCK TABLE ${USERS_TABLE} IN EXCLUSIVE MODE;`);
+    const r = await client.query(`SELECT 1 FROM ${USERS_TABLE} LIMIT 1;`);
+    if (r.rowCount) throw httpError(409, 'Setup is already done');
+    const user = await createUser({ username: body?.username, password: body?.password, role: 'admin' }, client);
+    await client.query('COMMIT');
+    return user;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// ADMIN_USERNAME / ADMIN_PASSWORD create the first admin at startup on an empty users table.
+export async function ensureBootstrapAdmin() {
+  const username = normalizeString(process.env.ADMIN_USERNAME);
+  const password = process.env.ADMIN_PASSWORD;
+  if (!username || !password || !(await isSetupRequired())) return;
+  try {
+    const user = await setupFirstAdmin({ username, password });
+    log.info('Created admin user from ADMIN_USERNAME', { username: user.username });
+  } catch (err) {
+    if (err.status !== 409) log.warn('Could not create the admin user', { err });
+  }
+}
+
+// --- Sessions ---
+
+const loginFailures = new Map(); // throttle key -> { count, until }
+
+function throttleKeys(ip, username) {
+  return [
+    [`ip:${ip}`, LOGIN_MAX_FAILURES * 5],
+    [`user:${ip}:${username}`, LOGIN_MAX_FAILURES],
+  ];
+}
+
+// 429 with `retryAfter` (seconds) while a key is over its limit.
+function assertLoginAllowed(keys) {
+  const now = Date.now();
+  for (const [key, max] of keys) {
+    const f = loginFailures.get(key);
+    if (f && f.until <= now) loginFailures.delete(key);
+    else if (f && f.count >= max) {
+      const err = httpError(429, 'Too many failed logins, try again later');
+      err.retryAfter = Math.ceil((f.until - now) / 1000);
+      throw err;
+    }
+  }
+}
+
+function recordLoginFailure(keys) {
+  const now = Date.now();
+  for (const [key] of keys) {
+    const f = loginFailures.get(key);
+    if (f && f.until > now) f.count += 1;
+    else loginFailures.set(key, { count: 1, until: now + LOGIN_WINDOW_MS });
+  }
+  if (loginFailures.size > 10_000) {
+    for (const [key, f] of loginFailures) if (f.until <= now) loginFailures.delete(key);
+  }
+}
+
+// `ip` is the client address the failed attempts are counted against.
+export async function login(body, { ip = '' } = {}) {
+  await requireTables();
+  const username = normalizeString(body?.username)?.toLowerCase();
+  const password = typeof body?.password === 'string' ? body.password : '';
+  const keys = throttleKeys(ip, username || '');
+  assertLoginAllowed(keys);
+  const r = await pool.query(`SELECT * FROM ${USERS_TABLE} WHERE username = $1;`, [username]);
+  const row = r.rows[0];
+  if (!row || row.disabled || !(await verifyPassword(password, row.password_hash))) {
+    recordLoginFailure(keys);
+    throw httpError(401, 'Invalid username or password');
+  }
+  loginFailures.delete(keys[1][0]);
+
+  const token = newToken();
+  const s = await pool.query(
+    `
+    INSERT INTO ${SESSIONS_TABLE} (token_hash, user_id, expires_at)
+    VALUES ($1, $2, now() + make_interval(hours => $3))
+    RETURNING expires_at;
+    `,
+    [tokenHash(token), row.id, SESSION_TTL_HOURS]
+  );
+  await pool.query(`DELETE FROM ${SESSIONS_TABLE} WHERE expires_at < now();`);
+  return { token, expiresAt: s.rows[0].expires_at, user: toUser(row) };
+}
+
+export async function logout(token) {
+  if (!token || !(await ensureAuthTables())) return;
+  await pool.query(`DELETE FROM ${SESSIONS_TABLE} WHERE token_hash = $1;`, [tokenHash(token)]);
+}
+
+export async function changePassword(user, body) {
+  await requireTables();
+  const r = await pool.query(`SELECT password_hash FROM ${USERS_TABLE} WHERE id = $1;`, [user.id]);
+  const current = typeof body?.currentPassword === 'string' ? body.currentPassword : '';
+  if (!r.rowCount || !(await verifyPassword(current, r.rows[0].password_hash))) {
+    throw httpError(400, 'Current password is wrong');
+  }
+  return updateUser(user.id, { password: body?.newPassword });
+}
+
+export function setSessionCookie(res, token, expiresAt) {
+  res.cookie(SESSION_COOKIE, token, {
+    httpOnly: true,
+    sameSite: 'lax',
+    secure: COOKIE_SECURE,
+    path: '/api',
+    expires: new Date(expiresAt),
+  });
+}
+
+export function clearSessionCookie(res) {
+  res.clearCookie(SESSION_COOKIE, { httpOnly: true, sameSite: 'lax', secure: COOKIE_SECURE, path: '/api' });
+}
+
+// --- API keys ---
+
+function toApiKey(row) {
+  return {
+    id: Number(row.id),
+    name: row.name,
+    prefix: row.prefix,
+    createdAt: row.created_at,
+    lastUsedAt: row.last_used_at,
+    revokedAt: row.revoked_at,
+  };
+}
+
+export async function listApiKeys(userId) {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${API_KEYS_TABLE} WHERE user_id = $1 ORDER BY created_at DESC;`, [userId]);
+  return r.rows.map(toApiKey);
+}
+
+// The key is returned only here; afterwards it is known by its prefix.
+export async function createApiKey(userId, body) {
+  await requireTables();
+  const name = normalizeString(body?.name);
+  if (!name || name.length > 100) throw httpError(400, 'name is required (up to 100 characters)');
+  const key = newToken(API_KEY_PREFIX);
+  const r = await pool.query(
+    `INSERT INTO ${API_KEYS_TABLE} (user_id, name, prefix, key_hash) VALUES ($1, $2, $3, $4) RETURNING *;`,
+    [userId, name, key.slice(0, API_KEY_PREFIX.length + 6), tokenHash(key)]
+  );
+  return { ...toApiKey(r.rows[0]), key };
+}
+
+export async function revokeApiKey(userId, keyId) {
+  await requireTables();
+  const r = await pool.query(
+    `
+    UPDATE ${API_KEYS_TABLE} SET revoked_at = COALESCE(revoked_at, now())
+    WHERE id = $1 AND user_id = $2
+    RETURNING *;
+    `,
+    [keyId, userId]
+  );
+  if (!r.rowCount) throw httpError(404, 'API key not found');
+  return toApiKey(r.rows[0]);
+}
+
+// --- Middleware ---
+
+function cookieToken(req) {
+  for (const part of (req.get('Cookie') || '').split(';')) {
+    const eq = part.indexOf('=');
+    if (eq > 0 && part.slice(0, eq).trim() === SESSION_COOKIE) {
+      try {
+        return decodeURIComponent(part.slice(eq + 1).trim()) || null;
+      } catch {
+        return null;
+      }
+    }
+  }
+  return null;
+}
+
+// Credential of a request: "Authorization: Bearer", X-Api-Key, or the session cookie of the UI.
+export function requestToken(req) {
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.get('Authorization') || '')?.[1];
+  return bearer || normalizeString(req.get('X-Api-Key')) || cookieToken(req);
+}
+
+async function userForToken(token) {
+  const hash = tokenHash(token);
+  if (token.startsWith(API_KEY_PREFIX)) {
+    const r = await pool.query(
+      `
+      SELECT u.*, k.id AS key_id, k.last_used_at
+      FROM ${API_KEYS_TABLE} k JOIN ${USERS_TABLE} u ON u.id = k.user_id
+      WHERE k.key_hash = $1 AND k.revoked_at IS NULL AND NOT u.disabled;
+      `,
+      [hash]
+    );
+    const row = r.rows[0];
+    if (!row) return null;
+    // Coarse last-used stamp: one write per key and minute at most.
+    if (!row.last_used_at || Date.now() - new Date(row.last_used_at).getTime() > 60_000) {
+      pool
+        .query(`UPDATE ${API_KEYS_TABLE} SET last_used_at = now() WHERE id = $1;`, [row.key_id])
+        .catch((err) => log.warn('Could not update API key usage', { err }));
+    }
+    return { ...toUser(row), via: 'api_key' };
+  }
+  const r = await pool.query(
+    `
+    SELECT u.*
+    FROM ${SESSIONS_TABLE} s JOIN ${USERS_TABLE} u ON u.id = s.user_id
+    WHERE s.token_hash = $1 AND s.expires_at > now() AND NOT u.disabled;
+    `,
+    [hash]
+  );
+  return r.rows[0] ? { ...toUser(r.rows[0]), via: 'session' } : null;
+}
+
+/**
+ * Sets req.user from the request credential (null without one). Rejects only a credential that
+ * does not resolve; whether a route needs a user at all is up to requireRole.
+ */
+export async function authenticate(req, res, next) {
+  req.user = null;
+  const token = requestToken(req);
+  if (!token) return next();
+  try {
+    await requireTables();
+    req.user = await userForToken(token);
+    if (!req.user) {
+      if (token === cookieToken(req)) clearSessionCookie(res);
+      throw httpError(401, 'Invalid or expired credentials');
+    }
+    next();
+  } catch (err) {
+    sendError(res, err, 'Authentication error');
+  }
+}
+
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!req.user) return sendError(res, httpError(401, 'Authentication required'), 'Authentication error');
+    if (!hasRole(req.user, role)) return sendError(res, httpError(403, `Requires the ${role} role`), 'Authorization error');
+    next();
+  };
+}
+
+// --- Spamhaus quota ---
+
+/**
+ * Takes one paid Spamhaus lookup from today's quota of the user. Resolves to false once the quota
+ * is used up (the row is then left unchanged); a quota of 0 allows no paid lookups.
+ */
+export async function consumeSpamhausQuota(userId) {
+  await requireTables();
+  const r = await pool.query(
+    `
+    WITH q AS (
+      SELECT COALESCE(spamhaus_daily_quota, $2) AS quota FROM ${USERS_TABLE} WHERE id = $1
+    )
+    INSERT INTO ${SPAMHAUS_USAGE_TABLE} AS u (user_id, day, used)
+    SELECT $1, current_date, 1 FROM q WHERE q.quota > 0
+    ON CONFLICT (user_id, day) DO UPDATE SET used = u.used + 1
+    WHERE u.used < (SELECT quota FROM q)
+    RETURNING used;
+    `,
+    [userId, DEFAULT_SPAMHAUS_QUOTA]
+  );
+  return r.rowCount > 0;
+}
+
+export async function getSpamhausUsage(user) {
+  await requireTables();
+  const r = await pool.query(
+    `SELECT used FROM ${SPAMHAUS_USAGE_TABLE} WHERE user_id = $1 AND day = current_date;`,
+    [user.id]
+  );
+  const limit = user.spamhausDailyQuota ?? DEFAULT_SPAMHAUS_QUOTA;
+  const used = r.rows[0]?.used || 0;
+  // Negative when more was used than the quota allows now (it was lowered during the day).
+  return { limit, used, remaining: limit - used };
+}
@@ -0,0 +1,121 @@
+import { pool } from './db.js';
+import { ISO_DATE_FN, buildSearchQuery, ensureSearchFunctions } from './search.js';
+import { clampInt, httpError, normalizeString } from './util.js';
+
+const CALENDAR_MAX_DAYS = clampInt(process.env.CALENDAR_MAX_DAYS, 7, 3660, 366);
+
+// Default window and the "next 30 days" summary.
+const WINDOW_DAYS = 30;
+const WEEK_DAYS = 7;
+
+// Date fields a calendar can be built on; the drop date wins when the dataset has both.
+export const CALENDAR_FIELDS = ['scheduled_delete_date', 'domain_expiration_date'];
+
+const DAY_RE = /^\d{4}-\d{2}-\d{2}$/;
+const DAY_MS = 86_400_000;
+
+function parseDay(raw, name) {
+  const s = normalizeString(raw);
+  if (!s) return null;
+  const d = DAY_RE.test(s) ? new Date(`${s}T00:00:00Z`) : null;
+  if (!d || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== s) {
+    throw httpError(400, `${name} must be a date (YYYY-MM-DD)`);
+  }
+  return d;
+}
+
+function dayText(d) {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDays(day, n) {
+  return dayText(new Date(new Date(`${day}T00:00:00Z`).getTime() + n * DAY_MS));
+}
+
+/**
+ * Per-day counts of the rows matching `criteria` (same criteria and dataset handling as the
+ * search) by drop date or expiration date, for the days `from`..`to` (default: the 30 days from
+ * today; `to` alone counts back from it). `summary` counts today, the next 7 and the next 30 days
+ * whatever the window. Days without matches are left out of `days`. "Today" is the database's
+ * CURRENT_DATE, as in the `expiring` lifecycle filter.
+ */
+export async function getCalendar(criteria = {}, { dataset = null, field = null, from = null, to = null } = {}) {
+  const query = await buildSearchQuery(criteria, { dataset });
+
+  const requested = normalizeString(field);
+  if (requested && !CALENDAR_FIELDS.includes(requested)) {
+    throw httpError(400, `field must be one of: ${CALENDAR_FIELDS.join(', ')}`);
+  }
+  const picked = requested || CALENDAR_FIELDS.find((f) => query.sortables.has(f));
+  const def = picked && query.sortables.get(picked);
+  if (!def) {
+    throw httpError(400, requested ? `Dataset has no ${requested} column` : 'Dataset has no drop or expiration date column');
+  }
+
+  let fromDay = parseDay(from, 'from');
+  let toDay = parseDay(to, 'to');
+  if (fromDay && !toDay) toDay = new Date(fromDay.getTime() + (WINDOW_DAYS - 1) * DAY_MS);
+  if (toDay && !fromDay) fromDay = new Date(toDay.getTime() - (WINDOW_DAYS - 1) * DAY_MS);
+  if (fromDay && toDay < fromDay) throw httpError(400, 'to must not be before from');
+  if (fromDay && (toDay - fromDay) / DAY_MS + 1 > CALENDAR_MAX_DAYS) {
+    throw httpError(400, `Calendar window is limited to ${CALENDAR_MAX_DAYS} days`);
+  }
+
+  // Union searches may carry the date as text when the datasets' column types differ.
+  const iso = await ensureSearchFunctions();
+  let daySql = `(${def.sql})::date`;
+  if (def.type === 'text') daySql = iso ? `${ISO_DATE_FN}(${def.sql})` : `NULLIF(${def.sql}, '')::date`;
+
+  const values = [...query.values, fromDay && dayText(fromDay), toDay && dayText(toDay), WINDOW_DAYS - 1];
+  const fromParam = `$${values.length - 2}`;
+  const toParam = `$${values.length - 1}`;
+  const spanParam = `$${values.length}`;
+  // One pass over the window and the summary days together; the split happens below.
+  const sql = `
+    SELECT
+      b.today::text AS today,
+      b.lo::text AS "from",
+      b.hi::text AS "to",
+      COALESCE(
+        (
+          SELECT json_agg(json_build_object('date', g.day::text, 'count', g.n) ORDER BY g.day)
+          FROM (
+            SELECT day, COUNT(*) AS n
+            FROM (
+              SELECT ${daySql} AS day
+              FROM ${query.fromSql}
+              ${query.whereSql}
+            ) matched
+            WHERE day BETWEEN LEAST(b.lo, b.today) AND GREATEST(b.hi, b.today + ${spanParam}::int)
+            GROUP BY day
+          ) g
+        ),
+        '[]'::json
+      ) AS days
+    FROM (
+      SELECT
+        CURRENT_DATE AS today,
+        COALESCE(${fromParam}::date, CURRENT_DATE) AS lo,
+        COALESCE(${toParam}::date, CURRENT_DATE + ${spanParam}::int) AS hi
+    ) b;
+  `;
+  const { rows } = await pool.query(sql, values);
+  const row = rows[0];
+
+  const sumBetween = (lo, hi) => row.days.reduce((n, d) => (d.date >= lo && d.date <= hi ? n + d.count : n), 0);
+  const days = row.days.filter((d) => d.date >= row.from && d.date <= row.to);
+  return {
+    dataset: query.dataset,
+    field: picked,
+    from: row.from,
+    to: row.to,
+    today: row.today,
+    total: days.reduce((n, d) => n + d.count, 0),
+    days,
+    summary: {
+      today: sumBetween(row.today, row.today),
+      week: sumBetween(row.today, addDays(row.today, WEEK_DAYS - 1)),
+      month: sumBetween(row.today, addDays(row.today, WINDOW_DAYS - 1)),
+    },
+  };
+}
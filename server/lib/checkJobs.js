@@ -0,0 +1,331 @@
+import { EventEmitter } from 'node:events';
+import { appTable, lazySchema, pool, quoteIdent } from './db.js';
+import { runDomainCheck } from './checks.js';
+import { isTransientError } from './providers/index.js';
+import { buildSearchQuery } from './search.js';
+import { log } from './logger.js';
+import { clampInt, httpError, mapWithConcurrency, normalizeDomain } from './util.js';
+
+const JOBS_TABLE = appTable('check_jobs');
+const JOB_ITEMS_TABLE = appTable('check_job_items');
+
+const DEFAULT_CONCURRENCY = clampInt(process.env.CHECK_JOB_CONCURRENCY, 1, 16, 4);
+const MAX_DOMAINS = clampInt(process.env.CHECK_JOB_MAX_DOMAINS, 1, 1_000_000, 50_000);
+const BATCH_SIZE = 100;
+
+export const FINAL_STATUSES = new Set(['completed', 'cancelled', 'failed']);
+
+// Emits { jobId, type: 'job' | 'item', data } for SSE subscribers.
+export const jobEvents = new EventEmitter();
+jobEvents.setMaxListeners(0);
+
+const runners = new Map(); // jobId -> { stopping, done }
+
+export const ensureJobTables = lazySchema('check job', [
+  `
+  CREATE TABLE IF NOT EXISTS ${JOBS_TABLE} (
+    id bigserial PRIMARY KEY,
+    status text NOT NULL DEFAULT 'queued',
+    source text NOT NULL,
+    criteria jsonb,
+    force boolean NOT NULL DEFAULT false,
+    concurrency integer NOT NULL,
+    total integer NOT NULL DEFAULT 0,
+    done integer NOT NULL DEFAULT 0,
+    failed integer NOT NULL DEFAULT 0,
+    error text,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    started_at timestamptz,
+    finished_at timestamptz,
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS ${JOB_ITEMS_TABLE} (
+    job_id bigint NOT NULL REFERENCES ${JOBS_TABLE} (id) ON DELETE CASCADE,
+    domain text NOT NULL,
+    status text NOT NULL DEFAULT 'pending',
+    error text,
+    finished_at timestamptz,
+    PRIMARY KEY (job_id, domain)
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS check_job_items_status_idx ON ${JOB_ITEMS_TABLE} (job_id, status);`,
+  // User whose Spamhaus quota the job draws on (null for jobs from before accounts).
+  `ALTER TABLE ${JOBS_TABLE} ADD COLUMN IF NOT EXISTS created_by bigint;`,
+  // Dataset the criteria were run against (null: the default one, as before datasets existed).
+  `ALTER TABLE ${JOBS_TABLE} ADD COLUMN IF NOT EXISTS dataset text;`,
+]);
+
+async function requireJobTables() {
+  if (!(await ensureJobTables())) throw httpError(503, 'Check jobs are unavailable (database not ready)');
+}
+
+function toJob(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    status: row.status,
+    source: row.source,
+    criteria: row.criteria,
+    dataset: row.dataset,
+    force: row.force,
+    concurrency: row.concurrency,
+    total: row.total,
+    done: row.done,
+    failed: row.failed,
+    error: row.error,
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at,
+    createdBy: row.created_by == null ? null : Number(row.created_by),
+  };
+}
+
+function emit(jobId, type, data) {
+  jobEvents.emit('event', { jobId, type, data });
+}
+
+async function setStatus(jobId, status, { onlyFrom = null, error = null } = {}) {
+  const final = FINAL_STATUSES.has(status);
+  const r = await pool.query(
+    `
+    UPDATE ${JOBS_TABLE}
+    SET status = $2,
+        error = COALESCE($3, error),
+        started_at = CASE WHEN $2 = 'running' THEN COALESCE(started_at, now()) ELSE started_at END,
+        finished_at = CASE WHEN $4 THEN now() ELSE NULL END,
+        updated_at = now()
+    WHERE id = $1 ${onlyFrom ? 'AND status = ANY($5::text[])' : ''}
+    RETURNING *;
+    `,
+    onlyFrom ? [jobId, status, error, final, onlyFrom] : [jobId, status, error, final]
+  );
+  const job = toJob(r.rows[0]);
+  if (job) emit(jobId, 'job', job);
+  return job;
+}
+
+export async function getJob(jobId) {
+  await requireJobTables();
+  const r = await pool.query(`SELECT * FROM ${JOBS_TABLE} WHERE id = $1;`, [jobId]);
+  return toJob(r.rows[0]);
+}
+
+export async function listJobs({ status = null, limit = 50 } = {}) {
+  await requireJobTables();
+  const r = await pool.query(
+    `
+    SELECT * FROM ${JOBS_TABLE}
+    ${status ? 'WHERE status = $2' : ''}
+    ORDER BY id DESC
+    LIMIT $1;
+    `,
+    status ? [limit, status] : [limit]
+  );
+  return r.rows.map(toJob);
+}
+
+export async function listJobItems(jobId, { status = null, limit = 100, offset = 0 } = {}) {
+  await requireJobTables();
+  const r = await pool.query(
+    `
+    SELECT domain, status, error, finished_at
+    FROM ${JOB_ITEMS_TABLE}
+    WHERE job_id = $1 ${status ? 'AND status = $4' : ''}
+    ORDER BY domain ASC
+    LIMIT $2 OFFSET $3;
+    `,
+    status ? [jobId, limit, offset, status] : [jobId, limit, offset]
+  );
+  return r.rows.map((x) => ({ domain: x.domain, status: x.status, error: x.error, finishedAt: x.finished_at }));
+}
+
+/**
+ * Creates a job either from an explicit domain list or from search criteria on `dataset`
+ * (every matching row, up to CHECK_JOB_MAX_DOMAINS), then starts it.
+ */
+export async function createJob({
+  domains = null,
+  criteria = null,
+  dataset = null,
+  force = false,
+  concurrency,
+  createdBy = null,
+} = {}) {
+  await requireJobTables();
+  const conc = clampInt(concurrency, 1, 16, DEFAULT_CONCURRENCY);
+
+  let list = null;
+  if (Array.isArray(domains)) {
+    list = [...new Set(domains.map(normalizeDomain).filter(Boolean))];
+    if (!list.length) throw httpError(400, 'No valid domains');
+    if (list.length > MAX_DOMAINS) throw httpError(400, `Too many domains (max ${MAX_DOMAINS})`);
+  } else if (!criteria || typeof criteria !== 'object') {
+    throw httpError(400, 'Either domains or criteria is required');
+  }
+  // Built before the transaction: an unknown dataset or bad criteria is a 400 without a job row.
+  const query = list ? null : await buildSearchQuery(criteria, { dataset });
+
+  const client = await pool.connect();
+  let job;
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `INSERT INTO ${JOBS_TABLE} (source, criteria, dataset, force, concurrency, created_by) VALUES ($1, $2, $3, $4, $5, $6) RETURNING *;`,
+      [list ? 'domains' : 'criteria', list ? null : JSON.stringify(criteria), list ? null : query.dataset, force === true, conc, createdBy]
+    );
+    const jobId = r.rows[0].id;
+
+    if (list) {
+      await client.query(
+        `INSERT INTO ${JOB_ITEMS_TABLE} (job_id, domain) SELECT $1, d FROM unnest($2::text[]) AS d ON CONFLICT DO NOTHING;`,
+        [jobId, list]
+      );
+    } else {
+      const { domainColumn, whereSql, values, countFromSql } = query;
+      await client.query(
+        `
+        INSERT INTO ${JOB_ITEMS_TABLE} (job_id, domain)
+        SELECT $${values.length + 1}::bigint, d
+        FROM (
+          SELECT DISTINCT LOWER(${quoteIdent(domainColumn)}) AS d
+          FROM ${countFromSql}
+          ${whereSql}
+          ORDER BY 1
+          LIMIT $${values.length + 2}
+        ) src
+        WHERE d IS NOT NULL
+        ON CONFLICT DO NOTHING;
+        `,
+        [...values, jobId, MAX_DOMAINS]
+      );
+    }
+
+    const updated = await client.query(
+      `
+      UPDATE ${JOBS_TABLE}
+      SET total = (SELECT COUNT(*) FROM ${JOB_ITEMS_TABLE} WHERE job_id = $1)
+      WHERE id = $1
+      RETURNING *;
+      `,
+      [jobId]
+    );
+    await client.query('COMMIT');
+    job = toJob(updated.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  startRunner(job.id);
+  return job;
+}
+
+// A provider that is simply not configured, or skipped for the Spamhaus quota, is not a failure
+// of the check itself.
+function checkFailure(result) {
+  const failed = Object.entries(result?.providers || {}).filter(([, r]) => isTransientError(r) && !r.skipped);
+  return failed.length ? failed.map(([id, r]) => `${id}: ${r.error}`).join('; ') : null;
+}
+
+async function checkItem(job, domain) {
+  const normalized = normalizeDomain(domain);
+  let result = null;
+  let error = null;
+  try {
+    if (!normalized) throw new Error('Invalid domain');
+    result = await runDomainCheck(normalized, { force: job.force, userId: job.createdBy });
+    error = checkFailure(result);
+  } catch (err) {
+    error = err?.message || String(err);
+  }
+  const status = error ? 'failed' : 'done';
+
+  await pool.query(
+    `UPDATE ${JOB_ITEMS_TABLE} SET status = $3, error = $4, finished_at = now() WHERE job_id = $1 AND domain = $2;`,
+    [job.id, domain, status, error]
+  );
+  const r = await pool.query(
+    `
+    UPDATE ${JOBS_TABLE}
+    SET done = done + 1, failed = failed + $2, updated_at = now()
+    WHERE id = $1
+    RETURNING total, done, failed, status;
+    `,
+    [job.id, error ? 1 : 0]
+  );
+  emit(job.id, 'item', { domain, status, error, result, progress: r.rows[0] || null });
+}
+
+async function runJob(jobId, runner) {
+  const job = await setStatus(jobId, 'running', { onlyFrom: ['queued', 'running'] });
+  if (!job) return;
+
+  while (!runner.stopping) {
+    const batch = await pool.query(
+      `SELECT domain FROM ${JOB_ITEMS_TABLE} WHERE job_id = $1 AND status = 'pending' ORDER BY domain LIMIT $2;`,
+      [jobId, BATCH_SIZE]
+    );
+    if (!batch.rows.length) break;
+    await mapWithConcurrency(batch.rows, job.concurrency, async ({ domain }) => {
+      if (runner.stopping) return;
+      await checkItem(job, domain);
+    });
+  }
+
+  // Paused/cancelled jobs already carry their new status.
+  if (!runner.stopping) await setStatus(jobId, 'completed', { onlyFrom: ['running'] });
+}
+
+function startRunner(jobId) {
+  if (runners.has(jobId)) return runners.get(jobId);
+  const runner = { stopping: false, done: null };
+  runner.done = runJob(jobId, runner)
+    .catch(async (err) => {
+      log.error('Check job failed', { jobId, err });
+      await setStatus(jobId, 'failed', { error: err?.message || String(err) }).catch(() => {});
+    })
+    .finally(() => runners.delete(jobId));
+  runners.set(jobId, runner);
+  return runner;
+}
+
+export async function pauseJob(jobId) {
+  await requireJobTables();
+  const job = await setStatus(jobId, 'paused', { onlyFrom: ['queued', 'running'] });
+  if (!job) throw httpError(409, 'Job is not running');
+  const runner = runners.get(jobId);
+  if (runner) runner.stopping = true;
+  return job;
+}
+
+export async function cancelJob(jobId) {
+  await requireJobTables();
+  const job = await setStatus(jobId, 'cancelled', { onlyFrom: ['queued', 'running', 'paused'] });
+  if (!job) throw httpError(409, 'Job is already finished');
+  const runner = runners.get(jobId);
+  if (runner) runner.stopping = true;
+  return job;
+}
+
+export async function resumeJob(jobId) {
+  await requireJobTables();
+  const job = await setStatus(jobId, 'queued', { onlyFrom: ['paused'] });
+  if (!job) throw httpError(409, 'Job is not paused');
+  // Let in-flight checks of the paused runner settle before starting a new one.
+  const previous = runners.get(jobId);
+  if (previous) await previous.done;
+  startRunner(jobId);
+  return job;
+}
+
+// Jobs interrupted by a restart continue where they stopped.
+export async function resumeInterruptedJobs() {
+  if (!(await ensureJobTables())) return;
+  const r = await pool.query(`SELECT id FROM ${JOBS_TABLE} WHERE status IN ('queued', 'running') ORDER BY id ASC;`);
+  for (const row of r.rows) startRunner(Number(row.id));
+}
@@ -0,0 +1,330 @@
+import { appTable, lazySchema, pool, quoteIdent } from './db.js';
+import { getDatasetTableMetas } from './datasets.js';
+import { getFieldColumns } from './schema.js';
+import { enabledProviderIds, isTransientError, paidProviderIds, runProviders } from './providers/index.js';
+import { consumeSpamhausQuota } from './auth.js';
+import { hasDomainIndex } from './indexAdvisor.js';
+import { log } from './logger.js';
+import { counter, gauge } from './metrics.js';
+import { clearCountCache } from './searchCount.js';
+
+// Live checks (results of every enabled provider, see providers/index.js)
+const checkCache = new Map(); // domain -> { ts, checkedAt, providers }
+const CHECK_TTL_MS = 15 * 60 * 1000;
+
+// hit: served from checkCache; stored: from a fresh stored result; miss: providers queried; force: cache skipped.
+const checkCacheLookups = counter('check_cache_lookups_total', 'Domain check lookups by cache result.', ['result']);
+gauge('check_cache_entries', 'Domains held in the in-memory check cache.', [], () => checkCache.size);
+
+// Stored results younger than this are served instead of querying the providers again (0 disables).
+const CHECK_DB_TTL_MS = (Number(process.env.CHECK_DB_TTL_HOURS ?? 24) || 0) * 60 * 60 * 1000;
+const CHECKS_WRITE_BACK = !/^(0|false|no|off)$/i.test(String(process.env.CHECKS_WRITE_BACK ?? '1'));
+
+export const CHECKS_TABLE = appTable('domain_checks');
+export const CHECK_LATEST_TABLE = appTable('domain_check_latest');
+
+// domain_checks keeps every result; domain_check_latest holds the last successful verdict per provider
+// so the search can join it by primary key.
+export const ensureCheckTables = lazySchema('check history', [
+  `
+  CREATE TABLE IF NOT EXISTS ${CHECKS_TABLE} (
+    id bigserial PRIMARY KEY,
+    domain text NOT NULL,
+    checked_at timestamptz NOT NULL DEFAULT now(),
+    spamhaus_listed boolean,
+    spamhaus_source text,
+    spamhaus_error text,
+    wayback_snapshots integer,
+    wayback_last_snapshot date,
+    wayback_error text,
+    result jsonb NOT NULL
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS domain_checks_domain_checked_at_idx ON ${CHECKS_TABLE} (domain, checked_at DESC);`,
+  `ALTER TABLE ${CHECKS_TABLE} ADD COLUMN IF NOT EXISTS blocklists jsonb;`,
+  `
+  CREATE TABLE IF NOT EXISTS ${CHECK_LATEST_TABLE} (
+    domain text PRIMARY KEY,
+    checked_at timestamptz NOT NULL,
+    spamhaus_listed boolean,
+    spamhaus_checked_at timestamptz,
+    wayback_snapshots integer,
+    wayback_last_snapshot date,
+    wayback_checked_at timestamptz
+  );
+  `,
+  // Last verdict of every blocklist provider: { "surbl": false, "uribl": true, ... }
+  `ALTER TABLE ${CHECK_LATEST_TABLE} ADD COLUMN IF NOT EXISTS blocklists jsonb NOT NULL DEFAULT '{}';`,
+  `ALTER TABLE ${CHECK_LATEST_TABLE} ADD COLUMN IF NOT EXISTS availability text;`,
+  `ALTER TABLE ${CHECK_LATEST_TABLE} ADD COLUMN IF NOT EXISTS availability_checked_at timestamptz;`,
+]);
+
+function verdict(result) {
+  if (!result || result.error || typeof result.listed !== 'boolean') return null;
+  return result.listed;
+}
+
+// The Spamhaus columns take the Intel API verdict, or the DBL one for setups without an API key.
+function spamhausVerdict(providers) {
+  for (const id of ['spamhaus', 'spamhaus_dbl']) {
+    const listed = verdict(providers[id]);
+    if (listed != null) return { listed, source: providers[id].source || id };
+  }
+  return { listed: null, source: providers.spamhaus?.source || null };
+}
+
+function blocklistVerdicts(providers) {
+  const out = {};
+  for (const [id, result] of Object.entries(providers)) {
+    const listed = verdict(result);
+    if (listed != null) out[id] = listed;
+  }
+  return out;
+}
+
+// "unknown" is no verdict: it must not replace a known registration state.
+function availabilityState(result) {
+  if (!result || result.error || !result.status || result.status === 'unknown') return null;
+  return result.status;
+}
+
+// Stored results from before the provider registry were `{ spamhaus, wayback }`.
+function storedProviders(result) {
+  if (result?.providers) return result.providers;
+  const out = {};
+  if (result?.spamhaus) out.spamhaus = result.spamhaus;
+  if (result?.wayback) out.wayback = result.wayback;
+  return out;
+}
+
+function waybackCount(wayback) {
+  if (!wayback || wayback.error) return null;
+  const snap = wayback.snapshots;
+  if (snap == null || snap === '') return null;
+  // "10000+" is stored as the cap
+  const n = typeof snap === 'string' ? parseInt(snap, 10) : Number(snap);
+  return Number.isFinite(n) ? n : null;
+}
+
+async function saveCheckResult(domain, providers) {
+  if (!(await ensureCheckTables())) return null;
+  const { spamhaus, wayback } = providers;
+  const { listed, source } = spamhausVerdict(providers);
+  const blocklists = blocklistVerdicts(providers);
+  const snapshots = waybackCount(wayback);
+  const lastSnapshot = !wayback?.error ? wayback?.lastSnapshot || null : null;
+  const availability = availabilityState(providers.availability);
+
+  const r = await pool.query(
+    `
+    INSERT INTO ${CHECKS_TABLE}
+      (domain, spamhaus_listed, spamhaus_source, spamhaus_error, wayback_snapshots, wayback_last_snapshot, wayback_error, blocklists, result)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    RETURNING checked_at;
+    `,
+    [
+      domain,
+      listed,
+      source,
+      spamhaus?.error || null,
+      snapshots,
+      lastSnapshot,
+      wayback?.error || null,
+      JSON.stringify(blocklists),
+      JSON.stringify({ providers }),
+    ]
+  );
+  const checkedAt = r.rows[0].checked_at;
+
+  // A failed provider must not wipe the previous good verdict.
+  await pool.query(
+    `
+    INSERT INTO ${CHECK_LATEST_TABLE} AS l
+      (domain, checked_at, spamhaus_listed, spamhaus_checked_at, wayback_snapshots, wayback_last_snapshot, wayback_checked_at, blocklists,
+       availability, availability_checked_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+    ON CONFLICT (domain) DO UPDATE SET
+      checked_at = EXCLUDED.checked_at,
+      spamhaus_listed = CASE WHEN EXCLUDED.spamhaus_checked_at IS NULL THEN l.spamhaus_listed ELSE EXCLUDED.spamhaus_listed END,
+      spamhaus_checked_at = COALESCE(EXCLUDED.spamhaus_checked_at, l.spamhaus_checked_at),
+      wayback_snapshots = CASE WHEN EXCLUDED.wayback_checked_at IS NULL THEN l.wayback_snapshots ELSE EXCLUDED.wayback_snapshots END,
+      wayback_last_snapshot = CASE WHEN EXCLUDED.wayback_checked_at IS NULL THEN l.wayback_last_snapshot ELSE EXCLUDED.wayback_last_snapshot END,
+      wayback_checked_at = COALESCE(EXCLUDED.wayback_checked_at, l.wayback_checked_at),
+      blocklists = l.blocklists || EXCLUDED.blocklists,
+      availability = COALESCE(EXCLUDED.availability, l.availability),
+      availability_checked_at = COALESCE(EXCLUDED.availability_checked_at, l.availability_checked_at);
+    `,
+    [
+      domain,
+      checkedAt,
+      listed,
+      listed == null ? null : checkedAt,
+      snapshots,
+      lastSnapshot,
+      snapshots == null ? null : checkedAt,
+      JSON.stringify(blocklists),
+      availability,
+      availability ? checkedAt : null,
+    ]
+  );
+  clearCountCache(CHECK_LATEST_TABLE);
+
+  if (CHECKS_WRITE_BACK) await writeBackToDomainsTable(domain, { listed, snapshots });
+  return checkedAt;
+}
+
+function isNumericType(info) {
+  return /^(smallint|integer|bigint|numeric|real|double precision)$/.test(String(info?.data_type || ''));
+}
+
+// Tables skipped for want of a lower(domain) index, logged once each.
+const writeBackSkipped = new Set();
+
+// Mirrors the wayback/spamhaus columns read by the search filters, so stored verdicts become filterable
+// even for clients that query the domains table directly. Every dataset table holding the domain gets them,
+// as long as it has the lower(domain) index: the search itself reads domain_check_latest, so a full-table
+// UPDATE per checked domain is not worth it.
+async function writeBackToDomainsTable(domain, verdicts) {
+  if (verdicts.listed == null && verdicts.snapshots == null) return;
+  for (const meta of await getDatasetTableMetas()) await writeBackToTable(meta, domain, verdicts);
+}
+
+async function writeBackToTable(meta, domain, { listed, snapshots }) {
+  const { domain: domainColumn, wayback: waybackColumn, spamhaus: spamhausColumn } = await getFieldColumns(meta);
+  if (!domainColumn) return;
+  if (!(await hasDomainIndex(meta))) {
+    if (!writeBackSkipped.has(meta.tableSql)) {
+      writeBackSkipped.add(meta.tableSql);
+      log.info('Check write-back skipped: no lower(domain) index', { table: meta.tableSql, dataset: meta.dataset });
+    }
+    return;
+  }
+
+  const sets = [];
+  const values = [domain];
+  if (waybackColumn && snapshots != null) {
+    const info = meta.byName.get(String(waybackColumn).toLowerCase());
+    values.push(isNumericType(info) ? snapshots : String(snapshots));
+    sets.push(`${quoteIdent(waybackColumn)} = $${values.length}`);
+  }
+  if (spamhausColumn && listed != null) {
+    const info = meta.byName.get(String(spamhausColumn).toLowerCase());
+    if (info?.data_type === 'boolean') values.push(listed);
+    else if (isNumericType(info)) values.push(listed ? 1 : 0);
+    else values.push(listed ? '1' : '0');
+    sets.push(`${quoteIdent(spamhausColumn)} = $${values.length}`);
+  }
+  if (!sets.length) return;
+
+  try {
+    const r = await pool.query(
+      `UPDATE ${meta.tableSql} SET ${sets.join(', ')} WHERE LOWER(${quoteIdent(domainColumn)}) = $1;`,
+      values
+    );
+    if (r.rowCount) clearCountCache(meta.tableSql);
+  } catch (err) {
+    log.warn('Check write-back failed', { table: meta.tableSql, domain, err });
+  }
+}
+
+// A stored check is reusable when it covers every enabled provider without a transient error.
+function coversEnabledProviders(providers) {
+  return enabledProviderIds().every((id) => providers[id] && !isTransientError(providers[id]));
+}
+
+async function loadFreshStoredCheck(domain) {
+  if (!CHECK_DB_TTL_MS || !(await ensureCheckTables())) return null;
+  const r = await pool.query(
+    `
+    SELECT result, checked_at
+    FROM ${CHECKS_TABLE}
+    WHERE domain = $1
+      AND checked_at >= NOW() - ($2::bigint * INTERVAL '1 millisecond')
+    ORDER BY checked_at DESC
+    LIMIT 5;
+    `,
+    [domain, CHECK_DB_TTL_MS]
+  );
+  for (const row of r.rows) {
+    const providers = storedProviders(row.result);
+    if (coversEnabledProviders(providers)) return { providers, checkedAt: row.checked_at };
+  }
+  return null;
+}
+
+/**
+ * Past checks of one domain, newest first, with every provider's result as it was returned.
+ */
+export async function listCheckHistory(domain, { limit = 50 } = {}) {
+  if (!(await ensureCheckTables())) return [];
+  const r = await pool.query(
+    `
+    SELECT checked_at, spamhaus_listed, spamhaus_source, wayback_snapshots,
+           wayback_last_snapshot::text AS wayback_last_snapshot, blocklists, result
+    FROM ${CHECKS_TABLE}
+    WHERE domain = $1
+    ORDER BY checked_at DESC
+    LIMIT $2;
+    `,
+    [domain, limit]
+  );
+  return r.rows.map((row) => ({
+    checkedAt: row.checked_at,
+    spamhausListed: row.spamhaus_listed,
+    spamhausSource: row.spamhaus_source,
+    waybackSnapshots: row.wayback_snapshots,
+    waybackLastSnapshot: row.wayback_last_snapshot,
+    blocklists: row.blocklists || {},
+    providers: storedProviders(row.result),
+  }));
+}
+
+/**
+ * Runs the enabled providers. A check on behalf of a user takes one lookup from their Spamhaus
+ * quota when a paid provider would be called; once it is used up the paid providers are skipped
+ * and reported as unsupported, so the Spamhaus verdict falls back to DBL. The skips are marked
+ * `skipped: 'quota'`, which keeps the result out of the caches until the quota resets.
+ */
+async function runProvidersWithinQuota(domain, userId) {
+  const ids = enabledProviderIds();
+  const paid = paidProviderIds(ids);
+  if (userId == null || !paid.length || (await consumeSpamhausQuota(userId))) return runProviders(domain, ids);
+
+  const free = await runProviders(domain, ids.filter((id) => !paid.includes(id)));
+  const skipped = { supported: false, skipped: 'quota', error: 'Daily Spamhaus quota is used up' };
+  return Object.fromEntries(ids.map((id) => [id, free[id] || { ...skipped, source: id }]));
+}
+
+export async function runDomainCheck(domain, { force = false, userId = null } = {}) {
+  if (!force) {
+    const cached = checkCache.get(domain);
+    if (cached && Date.now() - cached.ts < CHECK_TTL_MS) {
+      checkCacheLookups.inc({ result: 'hit' });
+      return { domain, cached: true, checkedAt: cached.checkedAt, providers: cached.providers };
+    }
+
+    const stored = await loadFreshStoredCheck(domain).catch((err) => {
+      log.warn('Stored check lookup failed', { domain, err });
+      return null;
+    });
+    if (stored) {
+      checkCacheLookups.inc({ result: 'stored' });
+      checkCache.set(domain, { ts: Date.now(), ...stored });
+      return { domain, cached: true, ...stored };
+    }
+  }
+  checkCacheLookups.inc({ result: force ? 'force' : 'miss' });
+
+  const providers = await runProvidersWithinQuota(domain, userId);
+
+  let checkedAt = null;
+  try {
+    checkedAt = await saveCheckResult(domain, providers);
+  } catch (err) {
+    log.warn('Could not store check result', { domain, err });
+  }
+
+  // Don't cache transient errors for long
+  if (coversEnabledProviders(providers)) checkCache.set(domain, { ts: Date.now(), checkedAt, providers });
+  return { domain, cached: false, checkedAt, providers };
+}
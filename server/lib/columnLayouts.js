@@ -0,0 +1,75 @@
+import { appTable, lazySchema, pool } from './db.js';
+import { clampInt, httpError, normalizeString } from './util.js';
+
+const COLUMN_LAYOUTS_TABLE = appTable('column_layouts');
+
+const MAX_COLUMNS = 100;
+
+export const ensureColumnLayoutTables = lazySchema('column layout', [
+  `
+  CREATE TABLE IF NOT EXISTS ${COLUMN_LAYOUTS_TABLE} (
+    actor text PRIMARY KEY,
+    columns jsonb NOT NULL,
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+]);
+
+async function requireTables() {
+  if (!(await ensureColumnLayoutTables())) throw httpError(503, 'Column layouts are unavailable (database not ready)');
+}
+
+/**
+ * A layout is the ordered list of visible result columns, `{ key, width }` (width in px, null = auto).
+ * Keys are not checked against the current table: a layout outlives a column that is gone for a
+ * while, and the UI skips what the search does not return.
+ */
+function readColumns(input) {
+  if (!Array.isArray(input)) throw httpError(400, 'columns must be an array');
+  if (input.length > MAX_COLUMNS) throw httpError(400, `At most ${MAX_COLUMNS} columns`);
+  const seen = new Set();
+  const columns = [];
+  for (const c of input) {
+    const key = normalizeString(typeof c === 'string' ? c : c?.key);
+    if (!key || key.length > 100) throw httpError(400, 'Every column needs a key (up to 100 characters)');
+    if (seen.has(key)) continue;
+    seen.add(key);
+    columns.push({ key, width: c?.width == null ? null : clampInt(c.width, 40, 1000, null) });
+  }
+  return columns;
+}
+
+function requireActor(actor) {
+  if (!actor) throw httpError(401, 'Authentication required');
+}
+
+export async function getColumnLayout(actor) {
+  requireActor(actor);
+  await requireTables();
+  const r = await pool.query(`SELECT columns, updated_at FROM ${COLUMN_LAYOUTS_TABLE} WHERE actor = $1;`, [actor]);
+  const row = r.rows[0];
+  return row ? { columns: row.columns, updatedAt: row.updated_at } : null;
+}
+
+export async function saveColumnLayout(actor, body) {
+  requireActor(actor);
+  await requireTables();
+  const columns = readColumns(body?.columns);
+  const r = await pool.query(
+    `
+    INSERT INTO ${COLUMN_LAYOUTS_TABLE} (actor, columns)
+    VALUES ($1, $2)
+    ON CONFLICT (actor) DO UPDATE SET columns = EXCLUDED.columns, updated_at = now()
+    RETURNING columns, updated_at;
+    `,
+    [actor, JSON.stringify(columns)]
+  );
+  return { columns: r.rows[0].columns, updatedAt: r.rows[0].updated_at };
+}
+
+export async function deleteColumnLayout(actor) {
+  requireActor(actor);
+  await requireTables();
+  const r = await pool.query(`DELETE FROM ${COLUMN_LAYOUTS_TABLE} WHERE actor = $1;`, [actor]);
+  return r.rowCount > 0;
+}
@@ -0,0 +1,50 @@
+import { clampInt, httpError } from './util.js';
+
+/**
+ * Version of the search-state shape ({ criteria, pageSize, sort }) understood by this server.
+ * Bump it together with a new entry in MIGRATIONS whenever criteria keys are renamed or dropped,
+ * so saved searches, shared links and browser-cached state keep working.
+ */
+export const CRITERIA_VERSION = 2;
+
+// MIGRATIONS[n] upgrades a state of version n to n + 1.
+const MIGRATIONS = {
+  // v1: client state from before versioning. The form had no lifecycle controls then, so these keys
+  // could only be stale leftovers that silently filtered results.
+  1(state) {
+    const criteria = { ...state.criteria };
+    delete criteria.lifecycleState;
+    delete criteria.expiringWithinDays;
+    delete criteria.expiredState;
+    return { ...state, criteria, sort: state.sort || { key: 'domain', dir: 'asc' } };
+  },
+};
+
+function isPlainObject(v) {
+  return !!v && typeof v === 'object' && !Array.isArray(v);
+}
+
+/**
+ * Brings a stored/shared search state up to CRITERIA_VERSION. A missing version means v1;
+ * a version newer than this server understands is rejected instead of being misread.
+ */
+export function migrateSearchState({ version, criteria, pageSize, sort } = {}) {
+  let v = version == null || version === '' ? 1 : clampInt(version, 1, Number.MAX_SAFE_INTEGER, 1);
+  if (v > CRITERIA_VERSION) throw httpError(400, `Unsupported criteria version ${v} (server supports ${CRITERIA_VERSION})`);
+  if (criteria != null && !isPlainObject(criteria)) throw httpError(400, 'criteria must be an object');
+
+  let state = { criteria: { ...(criteria || {}) }, pageSize: pageSize ?? null, sort: sort ?? null };
+  while (v < CRITERIA_VERSION) {
+    state = MIGRATIONS[v](state);
+    v++;
+  }
+  return { version: CRITERIA_VERSION, ...state };
+}
+
+// Criteria of a search-like request body: clients that send a criteria version get old shapes
+// upgraded, others are taken as current.
+export function criteriaFromRequest(body = {}) {
+  return body.criteriaVersion != null
+    ? migrateSearchState({ version: body.criteriaVersion, criteria: body.criteria }).criteria
+    : body.criteria || {};
+}
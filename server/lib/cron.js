@@ -0,0 +1,103 @@
+import { httpError, normalizeString } from './util.js';
+
+/**
+ * Schedules for monitors: five-field cron expressions (`0,30 * * * *`, `0 9 * * 1-5`) with
+ * lists, ranges and steps, the @hourly / @daily / @weekly / @monthly shortcuts, and plain
+ * intervals (`@every 30m`, `@every 6h`). Cron fields are read in UTC.
+ */
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'day of month', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'day of week', min: 0, max: 7 },
+];
+
+const SHORTCUTS = {
+  '@hourly': '0 * * * *',
+  '@daily': '0 0 * * *',
+  '@midnight': '0 0 * * *',
+  '@weekly': '0 0 * * 0',
+  '@monthly': '0 0 1 * *',
+};
+
+const INTERVAL_UNITS = { m: 60_000, h: 3_600_000, d: 86_400_000 };
+const MIN_INTERVAL_MS = 60_000;
+
+function parseField(raw, { name, min, max }) {
+  const values = new Set();
+  for (const part of raw.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) throw httpError(400, `Invalid ${name} in schedule: ${part}`);
+    const from = m[1] === '*' ? min : Number(m[2]);
+    const to = m[1] === '*' ? max : m[3] != null ? Number(m[3]) : m[4] != null ? max : from;
+    const step = m[4] != null ? Number(m[4]) : 1;
+    if (from < min || to > max || from > to || step < 1) throw httpError(400, `Invalid ${name} in schedule: ${part}`);
+    for (let v = from; v <= to; v += step) values.add(v);
+  }
+  return values;
+}
+
+/**
+ * Parsed schedule: `{ expr, intervalMs }` for @every, `{ expr, fields }` for cron. Unknown shapes are a 400.
+ */
+export function parseSchedule(raw) {
+  const expr = normalizeString(raw)?.replace(/\s+/g, ' ').toLowerCase();
+  if (!expr) throw httpError(400, 'schedule is required');
+
+  const every = /^@every (\d+)\s*([mhd])$/.exec(expr);
+  if (every) {
+    const intervalMs = Number(every[1]) * INTERVAL_UNITS[every[2]];
+    if (intervalMs < MIN_INTERVAL_MS) throw httpError(400, 'schedule interval must be at least 1m');
+    return { expr, intervalMs };
+  }
+
+  const parts = (SHORTCUTS[expr] || expr).split(' ');
+  if (parts.length !== 5) throw httpError(400, 'schedule must be a cron expression (5 fields), a @shortcut or "@every <n>m|h|d"');
+  const [minutes, hours, days, months, weekdays] = parts.map((p, i) => parseField(p, FIELDS[i]));
+  if (weekdays.has(7)) weekdays.add(0);
+  return {
+    expr,
+    fields: { minutes, hours, days, months, weekdays },
+    // Cron rule: with both day fields restricted, a day matching either one counts.
+    anyDay: parts[2] !== '*' && parts[4] !== '*',
+  };
+}
+
+function dayMatches(schedule, d) {
+  const { days, weekdays } = schedule.fields;
+  const byDate = days.has(d.getUTCDate());
+  const byWeekday = weekdays.has(d.getUTCDay());
+  return schedule.anyDay ? byDate || byWeekday : byDate && byWeekday;
+}
+
+/**
+ * First run time strictly after `from`. Skips whole months, days and hours that cannot match, so
+ * even sparse schedules resolve in a few hundred steps; impossible ones (`0 0 31 2 *`) give null.
+ */
+export function nextRunAfter(schedule, from = new Date()) {
+  if (schedule.intervalMs) return new Date(from.getTime() + schedule.intervalMs);
+
+  const { minutes, hours, months } = schedule.fields;
+  const d = new Date(from.getTime());
+  d.setUTCSeconds(0, 0);
+  d.setUTCMinutes(d.getUTCMinutes() + 1);
+  const limit = from.getTime() + 5 * 366 * 86_400_000;
+  while (d.getTime() <= limit) {
+    if (!months.has(d.getUTCMonth() + 1)) {
+      d.setUTCMonth(d.getUTCMonth() + 1, 1);
+      d.setUTCHours(0, 0);
+    } else if (!dayMatches(schedule, d)) {
+      d.setUTCDate(d.getUTCDate() + 1);
+      d.setUTCHours(0, 0);
+    } else if (!hours.has(d.getUTCHours())) {
+      d.setUTCHours(d.getUTCHours() + 1, 0);
+    } else if (!minutes.has(d.getUTCMinutes())) {
+      d.setUTCMinutes(d.getUTCMinutes() + 1);
+    } else {
+      return d;
+    }
+  }
+  return null;
+}
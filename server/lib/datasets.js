@@ -0,0 +1,102 @@
+import { readFileSync } from 'node:fs';
+import { DOMAINS_TABLE, getDomainsTableMeta } from './db.js';
+import { normalizeFieldMapping } from './schema.js';
+import { httpError, normalizeString } from './util.js';
+
+/**
+ * Domain datasets the app reads (expired, pending-delete, auction feeds, ...). Each one is a table
+ * plus an optional `columns` mapping from logical fields (domain, domain_creation_date, status,
+ * ...; see schema.js) onto the table's own column names, for feeds the name heuristics would
+ * misread. Configured as a JSON array in DATASETS or in the file named by DATASETS_FILE; without
+ * either, DOMAINS_TABLE is the only dataset. The first dataset is the default one.
+ */
+
+// Pseudo-dataset: every configured dataset at once, each row labelled with its origin.
+export const ALL_DATASETS = 'all';
+
+const ID_RE = /^[a-z0-9][a-z0-9_-]{0,39}$/;
+
+function parseDataset(raw, i) {
+  const fail = (message) => new Error(`DATASETS[${i}]: ${message}`);
+  const id = String(raw?.id ?? '').trim().toLowerCase();
+  if (!ID_RE.test(id) || id === ALL_DATASETS) throw fail(`invalid id "${raw?.id ?? ''}"`);
+  const table = normalizeString(raw.table);
+  if (!table) throw fail('table is required');
+  return {
+    id,
+    label: normalizeString(raw.label) || id,
+    table,
+    columns: normalizeFieldMapping(raw.columns, (message) => fail(`columns: ${message}`)),
+  };
+}
+
+function loadDatasets() {
+  const file = normalizeString(process.env.DATASETS_FILE);
+  const raw = file ? readFileSync(file, 'utf8') : normalizeString(process.env.DATASETS);
+  if (!raw) return [{ id: 'default', label: DOMAINS_TABLE, table: DOMAINS_TABLE, columns: {} }];
+
+  let list;
+  try {
+    list = JSON.parse(raw);
+  } catch (err) {
+    throw new Error(`${file || 'DATASETS'} is not valid JSON: ${err.message}`);
+  }
+  if (!Array.isArray(list) || !list.length) throw new Error('DATASETS must be a non-empty JSON array');
+  const datasets = list.map(parseDataset);
+  const ids = new Set();
+  for (const d of datasets) {
+    if (ids.has(d.id)) throw new Error(`DATASETS: duplicate id "${d.id}"`);
+    ids.add(d.id);
+  }
+  return datasets;
+}
+
+// A broken configuration stops the server at startup rather than serving the wrong table.
+const DATASETS = loadDatasets();
+
+export const DEFAULT_DATASET = DATASETS[0].id;
+
+export function listDatasets() {
+  return DATASETS.map(({ id, label, table }) => ({ id, label, table }));
+}
+
+/**
+ * Datasets a request reads: the one named by `id` (the default one when empty), or every dataset
+ * for `all` unless `allowAll` is off.
+ */
+export function selectDatasets(id, { allowAll = true } = {}) {
+  const key = String(normalizeString(id) ?? DEFAULT_DATASET).toLowerCase();
+  if (key === ALL_DATASETS) {
+    if (!allowAll) throw httpError(400, 'Pick a single dataset');
+    return DATASETS;
+  }
+  const dataset = DATASETS.find((d) => d.id === key);
+  if (!dataset) throw httpError(400, `Unknown dataset: ${key}`);
+  return [dataset];
+}
+
+const metaPromises = new Map(); // dataset id -> promise of its metadata
+
+/**
+ * Table metadata of a dataset (see getDomainsTableMeta) with its `dataset` id and its configured
+ * column `mapping`; schema.js resolves the fields from it.
+ */
+export function getDatasetMeta(dataset) {
+  if (!metaPromises.has(dataset.id)) {
+    metaPromises.set(
+      dataset.id,
+      getDomainsTableMeta(dataset.table).then((meta) => ({ ...meta, dataset: dataset.id, mapping: dataset.columns }))
+    );
+  }
+  return metaPromises.get(dataset.id);
+}
+
+export async function getAllDatasetMetas() {
+  return Promise.all(DATASETS.map(getDatasetMeta));
+}
+
+// One meta per distinct table (for writes), with the mapping of the first dataset reading it.
+export async function getDatasetTableMetas() {
+  const seen = new Set();
+  return (await getAllDatasetMetas()).filter((meta) => !seen.has(meta.tableSql) && seen.add(meta.tableSql));
+}
@@ -0,0 +1,115 @@
+import { listCheckHistory } from './checks.js';
+import { ALL_DATASETS, listDatasets } from './datasets.js';
+import { pool, quoteIdent } from './db.js';
+import { columnValueSql, getColumnProfiles } from './filters.js';
+import { getStoredRdap } from './rdap.js';
+import { getFieldColumns } from './schema.js';
+import { buildSearchQuery, ensureSearchFunctions } from './search.js';
+import { clampInt, httpError, toUnicodeDomain } from './util.js';
+import { getStoredHistoryProfile } from './waybackHistory.js';
+
+// "Similar" domains: same registrar, created within this many days of the domain itself.
+const SIMILAR_DAYS = clampInt(process.env.DOMAIN_SIMILAR_DAYS, 1, 3650, 90);
+const SIMILAR_LIMIT = 20;
+const CHECK_HISTORY_LIMIT = 50;
+
+// Newest check that has a Spamhaus answer (Intel API or DBL), with what each one returned.
+function spamhausDetails(checks) {
+  const answered = (r) => r && !r.error && typeof r.listed === 'boolean';
+  const check = checks.find((c) => answered(c.providers.spamhaus) || answered(c.providers.spamhaus_dbl));
+  if (!check) return null;
+  return {
+    checkedAt: check.checkedAt,
+    listed: check.spamhausListed,
+    source: check.spamhausSource,
+    intel: check.providers.spamhaus || null,
+    dbl: check.providers.spamhaus_dbl || null,
+  };
+}
+
+async function findSimilar(query, domain, record) {
+  const { meta, domainColumn, createdColumn } = query;
+  const { tableSql } = meta;
+  const registrarColumn = (await getFieldColumns(meta)).registrar;
+  if (!registrarColumn || !createdColumn) return null;
+
+  const profile = (await getColumnProfiles(meta)).get(createdColumn.toLowerCase());
+  const registrar = record.registrar ?? null;
+  if (profile?.kind !== 'date' || registrar == null || registrar === '') return null;
+
+  const createdSql = `(${columnValueSql(profile, { iso: await ensureSearchFunctions() })})::date`;
+  const domainSql = quoteIdent(domainColumn);
+  const r = await pool.query(
+    `
+    WITH self AS (
+      SELECT ${createdSql} AS created FROM ${tableSql} WHERE LOWER(${domainSql}) = $1 LIMIT 1
+    )
+    SELECT ${domainSql} AS domain, ${createdSql}::text AS created
+    FROM ${tableSql}, self
+    WHERE LOWER(${quoteIdent(registrarColumn)}::text) = LOWER($2)
+      AND LOWER(${domainSql}) <> $1
+      AND ${createdSql} BETWEEN self.created - $3::int AND self.created + $3::int
+    ORDER BY abs(${createdSql} - self.created), ${domainSql}
+    LIMIT ${SIMILAR_LIMIT};
+    `,
+    [domain, String(registrar), SIMILAR_DAYS]
+  );
+  return {
+    registrar: String(registrar),
+    withinDays: SIMILAR_DAYS,
+    items: r.rows.map((row) => ({ ...row, domain_unicode: toUnicodeDomain(row.domain) })),
+  };
+}
+
+// Search row of the domain in one dataset, or null.
+async function findRecord(domain, dataset) {
+  const query = await buildSearchQuery({}, { dataset });
+  const r = await pool.query(
+    `
+    SELECT ${query.selectCols.join(', ')}
+    FROM ${query.fromSql}
+    WHERE LOWER(${quoteIdent(query.domainColumn)}) = $1
+    LIMIT 1;
+    `,
+    [domain]
+  );
+  return r.rows[0] ? { query, record: r.rows[0] } : null;
+}
+
+/**
+ * Everything known about one domain of a dataset: its search row (every column plus score,
+ * triage and latest verdicts), past checks, Spamhaus details, the stored Wayback profile and RDAP
+ * record, and domains of the same registrar created around the same time. Without a dataset (or
+ * with `all`) the first dataset listing the domain is used. Nothing is fetched from outside; the
+ * UI asks for fresh checks / history separately.
+ */
+export async function getDomainDetail(domain, { dataset = null } = {}) {
+  const ids = dataset && dataset !== ALL_DATASETS ? [dataset] : listDatasets().map((d) => d.id);
+  let found = null;
+  for (const id of ids) {
+    found = await findRecord(domain, id);
+    if (found) break;
+  }
+  if (!found) throw httpError(404, `Domain not found: ${domain}`);
+  const { query, record } = found;
+
+  const [checks, history, rdap, similar] = await Promise.all([
+    listCheckHistory(domain, { limit: CHECK_HISTORY_LIMIT }),
+    getStoredHistoryProfile(domain),
+    getStoredRdap(domain),
+    findSimilar(query, domain, record),
+  ]);
+
+  return {
+    domain,
+    domainUnicode: toUnicodeDomain(domain),
+    dataset: query.dataset,
+    record,
+    columns: query.selectColumns.map((c) => ({ key: c.key, kind: c.kind, check: !!c.check })),
+    checks,
+    spamhaus: spamhausDetails(checks),
+    history,
+    rdap,
+    similar,
+  };
+}
@@ -0,0 +1,141 @@
+import Cursor from 'pg-cursor';
+import ExcelJS from 'exceljs';
+import { pool } from './db.js';
+import { buildOrder, buildSearchQuery, pickSelectColumns } from './search.js';
+import { httpError, splitList } from './util.js';
+
+export const EXPORT_FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', ext: 'csv' },
+  ndjson: { contentType: 'application/x-ndjson; charset=utf-8', ext: 'ndjson' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', ext: 'xlsx' },
+};
+
+const CURSOR_BATCH = 1000;
+
+function pad2(n) {
+  return String(n).padStart(2, '0');
+}
+
+// pg parses `date` columns into local-midnight Dates; keep them as plain dates.
+function formatValue(v) {
+  if (v == null) return '';
+  if (v instanceof Date) {
+    if (!v.getHours() && !v.getMinutes() && !v.getSeconds() && !v.getMilliseconds()) {
+      return `${v.getFullYear()}-${pad2(v.getMonth() + 1)}-${pad2(v.getDate())}`;
+    }
+    return v.toISOString();
+  }
+  if (Array.isArray(v)) return v.map(String).join(', ');
+  if (typeof v === 'object') return JSON.stringify(v);
+  return String(v);
+}
+
+function csvCell(v) {
+  const s = formatValue(v);
+  return /[",\r\n]/.test(s) ? `"${s.replaceAll('"', '""')}"` : s;
+}
+
+function writeChunk(res, chunk) {
+  if (res.write(chunk)) return Promise.resolve();
+  return new Promise((resolve) => {
+    const done = () => {
+      res.off('drain', done);
+      res.off('close', done);
+      resolve();
+    };
+    res.on('drain', done);
+    res.on('close', done);
+  });
+}
+
+export function exportFileName(format, now = new Date()) {
+  const stamp = `${now.getFullYear()}${pad2(now.getMonth() + 1)}${pad2(now.getDate())}-${pad2(now.getHours())}${pad2(now.getMinutes())}`;
+  return `domains-${stamp}.${EXPORT_FORMATS[format].ext}`;
+}
+
+/**
+ * Picks the output columns: an explicit list (validated against what the search can return),
+ * otherwise every search column, with the stored check fields only when asked for.
+ */
+function resolveColumns(selectColumns, { columns, includeChecks }) {
+  const requested = Array.isArray(columns) ? columns.map(String) : splitList(columns);
+  const available = selectColumns.filter((c) => includeChecks || !c.check);
+  if (!requested.length) return available;
+
+  const picked = pickSelectColumns(selectColumns, requested, 'export');
+  if (includeChecks) {
+    for (const c of available) if (c.check && !picked.includes(c)) picked.push(c);
+  }
+  return picked;
+}
+
+/**
+ * Streams every row matching the criteria through a server-side cursor, so memory stays flat
+ * regardless of result size. Headers are only sent once the query is known to be valid.
+ */
+export async function streamExport(
+  res,
+  { criteria = {}, dataset = null, sort = null, format = 'csv', columns = null, includeChecks = false } = {}
+) {
+  if (!EXPORT_FORMATS[format]) throw httpError(400, `Unsupported export format: ${format}`);
+
+  const query = await buildSearchQuery(criteria, { dataset });
+  const { whereSql, values, selectColumns, fromSql } = query;
+  const { orderSql } = buildOrder(query, sort);
+  const outColumns = resolveColumns(selectColumns, { columns, includeChecks });
+  const keys = outColumns.map((c) => c.key);
+
+  const sql = `
+    SELECT
+      ${outColumns.map((c) => c.sql).join(',\n      ')}
+    FROM ${fromSql}
+    ${whereSql}
+    ORDER BY ${orderSql}
+  `;
+
+  const client = await pool.connect();
+  const cursor = client.query(new Cursor(sql, values));
+  let aborted = false;
+  res.on('close', () => {
+    aborted = !res.writableFinished;
+  });
+
+  try {
+    // First batch before any header: SQL errors can still become a JSON 500.
+    let rows = await cursor.read(CURSOR_BATCH);
+
+    res.setHeader('Content-Type', EXPORT_FORMATS[format].contentType);
+    res.setHeader('Content-Disposition', `attachment; filename="${exportFileName(format)}"`);
+    res.setHeader('Cache-Control', 'no-store');
+
+    if (format === 'xlsx') {
+      const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: res, useStyles: false, useSharedStrings: false });
+      const sheet = workbook.addWorksheet('domains');
+      sheet.columns = keys.map((k) => ({ header: k, key: k, width: k === 'domain' ? 32 : 18 }));
+      while (rows.length && !aborted) {
+        for (const row of rows) {
+          sheet.addRow(keys.map((k) => (row[k] instanceof Date || typeof row[k] !== 'object' ? row[k] : formatValue(row[k])))).commit();
+        }
+        rows = await cursor.read(CURSOR_BATCH);
+      }
+      sheet.commit();
+      await workbook.commit();
+      return;
+    }
+
+    // BOM keeps Excel from mangling UTF-8 in CSV.
+    if (format === 'csv') await writeChunk(res, `\uFEFF${keys.map(csvCell).join(',')}\r\n`);
+    while (rows.length && !aborted) {
+      const chunk =
+        format === 'csv'
+          ? rows.map((row) => keys.map((k) => csvCell(row[k])).join(',') + '\r\n').join('')
+          : rows.map((row) => JSON.stringify(Object.fromEntries(keys.map((k) => [k, row[k] ?? null]))) + '\n').join('');
+      await writeChunk(res, chunk);
+      rows = await cursor.read(CURSOR_BATCH);
+    }
+    res.end();
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+}
@@ -0,0 +1,129 @@
+import { pool } from './db.js';
+import { buildSearchQuery } from './search.js';
+import { clampInt } from './util.js';
+
+const FACETS_TOP_N = clampInt(process.env.FACETS_TOP_N, 1, 100, 10);
+
+// Lower bounds of the histogram buckets after the first one (values below 1).
+const HISTOGRAM_BOUNDS = [1, 2, 6, 11, 51, 101, 501, 1001, 5001];
+
+// Value facets: result key -> text expression of the bucket value over that key's column.
+const TERM_FACETS = [
+  ['tld', 'tld', (sql) => `NULLIF(${sql}::text, '')`],
+  ['registrar', 'registrar', (sql) => `NULLIF(${sql}::text, '')`],
+  ['country_by_ip', 'country_by_ip', (sql) => `NULLIF(${sql}::text, '')`],
+  // Dates by their ISO text prefix, so text columns with stray values don't fail the query.
+  ['creation_year', 'domain_creation_date', (sql) => `substring(${sql}::text from '^\\d{4}')`],
+  ['expiration_month', 'domain_expiration_date', (sql) => `substring(${sql}::text from '^\\d{4}-\\d{2}')`],
+  ['response_status', 'response_status', (sql) => `NULLIF(${sql}::text, '')`],
+];
+
+// Ordered by value instead of by count once the top buckets are picked.
+const CHRONOLOGICAL = new Set(['creation_year', 'expiration_month']);
+
+const HISTOGRAMS = ['detected_hosts', 'wayback'];
+
+function numericSql(def) {
+  return def.type === 'int' || def.type === 'numeric' ? def.sql : `NULLIF((${def.sql})::text, '')::numeric`;
+}
+
+function histogramBuckets(counts) {
+  const buckets = [{ min: 0, max: 0, count: 0 }];
+  HISTOGRAM_BOUNDS.forEach((min, i) => {
+    const next = HISTOGRAM_BOUNDS[i + 1];
+    buckets.push({ min, max: next == null ? null : next - 1, count: 0 });
+  });
+  for (const [index, count] of counts) buckets[index].count = count;
+  return buckets;
+}
+
+/**
+ * Grouped counts over the rows matching `criteria` (same criteria and dataset handling as the
+ * search): the `limit` most frequent values of the term facets, with `missing` (no value) and
+ * `other` (values past the top) counts, and fixed-range histograms of the Wayback snapshot and
+ * detected hosts counts. Facets whose field the dataset lacks are left out. One grouped scan.
+ */
+export async function getFacets(criteria = {}, { dataset = null, limit = FACETS_TOP_N } = {}) {
+  const query = await buildSearchQuery(criteria, { dataset });
+  const exprs = new Map(query.selectColumns.map((c) => [c.key, c.expr]));
+
+  const parts = []; // { key, type, sql }
+  for (const [key, field, valueSql] of TERM_FACETS) {
+    if (key === 'tld') {
+      // Without a TLD column the suffix of the domain stands in, as in the TLD filter.
+      const domainTld = `substring(LOWER(${exprs.get('domain')}::text) from '\\.([^.]+)$')`;
+      const sql = exprs.has('tld') ? `COALESCE(${valueSql(exprs.get('tld'))}, ${domainTld})` : domainTld;
+      parts.push({ key, type: 'terms', sql });
+    } else if (exprs.has(field)) {
+      parts.push({ key, type: 'terms', sql: valueSql(exprs.get(field)) });
+    }
+  }
+  for (const key of HISTOGRAMS) {
+    const def = query.sortables.get(key);
+    if (!def) continue;
+    // Rows without a Wayback count match the snapshot filters as 0; detected hosts stay missing.
+    const value = key === 'wayback' ? `COALESCE(${numericSql(def)}, 0)` : numericSql(def);
+    const sql = `width_bucket((${value})::numeric, $${query.values.length + 1}::numeric[])::text`;
+    parts.push({ key, type: 'histogram', sql });
+  }
+
+  const values = [...query.values, HISTOGRAM_BOUNDS, clampInt(limit, 1, 100, FACETS_TOP_N)];
+  const limitParam = `$${values.length}`;
+  const cols = parts.map((p, i) => `f${i}`);
+  const setSql = parts.map((p, i) => `WHEN GROUPING(f${i}) = 0 THEN ${i}`).join(' ');
+  // Histograms keep every bucket; -1 stands in when there are none.
+  const histogramSets = parts.map((p, i) => (p.type === 'histogram' ? i : null)).filter((i) => i != null);
+  const sql = `
+    SELECT facet, value, n::bigint AS n
+    FROM (
+      SELECT
+        facet, value, n,
+        row_number() OVER (PARTITION BY facet, value IS NULL ORDER BY n DESC, value) AS rn
+      FROM (
+        SELECT
+          CASE ${setSql} ELSE -1 END AS facet,
+          COALESCE(${cols.join(', ')}) AS value,
+          COUNT(*) AS n
+        FROM (
+          SELECT ${parts.map((p, i) => `${p.sql} AS f${i}`).join(', ')}
+          FROM ${query.fromSql}
+          ${query.whereSql}
+        ) matched
+        GROUP BY GROUPING SETS (${cols.map((c) => `(${c})`).join(', ')}, ())
+      ) sets
+    ) ranked
+    WHERE value IS NULL OR rn <= ${limitParam} OR facet IN (${histogramSets.join(', ') || -1});
+  `;
+  const { rows } = await pool.query(sql, values);
+
+  let total = 0;
+  const grouped = parts.map(() => ({ counts: [], missing: 0, sum: 0 }));
+  for (const row of rows) {
+    const n = Number(row.n);
+    if (row.facet === -1) {
+      total = n;
+      continue;
+    }
+    const g = grouped[row.facet];
+    if (row.value == null) g.missing = n;
+    else {
+      g.counts.push([row.value, n]);
+      g.sum += n;
+    }
+  }
+
+  const facets = {};
+  const histograms = {};
+  parts.forEach((p, i) => {
+    const g = grouped[i];
+    if (p.type === 'histogram') {
+      histograms[p.key] = { buckets: histogramBuckets(g.counts.map(([v, n]) => [Number(v), n])), missing: g.missing };
+      return;
+    }
+    const buckets = g.counts.map(([value, count]) => ({ value, count }));
+    if (CHRONOLOGICAL.has(p.key)) buckets.sort((a, b) => a.value.localeCompare(b.value));
+    facets[p.key] = { buckets, missing: g.missing, other: total - g.sum - g.missing };
+  });
+
+  return { dataset: query.dataset, total, facets, histograms };
+}
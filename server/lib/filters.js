@@ -0,0 +1,224 @@
+import { pool, quoteIdent } from './db.js';
+import { ISO_DATE_FN, upperBoundSql } from './search.js';
+import { escapeLike, httpError, normalizeString } from './util.js';
+
+/**
+ * Structured filters on any column of the domains table: `criteria.filters` is a list of
+ * `{ column, op, value }`, validated against the column metadata. Imported tables often keep
+ * numbers and dates in text columns, so a column's kind comes from its type or, for text, from a
+ * sample of its values; such columns are compared through guarded casts.
+ */
+
+export const FILTER_OPS = {
+  text: ['contains', 'notContains', 'equals', 'notEquals', 'startsWith', 'endsWith', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  number: ['equals', 'notEquals', 'between', 'in', 'isEmpty', 'isNotEmpty'],
+  date: ['equals', 'notEquals', 'between', 'in', 'notIn', 'isEmpty', 'isNotEmpty'],
+  boolean: ['isTrue', 'isFalse', 'isEmpty'],
+};
+
+const MAX_FILTERS = 20;
+const MAX_IN_VALUES = 500;
+const MAX_TEXT_LENGTH = 200;
+const SAMPLE_ROWS = 500;
+// Text columns with at most this many distinct sampled values get a value picker.
+const MAX_ENUM_VALUES = 25;
+
+const NUMBER_TYPES = new Set(['smallint', 'integer', 'bigint', 'numeric', 'real', 'double precision']);
+const DATE_TYPES = new Set(['date', 'timestamp without time zone', 'timestamp with time zone']);
+const TEXT_TYPES = new Set(['text', 'character varying', 'character']);
+
+export const NUMBER_RE = /^\s*-?\d+(\.\d+)?\s*$/;
+export const DATE_RE = /^\d{4}-\d{2}-\d{2}([ T].*)?$/;
+// The same shapes in SQL, for the guarded casts.
+const NUMBER_SQL_RE = '^\\s*-?[0-9]+(\\.[0-9]+)?\\s*$';
+const DATE_SQL_RE = '^[0-9]{4}-(0[1-9]|1[0-2])-(0[1-9]|[12][0-9]|3[01])';
+
+export function nativeKind(info) {
+  const type = String(info?.data_type || '');
+  if (NUMBER_TYPES.has(type)) return 'number';
+  if (DATE_TYPES.has(type)) return 'date';
+  if (type === 'boolean') return 'boolean';
+  return 'text';
+}
+
+function inferTextKind(samples) {
+  if (!samples.length) return { kind: 'text' };
+  if (samples.every((v) => NUMBER_RE.test(v))) return { kind: 'number', inferred: true };
+  if (samples.every((v) => DATE_RE.test(v))) return { kind: 'date', inferred: true };
+  const distinct = [...new Set(samples)];
+  if (distinct.length <= MAX_ENUM_VALUES && samples.length >= distinct.length * 2) {
+    return { kind: 'text', values: distinct.sort((a, b) => a.localeCompare(b)) };
+  }
+  return { kind: 'text' };
+}
+
+const profilePromises = new Map(); // table SQL -> promise of its profiles
+
+/**
+ * Per-column `{ name, dataType, kind, sampled?, inferred?, values? }` of the table behind `meta`, keyed by
+ * lower-case name. Sampled once per table and process from the first SAMPLE_ROWS rows, which is
+ * enough to tell "numbers stored as text".
+ */
+export function getColumnProfiles(meta) {
+  if (!profilePromises.has(meta.tableSql)) {
+    const promise = (async () => {
+      const textColumns = meta.columns.filter((c) => TEXT_TYPES.has(c.data_type));
+      let rows = [];
+      if (textColumns.length) {
+        const r = await pool.query(
+          `SELECT ${textColumns.map((c) => quoteIdent(c.column_name)).join(', ')} FROM ${meta.tableSql} LIMIT ${SAMPLE_ROWS};`
+        );
+        rows = r.rows || [];
+      }
+      const profiles = new Map();
+      for (const c of meta.columns) {
+        const profile = { name: c.column_name, dataType: c.data_type, kind: nativeKind(c) };
+        if (TEXT_TYPES.has(c.data_type)) {
+          const samples = rows.map((row) => normalizeString(row[c.column_name])).filter((v) => v != null);
+          Object.assign(profile, { sampled: samples.length }, inferTextKind(samples));
+        }
+        profiles.set(c.column_name.toLowerCase(), profile);
+      }
+      return profiles;
+    })().catch((err) => {
+      profilePromises.delete(meta.tableSql);
+      throw err;
+    });
+    profilePromises.set(meta.tableSql, promise);
+  }
+  return profilePromises.get(meta.tableSql);
+}
+
+// Typed SQL for a column: native columns as they are, inferred ones through casts that yield NULL
+// for values of another shape (one stray "n/a" must not fail the whole search). With `iso` (the
+// database has the search functions) dates go through ISO_DATE_FN, which also sets impossible days aside.
+export function columnValueSql(profile, { iso = false } = {}) {
+  const col = quoteIdent(profile.name);
+  if (!profile.inferred) return profile.kind === 'text' ? `${col}::text` : col;
+  if (profile.kind === 'number') return `(CASE WHEN ${col} ~ '${NUMBER_SQL_RE}' THEN btrim(${col})::numeric END)`;
+  if (iso) return `${ISO_DATE_FN}(${col}::text)`;
+  return `(CASE WHEN ${col} ~ '${DATE_SQL_RE}' THEN left(${col}, 10)::date END)`;
+}
+
+function fail(i, message) {
+  return httpError(400, `filters[${i}]: ${message}`);
+}
+
+function parseText(i, v) {
+  const s = normalizeString(v);
+  if (s == null) throw fail(i, 'value is required');
+  if (s.length > MAX_TEXT_LENGTH) throw fail(i, `value is longer than ${MAX_TEXT_LENGTH} characters`);
+  return s;
+}
+
+function parseNumber(i, v) {
+  const n = typeof v === 'number' ? v : NUMBER_RE.test(String(v ?? '')) ? Number(v) : NaN;
+  if (!Number.isFinite(n)) throw fail(i, `"${v}" is not a number`);
+  return n;
+}
+
+// A real calendar day: 2024-02-30 would pass Date.parse and fail in Postgres.
+function parseDate(i, v) {
+  const s = normalizeString(v);
+  const day = s && DATE_RE.test(s) ? s.slice(0, 10) : null;
+  const d = day ? new Date(`${day}T00:00:00Z`) : null;
+  if (!d || Number.isNaN(d.getTime()) || d.toISOString().slice(0, 10) !== day || day.startsWith('0000')) {
+    throw fail(i, `"${v}" is not a date (YYYY-MM-DD)`);
+  }
+  return day;
+}
+
+function parseList(i, v, parseOne) {
+  const list = (Array.isArray(v) ? v : String(v ?? '').split(',')).map((x) => normalizeString(x)).filter((x) => x != null);
+  if (!list.length) throw fail(i, 'value must list at least one item');
+  if (list.length > MAX_IN_VALUES) throw fail(i, `at most ${MAX_IN_VALUES} values`);
+  return list.map((x) => parseOne(i, x));
+}
+
+// `between` takes [from, to]; either end may be empty.
+function parseRange(i, v, parseOne) {
+  const [from, to] = Array.isArray(v) ? v : [v?.from, v?.to];
+  const range = [from, to].map((x) => (normalizeString(x) == null ? null : parseOne(i, x)));
+  if (range[0] == null && range[1] == null) throw fail(i, 'between needs at least one bound');
+  return range;
+}
+
+function wholeDaySql(col, p) {
+  return `${col} >= ${p}::date AND ${col} < (${p}::date + 1)`;
+}
+
+/**
+ * Appends the SQL for `filters` on the table behind `meta` through `add(fragment, ...values)` (the
+ * search builder's helper, whose `values.length` gives the next parameter number).
+ */
+export async function applyColumnFilters(filters, { meta, add, values, iso = false }) {
+  if (filters == null || filters === '') return;
+  if (!Array.isArray(filters)) throw httpError(400, 'filters must be an array');
+  if (filters.length > MAX_FILTERS) throw httpError(400, `At most ${MAX_FILTERS} filters`);
+  if (!filters.length) return;
+
+  const profiles = await getColumnProfiles(meta);
+  filters.forEach((f, i) => {
+    const profile = profiles.get(String(f?.column || '').toLowerCase());
+    if (!profile) throw fail(i, `unknown column "${f?.column}"`);
+    const op = String(f?.op || '');
+    if (!FILTER_OPS[profile.kind].includes(op)) {
+      throw fail(i, `operator "${op}" is not available for ${profile.kind} column ${profile.name}`);
+    }
+
+    const col = columnValueSql(profile, { iso });
+    const next = () => `$${values.length + 1}`;
+    const parseOne = { text: parseText, number: parseNumber, date: parseDate }[profile.kind];
+    const typeCast = { number: '::numeric', date: '::date' }[profile.kind] || '';
+
+    switch (op) {
+      case 'isEmpty':
+        return add(profile.kind === 'text' ? `NULLIF(${col}, '') IS NULL` : `${col} IS NULL`);
+      case 'isNotEmpty':
+        return add(profile.kind === 'text' ? `NULLIF(${col}, '') IS NOT NULL` : `${col} IS NOT NULL`);
+      case 'isTrue':
+        return add(`${col} IS TRUE`);
+      case 'isFalse':
+        return add(`${col} IS FALSE`);
+      case 'contains':
+        return add(`${col} ILIKE ${next()}`, `%${escapeLike(parseText(i, f.value))}%`);
+      case 'notContains':
+        return add(`COALESCE(${col} NOT ILIKE ${next()}, TRUE)`, `%${escapeLike(parseText(i, f.value))}%`);
+      case 'startsWith':
+        return add(`${col} ILIKE ${next()}`, `${escapeLike(parseText(i, f.value))}%`);
+      case 'endsWith':
+        return add(`${col} ILIKE ${next()}`, `%${escapeLike(parseText(i, f.value))}`);
+      case 'equals':
+        if (profile.kind === 'text') return add(`LOWER(${col}) = LOWER(${next()})`, parseText(i, f.value));
+        // The whole day, for timestamp columns too.
+        if (profile.kind === 'date') return add(wholeDaySql(col, next()), parseDate(i, f.value));
+        return add(`${col} = ${next()}${typeCast}`, parseOne(i, f.value));
+      case 'notEquals':
+        if (profile.kind === 'text') return add(`LOWER(${col}) IS DISTINCT FROM LOWER(${next()})`, parseText(i, f.value));
+        // Everything equals leaves out, empty values included.
+        if (profile.kind === 'date') {
+          return add(`(NOT (${wholeDaySql(col, next())}) OR ${col} IS NULL)`, parseDate(i, f.value));
+        }
+        return add(`${col} IS DISTINCT FROM ${next()}${typeCast}`, parseOne(i, f.value));
+      case 'in':
+      case 'notIn': {
+        const list = parseList(i, f.value, parseOne);
+        // Dates match whole days: a timestamp is compared by its day.
+        const left = { text: `LOWER(${col})`, date: `(${col})::date` }[profile.kind] || col;
+        const arr = profile.kind === 'text' ? list.map((x) => x.toLowerCase()) : list;
+        const match = `${left} = ANY(${next()}${typeCast ? `${typeCast}[]` : '::text[]'})`;
+        return add(op === 'in' ? match : `COALESCE(NOT (${match}), TRUE)`, arr);
+      }
+      case 'between': {
+        const [from, to] = parseRange(i, f.value, parseOne);
+        if (from != null) add(`${col} >= ${next()}${typeCast}`, from);
+        // A date upper bound includes that whole day, for timestamp columns too.
+        const upper = profile.kind === 'date' ? upperBoundSql(values.length + 1, to) : `<= ${next()}${typeCast}`;
+        if (to != null) add(`${col} ${upper}`, to);
+        return undefined;
+      }
+      default:
+        throw fail(i, `unsupported operator "${op}"`);
+    }
+  });
+}
@@ -0,0 +1,503 @@
+import { once } from 'node:events';
+import { createReadStream, createWriteStream } from 'node:fs';
+import { mkdtemp, open, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import path from 'node:path';
+import { createInterface } from 'node:readline';
+import { finished, pipeline } from 'node:stream/promises';
+import { Transform } from 'node:stream';
+import { parse as parseCsv } from 'fast-csv';
+import { from as copyFrom } from 'pg-copy-streams';
+import { getDatasetMeta, selectDatasets } from './datasets.js';
+import { appTable, lazySchema, pool, quoteIdent } from './db.js';
+import { DATE_RE, NUMBER_RE, nativeKind } from './filters.js';
+import { adviseIndexes, hasDomainIndex } from './indexAdvisor.js';
+import { refreshNameFeatures } from './nameIndexer.js';
+import { getFieldColumns } from './schema.js';
+import { clearCountCache } from './searchCount.js';
+import { log } from './logger.js';
+import { clampInt, httpError, normalizeDomain, normalizeString } from './util.js';
+
+/**
+ * Imports of domain lists into a dataset table. The upload is spooled to a temp file, then one
+ * import at a time streams it through COPY into a session staging table (normalized, deduplicated,
+ * invalid rows counted) and merges the staging rows into the table in batches: existing domains
+ * are updated (empty file values keep the stored ones), new ones inserted. Values the column types
+ * would reject are weeded out of the staging table before the first batch, so a merge never fails
+ * halfway. Progress and the final report live in the domain_imports table.
+ */
+
+const IMPORTS_TABLE = appTable('domain_imports');
+
+const MAX_BYTES = clampInt(process.env.IMPORT_MAX_MB, 1, 10_240, 200) * 1024 * 1024;
+const MERGE_BATCH = clampInt(process.env.IMPORT_BATCH_SIZE, 100, 100_000, 5000);
+const PROGRESS_EVERY = 5000;
+const MAX_INVALID_SAMPLES = 20;
+
+export const IMPORT_FORMATS = ['csv', 'txt'];
+export const FINAL_IMPORT_STATUSES = new Set(['completed', 'failed']);
+
+// File headers taken for the domain column when the mapping does not name one.
+const DOMAIN_HEADERS = ['domain', 'domain_name', 'domainname', 'hostname', 'host', 'name', 'url'];
+const BOOLEAN_RE = /^(true|false|t|f|yes|no|1|0)$/i;
+
+export const ensureImportTables = lazySchema('import', [
+  `
+  CREATE TABLE IF NOT EXISTS ${IMPORTS_TABLE} (
+    id bigserial PRIMARY KEY,
+    status text NOT NULL DEFAULT 'queued',
+    phase text,
+    dataset text NOT NULL,
+    file_name text,
+    format text NOT NULL,
+    bytes bigint NOT NULL DEFAULT 0,
+    mapping jsonb NOT NULL,
+    lines integer NOT NULL DEFAULT 0,
+    staged integer NOT NULL DEFAULT 0,
+    merged integer NOT NULL DEFAULT 0,
+    inserted integer NOT NULL DEFAULT 0,
+    updated integer NOT NULL DEFAULT 0,
+    duplicates integer NOT NULL DEFAULT 0,
+    invalid integer NOT NULL DEFAULT 0,
+    invalid_samples jsonb NOT NULL DEFAULT '[]',
+    error text,
+    created_by bigint,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    started_at timestamptz,
+    finished_at timestamptz,
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+]);
+
+async function requireImportTables() {
+  if (!(await ensureImportTables())) throw httpError(503, 'Imports are unavailable (database not ready)');
+}
+
+function toImport(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    status: row.status,
+    phase: row.phase,
+    dataset: row.dataset,
+    fileName: row.file_name,
+    format: row.format,
+    bytes: Number(row.bytes),
+    mapping: row.mapping,
+    lines: row.lines,
+    staged: row.staged,
+    merged: row.merged,
+    inserted: row.inserted,
+    updated: row.updated,
+    duplicates: row.duplicates,
+    invalid: row.invalid,
+    invalidSamples: row.invalid_samples,
+    error: row.error,
+    createdBy: row.created_by == null ? null : Number(row.created_by),
+    createdAt: row.created_at,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+export async function getImport(id) {
+  await requireImportTables();
+  const r = await pool.query(`SELECT * FROM ${IMPORTS_TABLE} WHERE id = $1;`, [id]);
+  return toImport(r.rows[0]);
+}
+
+export async function listImports({ limit = 20 } = {}) {
+  await requireImportTables();
+  const r = await pool.query(`SELECT * FROM ${IMPORTS_TABLE} ORDER BY id DESC LIMIT $1;`, [limit]);
+  return r.rows.map(toImport);
+}
+
+async function updateImport(id, fields) {
+  const keys = Object.keys(fields);
+  await pool.query(
+    `UPDATE ${IMPORTS_TABLE} SET ${keys.map((k, i) => `${k} = $${i + 2}`).join(', ')}, updated_at = now() WHERE id = $1;`,
+    [id, ...keys.map((k) => fields[k])]
+  );
+}
+
+// Copies the request body to a temp file, refusing more than IMPORT_MAX_MB.
+async function spoolUpload(body) {
+  const dir = await mkdtemp(path.join(tmpdir(), 'domain-import-'));
+  const file = path.join(dir, 'upload');
+  let bytes = 0;
+  const limit = new Transform({
+    transform(chunk, _, done) {
+      bytes += chunk.length;
+      if (bytes > MAX_BYTES) done(httpError(413, `File is larger than ${MAX_BYTES / 1024 / 1024} MB`));
+      else done(null, chunk);
+    },
+  });
+  try {
+    await pipeline(body, limit, createWriteStream(file));
+  } catch (err) {
+    await rm(dir, { recursive: true, force: true });
+    throw err;
+  }
+  return { dir, file, bytes };
+}
+
+async function readFirstLine(file) {
+  const handle = await open(file);
+  try {
+    const { buffer, bytesRead } = await handle.read(Buffer.alloc(64 * 1024), 0, 64 * 1024, 0);
+    return buffer.subarray(0, bytesRead).toString('utf8').replace(/^﻿/, '').split(/\r?\n/)[0];
+  } finally {
+    await handle.close();
+  }
+}
+
+// The separator that splits the header line into the most fields.
+function detectDelimiter(headerLine) {
+  const counts = [',', ';', '\t', '|'].map((d) => [d, headerLine.split(d).length]);
+  return counts.sort((a, b) => b[1] - a[1])[0][0];
+}
+
+/**
+ * Resolves `{ "<file column>": "<table column>" }` against the file's headers and the table.
+ * Without a mapping, headers named like a table column go there and a domain-like header feeds the
+ * table's domain column. Returns the list of `{ source, column }` with the domain first.
+ */
+function resolveMapping(meta, domainColumn, headers, requested) {
+  if (!domainColumn) throw httpError(500, `No domain column found in table ${meta.tableRef.schema}.${meta.tableRef.table}`);
+
+  let pairs;
+  if (requested && Object.keys(requested).length) {
+    const known = new Set(headers);
+    pairs = Object.entries(requested)
+      .filter(([, column]) => normalizeString(column))
+      .map(([source, column]) => {
+        if (!known.has(source)) throw httpError(400, `The file has no column "${source}"`);
+        const info = meta.byName.get(String(column).toLowerCase());
+        if (!info) throw httpError(400, `Unknown table column: ${column}`);
+        return { source, column: info.column_name };
+      });
+  } else {
+    const domainHeader = headers.find((h) => DOMAIN_HEADERS.includes(h.toLowerCase()));
+    pairs = headers
+      .map((source) => {
+        if (source === domainHeader) return { source, column: domainColumn };
+        const info = meta.byName.get(source.toLowerCase());
+        return info && info.column_name !== domainColumn ? { source, column: info.column_name } : null;
+      })
+      .filter(Boolean);
+  }
+
+  const targets = new Set();
+  for (const p of pairs) {
+    if (targets.has(p.column)) throw httpError(400, `Several file columns are mapped to ${p.column}`);
+    targets.add(p.column);
+  }
+  const domainPair = pairs.find((p) => p.column === domainColumn);
+  if (!domainPair) throw httpError(400, `No file column is mapped to the domain column ${domainColumn}`);
+  return [domainPair, ...pairs.filter((p) => p !== domainPair)];
+}
+
+/**
+ * Accepts an upload (`body` is the request stream) for `dataset` and queues it. CSV files need a
+ * header line; TXT files hold one domain per line (blank lines and # comments are skipped).
+ */
+export async function createImport({ dataset = null, format = null, fileName = null, mapping = null, body, createdBy = null }) {
+  await requireImportTables();
+  const [target] = selectDatasets(dataset, { allowAll: false });
+  const meta = await getDatasetMeta(target);
+  const fields = await getFieldColumns(meta);
+  await assertDomainIndex(meta);
+  const name = normalizeString(fileName);
+  const fmt = String(normalizeString(format) || (/\.csv$/i.test(name || '') ? 'csv' : 'txt')).toLowerCase();
+  if (!IMPORT_FORMATS.includes(fmt)) throw httpError(400, `format must be one of: ${IMPORT_FORMATS.join(', ')}`);
+  if (mapping != null && (typeof mapping !== 'object' || Array.isArray(mapping))) {
+    throw httpError(400, 'mapping must be an object of file column -> table column');
+  }
+
+  const upload = await spoolUpload(body);
+  let plan;
+  try {
+    if (!upload.bytes) throw httpError(400, 'The file is empty');
+    if (fmt === 'csv') {
+      const headerLine = await readFirstLine(upload.file);
+      const delimiter = detectDelimiter(headerLine);
+      const headers = headerLine.split(delimiter).map((h) => h.trim().replace(/^"(.*)"$/, '$1'));
+      plan = { delimiter, columns: resolveMapping(meta, fields.domain, headers, mapping) };
+    } else {
+      plan = { columns: resolveMapping(meta, fields.domain, ['domain'], null) };
+    }
+    plan.tldColumn = fields.tld;
+  } catch (err) {
+    await rm(upload.dir, { recursive: true, force: true });
+    throw err;
+  }
+
+  const r = await pool.query(
+    `
+    INSERT INTO ${IMPORTS_TABLE} (dataset, file_name, format, bytes, mapping, created_by)
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING *;
+    `,
+    [target.id, name, fmt, upload.bytes, JSON.stringify(plan.columns), createdBy]
+  );
+  const job = toImport(r.rows[0]);
+  enqueue(job, meta, plan, upload);
+  return job;
+}
+
+// Every batch looks its domains up by lower(domain); without the index each one reads the whole table.
+async function assertDomainIndex(meta) {
+  if (await hasDomainIndex(meta, { fresh: true })) return;
+  const advice = await adviseIndexes(meta.dataset);
+  const index = advice.recommendations.find((r) => r.field === 'domain' && r.method === 'btree');
+  throw httpError(
+    409,
+    `Imports need the lower(domain) index on ${advice.table}: POST /api/db/indexes {"dataset": "${meta.dataset}", "names": ["${index?.name}"]}`
+  );
+}
+
+// Imports run one at a time: two merges into the same table could insert a domain twice.
+let queue = Promise.resolve();
+
+function enqueue(job, meta, plan, upload) {
+  queue = queue
+    .then(() => runImport(job, meta, plan, upload.file))
+    .catch((err) => log.warn('Import failed', { importId: job.id, err }))
+    .finally(() => rm(upload.dir, { recursive: true, force: true }));
+}
+
+// Records of the file as `{ line, values: { source: value } }`, or `{ line, problem }` for unusable CSV rows.
+async function* readRecords(file, format, plan) {
+  if (format === 'txt') {
+    const lines = createInterface({ input: createReadStream(file, 'utf8'), crlfDelay: Infinity });
+    let line = 0;
+    for await (const raw of lines) {
+      line += 1;
+      const s = raw.replace(/^﻿/, '').trim();
+      if (!s || s.startsWith('#')) continue;
+      yield { line, values: { domain: s.split(/[\s,;]+/)[0] } };
+    }
+    return;
+  }
+
+  // Rows come as arrays so that rows with a wrong field count keep their place (and line number).
+  const parser = parseCsv({ delimiter: plan.delimiter, trim: true, ignoreEmpty: true });
+  createReadStream(file).on('error', (err) => parser.destroy(err)).pipe(parser);
+  let headers = null;
+  let line = 0;
+  for await (const row of parser) {
+    line += 1;
+    if (!headers) {
+      headers = row;
+    } else if (row.length !== headers.length) {
+      yield { line, problem: 'wrong number of fields' };
+    } else {
+      yield { line, values: Object.fromEntries(headers.map((h, i) => [h, row[i]])) };
+    }
+  }
+}
+
+// Shape checks while reading (dates must be ISO, whatever the server's DateStyle); whether the value
+// fits the exact column type (integer range, varchar length, real days) is checked in the staging table.
+function valueProblem(kind, value) {
+  if (kind === 'number' && !NUMBER_RE.test(value)) return 'not a number';
+  if (kind === 'date' && !DATE_RE.test(value)) return 'not a date';
+  if (kind === 'boolean' && !BOOLEAN_RE.test(value)) return 'not a boolean';
+  return null;
+}
+
+function csvField(v) {
+  if (v == null) return '';
+  return `"${String(v).replaceAll('"', '""')}"`;
+}
+
+// Exact column types with modifiers (`character varying(64)`, `numeric(10,2)`), by column name.
+async function columnTypes(client, meta) {
+  const r = await client.query(
+    `
+    SELECT attname, format_type(atttypid, atttypmod) AS type
+    FROM pg_attribute
+    WHERE attrelid = $1::regclass AND attnum > 0 AND NOT attisdropped;
+    `,
+    [meta.tableSql]
+  );
+  return new Map(r.rows.map((row) => [row.attname, row.type]));
+}
+
+/**
+ * SQL testing whether staged text would go into a column of `type`: pg_input_is_valid on
+ * Postgres 16+, else a session function that tries the cast (plus the length limit of character
+ * types, which an explicit cast would silently truncate).
+ */
+async function inputCheck(client) {
+  const r = await client.query(`SELECT current_setting('server_version_num')::int >= 160000 AS native;`);
+  if (r.rows[0].native) return (valueSql, type) => `pg_input_is_valid(${valueSql}, '${type.replaceAll("'", "''")}')`;
+  await client.query(`
+    CREATE FUNCTION pg_temp.import_input_ok(v text, type text) RETURNS boolean LANGUAGE plpgsql AS $$
+    BEGIN
+      EXECUTE format('SELECT %L::%s', v, type);
+      RETURN char_length(v) <= COALESCE(substring(type from '^character(?: varying)?\((\d+)\)$')::int, char_length(v));
+    EXCEPTION WHEN others THEN
+      RETURN false;
+    END $$;
+  `);
+  return (valueSql, type) => `pg_temp.import_input_ok(${valueSql}, '${type.replaceAll("'", "''")}')`;
+}
+
+async function runImport(job, meta, plan, file) {
+  const id = job.id;
+  const domainColumn = plan.columns[0].column;
+  const { tldColumn } = plan;
+  const deriveTld = tldColumn && tldColumn !== domainColumn;
+  // Staging columns v0..vN follow plan.columns (v0 = the normalized domain); the derived TLD comes last unless mapped.
+  const targets = plan.columns.map((c) => ({ ...c, info: meta.byName.get(c.column.toLowerCase()) }));
+  const tldIndex = deriveTld ? targets.findIndex((t) => t.column === tldColumn) : -1;
+  if (deriveTld && tldIndex < 0) targets.push({ source: null, column: tldColumn, info: meta.byName.get(tldColumn.toLowerCase()) });
+  const tldSlot = deriveTld ? (tldIndex < 0 ? targets.length - 1 : tldIndex) : -1;
+  const kinds = targets.map((t) => nativeKind(t.info));
+
+  const counts = { lines: 0, staged: 0, duplicates: 0, invalid: 0 };
+  const samples = [];
+  const invalid = (line, reason, value = null) => {
+    counts.invalid += 1;
+    if (samples.length < MAX_INVALID_SAMPLES) samples.push({ line, value, reason });
+  };
+
+  await updateImport(id, { status: 'running', phase: 'reading', started_at: new Date() });
+  const client = await pool.connect();
+  try {
+    const slots = targets.map((_, i) => `v${i} text`).join(', ');
+    await client.query(`CREATE TEMP TABLE import_rows (seq integer PRIMARY KEY, line integer NOT NULL, ${slots});`);
+
+    const copy = client.query(copyFrom(`COPY import_rows FROM STDIN (FORMAT csv);`));
+    const seen = new Set();
+    let lastReport = Date.now();
+    for await (const record of readRecords(file, job.format, plan)) {
+      counts.lines += 1;
+      const raw = record.values?.[plan.columns[0].source];
+      const domain = normalizeDomain(raw);
+      if (record.problem) {
+        invalid(record.line, record.problem);
+      } else if (!domain) {
+        invalid(record.line, 'invalid domain', raw ?? null);
+      } else if (seen.has(domain)) {
+        counts.duplicates += 1;
+      } else {
+        const values = targets.map((t) => (t.source == null ? null : normalizeString(record.values[t.source])));
+        values[0] = domain;
+        if (tldSlot >= 0 && !values[tldSlot]) values[tldSlot] = domain.slice(domain.lastIndexOf('.') + 1);
+        const problem = values.map((v, i) => (i && v != null ? valueProblem(kinds[i], v) : null)).findIndex(Boolean);
+        if (problem > 0) {
+          invalid(record.line, `${targets[problem].column}: ${valueProblem(kinds[problem], values[problem])}`, values[problem]);
+        } else {
+          seen.add(domain);
+          counts.staged += 1;
+          const line = `${counts.staged},${record.line},${values.map(csvField).join(',')}\n`;
+          if (!copy.write(line)) await once(copy, 'drain');
+        }
+      }
+      if (counts.lines % PROGRESS_EVERY === 0 && Date.now() - lastReport > 1000) {
+        lastReport = Date.now();
+        await updateImport(id, counts);
+      }
+    }
+    copy.end();
+    await finished(copy);
+    seen.clear();
+    const lastSeq = counts.staged;
+
+    // Values of the right shape can still be out of the column's range or length, or no real day:
+    // such rows are dropped here and reported like the others.
+    await updateImport(id, { ...counts, invalid_samples: JSON.stringify(samples), phase: 'validating' });
+    const types = await columnTypes(client, meta);
+    const valid = await inputCheck(client);
+    for (let i = 0; i < targets.length; i++) {
+      const type = types.get(targets[i].column);
+      if (type === 'text') continue;
+      const r = await client.query(`
+        WITH bad AS (
+          DELETE FROM import_rows WHERE v${i} <> '' AND NOT ${valid(`v${i}`, type)} RETURNING line, v${i} AS value
+        )
+        SELECT (SELECT COUNT(*) FROM bad)::int AS n,
+               (SELECT json_agg(x) FROM (SELECT line, value FROM bad ORDER BY line LIMIT ${MAX_INVALID_SAMPLES}) x) AS samples;
+      `);
+      const { n, samples: rejected } = r.rows[0];
+      if (!n) continue;
+      counts.staged -= n;
+      counts.invalid += n;
+      for (const x of rejected) {
+        if (samples.length < MAX_INVALID_SAMPLES) samples.push({ line: x.line, value: x.value, reason: `${targets[i].column}: not a valid ${type}` });
+      }
+    }
+    samples.sort((a, b) => a.line - b.line);
+    await updateImport(id, { ...counts, invalid_samples: JSON.stringify(samples), phase: 'merging' });
+
+    const typed = (i) => {
+      const v = `NULLIF(b.v${i}, '')`;
+      return types.get(targets[i].column) === 'text' ? v : `${v}::${types.get(targets[i].column)}`;
+    };
+    const col = (i) => quoteIdent(targets[i].column);
+    // The expression of the lower(domain) index (see indexAdvisor.js), so every batch is an index lookup.
+    const matchSql = `LOWER(t.${col(0)}) = b.v0`;
+    const sets = targets.slice(1).map((_, j) => `${col(j + 1)} = COALESCE(${typed(j + 1)}, t.${col(j + 1)})`);
+    const mergeSql = `
+      WITH batch AS (
+        SELECT * FROM import_rows WHERE seq > $1 AND seq <= $2
+      ), existing AS (
+        ${
+          sets.length
+            ? `UPDATE ${meta.tableSql} t SET ${sets.join(', ')} FROM batch b WHERE ${matchSql} RETURNING b.seq`
+            : `SELECT b.seq FROM batch b WHERE EXISTS (SELECT 1 FROM ${meta.tableSql} t WHERE ${matchSql})`
+        }
+      ), added AS (
+        INSERT INTO ${meta.tableSql} (${targets.map((_, i) => col(i)).join(', ')})
+        SELECT ${targets.map((_, i) => (i ? typed(i) : 'b.v0')).join(', ')}
+        FROM batch b
+        WHERE NOT EXISTS (SELECT 1 FROM ${meta.tableSql} t WHERE ${matchSql})
+        RETURNING 1
+      )
+      SELECT (SELECT COUNT(DISTINCT seq) FROM existing)::int AS updated, (SELECT COUNT(*) FROM added)::int AS inserted;
+    `;
+
+    // Batches by staging position; rows dropped above leave gaps, so `merged` counts what the batches held.
+    const totals = { merged: 0, inserted: 0, updated: 0 };
+    for (let from = 0; from < lastSeq; from += MERGE_BATCH) {
+      const r = await client.query(mergeSql, [from, from + MERGE_BATCH]);
+      totals.merged += r.rows[0].updated + r.rows[0].inserted;
+      totals.inserted += r.rows[0].inserted;
+      totals.updated += r.rows[0].updated;
+      await updateImport(id, totals);
+    }
+
+    await updateImport(id, { status: 'completed', phase: null, finished_at: new Date() });
+    if (totals.inserted || totals.updated) clearCountCache(meta.tableSql);
+    // New names get their scores now rather than at the next indexer pass.
+    if (totals.inserted) refreshNameFeatures({ indexedOnly: true }).catch((err) => log.warn('Name scoring pass failed', { err }));
+  } catch (err) {
+    await updateImport(id, {
+      ...counts,
+      invalid_samples: JSON.stringify(samples),
+      status: 'failed',
+      error: err?.message || String(err),
+      finished_at: new Date(),
+    }).catch(() => {});
+    throw err;
+  } finally {
+    await client.query('DROP TABLE IF EXISTS import_rows;').catch(() => {});
+    client.release();
+  }
+}
+
+// Uploads live in temp files that do not survive a restart: unfinished imports are marked failed.
+export async function failInterruptedImports() {
+  if (!(await ensureImportTables())) return;
+  await pool.query(
+    `
+    UPDATE ${IMPORTS_TABLE}
+    SET status = 'failed', error = 'Interrupted by a server restart', finished_at = now(), updated_at = now()
+    WHERE status IN ('queued', 'running');
+    `
+  );
+}
@@ -0,0 +1,233 @@
+import { getDatasetMeta, selectDatasets } from './datasets.js';
+import { APP_SCHEMA, pool, quoteIdent } from './db.js';
+import { getFieldColumns } from './schema.js';
+import { ensureSearchFunctions, typedColumnSql } from './search.js';
+import { log } from './logger.js';
+import { httpError } from './util.js';
+
+/**
+ * Index advice for a dataset's table: for every search filter its fields support, the index the
+ * filter's SQL can use — built from the same expressions as search.js, so the planner matches
+ * them. Equality, ranges and sorting get btree indexes (on the ISO date casts and int casts for
+ * text columns); `ILIKE '%…%'` and regex filters get pg_trgm GIN indexes. Requested indexes are
+ * built one at a time in the background with CREATE INDEX CONCURRENTLY, then the table is analyzed.
+ */
+
+const builds = new Map(); // index name -> { status: 'queued' | 'building' | 'failed', error }
+let buildQueue = Promise.resolve();
+
+function indexName(table, field, suffix) {
+  return `${table}_${field}_${suffix}`.toLowerCase().replace(/[^a-z0-9_]+/g, '_').slice(0, 63);
+}
+
+// Index keys as pg_get_indexdef prints them and as we write them differ in quoting, casts and
+// parentheses; stripped of those they compare equal.
+function normalizeKeys(sql) {
+  return String(sql)
+    .toLowerCase()
+    .replaceAll('"', '')
+    .replaceAll(`${APP_SCHEMA.toLowerCase()}.`, '')
+    .replace(/::(timestamp|time) with(out)? time zone/g, '')
+    .replace(/::character varying/g, '')
+    .replace(/::[a-z_]+(\[\])?/g, '')
+    .replace(/[()\s]/g, '');
+}
+
+async function existingIndexes(meta) {
+  const { rows } = await pool.query(
+    `
+    SELECT i.relname AS name, x.indisvalid AS valid, pg_get_indexdef(x.indexrelid) AS def
+    FROM pg_index x
+    JOIN pg_class i ON i.oid = x.indexrelid
+    WHERE x.indrelid = $1::regclass AND x.indpred IS NULL AND x.indnkeyatts = 1;
+    `,
+    [meta.tableSql]
+  );
+  return rows.map((r) => ({ ...r, keys: normalizeKeys(r.def.slice(r.def.indexOf(' USING ') + 7)) }));
+}
+
+const DOMAIN_INDEX_TTL_MS = 5 * 60 * 1000;
+const domainIndexChecks = new Map(); // tableSql -> { ts, present }
+
+/**
+ * Whether the table has a valid btree index on lower(domain), the key that stored checks, RDAP
+ * write-back, imports and the name indexer look rows up by; without it each such lookup scans the
+ * whole table. Cached for a few minutes (unless `fresh`), and dropped when createIndexes builds an index.
+ */
+export async function hasDomainIndex(meta, { fresh = false } = {}) {
+  const cached = domainIndexChecks.get(meta.tableSql);
+  if (!fresh && cached && Date.now() - cached.ts < DOMAIN_INDEX_TTL_MS) return cached.present;
+  const { domain } = await getFieldColumns(meta);
+  let present = false;
+  if (domain) {
+    const keys = normalizeKeys(`btree (lower(${quoteIdent(domain)}))`);
+    present = (await existingIndexes(meta)).some((x) => x.valid && x.keys === keys);
+  }
+  domainIndexChecks.set(meta.tableSql, { ts: Date.now(), present });
+  return present;
+}
+
+async function trigramStatus() {
+  const { rows } = await pool.query(
+    `SELECT installed_version IS NOT NULL AS installed FROM pg_available_extensions WHERE name = 'pg_trgm';`
+  );
+  return { available: rows.length > 0, installed: !!rows[0]?.installed };
+}
+
+// The filters (criteria keys, plus `sort` and the `joins` of stored checks, triage, history and
+// name features) each index serves; see buildDatasetQuery in search.js.
+async function candidates(meta) {
+  const fields = await getFieldColumns(meta);
+  const iso = await ensureSearchFunctions();
+  const table = meta.tableRef.table;
+  const typed = (column, type) => typedColumnSql(meta, column, type, { iso });
+  const list = [];
+  const add = (field, suffix, method, expr, filters, { trgm = false } = {}) => {
+    const bare = /^"[^"]+"$/.test(expr);
+    const key = `${bare ? expr : `(${expr})`}${trgm ? ' gin_trgm_ops' : ''}`;
+    list.push({ name: indexName(table, field, suffix), field, column: fields[field], method, key, trgm, filters });
+  };
+
+  const domain = quoteIdent(fields.domain);
+  add('domain', 'lower', 'btree', `lower(${domain})`, ['joins']);
+  add('domain', 'trgm', 'gin', domain, ['domainStartsWith', 'domainEndsWith'], { trgm: true });
+  add('domain', 'lower_trgm', 'gin', `lower(${domain})`, ['domainRegex'], { trgm: true });
+  if (fields.tld) add('tld', 'idx', 'btree', quoteIdent(fields.tld), ['tld']);
+  if (fields.domain_creation_date) {
+    add('domain_creation_date', 'idx', 'btree', typed(fields.domain_creation_date, 'date'), [
+      'creationDateFrom',
+      'creationDateTo',
+      'ageYearsFrom',
+      'ageYearsTo',
+      'sort',
+    ]);
+  }
+  if (fields.domain_expiration_date) {
+    add('domain_expiration_date', 'idx', 'btree', typed(fields.domain_expiration_date, 'timestamp'), [
+      'expirationFrom',
+      'expirationTo',
+      'lifecycleState',
+      'sort',
+    ]);
+  }
+  if (fields.scheduled_delete_date) {
+    add('scheduled_delete_date', 'idx', 'btree', typed(fields.scheduled_delete_date, 'timestamp'), [
+      'scheduledDeleteFrom',
+      'scheduledDeleteTo',
+      'lifecycleState',
+      'sort',
+    ]);
+  }
+  if (fields.country_by_ip) add('country_by_ip', 'idx', 'btree', typed(fields.country_by_ip, 'text'), ['countryByIp']);
+  for (const [field, criterion] of [
+    ['registrar', 'registrarContains'],
+    ['technologies', 'technologiesContains'],
+    ['response_status', 'responseStatusContains'],
+  ]) {
+    if (fields[field]) add(field, 'trgm', 'gin', typed(fields[field], 'text'), [criterion], { trgm: true });
+  }
+  if (fields.detected_hosts) {
+    add('detected_hosts', 'idx', 'btree', typed(fields.detected_hosts, 'int'), ['detectedHostsMin', 'detectedHostsMax', 'sort']);
+  }
+  return list;
+}
+
+function createSql(meta, c) {
+  return `CREATE INDEX CONCURRENTLY IF NOT EXISTS ${quoteIdent(c.name)} ON ${meta.tableSql} USING ${c.method} (${c.key});`;
+}
+
+async function datasetMeta(dataset) {
+  return getDatasetMeta(selectDatasets(dataset, { allowAll: false })[0]);
+}
+
+/**
+ * Recommended indexes of a dataset with their state: `present` (an equivalent valid index exists,
+ * named in `existing`), `missing`, `invalid` (a failed concurrent build left it unusable),
+ * `queued` / `building`, or `failed` with the `error` of the last build.
+ */
+export async function adviseIndexes(dataset) {
+  const meta = await datasetMeta(dataset);
+  const [list, existing, trigram] = await Promise.all([candidates(meta), existingIndexes(meta), trigramStatus()]);
+  const recommendations = list.map((c) => {
+    const keys = normalizeKeys(`${c.method} (${c.key})`);
+    const match = existing.find((x) => x.keys === keys || x.name === c.name);
+    const build = builds.get(c.name);
+    let status = 'missing';
+    if (build && build.status !== 'failed') status = build.status;
+    else if (match) status = match.valid ? 'present' : 'invalid';
+    else if (build) status = 'failed';
+    return {
+      name: c.name,
+      field: c.field,
+      column: c.column,
+      filters: c.filters,
+      method: c.method,
+      trgm: c.trgm,
+      status,
+      existing: match?.name || null,
+      error: status === 'failed' ? build.error : null,
+      sql: createSql(meta, c),
+    };
+  });
+  return { dataset: meta.dataset, table: `${meta.tableRef.schema}.${meta.tableRef.table}`, trigram, recommendations };
+}
+
+async function buildIndexes(meta, list) {
+  const trigram = await trigramStatus();
+  if (list.some((c) => c.trgm) && !trigram.installed) {
+    try {
+      await pool.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+    } catch (err) {
+      for (const c of list.filter((x) => x.trgm)) builds.set(c.name, { status: 'failed', error: `pg_trgm: ${err.message}` });
+      list = list.filter((c) => !c.trgm);
+    }
+  }
+  for (const c of list) {
+    builds.set(c.name, { status: 'building' });
+    try {
+      await pool.query(createSql(meta, c));
+      builds.delete(c.name);
+    } catch (err) {
+      builds.set(c.name, { status: 'failed', error: err.message });
+      // A failed concurrent build leaves an invalid index behind.
+      await pool.query(`DROP INDEX CONCURRENTLY IF EXISTS ${quoteIdent(meta.tableRef.schema)}.${quoteIdent(c.name)};`).catch(() => {});
+    }
+  }
+  domainIndexChecks.delete(meta.tableSql);
+  // Expression indexes give the planner statistics of their expressions (and better estimates).
+  if (list.length) await pool.query(`ANALYZE ${meta.tableSql};`);
+}
+
+/**
+ * Queues the builds of the named recommendations (every missing or invalid one without `names`).
+ * Resolves to the advice with their new state; an unknown name is a 400.
+ */
+export async function createIndexes(dataset, names = null) {
+  const meta = await datasetMeta(dataset);
+  const advice = await adviseIndexes(meta.dataset);
+  const byName = new Map(advice.recommendations.map((r) => [r.name, r]));
+  const unknown = (names || []).filter((n) => !byName.has(n));
+  if (unknown.length) throw httpError(400, `Unknown indexes: ${unknown.join(', ')}`);
+
+  const wanted = names ? names.map((n) => byName.get(n)) : advice.recommendations;
+  const buildable = new Set(['missing', 'invalid', 'failed']);
+  const chosen = new Set(wanted.filter((r) => buildable.has(r.status)).map((r) => r.name));
+  const list = (await candidates(meta)).filter((c) => chosen.has(c.name));
+  if (!list.length) return advice;
+
+  for (const c of list) builds.set(c.name, { status: 'queued' });
+  // An invalid index of the same name would make IF NOT EXISTS skip the build.
+  const invalid = wanted.filter((r) => chosen.has(r.name) && r.status === 'invalid' && r.existing === r.name);
+  buildQueue = buildQueue
+    .then(async () => {
+      for (const r of invalid) {
+        await pool.query(`DROP INDEX CONCURRENTLY IF EXISTS ${quoteIdent(meta.tableRef.schema)}.${quoteIdent(r.name)};`);
+      }
+      await buildIndexes(meta, list);
+    })
+    .catch((err) => {
+      log.warn('Index build failed', { err });
+      for (const c of list) if (builds.get(c.name)?.status !== 'failed') builds.delete(c.name);
+    });
+  return adviseIndexes(meta.dataset);
+}
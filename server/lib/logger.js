@@ -0,0 +1,107 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+import { randomUUID } from 'node:crypto';
+import { counter, histogram } from './metrics.js';
+
+/**
+ * Structured logging: one JSON object per line on stdout (warnings and errors on stderr) with
+ * `time`, `level`, `msg` and the given fields. Inside a request every line carries its
+ * `requestId`, which the client gets back in the X-Request-Id header, so a slow or failed
+ * request can be followed through the log. LOG_LEVEL (debug / info / warn / error) sets the
+ * minimum level written.
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[String(process.env.LOG_LEVEL || '').toLowerCase()] ?? LEVELS.info;
+
+const requestContext = new AsyncLocalStorage();
+
+// Errors become plain fields; the stack only for server-side failures.
+function errorFields(err) {
+  if (!(err instanceof Error)) return { error: String(err) };
+  const fields = { error: err.message };
+  if (err.status) fields.status = err.status;
+  if (err.code) fields.code = err.code;
+  if (!err.status || err.status >= 500) fields.stack = err.stack;
+  return fields;
+}
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+  const { err, ...rest } = fields;
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(requestContext.getStore() ? { requestId: requestContext.getStore().requestId } : {}),
+    ...rest,
+    ...(err !== undefined ? errorFields(err) : {}),
+  };
+  const line = `${JSON.stringify(entry)}\n`;
+  if (LEVELS[level] >= LEVELS.warn) process.stderr.write(line);
+  else process.stdout.write(line);
+}
+
+// `fields.err` may be an Error; it is logged as `error` (message), `status`, `code` and `stack`.
+export const log = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields),
+};
+
+const httpRequests = counter('http_requests_total', 'HTTP requests by route and status.', ['method', 'route', 'status']);
+const httpDuration = histogram('http_request_duration_seconds', 'HTTP request duration in seconds by route.', [
+  'method',
+  'route',
+]);
+
+// Requests that would drown the log (health checks, scrapes) are written at debug level.
+const QUIET_PATHS = new Set(['/api/health', '/api/metrics']);
+const REQUEST_ID_RE = /^[\w.:-]{1,128}$/;
+
+// Route pattern of the handler that answered (`/api/monitors/:id`), so metrics stay one series per route.
+function routeOf(req) {
+  if (!req.route) return 'unmatched';
+  const path = Array.isArray(req.route.path) ? req.route.path.join('|') : String(req.route.path);
+  return `${req.baseUrl || ''}${path === '/' && req.baseUrl ? '' : path}`;
+}
+
+/**
+ * First middleware: takes the caller's X-Request-Id (or makes one), echoes it in the response and
+ * runs the rest of the request in its log context; logs one line per finished request and feeds
+ * the HTTP metrics.
+ */
+export function requestLogger(req, res, next) {
+  const header = req.get('X-Request-Id');
+  const requestId = header && REQUEST_ID_RE.test(header) ? header : randomUUID();
+  req.id = requestId;
+  res.setHeader('X-Request-Id', requestId);
+
+  const startedAt = performance.now();
+  let done = false;
+  const finish = () => {
+    if (done) return;
+    done = true;
+    const seconds = (performance.now() - startedAt) / 1000;
+    const route = routeOf(req);
+    // A closed connection without a sent response (client gave up, stream aborted) has no real status.
+    const status = res.writableFinished ? res.statusCode : 499;
+    httpRequests.inc({ method: req.method, route, status });
+    httpDuration.observe({ method: req.method, route }, seconds);
+    const path = req.originalUrl.split('?')[0];
+    const level = status >= 500 ? 'error' : QUIET_PATHS.has(path) ? 'debug' : 'info';
+    requestContext.run({ requestId }, () =>
+      log[level]('request', {
+        method: req.method,
+        path,
+        route,
+        status,
+        durationMs: Math.round(seconds * 1000),
+        userId: req.user?.id ?? null,
+      })
+    );
+  };
+  res.on('finish', finish);
+  res.on('close', finish);
+  requestContext.run({ requestId }, next);
+}
@@ -0,0 +1,142 @@
+/**
+ * In-process metrics in the Prometheus text format (served by GET /api/metrics). Modules declare
+ * their counters, gauges and histograms once at load time and update them as they go; gauges may
+ * instead read their value when scraped. Label values should come from small fixed sets (routes,
+ * providers, outcomes), never from user input.
+ */
+
+const registry = new Map(); // name -> metric
+
+// Seconds; from fast index lookups up to the slow provider timeouts.
+export const DEFAULT_BUCKETS = [0.005, 0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30];
+
+function register(metric) {
+  if (registry.has(metric.name)) throw new Error(`Metric ${metric.name} is already registered`);
+  registry.set(metric.name, metric);
+  return metric;
+}
+
+function seriesKey(labelNames, labels) {
+  return JSON.stringify(labelNames.map((n) => String(labels?.[n] ?? '')));
+}
+
+function escapeLabel(v) {
+  return String(v).replace(/\\/g, '\\\\').replace(/"/g, '\\"').replace(/\n/g, '\\n');
+}
+
+function labelsText(labelNames, values, extra = '') {
+  const parts = labelNames.map((n, i) => `${n}="${escapeLabel(values[i])}"`);
+  if (extra) parts.push(extra);
+  return parts.length ? `{${parts.join(',')}}` : '';
+}
+
+function numberText(v) {
+  if (v === Infinity) return '+Inf';
+  if (v === -Infinity) return '-Inf';
+  return Number.isNaN(v) ? 'NaN' : String(v);
+}
+
+export function counter(name, help, labelNames = []) {
+  const series = new Map(); // key -> value
+  return register({
+    name,
+    help,
+    type: 'counter',
+    inc(labels = {}, n = 1) {
+      const key = seriesKey(labelNames, labels);
+      series.set(key, (series.get(key) || 0) + n);
+    },
+    lines() {
+      return [...series].map(([key, v]) => `${name}${labelsText(labelNames, JSON.parse(key))} ${numberText(v)}`);
+    },
+  });
+}
+
+/**
+ * `collect`, when given, is called on every scrape and returns the value, or `[labels, value]`
+ * pairs for labelled gauges; otherwise values are whatever `set` stored last.
+ */
+export function gauge(name, help, labelNames = [], collect = null) {
+  const series = new Map();
+  return register({
+    name,
+    help,
+    type: 'gauge',
+    set(labels = {}, v) {
+      series.set(seriesKey(labelNames, labels), v);
+    },
+    lines() {
+      let entries = [...series].map(([key, v]) => [JSON.parse(key), v]);
+      if (collect) {
+        const value = collect();
+        entries = Array.isArray(value)
+          ? value.map(([labels, v]) => [labelNames.map((n) => String(labels?.[n] ?? '')), v])
+          : [[[], value]];
+      }
+      return entries.map(([values, v]) => `${name}${labelsText(labelNames, values)} ${numberText(Number(v))}`);
+    },
+  });
+}
+
+export function histogram(name, help, labelNames = [], buckets = DEFAULT_BUCKETS) {
+  const bounds = [...buckets].sort((a, b) => a - b);
+  const series = new Map(); // key -> { counts (per bucket, not cumulative), sum, count }
+  const observe = (labels = {}, seconds) => {
+    const key = seriesKey(labelNames, labels);
+    let s = series.get(key);
+    if (!s) {
+      s = { counts: bounds.map(() => 0), sum: 0, count: 0 };
+      series.set(key, s);
+    }
+    const i = bounds.findIndex((b) => seconds <= b);
+    if (i >= 0) s.counts[i] += 1;
+    s.sum += seconds;
+    s.count += 1;
+  };
+  return register({
+    name,
+    help,
+    type: 'histogram',
+    observe,
+    // Returns a function that records the time since now (labels may be completed at the end) and gives it back.
+    startTimer(labels = {}) {
+      const startedAt = performance.now();
+      return (more = {}) => {
+        const seconds = (performance.now() - startedAt) / 1000;
+        observe({ ...labels, ...more }, seconds);
+        return seconds;
+      };
+    },
+    lines() {
+      const out = [];
+      for (const [key, s] of series) {
+        const values = JSON.parse(key);
+        let cumulative = 0;
+        bounds.forEach((b, i) => {
+          cumulative += s.counts[i];
+          out.push(`${name}_bucket${labelsText(labelNames, values, `le="${numberText(b)}"`)} ${cumulative}`);
+        });
+        out.push(`${name}_bucket${labelsText(labelNames, values, 'le="+Inf"')} ${s.count}`);
+        out.push(`${name}_sum${labelsText(labelNames, values)} ${numberText(s.sum)}`);
+        out.push(`${name}_count${labelsText(labelNames, values)} ${s.count}`);
+      }
+      return out;
+    },
+  });
+}
+
+// Every registered metric in the text exposition format (version 0.0.4).
+export function renderMetrics() {
+  const out = [];
+  for (const m of registry.values()) {
+    out.push(`# HELP ${m.name} ${m.help.replace(/\\/g, '\\\\').replace(/\n/g, '\\n')}`);
+    out.push(`# TYPE ${m.name} ${m.type}`);
+    out.push(...m.lines());
+  }
+  return `${out.join('\n')}\n`;
+}
+
+gauge('process_start_time_seconds', 'Start time of the process since the Unix epoch in seconds.', [], () =>
+  Math.round((Date.now() - process.uptime() * 1000) / 1000)
+);
+gauge('process_resident_memory_bytes', 'Resident memory size in bytes.', [], () => process.memoryUsage.rss());
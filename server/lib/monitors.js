@@ -0,0 +1,629 @@
+import { createHmac } from 'node:crypto';
+import { nextRunAfter, parseSchedule } from './cron.js';
+import { CRITERIA_VERSION, criteriaFromRequest, migrateSearchState } from './criteriaSchema.js';
+import { ALL_DATASETS, selectDatasets } from './datasets.js';
+import { appTable, lazySchema, pool } from './db.js';
+import { getSavedSearch } from './savedSearches.js';
+import { buildSearchQuery } from './search.js';
+import { countSearch } from './searchCount.js';
+import { log } from './logger.js';
+import { assertWebhookTarget } from './webhookTargets.js';
+import { clampInt, fetchJsonWithRetry, httpError, normalizeString } from './util.js';
+
+/**
+ * Monitors re-run stored search criteria on a schedule (see cron.js) and diff the matching domains
+ * against the previous run, kept per monitor in monitor_matches. New and removed matches go to the
+ * monitor's webhooks as one JSON POST per run, retried with backoff like other outgoing requests;
+ * every run is logged with its counts, payload and delivery results. The first run only records
+ * the baseline. Webhook targets are limited to public addresses (see webhookTargets.js).
+ */
+
+const MONITORS_TABLE = appTable('monitors');
+const MONITOR_MATCHES_TABLE = appTable('monitor_matches');
+const MONITOR_RUNS_TABLE = appTable('monitor_runs');
+
+const TICK_SECONDS = clampInt(process.env.MONITOR_TICK_SECONDS, 0, 3600, 30);
+const MAX_MATCHES = clampInt(process.env.MONITOR_MAX_MATCHES, 1, 10_000_000, 100_000);
+const PAYLOAD_MAX_ITEMS = clampInt(process.env.MONITOR_PAYLOAD_MAX_ITEMS, 1, 10_000, 500);
+const RUNS_KEPT = clampInt(process.env.MONITOR_RUNS_KEPT, 1, 100_000, 200);
+const WEBHOOK_TIMEOUT_MS = clampInt(process.env.MONITOR_WEBHOOK_TIMEOUT_MS, 1000, 120_000, 10_000);
+const WEBHOOK_RETRIES = clampInt(process.env.MONITOR_WEBHOOK_RETRIES, 0, 10, 3);
+const WEBHOOK_BACKOFF_MS = clampInt(process.env.MONITOR_WEBHOOK_BACKOFF_MS, 0, 60_000, 1000);
+const MAX_WEBHOOKS = 10;
+// A running run touches heartbeat_at this often; one silent for RUN_STALE_MS died with its process.
+const RUN_HEARTBEAT_MS = 30_000;
+const RUN_STALE_MS = 4 * RUN_HEARTBEAT_MS;
+
+// Fields of a match sent in payloads, where the dataset has them.
+const PAYLOAD_FIELDS = [
+  'domain',
+  'dataset',
+  'tld',
+  'domain_creation_date',
+  'domain_expiration_date',
+  'scheduled_delete_date',
+  'status',
+  'registrar',
+  'score',
+  'similarity',
+  'triage_status',
+  'triage_tags',
+];
+
+export const ensureMonitorTables = lazySchema('monitor', [
+  `
+  CREATE TABLE IF NOT EXISTS ${MONITORS_TABLE} (
+    id bigserial PRIMARY KEY,
+    name text NOT NULL UNIQUE,
+    dataset text,
+    schema_version integer NOT NULL,
+    criteria jsonb NOT NULL,
+    schedule text NOT NULL,
+    webhooks jsonb NOT NULL DEFAULT '[]',
+    enabled boolean NOT NULL DEFAULT true,
+    next_run_at timestamptz,
+    last_run_at timestamptz,
+    baseline_at timestamptz,
+    created_by bigint,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS monitors_next_run_idx ON ${MONITORS_TABLE} (next_run_at) WHERE enabled;`,
+  `
+  CREATE TABLE IF NOT EXISTS ${MONITOR_MATCHES_TABLE} (
+    monitor_id bigint NOT NULL REFERENCES ${MONITORS_TABLE} (id) ON DELETE CASCADE,
+    dataset text NOT NULL,
+    domain text NOT NULL,
+    first_seen_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (monitor_id, dataset, domain)
+  );
+  `,
+  `
+  CREATE TABLE IF NOT EXISTS ${MONITOR_RUNS_TABLE} (
+    id bigserial PRIMARY KEY,
+    monitor_id bigint NOT NULL REFERENCES ${MONITORS_TABLE} (id) ON DELETE CASCADE,
+    trigger text NOT NULL,
+    status text NOT NULL DEFAULT 'running',
+    baseline boolean NOT NULL DEFAULT false,
+    total integer,
+    added integer,
+    removed integer,
+    payload jsonb,
+    deliveries jsonb NOT NULL DEFAULT '[]',
+    error text,
+    started_at timestamptz NOT NULL DEFAULT now(),
+    finished_at timestamptz
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS monitor_runs_monitor_idx ON ${MONITOR_RUNS_TABLE} (monitor_id, id DESC);`,
+  `ALTER TABLE ${MONITOR_RUNS_TABLE} ADD COLUMN IF NOT EXISTS heartbeat_at timestamptz NOT NULL DEFAULT now();`,
+]);
+
+async function requireTables() {
+  if (!(await ensureMonitorTables())) throw httpError(503, 'Monitors are unavailable (database not ready)');
+}
+
+const running = new Map(); // monitor id -> promise of its current run
+let ticking = false;
+
+function toMonitor(row) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    name: row.name,
+    dataset: row.dataset,
+    version: CRITERIA_VERSION,
+    // Stored criteria of older versions are upgraded on read.
+    criteria: migrateSearchState({ version: row.schema_version, criteria: row.criteria }).criteria,
+    schedule: row.schedule,
+    // Secrets never leave the server.
+    webhooks: (row.webhooks || []).map((w) => ({ url: w.url, hasSecret: !!w.secret })),
+    enabled: row.enabled,
+    running: running.has(Number(row.id)),
+    nextRunAt: row.next_run_at,
+    lastRunAt: row.last_run_at,
+    baselineAt: row.baseline_at,
+    createdBy: row.created_by == null ? null : Number(row.created_by),
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function toRun(row, { withPayload = true } = {}) {
+  if (!row) return null;
+  return {
+    id: Number(row.id),
+    monitorId: Number(row.monitor_id),
+    trigger: row.trigger,
+    status: row.status,
+    baseline: row.baseline,
+    total: row.total,
+    added: row.added,
+    removed: row.removed,
+    ...(withPayload ? { payload: row.payload } : {}),
+    deliveries: row.deliveries,
+    error: row.error,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at,
+  };
+}
+
+async function readWebhooks(raw) {
+  if (!Array.isArray(raw)) throw httpError(400, 'webhooks must be a list of URLs or { url, secret } objects');
+  if (raw.length > MAX_WEBHOOKS) throw httpError(400, `At most ${MAX_WEBHOOKS} webhooks per monitor`);
+  const webhooks = [];
+  for (const w of raw) {
+    const url = await assertWebhookTarget(normalizeString(typeof w === 'string' ? w : w?.url));
+    const secret = typeof w === 'string' ? null : normalizeString(w?.secret);
+    webhooks.push(secret ? { url, secret } : { url });
+  }
+  return webhooks;
+}
+
+function readSchedule(raw) {
+  const schedule = parseSchedule(raw);
+  if (!nextRunAfter(schedule)) throw httpError(400, `Schedule "${schedule.expr}" never fires`);
+  return schedule;
+}
+
+/**
+ * Monitor fields of a create / update body. Criteria come inline (`criteria`, upgraded when a
+ * `criteriaVersion` is given, as in the search) or are copied from a saved search (`savedSearchId`);
+ * both are checked by building the query.
+ */
+async function readInput(body, { partial = false, current = null } = {}) {
+  const input = {};
+  const name = normalizeString(body?.name);
+  if (!partial && !name) throw httpError(400, 'name is required');
+  if (name && name.length > 200) throw httpError(400, 'name is too long');
+  if (name) input.name = name;
+
+  if (body?.dataset !== undefined) {
+    const dataset = normalizeString(body.dataset)?.toLowerCase() || null;
+    if (dataset && dataset !== ALL_DATASETS) selectDatasets(dataset);
+    input.dataset = dataset;
+  }
+
+  if (body?.savedSearchId != null) {
+    const saved = await getSavedSearch(clampInt(body.savedSearchId, 1, Number.MAX_SAFE_INTEGER, 0));
+    if (!saved) throw httpError(400, 'Saved search not found');
+    input.criteria = saved.criteria;
+  } else if (body?.criteria !== undefined) {
+    if (body.criteria === null || typeof body.criteria !== 'object' || Array.isArray(body.criteria)) {
+      throw httpError(400, 'criteria must be an object');
+    }
+    input.criteria = criteriaFromRequest(body);
+  } else if (!partial) {
+    throw httpError(400, 'criteria or savedSearchId is required');
+  }
+  if (input.criteria || input.dataset !== undefined) {
+    await buildSearchQuery(input.criteria ?? current?.criteria ?? {}, {
+      dataset: input.dataset !== undefined ? input.dataset : current?.dataset,
+    });
+  }
+
+  if (body?.schedule !== undefined || !partial) input.schedule = readSchedule(body?.schedule);
+  if (body?.webhooks !== undefined || !partial) input.webhooks = await readWebhooks(body?.webhooks ?? []);
+  if (body?.enabled !== undefined) input.enabled = body.enabled === true;
+  return input;
+}
+
+function uniqueViolation(err) {
+  return err?.code === '23505' ? httpError(409, 'A monitor with this name already exists') : err;
+}
+
+export async function listMonitors() {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${MONITORS_TABLE} ORDER BY name ASC;`);
+  return r.rows.map(toMonitor);
+}
+
+export async function getMonitor(id) {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${MONITORS_TABLE} WHERE id = $1;`, [id]);
+  return toMonitor(r.rows[0]);
+}
+
+export async function createMonitor(body, { createdBy = null } = {}) {
+  await requireTables();
+  const input = await readInput(body);
+  try {
+    const r = await pool.query(
+      `
+      INSERT INTO ${MONITORS_TABLE} (name, dataset, schema_version, criteria, schedule, webhooks, enabled, next_run_at, created_by)
+      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+      RETURNING *;
+      `,
+      [
+        input.name,
+        input.dataset ?? null,
+        CRITERIA_VERSION,
+        JSON.stringify(input.criteria),
+        input.schedule.expr,
+        JSON.stringify(input.webhooks),
+        input.enabled ?? true,
+        nextRunAfter(input.schedule),
+        createdBy,
+      ]
+    );
+    return toMonitor(r.rows[0]);
+  } catch (err) {
+    throw uniqueViolation(err);
+  }
+}
+
+/**
+ * Partial update. New criteria or another dataset start over from a fresh baseline: a diff against
+ * matches of other criteria would only be noise.
+ */
+export async function updateMonitor(id, body) {
+  const current = await getMonitor(id);
+  if (!current) return null;
+  const input = await readInput(body, { partial: true, current });
+  const rebaseline = input.criteria !== undefined || (input.dataset !== undefined && input.dataset !== current.dataset);
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const r = await client.query(
+      `
+      UPDATE ${MONITORS_TABLE}
+      SET name = COALESCE($2, name),
+          dataset = CASE WHEN $3 THEN $4 ELSE dataset END,
+          schema_version = $5,
+          criteria = COALESCE($6::jsonb, criteria),
+          schedule = COALESCE($7, schedule),
+          next_run_at = CASE WHEN $7 IS NULL THEN next_run_at ELSE $8 END,
+          webhooks = COALESCE($9::jsonb, webhooks),
+          enabled = COALESCE($10, enabled),
+          baseline_at = CASE WHEN $11 THEN NULL ELSE baseline_at END,
+          updated_at = now()
+      WHERE id = $1
+      RETURNING *;
+      `,
+      [
+        id,
+        input.name ?? null,
+        input.dataset !== undefined,
+        input.dataset ?? null,
+        CRITERIA_VERSION,
+        input.criteria ? JSON.stringify(input.criteria) : JSON.stringify(current.criteria),
+        input.schedule?.expr ?? null,
+        input.schedule ? nextRunAfter(input.schedule) : null,
+        input.webhooks ? JSON.stringify(input.webhooks) : null,
+        input.enabled ?? null,
+        rebaseline,
+      ]
+    );
+    if (rebaseline) await client.query(`DELETE FROM ${MONITOR_MATCHES_TABLE} WHERE monitor_id = $1;`, [id]);
+    await client.query('COMMIT');
+    return toMonitor(r.rows[0]);
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw uniqueViolation(err);
+  } finally {
+    client.release();
+  }
+}
+
+export async function deleteMonitor(id) {
+  await requireTables();
+  const r = await pool.query(`DELETE FROM ${MONITORS_TABLE} WHERE id = $1;`, [id]);
+  return r.rowCount > 0;
+}
+
+export async function listMonitorRuns(id, { limit = 50 } = {}) {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${MONITOR_RUNS_TABLE} WHERE monitor_id = $1 ORDER BY id DESC LIMIT $2;`, [
+    id,
+    limit,
+  ]);
+  return r.rows.map((row) => toRun(row, { withPayload: false }));
+}
+
+export async function getMonitorRun(id, runId) {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${MONITOR_RUNS_TABLE} WHERE monitor_id = $1 AND id = $2;`, [id, runId]);
+  return toRun(r.rows[0]);
+}
+
+/**
+ * Replaces the stored matches of a monitor with the current result set in one statement and
+ * returns the counts plus the first PAYLOAD_MAX_ITEMS added rows and removed domains.
+ */
+async function diffMatches(monitorId, query) {
+  const values = [...query.values];
+  const param = (v) => {
+    values.push(v);
+    return `$${values.length}`;
+  };
+  const cols = query.selectColumns.filter((c) => PAYLOAD_FIELDS.includes(c.key)).map((c) => c.sql);
+  // A single dataset has no origin column; its id stands in.
+  if (!query.selectColumns.some((c) => c.key === 'dataset')) cols.push(`${param(query.dataset)}::text AS dataset`);
+  const monitorParam = param(monitorId);
+  const limitParam = param(PAYLOAD_MAX_ITEMS);
+
+  const r = await pool.query(
+    `
+    WITH cur AS (
+      SELECT DISTINCT ON (r.dataset, r.domain::text) r.dataset, r.domain::text AS domain, to_jsonb(r) AS item
+      FROM (SELECT ${cols.join(', ')} FROM ${query.fromSql} ${query.whereSql}) r
+      WHERE r.domain IS NOT NULL
+      ORDER BY r.dataset, r.domain::text
+    ),
+    added AS (
+      INSERT INTO ${MONITOR_MATCHES_TABLE} (monitor_id, dataset, domain)
+      SELECT ${monitorParam}, dataset, domain FROM cur
+      ON CONFLICT DO NOTHING
+      RETURNING dataset, domain
+    ),
+    removed AS (
+      DELETE FROM ${MONITOR_MATCHES_TABLE} m
+      WHERE m.monitor_id = ${monitorParam}
+        AND NOT EXISTS (SELECT 1 FROM cur WHERE cur.dataset = m.dataset AND cur.domain = m.domain)
+      RETURNING m.dataset, m.domain, m.first_seen_at
+    )
+    SELECT
+      (SELECT COUNT(*) FROM cur)::int AS total,
+      (SELECT COUNT(*) FROM added)::int AS added_count,
+      (SELECT COUNT(*) FROM removed)::int AS removed_count,
+      (
+        SELECT COALESCE(jsonb_agg(x.item ORDER BY x.domain, x.dataset), '[]')
+        FROM (
+          SELECT cur.item, cur.domain, cur.dataset FROM added JOIN cur USING (dataset, domain)
+          ORDER BY cur.domain, cur.dataset
+          LIMIT ${limitParam}
+        ) x
+      ) AS added,
+      (
+        SELECT COALESCE(
+          jsonb_agg(jsonb_build_object('domain', y.domain, 'dataset', y.dataset, 'first_seen_at', y.first_seen_at) ORDER BY y.domain, y.dataset),
+          '[]'
+        )
+        FROM (SELECT * FROM removed ORDER BY domain, dataset LIMIT ${limitParam}) y
+      ) AS removed;
+    `,
+    values
+  );
+  const row = r.rows[0];
+  return { total: row.total, addedCount: row.added_count, removedCount: row.removed_count, added: row.added, removed: row.removed };
+}
+
+function signature(secret, body) {
+  return `sha256=${createHmac('sha256', secret).update(body).digest('hex')}`;
+}
+
+// POSTs the payload to every webhook; failures are recorded, not thrown. Redirects are not followed:
+// they could lead to an address the target check would refuse.
+async function deliver(webhooks, payload) {
+  const body = JSON.stringify(payload);
+  return Promise.all(
+    webhooks.map(async ({ url, secret }) => {
+      const headers = {
+        'Content-Type': 'application/json',
+        'User-Agent': 'domain-scout-monitor',
+        'X-Monitor-Event': payload.event,
+      };
+      if (secret) headers['X-Signature-256'] = signature(secret, body);
+      const startedAt = Date.now();
+      try {
+        await assertWebhookTarget(url);
+        const { res } = await fetchJsonWithRetry(
+          url,
+          { method: 'POST', headers, body, redirect: 'manual' },
+          { timeoutMs: WEBHOOK_TIMEOUT_MS, retries: WEBHOOK_RETRIES, backoffMs: WEBHOOK_BACKOFF_MS, service: 'webhook' }
+        );
+        const ok = res.status >= 200 && res.status < 300;
+        return { url, ok, status: res.status, error: ok ? null : `HTTP ${res.status}`, ms: Date.now() - startedAt };
+      } catch (err) {
+        return { url, ok: false, status: null, error: err?.message || String(err), ms: Date.now() - startedAt };
+      }
+    })
+  );
+}
+
+async function finishRun(runId, fields) {
+  const r = await pool.query(
+    `
+    UPDATE ${MONITOR_RUNS_TABLE}
+    SET status = $2, baseline = $3, total = $4, added = $5, removed = $6, payload = $7, deliveries = $8, error = $9,
+        finished_at = now()
+    WHERE id = $1
+    RETURNING *;
+    `,
+    [
+      runId,
+      fields.status,
+      fields.baseline ?? false,
+      fields.total ?? null,
+      fields.added ?? null,
+      fields.removed ?? null,
+      fields.payload ? JSON.stringify(fields.payload) : null,
+      JSON.stringify(fields.deliveries || []),
+      fields.error ?? null,
+    ]
+  );
+  return toRun(r.rows[0]);
+}
+
+async function executeRun(monitor, run) {
+  try {
+    const query = await buildSearchQuery(monitor.criteria, { dataset: monitor.dataset });
+    const { total } = await countSearch(query, 'exact');
+    if (total > MAX_MATCHES) {
+      throw httpError(400, `Criteria match ${total} domains, more than MONITOR_MAX_MATCHES (${MAX_MATCHES})`);
+    }
+    const diff = await diffMatches(monitor.id, query);
+    const baseline = !monitor.baselineAt;
+    await pool.query(
+      `UPDATE ${MONITORS_TABLE} SET last_run_at = now(), baseline_at = COALESCE(baseline_at, now()) WHERE id = $1;`,
+      [monitor.id]
+    );
+
+    let payload = null;
+    if (!baseline && (diff.addedCount || diff.removedCount)) {
+      payload = {
+        event: 'monitor.matches_changed',
+        monitor: { id: monitor.id, name: monitor.name, dataset: monitor.dataset, criteria: monitor.criteria },
+        run: { id: run.id, trigger: run.trigger, startedAt: run.startedAt },
+        total: diff.total,
+        addedCount: diff.addedCount,
+        removedCount: diff.removedCount,
+        added: diff.added,
+        removed: diff.removed,
+        truncated: diff.added.length < diff.addedCount || diff.removed.length < diff.removedCount,
+      };
+    }
+    const webhooks = payload ? await monitorWebhooks(monitor.id) : [];
+    const deliveries = webhooks.length ? await deliver(webhooks, payload) : [];
+    return await finishRun(run.id, {
+      status: 'completed',
+      baseline,
+      total: diff.total,
+      added: diff.addedCount,
+      removed: diff.removedCount,
+      payload,
+      deliveries,
+    });
+  } catch (err) {
+    if (!err.status || err.status >= 500) log.warn('Monitor run failed', { monitorId: monitor.id, err });
+    return finishRun(run.id, { status: 'failed', error: err?.message || String(err) }).catch(() => null);
+  } finally {
+    await pool
+      .query(
+        `DELETE FROM ${MONITOR_RUNS_TABLE} WHERE monitor_id = $1 AND id <= (
+          SELECT id FROM ${MONITOR_RUNS_TABLE} WHERE monitor_id = $1 ORDER BY id DESC OFFSET $2 LIMIT 1
+        );`,
+        [monitor.id, RUNS_KEPT]
+      )
+      .catch(() => {});
+  }
+}
+
+// Webhooks with their secrets, as only the server sees them.
+async function monitorWebhooks(id) {
+  const r = await pool.query(`SELECT webhooks FROM ${MONITORS_TABLE} WHERE id = $1;`, [id]);
+  return r.rows[0]?.webhooks || [];
+}
+
+/**
+ * Starts a run of the monitor; resolves to the run as logged at its start, with `done` resolving
+ * to the finished run. A monitor runs once at a time per process (409 while busy).
+ */
+async function startRun(monitor, trigger) {
+  if (running.has(monitor.id)) throw httpError(409, 'Monitor is already running');
+  let release;
+  running.set(monitor.id, new Promise((r) => (release = r)));
+  try {
+    const r = await pool.query(`INSERT INTO ${MONITOR_RUNS_TABLE} (monitor_id, trigger) VALUES ($1, $2) RETURNING *;`, [
+      monitor.id,
+      trigger,
+    ]);
+    const run = toRun(r.rows[0]);
+    const heartbeat = setInterval(() => {
+      pool.query(`UPDATE ${MONITOR_RUNS_TABLE} SET heartbeat_at = now() WHERE id = $1;`, [run.id]).catch(() => {});
+    }, RUN_HEARTBEAT_MS).unref();
+    const done = executeRun(monitor, run).finally(() => {
+      clearInterval(heartbeat);
+      running.delete(monitor.id);
+      release();
+    });
+    return { run, done };
+  } catch (err) {
+    running.delete(monitor.id);
+    release();
+    throw err;
+  }
+}
+
+export async function runMonitorNow(id) {
+  const monitor = await getMonitor(id);
+  if (!monitor) return null;
+  const { run } = await startRun(monitor, 'manual');
+  return run;
+}
+
+// Sends a logged run's payload again, e.g. after the receiver was down; the run keeps the new results.
+export async function redeliverRun(id, runId) {
+  const run = await getMonitorRun(id, runId);
+  if (!run) return null;
+  if (!run.payload) throw httpError(400, 'This run had no changes to deliver');
+  const webhooks = await monitorWebhooks(id);
+  if (!webhooks.length) throw httpError(400, 'The monitor has no webhooks');
+  const deliveries = await deliver(webhooks, { ...run.payload, redelivery: true });
+  const r = await pool.query(`UPDATE ${MONITOR_RUNS_TABLE} SET deliveries = $2 WHERE id = $1 RETURNING *;`, [
+    runId,
+    JSON.stringify(deliveries),
+  ]);
+  return toRun(r.rows[0]);
+}
+
+/**
+ * Runs the enabled monitors whose time has come, one after another. Each is claimed by moving its
+ * next_run_at forward first, so several server processes never run the same slot; runs missed
+ * while the server was down happen once, at the next tick.
+ */
+async function runDueMonitors() {
+  if (ticking || !(await ensureMonitorTables())) return;
+  ticking = true;
+  try {
+    await failInterruptedRuns();
+    const r = await pool.query(
+      `
+      SELECT *, next_run_at::text AS next_run_key
+      FROM ${MONITORS_TABLE}
+      WHERE enabled AND next_run_at <= now()
+      ORDER BY next_run_at ASC
+      LIMIT 50;
+      `
+    );
+    for (const row of r.rows) {
+      const monitor = toMonitor(row);
+      if (running.has(monitor.id)) continue;
+      let next = null;
+      try {
+        next = nextRunAfter(parseSchedule(row.schedule));
+      } catch {
+        // A schedule that no longer parses stops the monitor until it is fixed.
+      }
+      // Compared as text: a JS Date would drop the microseconds.
+      const claim = await pool.query(
+        `UPDATE ${MONITORS_TABLE} SET next_run_at = $3 WHERE id = $1 AND next_run_at = $2::timestamptz;`,
+        [monitor.id, row.next_run_key, next]
+      );
+      if (!claim.rowCount) continue;
+      const { done } = await startRun(monitor, 'schedule');
+      await done;
+    }
+  } catch (err) {
+    log.warn('Monitor scheduler pass failed', { err });
+  } finally {
+    ticking = false;
+  }
+}
+
+/**
+ * Fails the runs whose process died mid-run: their heartbeat stopped. Runs of other live server
+ * processes keep beating and are left alone.
+ */
+export async function failInterruptedRuns() {
+  if (!(await ensureMonitorTables())) return;
+  await pool.query(
+    `
+    UPDATE ${MONITOR_RUNS_TABLE}
+    SET status = 'failed', error = 'Interrupted: the server running it stopped', finished_at = now()
+    WHERE status = 'running' AND heartbeat_at < now() - $1::int * INTERVAL '1 millisecond';
+    `,
+    [RUN_STALE_MS]
+  );
+}
+
+// Checks for due monitors every MONITOR_TICK_SECONDS; 0 turns scheduled runs off (manual runs still work).
+export function startMonitorScheduler() {
+  failInterruptedRuns()
+    .catch((err) => log.warn('Could not check monitor runs', { err }))
+    .then(() => {
+      if (TICK_SECONDS > 0) setInterval(runDueMonitors, TICK_SECONDS * 1000).unref();
+    });
+}
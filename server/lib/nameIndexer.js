@@ -0,0 +1,144 @@
+import Cursor from 'pg-cursor';
+import { listDatasets } from './datasets.js';
+import { pool, quoteIdent } from './db.js';
+import { hasDomainIndex } from './indexAdvisor.js';
+import { FEATURES_VERSION, NAME_FEATURES_TABLE, computeNameFeatures, ensureNameFeatureTables } from './scoring.js';
+import { buildSearchQuery } from './search.js';
+import { clearCountCache } from './searchCount.js';
+import { log } from './logger.js';
+import { clampInt, httpError } from './util.js';
+
+const BATCH_SIZE = 2000;
+const INTERVAL_MINUTES = clampInt(process.env.SCORE_INDEX_INTERVAL_MINUTES, 0, 7 * 24 * 60, 60);
+
+let running = null;
+let lastRun = null;
+let skipLogged = false;
+
+async function upsertFeatures(rows) {
+  await pool.query(
+    `
+    INSERT INTO ${NAME_FEATURES_TABLE} (
+      domain, label, label_length, digit_count, hyphen_count, words, dictionary_coverage, tld_rank,
+      length_score, digits_score, hyphens_score, pronounceability, dictionary_score, tld_score, version, computed_at
+    )
+    SELECT
+      x.domain, x.label, x."labelLength", x."digitCount", x."hyphenCount", x.words, x."dictionaryCoverage", x."tldRank",
+      x."lengthScore", x."digitsScore", x."hyphensScore", x.pronounceability, x."dictionaryScore", x."tldScore", $2, now()
+    FROM jsonb_to_recordset($1::jsonb) AS x(
+      domain text, label text, "labelLength" int, "digitCount" int, "hyphenCount" int, words text[],
+      "dictionaryCoverage" real, "tldRank" int, "lengthScore" real, "digitsScore" real, "hyphensScore" real,
+      pronounceability real, "dictionaryScore" real, "tldScore" real
+    )
+    ON CONFLICT (domain) DO UPDATE SET
+      label = EXCLUDED.label,
+      label_length = EXCLUDED.label_length,
+      digit_count = EXCLUDED.digit_count,
+      hyphen_count = EXCLUDED.hyphen_count,
+      words = EXCLUDED.words,
+      dictionary_coverage = EXCLUDED.dictionary_coverage,
+      tld_rank = EXCLUDED.tld_rank,
+      length_score = EXCLUDED.length_score,
+      digits_score = EXCLUDED.digits_score,
+      hyphens_score = EXCLUDED.hyphens_score,
+      pronounceability = EXCLUDED.pronounceability,
+      dictionary_score = EXCLUDED.dictionary_score,
+      tld_score = EXCLUDED.tld_score,
+      version = EXCLUDED.version,
+      computed_at = EXCLUDED.computed_at;
+    `,
+    [JSON.stringify(rows), FEATURES_VERSION]
+  );
+}
+
+/**
+ * One table in a single pass: a cursor over the distinct names that have no features yet (or
+ * features of an older FEATURES_VERSION), upserted a batch at a time. The anti-join reads the
+ * table and domain_name_features once each, whatever their size; returns how many names it stored.
+ */
+async function indexTable(meta, domainColumn) {
+  const col = `${meta.tableSql}.${quoteIdent(domainColumn)}`;
+  const client = await pool.connect();
+  const cursor = client.query(
+    new Cursor(
+      `
+      SELECT d.domain
+      FROM (SELECT DISTINCT LOWER(${col}) AS domain FROM ${meta.tableSql} WHERE ${col} IS NOT NULL) d
+      LEFT JOIN ${NAME_FEATURES_TABLE} nf ON nf.domain = d.domain
+      WHERE nf.domain IS NULL OR nf.version <> $1;
+      `,
+      [FEATURES_VERSION]
+    )
+  );
+  let updated = 0;
+  try {
+    for (let rows = await cursor.read(BATCH_SIZE); rows.length; rows = await cursor.read(BATCH_SIZE)) {
+      await upsertFeatures(rows.map((x) => computeNameFeatures(x.domain)));
+      updated += rows.length;
+    }
+  } finally {
+    await cursor.close().catch(() => {});
+    client.release();
+  }
+  return { updated };
+}
+
+/**
+ * Stores features for the names of every dataset table that have none yet (or were computed by an
+ * older FEATURES_VERSION). With `indexedOnly` (the automatic passes) tables without a lower(domain)
+ * index are left out and listed in `skipped`: on large unindexed tables a pass is better started
+ * by hand. One pass at a time per process.
+ */
+export function refreshNameFeatures({ indexedOnly = false } = {}) {
+  if (running) return running;
+  running = (async () => {
+    if (!(await ensureNameFeatureTables())) throw httpError(503, 'Name scoring is unavailable (database not ready)');
+    const startedAt = new Date();
+    let updated = 0;
+    const tables = new Set();
+    const skipped = [];
+
+    for (const dataset of listDatasets()) {
+      const { meta, domainColumn } = await buildSearchQuery({}, { dataset: dataset.id });
+      if (tables.has(meta.tableSql)) continue;
+      tables.add(meta.tableSql);
+      if (indexedOnly && !(await hasDomainIndex(meta))) {
+        skipped.push(`${meta.tableRef.schema}.${meta.tableRef.table}`);
+        continue;
+      }
+      updated += (await indexTable(meta, domainColumn)).updated;
+    }
+
+    if (updated) clearCountCache(NAME_FEATURES_TABLE);
+    lastRun = { startedAt, finishedAt: new Date(), updated, skipped };
+    return lastRun;
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+export async function nameFeatureStats() {
+  const ready = await ensureNameFeatureTables();
+  if (!ready) return { ready, indexed: 0, running: !!running, lastRun };
+  const r = await pool.query(`SELECT COUNT(*)::bigint AS n FROM ${NAME_FEATURES_TABLE} WHERE version = $1;`, [
+    FEATURES_VERSION,
+  ]);
+  return { ready, indexed: Number(r.rows?.[0]?.n || 0), running: !!running, lastRun };
+}
+
+// First pass right away (new installs get scores without a manual step), then every interval; 0 disables the timer.
+// Both only cover tables with a lower(domain) index.
+export function startNameFeatureIndexer() {
+  const run = () =>
+    refreshNameFeatures({ indexedOnly: true })
+      .then(({ skipped }) => {
+        if (skipped.length && !skipLogged) {
+          skipLogged = true;
+          log.info('Name scoring skipped tables without a lower(domain) index', { tables: skipped });
+        }
+      })
+      .catch((err) => log.warn('Name scoring pass failed', { err }));
+  run();
+  if (INTERVAL_MINUTES > 0) setInterval(run, INTERVAL_MINUTES * 60_000).unref();
+}
@@ -0,0 +1,105 @@
+import { splitList } from '../util.js';
+import { resolverFor } from './resolver.js';
+
+/**
+ * Live registration state from public DNS. A name the registry answers NXDOMAIN for has no
+ * delegation and is most likely free to register; a delegated name is registered, and its
+ * nameservers tell parking pages apart from sites in use. DNS alone cannot see registered
+ * names without nameservers (clientHold, redemption), hence "likely".
+ */
+export const AVAILABILITY_STATES = ['likely_available', 'registered_resolving', 'registered_parked', 'unknown'];
+
+// Nameserver host suffixes of the common parking and aftermarket services.
+const BUILTIN_PARKING_NS = [
+  'above.com',
+  'afternic.com',
+  'bodis.com',
+  'cashparking.com',
+  'dan.com',
+  'dnspod-parking.com',
+  'dsredirection.com',
+  'fabulous.com',
+  'hugedomains.com',
+  'parkingcrew.net',
+  'parklogic.com',
+  'parkpage.foundationapi.com',
+  'rookdns.com',
+  'sav.com',
+  'sedoparking.com',
+  'smartname.com',
+  'undeveloped.com',
+  'uniregistrymarket.link',
+];
+
+// CHECK_AVAILABILITY_PARKING_NS adds suffixes to the built-in list.
+const PARKING_NS = [...BUILTIN_PARKING_NS, ...splitList(process.env.CHECK_AVAILABILITY_PARKING_NS).map((s) => s.toLowerCase())];
+
+function parkingService(nameservers) {
+  for (const ns of nameservers) {
+    const host = ns.toLowerCase().replace(/\.$/, '');
+    const hit = PARKING_NS.find((s) => host === s || host.endsWith(`.${s}`));
+    if (hit) return hit;
+  }
+  return null;
+}
+
+const NO_NAME = new Set(['ENOTFOUND']);
+const NO_DATA = new Set(['ENODATA']);
+
+async function lookup(promise) {
+  try {
+    return { answers: await promise };
+  } catch (err) {
+    return { code: err.code || err.message };
+  }
+}
+
+// TLD zones the resolver has been seen to answer for; filled on first use.
+const resolvableTlds = new Set();
+
+// A resolver that answers NXDOMAIN for everything (captive networks, broken setups) would make
+// every name look free, so a missing name only counts if the TLD itself resolves.
+async function tldResolves(resolver, domain) {
+  const tld = domain.split('.').pop();
+  if (resolvableTlds.has(tld)) return true;
+  const soa = await lookup(resolver.resolveSoa(tld));
+  if (!soa.answers) return false;
+  resolvableTlds.add(tld);
+  return true;
+}
+
+export const dnsAvailability = {
+  id: 'availability',
+  label: 'DNS availability',
+  kind: 'availability',
+  defaultTimeoutMs: 8_000,
+  async check(domain, config) {
+    const resolver = resolverFor(config);
+    const [ns, soa, a] = await Promise.all([
+      lookup(resolver.resolveNs(domain)),
+      lookup(resolver.resolveSoa(domain)),
+      lookup(resolver.resolve4(domain)),
+    ]);
+
+    const nameservers = ns.answers || [];
+    const addresses = a.answers || [];
+    const base = { supported: true, source: 'dns', nameservers, addresses };
+
+    if (nameservers.length) {
+      const parkedBy = parkingService(nameservers);
+      if (parkedBy) return { ...base, status: 'registered_parked', parkedBy };
+      return { ...base, status: 'registered_resolving' };
+    }
+    // SOA or an address without NS at the name still means the name exists in DNS.
+    if (soa.answers || addresses.length) return { ...base, status: 'registered_resolving' };
+    if (NO_NAME.has(ns.code) && NO_NAME.has(soa.code)) {
+      if (await tldResolves(resolver, domain)) return { ...base, status: 'likely_available' };
+      return { ...base, status: 'unknown', error: `The resolver does not answer for .${domain.split('.').pop()}` };
+    }
+
+    // SERVFAIL, timeouts, refused: no verdict, and worth retrying.
+    const failure = [ns.code, soa.code].find((c) => c && !NO_NAME.has(c) && !NO_DATA.has(c));
+    if (failure) return { ...base, status: 'unknown', error: `DNS lookup failed: ${failure}` };
+    return { ...base, status: 'unknown' };
+  },
+};
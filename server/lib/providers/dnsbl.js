@@ -0,0 +1,85 @@
+import { resolverFor } from './resolver.js';
+
+/**
+ * DNS blocklists: `<domain>.<zone>` resolves to a 127.0.0.0/8 address when listed and to
+ * NXDOMAIN when not. Each list also has "refused" answers (open resolver, rate limit, ...)
+ * that are configuration problems rather than verdicts.
+ */
+export function createDnsblProvider({ id, label, zone, refused = {}, decode = () => [] }) {
+  return {
+    id,
+    label,
+    kind: 'blocklist',
+    zone,
+    sharedResolversEnv: 'DNSBL_RESOLVERS',
+    defaultTimeoutMs: 5_000,
+    async check(domain, config) {
+      const z = config.zone || zone;
+      let answers;
+      try {
+        answers = await resolverFor(config).resolve4(`${domain}.${z}`);
+      } catch (err) {
+        if (err.code === 'ENOTFOUND' || err.code === 'ENODATA') return { supported: true, source: id, zone: z, listed: false };
+        return { supported: true, source: id, zone: z, error: `DNS lookup failed: ${err.code || err.message}` };
+      }
+
+      const refusal = answers.map((a) => refused[a]).find(Boolean);
+      if (refusal) return { supported: false, source: id, zone: z, error: `${label}: ${refusal} (${answers.join(', ')})` };
+
+      const codes = answers.filter((a) => a.startsWith('127.'));
+      if (!codes.length) return { supported: true, source: id, zone: z, error: `Unexpected answer: ${answers.join(', ')}` };
+      return { supported: true, source: id, zone: z, listed: true, codes, reasons: [...new Set(codes.flatMap(decode))] };
+    },
+  };
+}
+
+function lastOctet(ip) {
+  return Number(String(ip).split('.').pop()) || 0;
+}
+
+function bitReasons(bits) {
+  return (ip) =>
+    Object.entries(bits)
+      .filter(([bit]) => lastOctet(ip) & Number(bit))
+      .map(([, reason]) => reason);
+}
+
+const SPAMHAUS_DBL_CODES = {
+  '127.0.1.2': 'spam',
+  '127.0.1.4': 'phishing',
+  '127.0.1.5': 'malware',
+  '127.0.1.6': 'botnet C&C',
+  '127.0.1.102': 'abused legit spam',
+  '127.0.1.103': 'abused spammed redirector',
+  '127.0.1.104': 'abused legit phishing',
+  '127.0.1.105': 'abused legit malware',
+  '127.0.1.106': 'abused legit botnet C&C',
+};
+
+export const spamhausDbl = createDnsblProvider({
+  id: 'spamhaus_dbl',
+  label: 'Spamhaus DBL',
+  zone: 'dbl.spamhaus.org',
+  refused: {
+    '127.255.255.252': 'typing error in the DNSBL name',
+    '127.255.255.254': 'queries through public/open resolvers are refused; set a resolver or a DQS zone',
+    '127.255.255.255': 'excessive number of queries',
+  },
+  decode: (ip) => [SPAMHAUS_DBL_CODES[ip] || 'listed'],
+});
+
+export const surbl = createDnsblProvider({
+  id: 'surbl',
+  label: 'SURBL',
+  zone: 'multi.surbl.org',
+  refused: { '127.0.0.1': 'access blocked for this resolver' },
+  decode: bitReasons({ 8: 'phishing', 16: 'malware', 64: 'abuse', 128: 'cracked' }),
+});
+
+export const uribl = createDnsblProvider({
+  id: 'uribl',
+  label: 'URIBL',
+  zone: 'multi.uribl.com',
+  refused: { '127.0.0.1': 'query refused (public resolver or volume limit)' },
+  decode: bitReasons({ 2: 'black', 4: 'grey', 8: 'red' }),
+});
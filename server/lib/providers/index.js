@@ -0,0 +1,103 @@
+import { log } from '../logger.js';
+import { counter, histogram } from '../metrics.js';
+import { clampInt, normalizeString, splitList, withTimeout } from '../util.js';
+import { dnsAvailability } from './dnsAvailability.js';
+import { spamhausDbl, surbl, uribl } from './dnsbl.js';
+import { spamhausIntel } from './spamhausIntel.js';
+import { wayback } from './wayback.js';
+
+/**
+ * Check provider registry. A provider is `{ id, label, kind, defaultTimeoutMs, check(domain, config) }`;
+ * `check` resolves to a result object (never throws for expected failures) with `supported`,
+ * `error` and, for kind "blocklist", `listed` (for kind "availability", `status`). Results are
+ * keyed by provider id everywhere. Billed providers set `paid: true` and may report through
+ * `configured()` whether they would send anything at all.
+ *
+ * Per-provider settings come from the environment: CHECK_<ID>_TIMEOUT_MS, and for DNS lists
+ * CHECK_<ID>_ZONE and CHECK_<ID>_RESOLVERS (blocklists fall back to DNSBL_RESOLVERS).
+ */
+const ALL_PROVIDERS = [spamhausIntel, wayback, spamhausDbl, surbl, uribl, dnsAvailability];
+
+function providerConfig(p) {
+  const env = (key) => process.env[`CHECK_${p.id.toUpperCase()}_${key}`];
+  return {
+    timeoutMs: clampInt(env('TIMEOUT_MS'), 100, 300_000, p.defaultTimeoutMs),
+    zone: normalizeString(env('ZONE')) || p.zone || null,
+    resolvers: splitList(env('RESOLVERS') ?? (p.sharedResolversEnv ? process.env[p.sharedResolversEnv] : null)),
+  };
+}
+
+// CHECK_PROVIDERS lists the enabled providers (default: all) in the order they are reported.
+const enabledIds = splitList(process.env.CHECK_PROVIDERS ?? ALL_PROVIDERS.map((p) => p.id).join(','));
+for (const id of enabledIds) {
+  if (!ALL_PROVIDERS.some((p) => p.id === id)) log.warn('Unknown check provider in CHECK_PROVIDERS', { provider: id });
+}
+
+const registry = new Map(
+  ALL_PROVIDERS.map((p) => [p.id, { provider: p, config: providerConfig(p), enabled: enabledIds.includes(p.id) }])
+);
+
+export function enabledProviderIds() {
+  return enabledIds.filter((id) => registry.has(id));
+}
+
+export function listProviders() {
+  return [...registry.values()].map(({ provider, config, enabled }) => ({
+    id: provider.id,
+    label: provider.label,
+    kind: provider.kind,
+    enabled,
+    timeoutMs: config.timeoutMs,
+    ...(config.zone ? { zone: config.zone } : {}),
+  }));
+}
+
+// Enabled providers whose lookups cost money (and so count against the user's quota).
+export function paidProviderIds(ids = enabledProviderIds()) {
+  return ids.filter((id) => {
+    const { provider } = registry.get(id);
+    return provider.paid && (!provider.configured || provider.configured());
+  });
+}
+
+// Errors worth retrying; "not configured" style results carry supported: false instead. Paid
+// lookups skipped for an exhausted quota are transient too: they will run once it resets.
+export function isTransientError(result) {
+  if (result?.skipped === 'quota') return true;
+  return !!result?.error && result.supported !== false;
+}
+
+const providerChecks = counter(
+  'provider_checks_total',
+  'Provider checks by outcome (ok, error, timeout, unsupported).',
+  ['provider', 'outcome']
+);
+const providerDuration = histogram('provider_check_duration_seconds', 'Duration of provider checks in seconds.', [
+  'provider',
+]);
+
+// Timeouts show up as errors of the result too (DNS ETIMEOUT, fetch_timeout of a provider's own request).
+function checkOutcome(result) {
+  if (result.supported === false) return 'unsupported';
+  if (!result.error) return 'ok';
+  return /time(d)?\s*out/i.test(result.error) ? 'timeout' : 'error';
+}
+
+export async function runProviders(domain, ids = enabledProviderIds()) {
+  const entries = await Promise.all(
+    ids.map(async (id) => {
+      const { provider, config } = registry.get(id);
+      const endTimer = providerDuration.startTimer({ provider: id });
+      let result;
+      try {
+        result = await withTimeout(provider.check(domain, config), config.timeoutMs, `Timed out after ${config.timeoutMs} ms`);
+      } catch (err) {
+        result = { supported: true, error: err?.message || String(err) };
+      }
+      endTimer();
+      providerChecks.inc({ provider: id, outcome: checkOutcome(result) });
+      return [id, result];
+    })
+  );
+  return Object.fromEntries(entries);
+}
@@ -0,0 +1,14 @@
+import { Resolver } from 'node:dns/promises';
+
+const resolvers = new WeakMap(); // provider config -> Resolver
+
+// One resolver per provider config, honouring its timeout and custom DNS servers.
+export function resolverFor(config) {
+  let resolver = resolvers.get(config);
+  if (!resolver) {
+    resolver = new Resolver({ timeout: config.timeoutMs, tries: 2 });
+    if (config.resolvers?.length) resolver.setServers(config.resolvers);
+    resolvers.set(config, resolver);
+  }
+  return resolver;
+}
@@ -0,0 +1,92 @@
+import { fetchJsonWithRetry } from '../util.js';
+
+let spamhausIntelAuth = null; // { token, expiresAtMs }
+
+function directToken() {
+  return process.env.SPAMHAUS_INTEL_API_KEY || process.env.SPAMHAUS_API_KEY || process.env.SPAMHAUS_INTEL_TOKEN || null;
+}
+
+function hasCredentials() {
+  return !!(directToken() || (process.env.SPAMHAUS_INTEL_USERNAME && process.env.SPAMHAUS_INTEL_PASSWORD));
+}
+
+async function getSpamhausIntelToken() {
+  const direct = directToken();
+  if (direct) return { token: direct, source: 'api_key' };
+
+  const username = process.env.SPAMHAUS_INTEL_USERNAME || null;
+  const password = process.env.SPAMHAUS_INTEL_PASSWORD || null;
+  if (!username || !password) return { token: null, source: 'missing' };
+
+  // Cached token
+  if (spamhausIntelAuth?.token && spamhausIntelAuth.expiresAtMs && Date.now() < spamhausIntelAuth.expiresAtMs - 60_000) {
+    return { token: spamhausIntelAuth.token, source: 'login_cached' };
+  }
+
+  const base = (process.env.SPAMHAUS_INTEL_BASE_URL || 'https://api.spamhaus.com').replace(/\/+$/, '');
+  const url = `${base}/api/v1/login`;
+  const { res, json, text } = await fetchJsonWithRetry(
+    url,
+    {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({ username, password, realm: 'intel' }),
+    },
+    { timeoutMs: 12_000, retries: 1, service: 'spamhaus_intel_login' }
+  );
+
+  if (!res.ok) throw new Error(`Spamhaus login failed: HTTP ${res.status} ${(text || '').slice(0, 200)}`);
+  const token = json?.token || null;
+  const expiresUnix = Number(json?.expires || 0);
+  if (!token) throw new Error('Spamhaus login failed: no token in response');
+  spamhausIntelAuth = {
+    token,
+    expiresAtMs: expiresUnix ? expiresUnix * 1000 : Date.now() + 23 * 60 * 60 * 1000,
+  };
+  return { token, source: 'login' };
+}
+
+export const spamhausIntel = {
+  id: 'spamhaus',
+  label: 'Spamhaus Intel API',
+  kind: 'blocklist',
+  defaultTimeoutMs: 30_000,
+  // Lookups are billed; without credentials nothing is sent, so nothing counts against quotas.
+  paid: true,
+  configured: hasCredentials,
+  async check(domain) {
+    // Requirement: Spamhaus Intel API lookup.
+    const base = (process.env.SPAMHAUS_INTEL_BASE_URL || 'https://api.spamhaus.com').replace(/\/+$/, '');
+    const { token, source } = await getSpamhausIntelToken();
+    if (!token) {
+      return {
+        supported: false,
+        source: 'spamhaus_intel',
+        error:
+          source === 'missing'
+            ? 'Missing Spamhaus Intel credentials (set SPAMHAUS_INTEL_API_KEY or SPAMHAUS_INTEL_USERNAME/PASSWORD)'
+            : 'Missing Spamhaus Intel token',
+      };
+    }
+
+    const url = `${base}/api/intel/v2/byobject/domain/${encodeURIComponent(domain)}`;
+    try {
+      const { res, json, text } = await fetchJsonWithRetry(
+        url,
+        { headers: { Authorization: `Bearer ${token}`, Accept: 'application/json' } },
+        { timeoutMs: 12_000, retries: 1, service: 'spamhaus_intel' }
+      );
+
+      if (res.status === 404) return { supported: true, source: 'spamhaus_intel', listed: false };
+      if (res.status === 200) return { supported: true, source: 'spamhaus_intel', listed: true, raw: json ?? text };
+      if (res.status === 401 || res.status === 403) {
+        // invalidate cached login token
+        spamhausIntelAuth = null;
+        return { supported: true, source: 'spamhaus_intel', error: `Auth failed (HTTP ${res.status})` };
+      }
+      return { supported: true, source: 'spamhaus_intel', error: `HTTP ${res.status} ${(text || '').slice(0, 300)}` };
+    } catch (err) {
+      return { supported: true, source: 'spamhaus_intel', error: err?.message || String(err) };
+    }
+  },
+};
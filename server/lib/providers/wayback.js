@@ -0,0 +1,51 @@
+import { fetchJsonWithRetry } from '../util.js';
+
+export const wayback = {
+  id: 'wayback',
+  label: 'Wayback Machine',
+  kind: 'archive',
+  defaultTimeoutMs: 30_000,
+  async check(domain) {
+    // Wayback Machine: availability check (fast) + CDX count (slower but gives numbers).
+    const link = `https://web.archive.org/web/*/${encodeURIComponent(domain)}`;
+    try {
+      // Run both in parallel: availability (fast ~2s) + CDX count (~10-15s)
+      const availPromise = fetchJsonWithRetry(
+        `https://archive.org/wayback/available?url=http://${encodeURIComponent(domain)}`,
+        { headers: { Accept: 'application/json' } },
+        { timeoutMs: 8_000, retries: 1, service: 'wayback_available' }
+      ).catch(() => null);
+
+      const cdxPromise = fetchJsonWithRetry(
+        `https://web.archive.org/cdx/search/cdx?url=${encodeURIComponent(domain)}&matchType=exact&output=json&fl=timestamp&limit=10000`,
+        { headers: { Accept: 'application/json' } },
+        { timeoutMs: 25_000, retries: 0, service: 'wayback_cdx' }
+      ).catch(() => null);
+
+      const [availResult, cdxResult] = await Promise.all([availPromise, cdxPromise]);
+
+      // Parse availability
+      const closest = availResult?.res?.ok ? availResult.json?.archived_snapshots?.closest : null;
+      const hasSnapshots = !!closest?.available;
+      const lastSnapshot = closest?.timestamp
+        ? `${closest.timestamp.slice(0, 4)}-${closest.timestamp.slice(4, 6)}-${closest.timestamp.slice(6, 8)}`
+        : null;
+
+      // Both lookups failed: report it instead of storing an empty verdict
+      if (!availResult && !cdxResult) return { supported: true, error: 'Wayback Machine unavailable', link };
+
+      // Parse CDX count
+      let snapshots = null;
+      if (cdxResult?.res?.ok && Array.isArray(cdxResult.json) && cdxResult.json.length > 0) {
+        snapshots = cdxResult.json.length - 1; // first row is header ["timestamp"]
+        if (snapshots >= 9999) snapshots = '10000+';
+      } else if (cdxResult?.res?.ok && !String(cdxResult.text || '').trim()) {
+        snapshots = 0; // CDX answers with an empty body when nothing was captured
+      }
+
+      return { supported: true, hasSnapshots, snapshots, lastSnapshot, link };
+    } catch (err) {
+      return { supported: true, error: err?.message || String(err), link };
+    }
+  },
+};
@@ -0,0 +1,343 @@
+import { readFile } from 'node:fs/promises';
+import { appTable, lazySchema, pool, quoteIdent } from './db.js';
+import { getDatasetTableMetas } from './datasets.js';
+import { hasDomainIndex } from './indexAdvisor.js';
+import { getFieldColumns } from './schema.js';
+import { log } from './logger.js';
+import { clearCountCache } from './searchCount.js';
+import { clampInt, fetchJsonWithRetry, httpError, mapWithConcurrency, normalizeString } from './util.js';
+
+/**
+ * RDAP (RFC 9082/9083) registration data: the TLD's server comes from the IANA bootstrap
+ * registry, the answer is reduced to dates, status codes, registrar and nameservers, stored per
+ * domain and optionally written back to the imported registrar/date columns.
+ */
+
+export const RDAP_TABLE = appTable('domain_rdap');
+
+const BUNDLED_BOOTSTRAP = new URL('../data/rdap-bootstrap.json', import.meta.url);
+const BOOTSTRAP_URL = normalizeString(process.env.RDAP_BOOTSTRAP_URL) ?? 'https://data.iana.org/rdap/dns.json';
+const BOOTSTRAP_FILE = normalizeString(process.env.RDAP_BOOTSTRAP_FILE);
+const BOOTSTRAP_TTL_MS = 24 * 60 * 60 * 1000;
+
+const TIMEOUT_MS = clampInt(process.env.RDAP_TIMEOUT_MS, 1000, 120_000, 10_000);
+const RDAP_TTL_MS = (Number(process.env.RDAP_TTL_HOURS ?? 24) || 0) * 60 * 60 * 1000;
+const CONCURRENCY = clampInt(process.env.RDAP_CONCURRENCY, 1, 16, 2);
+export const RDAP_BATCH_MAX = clampInt(process.env.RDAP_BATCH_MAX, 1, 10_000, 200);
+const WRITE_BACK_DEFAULT = /^(1|true|yes|on)$/i.test(String(process.env.RDAP_WRITE_BACK ?? '0'));
+
+export const ensureRdapTables = lazySchema('RDAP', [
+  `
+  CREATE TABLE IF NOT EXISTS ${RDAP_TABLE} (
+    domain text PRIMARY KEY,
+    found boolean NOT NULL,
+    server text,
+    registrar text,
+    registrar_iana_id text,
+    statuses text[] NOT NULL DEFAULT '{}',
+    nameservers text[] NOT NULL DEFAULT '{}',
+    registered_at timestamptz,
+    expires_at timestamptz,
+    changed_at timestamptz,
+    fetched_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+]);
+
+// RDAP_SERVERS pins servers without a bootstrap: "com=http://127.0.0.1:8080/,net=...".
+function parseServerOverrides(input) {
+  const out = new Map();
+  for (const part of String(input || '').split(',')) {
+    const i = part.indexOf('=');
+    if (i < 1) continue;
+    out.set(part.slice(0, i).trim().toLowerCase(), part.slice(i + 1).trim());
+  }
+  return out;
+}
+const SERVER_OVERRIDES = parseServerOverrides(process.env.RDAP_SERVERS);
+
+let bootstrap = null; // { source, loadedAt, expiresAt, servers: Map<tld, url> }
+
+function indexBootstrap(json, source) {
+  const servers = new Map();
+  for (const [tlds, urls] of json?.services || []) {
+    // Prefer https when a service lists several base URLs.
+    const url = (urls || []).find((u) => u.startsWith('https:')) || urls?.[0];
+    if (!url) continue;
+    for (const tld of tlds || []) servers.set(String(tld).toLowerCase(), url);
+  }
+  if (!servers.size) throw new Error(`RDAP bootstrap from ${source} lists no services`);
+  return { source, loadedAt: Date.now(), expiresAt: Date.now() + BOOTSTRAP_TTL_MS, servers };
+}
+
+async function readBootstrapFile(url) {
+  return indexBootstrap(JSON.parse(await readFile(url, 'utf8')), String(url));
+}
+
+/**
+ * RDAP_BOOTSTRAP_FILE wins; otherwise the IANA registry (refreshed daily), with the bundled
+ * copy as the fallback when it cannot be fetched.
+ */
+async function loadBootstrap() {
+  if (bootstrap && Date.now() < bootstrap.expiresAt) return bootstrap;
+  if (BOOTSTRAP_FILE) {
+    bootstrap = await readBootstrapFile(BOOTSTRAP_FILE);
+    return bootstrap;
+  }
+  try {
+    const { res, json } = await fetchJsonWithRetry(
+      BOOTSTRAP_URL,
+      {},
+      { timeoutMs: TIMEOUT_MS, retries: 1, service: 'rdap_bootstrap' }
+    );
+    if (!res.ok) throw new Error(`HTTP ${res.status}`);
+    bootstrap = indexBootstrap(json, BOOTSTRAP_URL);
+  } catch (err) {
+    log.warn('RDAP bootstrap unavailable, using the bundled copy', { url: BOOTSTRAP_URL, err });
+    // Retried after an hour rather than a day, the network may come back.
+    bootstrap = { ...(await readBootstrapFile(BUNDLED_BOOTSTRAP)), expiresAt: Date.now() + 60 * 60 * 1000 };
+  }
+  return bootstrap;
+}
+
+export async function bootstrapInfo() {
+  const b = await loadBootstrap();
+  return {
+    source: b.source,
+    loadedAt: new Date(b.loadedAt).toISOString(),
+    tlds: b.servers.size,
+    overrides: Object.fromEntries(SERVER_OVERRIDES),
+  };
+}
+
+// Longest matching suffix, so entries for "co.uk"-style zones win over "uk".
+async function serverFor(domain) {
+  const b = await loadBootstrap();
+  const labels = domain.split('.');
+  for (let i = 1; i < labels.length; i += 1) {
+    const suffix = labels.slice(i).join('.');
+    const url = SERVER_OVERRIDES.get(suffix) || b.servers.get(suffix);
+    if (url) return url;
+  }
+  return null;
+}
+
+function toIso(value) {
+  if (!value) return null;
+  const d = new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d.toISOString();
+}
+
+function eventDate(events, action) {
+  return toIso((events || []).find((e) => String(e?.eventAction).toLowerCase() === action)?.eventDate);
+}
+
+function vcardName(entity) {
+  const props = entity?.vcardArray?.[1] || [];
+  const fn = props.find((p) => p?.[0] === 'fn');
+  return normalizeString(fn?.[3]);
+}
+
+function findRegistrar(entities) {
+  for (const e of entities || []) {
+    if ((e?.roles || []).includes('registrar')) return e;
+    const nested = findRegistrar(e?.entities);
+    if (nested) return nested;
+  }
+  return null;
+}
+
+// The parts of an RDAP domain object this app uses.
+export function parseRdapDomain(json) {
+  const registrar = findRegistrar(json?.entities);
+  return {
+    registrar: vcardName(registrar) || normalizeString(registrar?.handle),
+    registrarIanaId:
+      normalizeString((registrar?.publicIds || []).find((p) => /iana/i.test(p?.type || ''))?.identifier) || null,
+    statuses: (json?.status || []).map((s) => String(s).toLowerCase()),
+    nameservers: (json?.nameservers || [])
+      .map((ns) => String(ns?.ldhName || '').toLowerCase().replace(/\.$/, ''))
+      .filter(Boolean),
+    registeredAt: eventDate(json?.events, 'registration'),
+    expiresAt: eventDate(json?.events, 'expiration'),
+    changedAt: eventDate(json?.events, 'last changed'),
+  };
+}
+
+function toIsoOrNull(value) {
+  return value ? new Date(value).toISOString() : null;
+}
+
+function toRecord(row) {
+  return {
+    domain: row.domain,
+    found: row.found,
+    server: row.server,
+    registrar: row.registrar,
+    registrarIanaId: row.registrar_iana_id,
+    statuses: row.statuses,
+    nameservers: row.nameservers,
+    registeredAt: toIsoOrNull(row.registered_at),
+    expiresAt: toIsoOrNull(row.expires_at),
+    changedAt: toIsoOrNull(row.changed_at),
+    fetchedAt: toIsoOrNull(row.fetched_at),
+  };
+}
+
+export async function getStoredRdap(domain) {
+  if (!(await ensureRdapTables())) return null;
+  const r = await pool.query(`SELECT * FROM ${RDAP_TABLE} WHERE domain = $1;`, [domain]);
+  return r.rows[0] ? toRecord(r.rows[0]) : null;
+}
+
+async function saveRdap(domain, found, server, data) {
+  if (!(await ensureRdapTables())) throw httpError(503, 'RDAP is unavailable (database not ready)');
+  const r = await pool.query(
+    `
+    INSERT INTO ${RDAP_TABLE}
+      (domain, found, server, registrar, registrar_iana_id, statuses, nameservers, registered_at, expires_at, changed_at, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now())
+    ON CONFLICT (domain) DO UPDATE SET
+      found = EXCLUDED.found,
+      server = EXCLUDED.server,
+      registrar = EXCLUDED.registrar,
+      registrar_iana_id = EXCLUDED.registrar_iana_id,
+      statuses = EXCLUDED.statuses,
+      nameservers = EXCLUDED.nameservers,
+      registered_at = EXCLUDED.registered_at,
+      expires_at = EXCLUDED.expires_at,
+      changed_at = EXCLUDED.changed_at,
+      fetched_at = EXCLUDED.fetched_at
+    RETURNING *;
+    `,
+    [
+      domain,
+      found,
+      server,
+      data.registrar ?? null,
+      data.registrarIanaId ?? null,
+      data.statuses ?? [],
+      data.nameservers ?? [],
+      data.registeredAt ?? null,
+      data.expiresAt ?? null,
+      data.changedAt ?? null,
+    ]
+  );
+  return toRecord(r.rows[0]);
+}
+
+// Dates go in as the column type expects; text columns get YYYY-MM-DD like the imported data.
+function columnValue(info, iso) {
+  const type = String(info?.data_type || '');
+  if (type.startsWith('timestamp')) return iso;
+  return iso.slice(0, 10);
+}
+
+/**
+ * Copies the RDAP answer into every dataset table: registrar, creation/expiration/last-changed
+ * dates and the rdap_whois_* bookkeeping columns, each only if the table has it. Missing data
+ * never blanks a column. Tables without the lower(domain) index are skipped, as the UPDATE would
+ * read all of them for each domain. Returns the names of the columns written and the skipped tables.
+ */
+async function writeBackToDomainsTable(record) {
+  const written = new Set();
+  const skipped = [];
+  for (const meta of await getDatasetTableMetas()) {
+    if (!(await hasDomainIndex(meta))) {
+      skipped.push(`${meta.tableRef.schema}.${meta.tableRef.table}`);
+      continue;
+    }
+    for (const column of await writeBackToTable(meta, record)) written.add(column);
+  }
+  return { columns: [...written], skipped };
+}
+
+async function writeBackToTable(meta, record) {
+  const fields = await getFieldColumns(meta);
+  const domainColumn = fields.domain;
+  if (!domainColumn) return [];
+
+  const sets = [];
+  const values = [record.domain];
+  const written = [];
+  const set = (column, value) => {
+    if (!column || value == null) return;
+    values.push(value);
+    sets.push(`${quoteIdent(column)} = $${values.length}`);
+    written.push(column);
+  };
+  const info = (column) => meta.byName.get(String(column).toLowerCase());
+  const setDate = (column, iso) => {
+    if (column && iso) set(column, columnValue(info(column), iso));
+  };
+
+  set(fields.registrar, record.registrar);
+  setDate(fields.domain_creation_date, record.registeredAt);
+  setDate(fields.domain_expiration_date, record.expiresAt);
+  setDate(fields.domain_last_changed, record.changedAt);
+  set(fields.rdap_whois_method, 'rdap');
+  setDate(fields.rdap_whois_last_data_checked, record.fetchedAt);
+  if (!sets.length) return [];
+
+  const r = await pool.query(
+    `UPDATE ${meta.tableSql} SET ${sets.join(', ')} WHERE LOWER(${quoteIdent(domainColumn)}) = $1;`,
+    values
+  );
+  if (r.rowCount) clearCountCache(meta.tableSql);
+  return written;
+}
+
+/**
+ * RDAP record of one (normalized) domain: the stored one while younger than RDAP_TTL_HOURS,
+ * else a fresh lookup. `found: false` means the registry answered 404 (not registered).
+ */
+export async function lookupRdap(domain, { force = false, writeBack = WRITE_BACK_DEFAULT } = {}) {
+  let record = null;
+  let cached = false;
+  if (!force && RDAP_TTL_MS) {
+    const stored = await getStoredRdap(domain);
+    if (stored && Date.now() - new Date(stored.fetchedAt).getTime() < RDAP_TTL_MS) {
+      record = stored;
+      cached = true;
+    }
+  }
+  record ??= await fetchRdap(domain);
+  if (!writeBack) return { ...record, cached, writtenColumns: [] };
+  const { columns, skipped } = await writeBackToDomainsTable(record);
+  return { ...record, cached, writtenColumns: columns, ...(skipped.length ? { writeBackSkipped: skipped } : {}) };
+}
+
+async function fetchRdap(domain) {
+  const server = await serverFor(domain);
+  if (!server) throw httpError(422, `No RDAP server known for .${domain.split('.').pop()}`);
+  const url = new URL(`domain/${encodeURIComponent(domain)}`, server.endsWith('/') ? server : `${server}/`);
+
+  let res;
+  let json;
+  try {
+    ({ res, json } = await fetchJsonWithRetry(
+      url,
+      { headers: { Accept: 'application/rdap+json, application/json' } },
+      { timeoutMs: TIMEOUT_MS, service: 'rdap' }
+    ));
+  } catch (err) {
+    throw httpError(502, `RDAP request to ${url.host} failed: ${err?.message || err}`);
+  }
+  if (res.status === 404) return saveRdap(domain, false, server, {});
+  if (!res.ok || !json) throw httpError(502, `RDAP server ${url.host} answered HTTP ${res.status}`);
+  return saveRdap(domain, true, server, parseRdapDomain(json));
+}
+
+// Per-domain errors are reported in place so one bad TLD does not fail the batch.
+export async function lookupRdapBatch(domains, options = {}) {
+  const items = new Array(domains.length);
+  await mapWithConcurrency(domains, CONCURRENCY, async (domain, i) => {
+    try {
+      items[i] = await lookupRdap(domain, options);
+    } catch (err) {
+      if (!err.status || err.status >= 500) log.warn('RDAP lookup failed', { domain, err });
+      items[i] = { domain, error: err?.message || String(err) };
+    }
+  });
+  return items;
+}
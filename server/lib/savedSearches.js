@@ -0,0 +1,140 @@
+import { appTable, lazySchema, pool } from './db.js';
+import { CRITERIA_VERSION, migrateSearchState } from './criteriaSchema.js';
+import { parseSort } from './search.js';
+import { log } from './logger.js';
+import { clampInt, httpError, normalizeString } from './util.js';
+
+const SAVED_SEARCHES_TABLE = appTable('saved_searches');
+
+export const ensureSavedSearchTables = lazySchema('saved search', [
+  `
+  CREATE TABLE IF NOT EXISTS ${SAVED_SEARCHES_TABLE} (
+    id bigserial PRIMARY KEY,
+    name text NOT NULL UNIQUE,
+    schema_version integer NOT NULL,
+    criteria jsonb NOT NULL,
+    page_size integer,
+    sort jsonb,
+    created_at timestamptz NOT NULL DEFAULT now(),
+    updated_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+]);
+
+async function requireTables() {
+  if (!(await ensureSavedSearchTables())) throw httpError(503, 'Saved searches are unavailable (database not ready)');
+}
+
+// Rows written by older versions are migrated on read and upgraded in place.
+async function toSavedSearch(row) {
+  if (!row) return null;
+  let state = { version: row.schema_version, criteria: row.criteria, pageSize: row.page_size, sort: row.sort };
+  if (row.schema_version < CRITERIA_VERSION) {
+    state = migrateSearchState(state);
+    await pool
+      .query(
+        `UPDATE ${SAVED_SEARCHES_TABLE} SET schema_version = $2, criteria = $3, sort = $4 WHERE id = $1;`,
+        [row.id, state.version, JSON.stringify(state.criteria), state.sort ? JSON.stringify(state.sort) : null]
+      )
+      .catch((err) => log.warn('Could not upgrade saved search', { savedSearchId: row.id, err }));
+  }
+  return {
+    id: Number(row.id),
+    name: row.name,
+    version: state.version,
+    criteria: state.criteria,
+    pageSize: state.pageSize,
+    sort: state.sort,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function readInput(body, { partial = false } = {}) {
+  const name = normalizeString(body?.name);
+  if (!partial && !name) throw httpError(400, 'name is required');
+  if (name && name.length > 200) throw httpError(400, 'name is too long');
+
+  const hasState = body?.criteria !== undefined || body?.sort !== undefined || body?.pageSize !== undefined;
+  const state = hasState
+    ? migrateSearchState({ version: body.version, criteria: body.criteria, pageSize: body.pageSize, sort: body.sort })
+    : null;
+  if (state) {
+    state.pageSize = state.pageSize == null ? null : clampInt(state.pageSize, 1, 500, 50);
+    state.sort = parseSort(state.sort);
+  }
+  return { name, state };
+}
+
+function uniqueViolation(err) {
+  return err?.code === '23505' ? httpError(409, 'A saved search with this name already exists') : err;
+}
+
+export async function listSavedSearches() {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${SAVED_SEARCHES_TABLE} ORDER BY name ASC;`);
+  return Promise.all(r.rows.map(toSavedSearch));
+}
+
+export async function getSavedSearch(id) {
+  await requireTables();
+  const r = await pool.query(`SELECT * FROM ${SAVED_SEARCHES_TABLE} WHERE id = $1;`, [id]);
+  return toSavedSearch(r.rows[0]);
+}
+
+export async function createSavedSearch(body) {
+  await requireTables();
+  const { name, state } = readInput(body);
+  const s = state || migrateSearchState({ version: CRITERIA_VERSION, criteria: {} });
+  try {
+    const r = await pool.query(
+      `
+      INSERT INTO ${SAVED_SEARCHES_TABLE} (name, schema_version, criteria, page_size, sort)
+      VALUES ($1, $2, $3, $4, $5)
+      RETURNING *;
+      `,
+      [name, s.version, JSON.stringify(s.criteria), s.pageSize, s.sort ? JSON.stringify(s.sort) : null]
+    );
+    return toSavedSearch(r.rows[0]);
+  } catch (err) {
+    throw uniqueViolation(err);
+  }
+}
+
+export async function updateSavedSearch(id, body) {
+  await requireTables();
+  const { name, state } = readInput(body, { partial: true });
+  try {
+    const r = await pool.query(
+      `
+      UPDATE ${SAVED_SEARCHES_TABLE}
+      SET name = COALESCE($2, name),
+          schema_version = CASE WHEN $3 THEN $4 ELSE schema_version END,
+          criteria = CASE WHEN $3 THEN $5::jsonb ELSE criteria END,
+          page_size = CASE WHEN $3 THEN $6 ELSE page_size END,
+          sort = CASE WHEN $3 THEN $7::jsonb ELSE sort END,
+          updated_at = now()
+      WHERE id = $1
+      RETURNING *;
+      `,
+      [
+        id,
+        name,
+        !!state,
+        state?.version ?? CRITERIA_VERSION,
+        state ? JSON.stringify(state.criteria) : null,
+        state?.pageSize ?? null,
+        state?.sort ? JSON.stringify(state.sort) : null,
+      ]
+    );
+    return toSavedSearch(r.rows[0]);
+  } catch (err) {
+    throw uniqueViolation(err);
+  }
+}
+
+export async function deleteSavedSearch(id) {
+  await requireTables();
+  const r = await pool.query(`DELETE FROM ${SAVED_SEARCHES_TABLE} WHERE id = $1;`, [id]);
+  return r.rowCount > 0;
+}
@@ -0,0 +1,310 @@
+import { readFileSync } from 'node:fs';
+import { appTable, lazySchema, pool } from './db.js';
+import { getColumnProfiles } from './filters.js';
+import { log } from './logger.js';
+import { httpError, normalizeString } from './util.js';
+
+/**
+ * Logical fields of a domains table (domain, creation date, registrar, ...) and the column holding
+ * each one, resolved per dataset. Every route reads columns through here. The first layer naming a
+ * field wins: an admin override (PUT /api/schema/:dataset), the dataset's entry in
+ * SCHEMA_MAPPING_FILE, the dataset's `columns` in DATASETS, then the name heuristics below; a
+ * layer may also say `null`, "this table has no such column". A column whose type or values cannot
+ * hold the field is refused (an explicit one with a reported problem, a guessed one silently
+ * yields to the next candidate).
+ */
+
+// `kind` is what the queries do with the column: dates are cast to date/timestamp, numbers to
+// int/numeric, flags are booleans or 0/1 counts; text fields accept any column.
+export const SCHEMA_FIELDS = {
+  domain: { kind: 'text', candidates: ['domain', 'hostname', 'host', 'name'], re: /domain/ },
+  tld: { kind: 'text', candidates: ['tld', 'zone', 'tld_suffix'] },
+  domain_creation_date: {
+    kind: 'date',
+    candidates: ['domain_creation_date', 'creation_date', 'created_at', 'registered_at', 'registration_date'],
+    re: /(creation|created|registered|registration)/,
+  },
+  domain_expiration_date: {
+    kind: 'date',
+    candidates: ['domain_expiration_date', 'expiration_date', 'expires_at', 'expires_on', 'expiry_date', 'expire_date'],
+    re: /(expiration|expire|expires|expiry)/,
+  },
+  scheduled_delete_date: {
+    kind: 'date',
+    candidates: ['drop_date', 'delete_date', 'deletion_date', 'pending_delete_date', 'scheduled_delete_date'],
+    re: /(drop|delete|deletion)/,
+  },
+  status: { kind: 'text', candidates: ['status', 'domain_status', 'state', 'domain_state', 'lifecycle'] },
+  is_deleted: { kind: 'flag', candidates: ['is_deleted', 'deleted', 'is_dropped', 'dropped', 'is_removed', 'removed'] },
+  deleted_at: { kind: 'date', candidates: ['deleted_at', 'dropped_at', 'removed_at'] },
+  wayback: {
+    kind: 'number',
+    candidates: [
+      'wayback_snapshots',
+      'wayback_total',
+      'wayback_count',
+      'webarchive_snapshots',
+      'archive_snapshots',
+      'archive_count',
+    ],
+    re: /(wayback|archive)/,
+  },
+  // The *_listed flags first: a bare "spamhaus" column may hold a score or a date.
+  spamhaus: {
+    kind: 'flag',
+    candidates: ['spamhaus_listed', 'spamhouse_listed', 'spamhaus', 'spamhouse'],
+    re: /(spamhaus|spamhouse)/,
+  },
+  viewstotal: {
+    kind: 'flag',
+    candidates: ['views_total_listed', 'viewstotal_listed', 'views_total', 'viewstotal'],
+    re: /(viewstotal|views_total)/,
+  },
+  country_by_ip: { kind: 'text', candidates: ['country_by_ip', 'ip_country'] },
+  registrar: { kind: 'text', candidates: ['registrar', 'registrar_name'] },
+  technologies: { kind: 'text', candidates: ['technologies'] },
+  response_status: { kind: 'text', candidates: ['response_status', 'http_status'] },
+  detected_hosts: { kind: 'number', candidates: ['detected_hosts'] },
+  pr_value: { kind: 'number', candidates: ['pr_value'] },
+  harmonic_value: { kind: 'number', candidates: ['harmonic_value'] },
+  domain_last_changed: { kind: 'date', candidates: ['domain_last_changed', 'last_changed', 'updated_date'] },
+  rdap_whois_method: { kind: 'text', candidates: ['rdap_whois_method'] },
+  rdap_whois_last_data_checked: { kind: 'date', candidates: ['rdap_whois_last_data_checked'] },
+};
+
+// Short names accepted in mappings ("created": "reg_date").
+const FIELD_ALIASES = {
+  created: 'domain_creation_date',
+  expires: 'domain_expiration_date',
+  drops: 'scheduled_delete_date',
+  deleted: 'is_deleted',
+  country: 'country_by_ip',
+  hosts: 'detected_hosts',
+};
+
+const SOURCES = ['override', 'file', 'config'];
+
+export function fieldKey(name) {
+  const key = String(name ?? '').trim().toLowerCase();
+  return FIELD_ALIASES[key] || key;
+}
+
+/**
+ * `{ field: column | null }` with aliases resolved; unknown fields and non-string columns throw
+ * (`fail` builds the error, so config files fail startup and requests get a 400).
+ */
+export function normalizeFieldMapping(raw, fail = (message) => new Error(message)) {
+  if (raw == null) return {};
+  if (typeof raw !== 'object' || Array.isArray(raw)) throw fail('mapping must be an object of field -> column');
+  const mapping = {};
+  for (const [name, column] of Object.entries(raw)) {
+    const key = fieldKey(name);
+    if (!Object.hasOwn(SCHEMA_FIELDS, key)) throw fail(`unknown field "${name}"`);
+    if (column != null && typeof column !== 'string') throw fail(`column for ${key} must be a string or null`);
+    mapping[key] = normalizeString(column) ?? null;
+  }
+  return mapping;
+}
+
+// { dataset id: mapping }; a broken file stops the server at startup, like DATASETS.
+function loadMappingFile() {
+  const file = normalizeString(process.env.SCHEMA_MAPPING_FILE);
+  if (!file) return {};
+  let raw;
+  try {
+    raw = JSON.parse(readFileSync(file, 'utf8'));
+  } catch (err) {
+    throw new Error(`SCHEMA_MAPPING_FILE ${file}: ${err.message}`);
+  }
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new Error(`SCHEMA_MAPPING_FILE ${file}: expected an object of dataset id -> mapping`);
+  }
+  return Object.fromEntries(
+    Object.entries(raw).map(([id, mapping]) => [
+      id.toLowerCase(),
+      normalizeFieldMapping(mapping, (message) => new Error(`SCHEMA_MAPPING_FILE ${file}, ${id}: ${message}`)),
+    ])
+  );
+}
+
+const FILE_MAPPINGS = loadMappingFile();
+
+const SCHEMA_MAPPINGS_TABLE = appTable('schema_mappings');
+
+export const ensureSchemaTables = lazySchema('schema mapping', [
+  `
+  CREATE TABLE IF NOT EXISTS ${SCHEMA_MAPPINGS_TABLE} (
+    dataset text NOT NULL,
+    field text NOT NULL,
+    column_name text,
+    updated_by bigint,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    PRIMARY KEY (dataset, field)
+  );
+  `,
+]);
+
+let overridesPromise = null; // promise of Map dataset id -> mapping
+let version = 0; // bumped by every override change, so cached resolutions go stale
+
+function loadOverrides() {
+  if (!overridesPromise) {
+    overridesPromise = (async () => {
+      const overrides = new Map();
+      if (!(await ensureSchemaTables())) return overrides;
+      const r = await pool.query(`SELECT dataset, field, column_name FROM ${SCHEMA_MAPPINGS_TABLE};`);
+      for (const row of r.rows) {
+        if (!overrides.has(row.dataset)) overrides.set(row.dataset, {});
+        overrides.get(row.dataset)[row.field] = row.column_name;
+      }
+      return overrides;
+    })().catch((err) => {
+      overridesPromise = null;
+      throw err;
+    });
+  }
+  return overridesPromise;
+}
+
+/**
+ * Replaces the admin overrides of `dataset` (validated against `meta` first: unknown columns and
+ * columns of the wrong type are a 400). An empty mapping removes them.
+ */
+export async function saveSchemaOverrides(meta, rawMapping, { userId = null } = {}) {
+  if (!(await ensureSchemaTables())) throw httpError(503, 'Schema mapping is unavailable (database not ready)');
+  const mapping = normalizeFieldMapping(rawMapping, (message) => httpError(400, message));
+  const profiles = await getColumnProfiles(meta);
+  for (const [key, column] of Object.entries(mapping)) {
+    if (column == null) continue;
+    const problem = columnProblem(meta, profiles, SCHEMA_FIELDS[key], column);
+    if (problem) throw httpError(400, `${key}: ${problem}`);
+    mapping[key] = meta.byName.get(column.toLowerCase()).column_name;
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    await client.query(`DELETE FROM ${SCHEMA_MAPPINGS_TABLE} WHERE dataset = $1;`, [meta.dataset]);
+    for (const [field, column] of Object.entries(mapping)) {
+      await client.query(
+        `INSERT INTO ${SCHEMA_MAPPINGS_TABLE} (dataset, field, column_name, updated_by) VALUES ($1, $2, $3, $4);`,
+        [meta.dataset, field, column, userId]
+      );
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+    overridesPromise = null;
+    version += 1;
+  }
+  return resolveSchema(meta);
+}
+
+// Why `column` cannot hold `field`, or null when it can. Text columns are judged by their sampled values.
+function columnProblem(meta, profiles, field, column) {
+  const info = meta.byName.get(String(column).toLowerCase());
+  if (!info) return `column "${column}" not found`;
+  if (field.kind === 'text') return null;
+  const profile = profiles.get(info.column_name.toLowerCase());
+  const kind = profile?.kind || 'text';
+  // A text column without sampled values (empty table) cannot be judged yet.
+  if (kind === 'text' && !profile?.inferred && !profile?.sampled) return null;
+  const accepted = field.kind === 'flag' ? ['boolean', 'number'] : [field.kind];
+  if (accepted.includes(kind)) return null;
+  const expected = { date: 'dates', number: 'numbers', flag: 'flags (boolean or 0/1)' }[field.kind];
+  return profile?.inferred || kind !== 'text'
+    ? `column "${info.column_name}" (${info.data_type}) does not hold ${expected}`
+    : `values of column "${info.column_name}" do not look like ${expected}`;
+}
+
+function guessColumns(meta, field) {
+  const names = field.candidates.map((c) => meta.byName.get(c)?.column_name).filter(Boolean);
+  if (field.re) names.push(...meta.columns.map((c) => c.column_name).filter((n) => field.re.test(n.toLowerCase())));
+  return [...new Set(names)];
+}
+
+async function buildResolution(meta) {
+  const profiles = meta.columns.length ? await getColumnProfiles(meta) : new Map();
+  const overrides = (await loadOverrides()).get(meta.dataset) || {};
+  const layers = { override: overrides, file: FILE_MAPPINGS[meta.dataset] || {}, config: meta.mapping || {} };
+
+  const columns = {};
+  const fields = [];
+  const problems = [];
+  for (const [key, field] of Object.entries(SCHEMA_FIELDS)) {
+    let column = null;
+    let source = SOURCES.find((s) => Object.hasOwn(layers[s], key)) || null;
+    if (source && layers[source][key] != null) {
+      const problem = columnProblem(meta, profiles, field, layers[source][key]);
+      if (problem) {
+        // Like a missing mapping: the heuristics get their chance.
+        problems.push(`${key} (${source}): ${problem}`);
+        source = null;
+      } else {
+        column = meta.byName.get(layers[source][key].toLowerCase()).column_name;
+      }
+    }
+    if (!source) {
+      column = guessColumns(meta, field).find((name) => !columnProblem(meta, profiles, field, name)) || null;
+      if (column) source = 'heuristic';
+    }
+    columns[key] = column;
+    fields.push({ key, kind: field.kind, column, source });
+  }
+  if (meta.columns.length && !columns.domain) problems.push('domain: no column found, searches of this dataset will fail');
+
+  return {
+    dataset: meta.dataset ?? null,
+    table: `${meta.tableRef.schema}.${meta.tableRef.table}`,
+    columns,
+    fields,
+    unmapped: fields.filter((f) => !f.column).map((f) => f.key),
+    problems,
+  };
+}
+
+const resolutions = new WeakMap(); // table meta -> { version, promise }
+
+/**
+ * The resolved schema of a table meta (see datasets.js): `columns` maps every field to its column
+ * or null, `fields` says where each came from, `unmapped` lists the fields without a column and
+ * `problems` the refused mappings.
+ */
+export function resolveSchema(meta) {
+  const cached = resolutions.get(meta);
+  if (cached && cached.version === version) return cached.promise;
+  const promise = buildResolution(meta).catch((err) => {
+    resolutions.delete(meta);
+    throw err;
+  });
+  resolutions.set(meta, { version, promise });
+  return promise;
+}
+
+// Just the field -> column map, which is what queries need.
+export async function getFieldColumns(meta) {
+  return (await resolveSchema(meta)).columns;
+}
+
+// Startup report: one line per dataset, plus the mappings that were refused.
+export async function checkSchemas(metas) {
+  const known = new Set(metas.map((m) => m.dataset));
+  for (const id of Object.keys(FILE_MAPPINGS)) {
+    if (!known.has(id)) log.warn('SCHEMA_MAPPING_FILE names an unknown dataset', { dataset: id });
+  }
+  for (const meta of metas) {
+    if (!meta.columns.length) continue;
+    const schema = await resolveSchema(meta);
+    const mapped = schema.fields.length - schema.unmapped.length;
+    log.info('Dataset schema', {
+      dataset: schema.dataset,
+      table: schema.table,
+      mapped: `${mapped}/${schema.fields.length}`,
+      unmapped: schema.unmapped,
+    });
+    for (const problem of schema.problems) log.warn('Dataset schema problem', { dataset: schema.dataset, problem });
+  }
+}
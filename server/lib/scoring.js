@@ -0,0 +1,267 @@
+import { readFileSync } from 'node:fs';
+import { appTable, lazySchema } from './db.js';
+import { log } from './logger.js';
+import { httpError, toUnicodeDomain } from './util.js';
+
+/**
+ * Domain name quality. Lexical features of the second-level label are computed here in JS
+ * (dictionary segmentation has no reasonable SQL form) and stored per domain; the composite
+ * score mixes them with the table's own metrics in SQL, so it can be filtered and sorted on.
+ */
+
+export const NAME_FEATURES_TABLE = appTable('domain_name_features');
+
+// Bump when the feature formulas or the word list change; older rows get recomputed.
+export const FEATURES_VERSION = 2;
+
+export const ensureNameFeatureTables = lazySchema('name scoring', [
+  `
+  CREATE TABLE IF NOT EXISTS ${NAME_FEATURES_TABLE} (
+    domain text PRIMARY KEY,
+    label text NOT NULL,
+    label_length integer NOT NULL,
+    digit_count integer NOT NULL,
+    hyphen_count integer NOT NULL,
+    words text[] NOT NULL DEFAULT '{}',
+    dictionary_coverage real NOT NULL,
+    tld_rank integer,
+    length_score real NOT NULL,
+    digits_score real NOT NULL,
+    hyphens_score real NOT NULL,
+    pronounceability real NOT NULL,
+    dictionary_score real NOT NULL,
+    tld_score real NOT NULL,
+    version integer NOT NULL,
+    computed_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS domain_name_features_version_idx ON ${NAME_FEATURES_TABLE} (version);`,
+]);
+
+// Most to least sought-after; unknown TLDs rank below all of these.
+const TLD_RANKING = [
+  'com', 'net', 'org', 'io', 'ai', 'co', 'app', 'dev', 'de', 'co.uk', 'uk', 'ca', 'us', 'eu', 'me',
+  'tv', 'info', 'biz', 'xyz', 'online', 'store', 'shop', 'tech', 'site', 'cc', 'nl', 'fr', 'ch',
+  'au', 'com.au', 'es', 'it', 'se', 'no', 'dk', 'fi', 'pl', 'ru', 'in', 'jp', 'cn', 'br', 'com.br',
+];
+const TLD_RANK = new Map(TLD_RANKING.map((t, i) => [t, i + 1]));
+
+const WORDS = new Set(
+  readFileSync(new URL('../data/words.txt', import.meta.url), 'utf8')
+    .split('\n')
+    .map((w) => w.trim())
+    .filter((w) => w && !w.startsWith('#'))
+);
+const MAX_WORD_LENGTH = Math.max(...[...WORDS].map((w) => w.length));
+
+const VOWELS = new Set(['a', 'e', 'i', 'o', 'u', 'y']);
+
+function clamp01(x) {
+  return Math.min(1, Math.max(0, x));
+}
+
+function round3(x) {
+  return Math.round(x * 1000) / 1000;
+}
+
+// Works on the Unicode form, so IDN labels are measured as people read them.
+export function splitDomain(domain) {
+  const labels = toUnicodeDomain(String(domain || '').toLowerCase()).replace(/\.$/, '').split('.').filter(Boolean);
+  if (labels.length < 2) return { label: labels[0] || '', tld: '' };
+  const twoLevel = labels.slice(-2).join('.');
+  if (labels.length > 2 && TLD_RANK.has(twoLevel)) return { label: labels.at(-3), tld: twoLevel };
+  return { label: labels.at(-2), tld: labels.at(-1) };
+}
+
+/**
+ * Splits a letters-only run into dictionary words, preferring full coverage, then fewer words.
+ * Letters no word covers stay as one-letter pieces.
+ */
+export function segmentWords(text) {
+  const n = text.length;
+  // best[i] = cheapest split of text[0..i): unmatched letters cost 3, each word costs 1 (single letters 2)
+  const best = [{ cost: 0, prev: -1, word: false }];
+  for (let i = 1; i <= n; i += 1) {
+    let cur = { cost: best[i - 1].cost + 3, prev: i - 1, word: false };
+    for (let j = Math.max(0, i - MAX_WORD_LENGTH); j < i; j += 1) {
+      const piece = text.slice(j, i);
+      if (!WORDS.has(piece)) continue;
+      const cost = best[j].cost + (piece.length === 1 ? 2 : 1);
+      if (cost < cur.cost) cur = { cost, prev: j, word: true };
+    }
+    best.push(cur);
+  }
+
+  const pieces = [];
+  for (let i = n; i > 0; i = best[i].prev) pieces.unshift({ text: text.slice(best[i].prev, i), word: best[i].word });
+  return pieces;
+}
+
+function pronounceability(letters, hasOtherLetters) {
+  // Only Latin names are judged; other scripts get a neutral value instead of a penalty.
+  if (!letters) return hasOtherLetters ? 0.5 : 0;
+  let vowels = 0;
+  let run = 0;
+  let maxRun = 0;
+  for (const ch of letters) {
+    if (VOWELS.has(ch)) {
+      vowels += 1;
+      run = 0;
+    } else {
+      run += 1;
+      maxRun = Math.max(maxRun, run);
+    }
+  }
+  // English-like names sit around 40% vowels with no more than three consonants in a row.
+  const ratioScore = 1 - Math.min(1, Math.abs(vowels / letters.length - 0.4) / 0.4);
+  return clamp01(ratioScore - 0.2 * Math.max(0, maxRun - 3));
+}
+
+/**
+ * Lexical features of a domain's second-level label, each normalized to 0..1 (1 = best).
+ */
+export function computeNameFeatures(domain) {
+  const { label, tld } = splitDomain(domain);
+  const length = [...label].length;
+  const digits = (label.match(/[0-9]/g) || []).length;
+  const hyphens = (label.match(/-/g) || []).length;
+  // Diacritics dropped ("münchen" -> "munchen") for word matching and pronounceability.
+  const plain = label.normalize('NFD').replace(/\p{M}/gu, '');
+
+  const words = [];
+  let covered = 0;
+  let letterCount = 0;
+  for (const run of plain.match(/\p{L}+/gu) || []) {
+    letterCount += [...run].length;
+    for (const piece of segmentWords(run)) {
+      if (!piece.word) continue;
+      words.push(piece.text);
+      covered += piece.text.length;
+    }
+  }
+  const coverage = letterCount ? covered / letterCount : 0;
+  // Two words read as a brand; every extra word makes the name harder to remember.
+  const dictionaryScore = coverage * (words.length <= 2 ? 1 : Math.max(0.4, 1 - 0.2 * (words.length - 2)));
+
+  const tldRank = TLD_RANK.get(tld) ?? null;
+
+  return {
+    domain: String(domain || '').toLowerCase(),
+    label,
+    labelLength: length,
+    digitCount: digits,
+    hyphenCount: hyphens,
+    words,
+    dictionaryCoverage: round3(coverage),
+    tldRank,
+    lengthScore: round3(length <= 5 ? 1 : clamp01(1 - (length - 5) / 15)),
+    // All-digit names are a market of their own; mixed digits mostly read as noise.
+    digitsScore: round3(digits === 0 ? 1 : digits === length ? 0.6 : clamp01(1 - 0.25 * digits)),
+    hyphensScore: round3(clamp01(1 - 0.4 * hyphens)),
+    pronounceability: round3(pronounceability(plain.replace(/[^a-z]/g, ''), /[^\P{L}a-z]/u.test(plain))),
+    dictionaryScore: round3(dictionaryScore),
+    tldScore: round3(tldRank ? Math.max(0.2, 1 - (tldRank - 1) * 0.03) : 0.1),
+  };
+}
+
+/**
+ * Score components. `feature` ones read the stored name features; the others are the
+ * domains table's own metrics, scaled to 0..1 (logarithmically for open-ended counts).
+ */
+export const SCORE_COMPONENTS = {
+  length: { feature: 'length_score' },
+  digits: { feature: 'digits_score' },
+  hyphens: { feature: 'hyphens_score' },
+  pronounceability: { feature: 'pronounceability' },
+  dictionary: { feature: 'dictionary_score' },
+  tld: { feature: 'tld_score' },
+  age: { metric: 'ageYears', cap: 20 },
+  pr: { metric: 'pr_value', cap: 10 },
+  harmonic: { metric: 'harmonic_value', cap: 1000, log: true },
+  hosts: { metric: 'detected_hosts', cap: 100, log: true },
+  wayback: { metric: 'wayback', cap: 1000, log: true },
+};
+
+// Stored columns the score reads.
+export const NAME_SCORE_COLUMNS = Object.values(SCORE_COMPONENTS)
+  .map((c) => c.feature)
+  .filter(Boolean);
+
+const BUILTIN_WEIGHTS = {
+  length: 3,
+  digits: 1,
+  hyphens: 1,
+  pronounceability: 2,
+  dictionary: 3,
+  tld: 2,
+  age: 2,
+  pr: 1,
+  harmonic: 1,
+  hosts: 1,
+  wayback: 2,
+};
+
+/**
+ * Accepts `{ age: 2, ... }` or "age=2,tld=0" and returns a full weight map on top of `base`.
+ * Unknown components and negative weights are rejected rather than ignored.
+ */
+export function parseWeights(input, base = BUILTIN_WEIGHTS) {
+  if (input == null || input === '') return { ...base };
+  let entries;
+  if (typeof input === 'string') {
+    entries = input
+      .split(',')
+      .map((p) => p.split('=').map((x) => x.trim()))
+      .filter(([k]) => k);
+  } else if (typeof input === 'object' && !Array.isArray(input)) {
+    entries = Object.entries(input);
+  } else {
+    throw httpError(400, 'scoreWeights must be an object');
+  }
+
+  const weights = { ...base };
+  for (const [key, raw] of entries) {
+    if (!SCORE_COMPONENTS[key]) throw httpError(400, `Unknown score component: ${key}`);
+    const w = Number(raw);
+    if (!Number.isFinite(w) || w < 0) throw httpError(400, `Score weight for ${key} must be a non-negative number`);
+    weights[key] = w;
+  }
+  return weights;
+}
+
+let defaultWeights = BUILTIN_WEIGHTS;
+try {
+  defaultWeights = parseWeights(process.env.SCORE_WEIGHTS);
+} catch (err) {
+  log.warn('Ignoring SCORE_WEIGHTS', { err });
+}
+export const DEFAULT_WEIGHTS = defaultWeights;
+
+/**
+ * SQL for the 0..100 composite score. `metrics` maps metric names to SQL expressions that are
+ * null when the table has no such data; components without a source drop out of the average.
+ * Weights are validated numbers, so they are inlined (the expression is reused in SELECT,
+ * WHERE and ORDER BY without extra parameters).
+ */
+export function scoreSql(weights, metrics, alias = 'nf') {
+  const parts = [];
+  let total = 0;
+  for (const [key, def] of Object.entries(SCORE_COMPONENTS)) {
+    const w = weights[key] || 0;
+    if (!w) continue;
+    let valueSql;
+    if (def.feature) {
+      valueSql = `${alias}.${def.feature}`;
+    } else {
+      const src = metrics[def.metric];
+      if (!src) continue;
+      valueSql = def.log
+        ? `LEAST(1, LN(1 + GREATEST(${src}, 0)) / LN(${1 + def.cap}))`
+        : `LEAST(1, GREATEST(${src}, 0) / ${def.cap})`;
+    }
+    parts.push(`${w} * COALESCE(${valueSql}, 0)`);
+    total += w;
+  }
+  if (!total) throw httpError(400, 'At least one score weight must be positive');
+  return `ROUND((100 * (${parts.join(' + ')}) / ${total})::numeric, 1)`;
+}
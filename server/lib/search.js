@@ -0,0 +1,866 @@
+import { CHECK_LATEST_TABLE, ensureCheckTables } from './checks.js';
+import {
+  DEFAULT_WEIGHTS,
+  NAME_FEATURES_TABLE,
+  NAME_SCORE_COLUMNS,
+  ensureNameFeatureTables,
+  parseWeights,
+  scoreSql,
+} from './scoring.js';
+import { TRIAGE_STATUSES, TRIAGE_TABLE, ensureTriageTables, normalizeTag } from './triage.js';
+import { HISTORY_TABLE, ensureHistoryTables } from './waybackHistory.js';
+import { applyColumnFilters, columnValueSql, getColumnProfiles } from './filters.js';
+import { ALL_DATASETS, getDatasetMeta, selectDatasets } from './datasets.js';
+import { appTable, lazySchema, pool, quoteIdent } from './db.js';
+import { SCHEMA_FIELDS, getFieldColumns } from './schema.js';
+import { ensureTrigram, parseSimilarityMin, similarityCandidates, similarityJoinSql } from './similarity.js';
+import { clampInt, escapeLike, httpError, normalizeString, splitList } from './util.js';
+
+/**
+ * Turns search criteria into SQL fragments shared by every route that reads the domains table
+ * (search, bulk check jobs, ...). Values are positional: callers append their own parameters
+ * after `values`. `dataset` picks the table (see datasets.js); `all` searches every dataset.
+ */
+export async function buildSearchQuery(criteria = {}, { dataset = null } = {}) {
+  const datasets = selectDatasets(dataset);
+  if (normalizeString(dataset)?.toLowerCase() === ALL_DATASETS) return buildUnionQuery(criteria, datasets);
+  return buildDatasetQuery(criteria, await getDatasetMeta(datasets[0]), []);
+}
+
+async function buildDatasetQuery(criteria, meta, values) {
+  // Columns of the logical fields (schema.js); null where the table has none.
+  const fields = await getFieldColumns(meta);
+  const domainColumn = fields.domain;
+  if (!domainColumn) {
+    throw httpError(500, `No domain column found in table ${meta.tableRef.schema}.${meta.tableRef.table}`);
+  }
+  const tldColumn = fields.tld;
+  const createdColumn = fields.domain_creation_date;
+  const expiresColumn = fields.domain_expiration_date;
+  const scheduledDeleteColumn = fields.scheduled_delete_date;
+  const deletedAtColumn = fields.deleted_at;
+  const deletedFlagColumn = fields.is_deleted;
+  const statusColumn = fields.status;
+  // Typed column SQL; dates in text columns go through the indexable ISO casts when the database has them.
+  const isoReady = await ensureSearchFunctions();
+  const typed = (column, type) => typedColumnSql(meta, column, type, { iso: isoReady });
+
+  const where = [];
+  const add = (fragment, ...vals) => {
+    where.push(fragment);
+    values.push(...vals);
+  };
+
+  const domainStartsWith = normalizeString(criteria.domainStartsWith);
+  if (domainStartsWith) add(`${quoteIdent(domainColumn)} ILIKE $${values.length + 1}`, `${domainStartsWith}%`);
+
+  const domainEndsWith = normalizeString(criteria.domainEndsWith);
+  if (domainEndsWith) add(`${quoteIdent(domainColumn)} ILIKE $${values.length + 1}`, `%${domainEndsWith}`);
+
+  const tlds = splitList(criteria.tld);
+  if (tlds.length) {
+    if (tldColumn) {
+      add(`${quoteIdent(tldColumn)} = ANY($${values.length + 1}::text[])`, tlds);
+    } else {
+      // Fallback: match by domain suffix (works well for ".com")
+      const patterns = tlds.map((t) => {
+        const x = String(t).trim().replace(/^\./, '').toLowerCase();
+        return `%.${x}`;
+      });
+      add(`LOWER(${quoteIdent(domainColumn)}) LIKE ANY($${values.length + 1}::text[])`, patterns);
+    }
+  }
+
+  // Optional lifecycle filter (active / deleted / expiring).
+  // IMPORTANT: must be side-effect free when not used.
+  const lifecycleRaw = normalizeString(criteria.lifecycleState ?? criteria.expiredState);
+  const lifecycle = lifecycleRaw ? String(lifecycleRaw).toLowerCase() : null;
+  if (lifecycle && !LIFECYCLE_STATES.includes(lifecycle)) {
+    throw httpError(400, `lifecycleState must be one of: ${LIFECYCLE_STATES.join(', ')}`);
+  }
+  if (lifecycle) {
+    const daysRaw = criteria.expiringWithinDays;
+    const daysNum = Number(daysRaw);
+    const days = Number.isFinite(daysNum) ? Math.max(1, Math.trunc(daysNum)) : 30;
+
+    const statusColSql = statusColumn ? quoteIdent(statusColumn) : null;
+    const deletedFlagSql = deletedFlagColumn ? quoteIdent(deletedFlagColumn) : null;
+    const deletedAtSql = deletedAtColumn ? quoteIdent(deletedAtColumn) : null;
+    const expiresSql = expiresColumn ? quoteIdent(expiresColumn) : null;
+    const schedDelSql = scheduledDeleteColumn ? quoteIdent(scheduledDeleteColumn) : null;
+
+    const deletedClauses = [];
+    if (deletedFlagSql) {
+      const info = meta.byName.get(String(deletedFlagColumn).toLowerCase());
+      if (info?.data_type === 'boolean') deletedClauses.push(`${deletedFlagSql} IS TRUE`);
+      else deletedClauses.push(`COALESCE(NULLIF(${deletedFlagSql}::text, ''), '0')::int > 0`);
+    }
+    if (deletedAtSql) deletedClauses.push(`NULLIF(${deletedAtSql}::text, '') IS NOT NULL`);
+
+    // As a last resort, derive deleted-ness from status column patterns
+    let deletedStatusFragment = null;
+    // The patterns are only a parameter here; each lifecycle state decides how the fragment is used.
+    if (!deletedClauses.length && statusColSql) {
+      values.push(['%deleted%', '%dropped%', '%removed%']);
+      deletedStatusFragment = `${statusColSql}::text ILIKE ANY($${values.length}::text[])`;
+    }
+
+    const deletedFragment = deletedClauses.length ? `(${deletedClauses.join(' OR ')})` : deletedStatusFragment;
+    const notDeletedFragment = deletedFragment ? `NOT (${deletedFragment})` : null;
+
+    if (lifecycle === 'deleted') {
+      if (deletedFragment) add(deletedFragment);
+    } else if (lifecycle === 'expiring') {
+      if (notDeletedFragment) add(notDeletedFragment);
+      if (schedDelSql) {
+        add(
+          `${typed(scheduledDeleteColumn, 'timestamp')} >= NOW() AND ${typed(scheduledDeleteColumn, 'timestamp')} < (NOW() + ($${values.length + 1}::int || ' days')::interval)`,
+          days
+        );
+      } else if (expiresSql) {
+        add(
+          `${typed(expiresColumn, 'timestamp')} >= NOW() AND ${typed(expiresColumn, 'timestamp')} < (NOW() + ($${values.length + 1}::int || ' days')::interval)`,
+          days
+        );
+      } else if (statusColSql) {
+        add(`${statusColSql}::text ILIKE ANY($${values.length + 1}::text[])`, ['%expir%', '%pending%', '%to_delete%']);
+      }
+    } else if (lifecycle === 'active') {
+      if (notDeletedFragment) add(notDeletedFragment);
+      if (expiresSql) add(`${typed(expiresColumn, 'timestamp')} >= NOW()`);
+      if (statusColSql) {
+        add(`${statusColSql}::text ILIKE ANY($${values.length + 1}::text[])`, ['active', 'ok', 'registered', '%active%']);
+      }
+    }
+  }
+
+  const creationDateFrom = normalizeString(criteria.creationDateFrom);
+  if (creationDateFrom && createdColumn) {
+    add(`${typed(createdColumn, 'date')} >= $${values.length + 1}`, creationDateFrom);
+  }
+
+  const creationDateTo = normalizeString(criteria.creationDateTo);
+  if (creationDateTo && createdColumn) {
+    add(`${typed(createdColumn, 'date')} <= $${values.length + 1}`, creationDateTo);
+  }
+
+  let ageYearsFrom = normalizeString(criteria.ageYearsFrom);
+  let ageYearsTo = normalizeString(criteria.ageYearsTo);
+  if (createdColumn) {
+    const aFrom = ageYearsFrom != null && ageYearsFrom !== '' ? Number(ageYearsFrom) : null;
+    const aTo = ageYearsTo != null && ageYearsTo !== '' ? Number(ageYearsTo) : null;
+    if (Number.isFinite(aFrom) || Number.isFinite(aTo)) {
+      let minYears = Number.isFinite(aFrom) ? Math.max(0, Math.trunc(aFrom)) : null;
+      let maxYears = Number.isFinite(aTo) ? Math.max(0, Math.trunc(aTo)) : null;
+      if (minYears != null && maxYears != null && minYears > maxYears) {
+        const tmp = minYears;
+        minYears = maxYears;
+        maxYears = tmp;
+      }
+      // older than or equal to minYears
+      if (minYears != null) {
+        add(
+          `${typed(createdColumn, 'date')} <= (CURRENT_DATE - ($${values.length + 1}::int || ' years')::interval)`,
+          minYears
+        );
+      }
+      // younger than or equal to maxYears
+      if (maxYears != null) {
+        add(
+          `${typed(createdColumn, 'date')} >= (CURRENT_DATE - ($${values.length + 1}::int || ' years')::interval)`,
+          maxYears
+        );
+      }
+    }
+  }
+
+  const country = normalizeString(criteria.countryByIp);
+  if (country && fields.country_by_ip) add(`${typed(fields.country_by_ip, 'text')} = $${values.length + 1}`, country);
+
+  const containsFilters = [
+    ['registrarContains', fields.registrar],
+    ['technologiesContains', fields.technologies],
+    ['responseStatusContains', fields.response_status],
+  ];
+  for (const [criterion, column] of containsFilters) {
+    const needle = normalizeString(criteria[criterion]);
+    if (needle && column) add(`${typed(column, 'text')} ILIKE $${values.length + 1}`, `%${needle}%`);
+  }
+
+  const detectedHostsMin = countCriterion(criteria, 'detectedHostsMin');
+  if (detectedHostsMin != null && fields.detected_hosts) {
+    add(`${typed(fields.detected_hosts, 'int')} >= $${values.length + 1}`, detectedHostsMin);
+  }
+
+  const detectedHostsMax = countCriterion(criteria, 'detectedHostsMax');
+  if (detectedHostsMax != null && fields.detected_hosts) {
+    add(`${typed(fields.detected_hosts, 'int')} <= $${values.length + 1}`, detectedHostsMax);
+  }
+
+  const expirationFrom = normalizeString(criteria.expirationFrom);
+  if (expirationFrom && expiresColumn) {
+    add(`${typed(expiresColumn, 'timestamp')} >= $${values.length + 1}`, expirationFrom);
+  }
+
+  const expirationTo = normalizeString(criteria.expirationTo);
+  if (expirationTo && expiresColumn) {
+    add(`${typed(expiresColumn, 'timestamp')} ${upperBoundSql(values.length + 1, expirationTo)}`, expirationTo);
+  }
+
+  // Drop date range (the calendar view opens a day through these).
+  const scheduledDeleteFrom = normalizeString(criteria.scheduledDeleteFrom);
+  if (scheduledDeleteFrom && scheduledDeleteColumn) {
+    add(`${typed(scheduledDeleteColumn, 'timestamp')} >= $${values.length + 1}`, scheduledDeleteFrom);
+  }
+
+  const scheduledDeleteTo = normalizeString(criteria.scheduledDeleteTo);
+  if (scheduledDeleteTo && scheduledDeleteColumn) {
+    add(
+      `${typed(scheduledDeleteColumn, 'timestamp')} ${upperBoundSql(values.length + 1, scheduledDeleteTo)}`,
+      scheduledDeleteTo
+    );
+  }
+
+  // Optional: Wayback / Blacklists. Stored check verdicts win over the imported columns.
+  const checksReady = await ensureCheckTables();
+  // Joins the count query needs because a filter reads them ('checks', 'triage', 'history', 'names').
+  const countJoins = new Set();
+  const checksJoinSql = checksReady
+    ? `LEFT JOIN (
+      SELECT
+        domain AS check_domain,
+        checked_at AS last_checked_at,
+        spamhaus_listed AS check_spamhaus_listed,
+        wayback_snapshots AS check_wayback_snapshots,
+        wayback_last_snapshot AS check_wayback_last_snapshot,
+        blocklists AS check_blocklists,
+        availability AS check_availability
+      FROM ${CHECK_LATEST_TABLE}
+    ) lc ON lc.check_domain = LOWER(${meta.tableSql}.${quoteIdent(domainColumn)})`
+    : '';
+
+  const waybackColumn = fields.wayback;
+  const waybackSources = [];
+  if (checksReady) waybackSources.push('lc.check_wayback_snapshots');
+  if (waybackColumn) waybackSources.push(typed(waybackColumn, 'int'));
+  const waybackValueSql = waybackSources.length > 1 ? `COALESCE(${waybackSources.join(', ')})` : waybackSources[0] || null;
+
+  // Snapshot bounds; a domain without any snapshot count counts as 0.
+  for (const [criterion, op] of [
+    ['waybackMinSnapshots', '>='],
+    ['waybackMaxSnapshots', '<='],
+  ]) {
+    const bound = countCriterion(criteria, criterion);
+    if (bound == null || !waybackValueSql) continue;
+    add(`COALESCE(${waybackValueSql}, 0) ${op} $${values.length + 1}`, bound);
+    if (checksReady) countJoins.add('checks');
+  }
+
+  const safeSpamhausOnly = criteria.safeSpamhausOnly === true;
+  const spamhausColumn = fields.spamhaus;
+  if (safeSpamhausOnly && (spamhausColumn || checksReady)) {
+    let columnClean = 'TRUE';
+    if (spamhausColumn) {
+      const info = meta.byName.get(String(spamhausColumn).toLowerCase());
+      const col = quoteIdent(spamhausColumn);
+      columnClean =
+        info?.data_type === 'boolean' ? `${col} IS NOT TRUE` : `COALESCE(NULLIF(${col}::text, ''), '0')::int <= 0`;
+    }
+    if (checksReady) {
+      add(`(CASE WHEN lc.check_spamhaus_listed IS NOT NULL THEN NOT lc.check_spamhaus_listed ELSE ${columnClean} END)`);
+      countJoins.add('checks');
+    } else {
+      add(columnClean);
+    }
+  }
+
+  if (checksReady && criteria.checkedOnly === true) {
+    add('lc.check_domain IS NOT NULL');
+    countJoins.add('checks');
+  }
+
+  const checkedWithinDays = normalizeString(criteria.checkedWithinDays);
+  if (checksReady && checkedWithinDays) {
+    add(
+      `lc.last_checked_at >= NOW() - ($${values.length + 1}::int * INTERVAL '1 day')`,
+      clampInt(checkedWithinDays, 1, 3650, 30)
+    );
+    countJoins.add('checks');
+  }
+
+  // Triage decisions; domains without a row count as "new".
+  const triageReady = await ensureTriageTables();
+  const triageJoinSql = triageReady
+    ? `LEFT JOIN (
+      SELECT
+        domain AS triage_domain,
+        status AS triage_status,
+        tags AS triage_tags,
+        notes AS triage_notes,
+        updated_at AS triage_updated_at
+      FROM ${TRIAGE_TABLE}
+    ) tr ON tr.triage_domain = LOWER(${meta.tableSql}.${quoteIdent(domainColumn)})`
+    : '';
+
+  const triageStatuses = splitList(criteria.triageStatus).filter((x) => TRIAGE_STATUSES.includes(x));
+  if (triageReady && triageStatuses.length) {
+    add(`COALESCE(tr.triage_status, 'new') = ANY($${values.length + 1}::text[])`, triageStatuses);
+    countJoins.add('triage');
+  }
+
+  if (triageReady && criteria.hideRejected === true) {
+    add(`tr.triage_status IS DISTINCT FROM 'rejected'`);
+    countJoins.add('triage');
+  }
+
+  const triageTags = splitList(criteria.triageTags).map(normalizeTag).filter(Boolean);
+  if (triageReady && triageTags.length) {
+    add(`tr.triage_tags && $${values.length + 1}::text[]`, triageTags);
+    countJoins.add('triage');
+  }
+
+  // Wayback history profiles (waybackHistory.js). Exclusion filters keep domains without a profile.
+  const historyReady = await ensureHistoryTables();
+  const historyJoinSql = historyReady
+    ? `LEFT JOIN (
+      SELECT
+        domain AS history_domain,
+        first_capture AS history_first_capture,
+        capture_days AS history_capture_days,
+        languages AS history_languages,
+        risk_flags AS history_risk_flags,
+        long_redirect AS history_long_redirect,
+        long_parking AS history_long_parking
+      FROM ${HISTORY_TABLE}
+    ) hp ON hp.history_domain = LOWER(${meta.tableSql}.${quoteIdent(domainColumn)})`
+    : '';
+
+  if (historyReady && criteria.historyExcludeRisky === true) {
+    add(`COALESCE(cardinality(hp.history_risk_flags), 0) = 0`);
+    countJoins.add('history');
+  }
+  if (historyReady && criteria.historyExcludeParked === true) {
+    add('hp.history_long_parking IS NOT TRUE');
+    countJoins.add('history');
+  }
+  if (historyReady && criteria.historyExcludeRedirects === true) {
+    add('hp.history_long_redirect IS NOT TRUE');
+    countJoins.add('history');
+  }
+  const historyLanguages = splitList(criteria.historyLanguage).map((x) => x.toLowerCase());
+  if (historyReady && historyLanguages.length) {
+    add(`hp.history_languages && $${values.length + 1}::text[]`, historyLanguages);
+    countJoins.add('history');
+  }
+
+  // Composite quality score (see scoring.js); domains not indexed yet score on their metrics alone.
+  const scoringReady = await ensureNameFeatureTables();
+  const namesJoinSql = scoringReady
+    ? `LEFT JOIN (
+      SELECT
+        domain AS name_domain,
+        label AS name_label,
+        label_length AS name_label_length,
+        digit_count AS name_digit_count,
+        hyphen_count AS name_hyphen_count,
+        words AS name_words,
+        ${NAME_SCORE_COLUMNS.join(',\n        ')}
+      FROM ${NAME_FEATURES_TABLE}
+    ) nf ON nf.name_domain = LOWER(${meta.tableSql}.${quoteIdent(domainColumn)})`
+    : '';
+  let scoreExpr = null;
+  if (scoringReady) {
+    const metricSql = (key, type) => (fields[key] ? typed(fields[key], type) : null);
+    scoreExpr = scoreSql(parseWeights(criteria.scoreWeights, DEFAULT_WEIGHTS), {
+      ageYears: createdColumn ? `((CURRENT_DATE - ${typed(createdColumn, 'date')}) / 365.25)` : null,
+      pr_value: metricSql('pr_value', 'numeric'),
+      harmonic_value: metricSql('harmonic_value', 'numeric'),
+      detected_hosts: metricSql('detected_hosts', 'int'),
+      wayback: waybackValueSql,
+    });
+  }
+
+  const scoreMin = Number(normalizeString(criteria.scoreMin) ?? NaN);
+  if (scoreExpr && Number.isFinite(scoreMin)) {
+    add(`${scoreExpr} >= $${values.length + 1}`, scoreMin);
+    countJoins.add('names');
+    if (checksReady) countJoins.add('checks');
+  }
+
+  // Name shape filters. Indexed domains use the stored (IDN-decoded) label features, the rest
+  // fall back to the raw first label, so results don't wait for the indexer.
+  const domainSql = `${meta.tableSql}.${quoteIdent(domainColumn)}`;
+  const rawLabelSql = `split_part(LOWER(${domainSql}), '.', 1)`;
+  const nameFeature = (stored, fallback) => (scoringReady ? `COALESCE(${stored}, ${fallback})` : fallback);
+  const useNames = () => {
+    if (scoringReady) countJoins.add('names');
+  };
+
+  const labelLengthMin = normalizeString(criteria.labelLengthMin);
+  const labelLengthMax = normalizeString(criteria.labelLengthMax);
+  const lengthSql = nameFeature('nf.name_label_length', `char_length(${rawLabelSql})`);
+  if (labelLengthMin) {
+    add(`${lengthSql} >= $${values.length + 1}`, clampInt(labelLengthMin, 1, 63, 1));
+    useNames();
+  }
+  if (labelLengthMax) {
+    add(`${lengthSql} <= $${values.length + 1}`, clampInt(labelLengthMax, 1, 63, 63));
+    useNames();
+  }
+
+  if (criteria.noDigits === true) {
+    add(nameFeature('nf.name_digit_count = 0', `${rawLabelSql} !~ '[0-9]'`));
+    useNames();
+  }
+  if (criteria.noHyphens === true) {
+    add(nameFeature('nf.name_hyphen_count = 0', `strpos(${rawLabelSql}, '-') = 0`));
+    useNames();
+  }
+
+  // Keywords match the stored domain and, for IDNs, the decoded label too.
+  const keywordMatchSql = (param) =>
+    scoringReady
+      ? `(${domainSql} ILIKE ANY(${param}::text[]) OR COALESCE(nf.name_label ILIKE ANY(${param}::text[]), FALSE))`
+      : `${domainSql} ILIKE ANY(${param}::text[])`;
+  const keywordPatterns = (v) => splitList(v).map((k) => `%${escapeLike(k.toLowerCase())}%`);
+
+  const keywordsAny = keywordPatterns(criteria.keywordsAny);
+  if (keywordsAny.length) {
+    add(keywordMatchSql(`$${values.length + 1}`), keywordsAny);
+    useNames();
+  }
+  const keywordsExclude = keywordPatterns(criteria.keywordsExclude);
+  if (keywordsExclude.length) {
+    add(`NOT ${keywordMatchSql(`$${values.length + 1}`)}`, keywordsExclude);
+    useNames();
+  }
+
+  // "Similar to" seed words (see similarity.js): the joined best score filters, and sorts as `similarity`.
+  const similarCandidates = similarityCandidates(criteria.similarTo);
+  let similarityJoin = '';
+  if (similarCandidates.length) {
+    if (!(await ensureTrigram())) throw httpError(400, 'Similarity search needs the pg_trgm extension');
+    const param = (v) => {
+      values.push(v);
+      return `$${values.length}`;
+    };
+    similarityJoin = similarityJoinSql(nameFeature('nf.name_label', rawLabelSql), similarCandidates, param);
+    add(`sim.similarity >= $${values.length + 1}`, parseSimilarityMin(criteria.similarityMin));
+    useNames();
+  }
+
+  const domainRegex = normalizeString(criteria.domainRegex);
+  if (domainRegex) {
+    await validateRegex(domainRegex);
+    add(`LOWER(${domainSql}) ~ $${values.length + 1}`, domainRegex);
+  }
+
+  const safeViewsTotalOnly = criteria.safeViewsTotalOnly === true;
+  const viewsTotalColumn = fields.viewstotal;
+  if (safeViewsTotalOnly && viewsTotalColumn) {
+    const info = meta.byName.get(String(viewsTotalColumn).toLowerCase());
+    const col = quoteIdent(viewsTotalColumn);
+    if (info?.data_type === 'boolean') {
+      add(`${col} IS NOT TRUE`);
+    } else {
+      add(`COALESCE(NULLIF(${col}::text, ''), '0')::int <= 0`);
+    }
+  }
+
+  // Structured per-column filters from the filter builder (see filters.js).
+  await applyColumnFilters(criteria.filters, { meta, add, values, iso: isoReady });
+
+  const whereSql = where.length ? `WHERE ${where.join(' AND ')}` : '';
+
+  // Output columns keyed by the name the client sees. `kind` (text, number, date, boolean, list,
+  // json) tells the UI how to format the value; `check` marks the joined verdict fields; `column`
+  // is the table column behind a plain field.
+  const profiles = await getColumnProfiles(meta);
+  const selectColumns = [];
+  const selectedKeys = new Set();
+  const exposedColumns = new Set(); // table columns already returned under some key
+  const select = (key, expr, extra = {}) => {
+    selectColumns.push({ key, expr, sql: `${expr} AS ${quoteIdent(key)}`, kind: 'text', ...extra });
+    selectedKeys.add(key);
+  };
+  const selectColumn = (key, column) => {
+    if (!column) return;
+    exposedColumns.add(column.toLowerCase());
+    select(key, quoteIdent(column), { column, kind: profiles.get(column.toLowerCase())?.kind || 'text' });
+  };
+  // Logical fields under their own names, whatever the table calls them
+  for (const key of Object.keys(SCHEMA_FIELDS)) selectColumn(key, fields[key]);
+  const tableColumnsEnd = selectColumns.length;
+
+  if (checksReady) {
+    for (const [key, kind] of [
+      ['last_checked_at', 'date'],
+      ['check_spamhaus_listed', 'boolean'],
+      ['check_wayback_snapshots', 'number'],
+      ['check_wayback_last_snapshot', 'text'],
+      ['check_blocklists', 'json'],
+      ['check_availability', 'text'],
+    ]) {
+      select(key, `lc.${key}`, { check: true, kind });
+    }
+  }
+  if (scoreExpr) {
+    select('score', `(${scoreExpr})::float8`, { kind: 'number' });
+    select('name_words', 'nf.name_words', { kind: 'list' });
+  }
+  if (triageReady) {
+    select('triage_status', `COALESCE(tr.triage_status, 'new')`);
+    select('triage_tags', `COALESCE(tr.triage_tags, '{}')`, { kind: 'list' });
+    select('triage_notes', 'tr.triage_notes');
+  }
+  // Always present, so result columns and sort keys don't depend on the criteria.
+  select('similarity', similarityJoin ? 'sim.similarity::float8' : 'NULL::float8', { kind: 'number' });
+  select('similarity_match', similarityJoin ? 'sim.similarity_match' : 'NULL::text');
+  if (historyReady) {
+    // As text: a date would be serialized as midnight in the server's time zone.
+    select('history_first_capture', 'hp.history_first_capture::text', { check: true, kind: 'date' });
+    for (const [key, kind] of [
+      ['history_capture_days', 'number'],
+      ['history_languages', 'list'],
+      ['history_risk_flags', 'list'],
+      ['history_long_redirect', 'boolean'],
+      ['history_long_parking', 'boolean'],
+    ]) {
+      select(key, `hp.${key}`, { check: true, kind });
+    }
+  }
+
+  // Every other table column under its own (lower-case) name, unless a joined field took the name;
+  // they go with the table columns, ahead of the joined fields.
+  const ownColumns = meta.columns
+    .map((c) => c.column_name)
+    .filter((name) => !exposedColumns.has(name.toLowerCase()) && !selectedKeys.has(name.toLowerCase()));
+  const joinedColumns = selectColumns.splice(tableColumnsEnd);
+  for (const name of ownColumns) selectColumn(name.toLowerCase(), name);
+  selectColumns.push(...joinedColumns);
+
+  // Whitelisted sort keys -> typed SQL expressions (see buildOrder).
+  const sortables = new Map();
+  const sortable = (key, column, type) => {
+    if (column) sortables.set(key, { sql: typed(column, type), type });
+  };
+  sortable('domain', domainColumn, 'text');
+  sortable('tld', tldColumn, 'text');
+  sortable('domain_creation_date', createdColumn, 'date');
+  sortable('domain_expiration_date', expiresColumn, 'timestamp');
+  sortable('scheduled_delete_date', scheduledDeleteColumn, 'timestamp');
+  sortable('status', statusColumn, 'text');
+  for (const [key, type] of [
+    ['detected_hosts', 'int'],
+    ['pr_value', 'numeric'],
+    ['harmonic_value', 'numeric'],
+    ['registrar', 'text'],
+    ['country_by_ip', 'text'],
+    ['response_status', 'text'],
+    ['technologies', 'text'],
+  ]) {
+    sortable(key, fields[key], type);
+  }
+  if (waybackValueSql) sortables.set('wayback', { sql: waybackValueSql, type: 'int' });
+  if (scoreExpr) sortables.set('score', { sql: scoreExpr, type: 'numeric' });
+  if (checksReady) sortables.set('last_checked_at', { sql: 'lc.last_checked_at', type: 'timestamptz' });
+  if (triageReady) sortables.set('triage_updated_at', { sql: 'tr.triage_updated_at', type: 'timestamptz' });
+  if (historyReady) sortables.set('history_first_capture', { sql: 'hp.history_first_capture', type: 'date' });
+  sortables.set('similarity', { sql: similarityJoin ? 'sim.similarity' : 'NULL::float8', type: 'float8' });
+  // The remaining table fields and columns sort by their detected kind, through the same guarded casts as the filters.
+  for (const c of selectColumns) {
+    if (!c.column || sortables.has(c.key)) continue;
+    const profile = profiles.get(c.column.toLowerCase());
+    const type = (!profile.inferred && TIMESTAMP_SORT_TYPES[profile.dataType]) || SORT_TYPES[profile.kind];
+    sortables.set(c.key, { sql: columnValueSql(profile, { iso: isoReady }), type });
+  }
+
+  return {
+    meta,
+    dataset: meta.dataset,
+    domainColumn,
+    createdColumn,
+    where,
+    whereSql,
+    values,
+    selectColumns,
+    selectCols: selectColumns.map((c) => c.sql),
+    // Joins check verdicts / triage / history / name features only when a filter needs them, so plain counts stay cheap.
+    countFromSql: [
+      meta.tableSql,
+      countJoins.has('checks') ? checksJoinSql : '',
+      countJoins.has('triage') ? triageJoinSql : '',
+      countJoins.has('history') ? historyJoinSql : '',
+      countJoins.has('names') ? namesJoinSql : '',
+      similarityJoin,
+    ].join(' '),
+    fromSql: `${meta.tableSql} ${checksJoinSql} ${triageJoinSql} ${historyJoinSql} ${namesJoinSql} ${similarityJoin}`,
+    sortables,
+  };
+}
+
+/**
+ * `all` mode: the query of every dataset for the same criteria, glued by UNION ALL into one
+ * derived table that callers read like a plain one. Rows carry their `dataset`; a table field
+ * some dataset lacks, or stores under another type, is returned as text (NULL where missing).
+ * Sort values travel as hidden `__sort_<n>` columns, so buildOrder works on the union unchanged.
+ */
+async function buildUnionQuery(criteria, datasets) {
+  const values = [];
+  const parts = [];
+  // One after another: every part numbers its parameters in the shared `values`.
+  for (const d of datasets) parts.push(await buildDatasetQuery(criteria, await getDatasetMeta(d), values));
+
+  const fields = new Map(); // key -> { kinds, types, check, table }
+  for (const p of parts) {
+    for (const c of p.selectColumns) {
+      const f = fields.get(c.key) || { kinds: new Set(), types: new Set(), check: !!c.check, table: !!c.column, count: 0 };
+      f.kinds.add(c.kind);
+      if (c.column) f.types.add(p.meta.byName.get(c.column.toLowerCase())?.data_type);
+      f.count += 1;
+      fields.set(c.key, f);
+    }
+  }
+  const asText = (f) => f.table && (f.types.size > 1 || f.count < parts.length);
+  // Table fields ahead of the joined ones, as in a single dataset; the origin right after the domain.
+  const keys = [...fields.keys()].filter((k) => k !== 'domain' && k !== 'dataset');
+  const orderedKeys = ['domain', ...keys.filter((k) => fields.get(k).table), ...keys.filter((k) => !fields.get(k).table)];
+
+  const sortKeys = [...new Set(parts.flatMap((p) => [...p.sortables.keys()]))].filter((k) => k !== 'domain');
+  const sortTypes = new Map(
+    sortKeys.map((k) => {
+      const types = new Set(parts.map((p) => p.sortables.get(k)?.type).filter(Boolean));
+      return [k, types.size === 1 ? [...types][0] : 'text'];
+    })
+  );
+
+  const partSql = (p) => {
+    const byKey = new Map(p.selectColumns.map((c) => [c.key, c]));
+    const cols = orderedKeys.map((key) => {
+      const c = byKey.get(key);
+      const text = asText(fields.get(key));
+      const expr = c ? (text ? `(${c.expr})::text` : c.expr) : 'NULL::text';
+      return `${expr} AS ${quoteIdent(key)}`;
+    });
+    cols.splice(1, 0, `'${p.dataset}'::text AS dataset`);
+    sortKeys.forEach((key, i) => {
+      const def = p.sortables.get(key);
+      const type = sortTypes.get(key);
+      const expr = !def ? `NULL::${type}` : def.type === type ? def.sql : `(${def.sql})::text`;
+      cols.push(`${expr} AS __sort_${i}`);
+    });
+    return `SELECT ${cols.join(', ')} FROM ${p.fromSql} ${p.whereSql}`;
+  };
+
+  const selectColumns = orderedKeys.map((key) => {
+    const f = fields.get(key);
+    const kind = f.kinds.size === 1 ? [...f.kinds][0] : 'text';
+    return { key, expr: quoteIdent(key), sql: quoteIdent(key), kind, check: f.check };
+  });
+  selectColumns.splice(1, 0, { key: 'dataset', expr: 'dataset', sql: 'dataset', kind: 'text', check: false });
+
+  const sortables = new Map([['domain', { sql: quoteIdent('domain'), type: 'text' }]]);
+  sortKeys.forEach((key, i) => sortables.set(key, { sql: `__sort_${i}`, type: sortTypes.get(key) }));
+
+  return {
+    meta: null,
+    dataset: ALL_DATASETS,
+    domainColumn: 'domain',
+    // Tells buildOrder that a domain may appear once per dataset.
+    originColumn: 'dataset',
+    createdColumn: null,
+    where: [],
+    whereSql: '',
+    values,
+    selectColumns,
+    selectCols: selectColumns.map((c) => c.sql),
+    countFromSql: `(${parts
+      .map((p) => `SELECT ${p.meta.tableSql}.${quoteIdent(p.domainColumn)} AS domain FROM ${p.countFromSql} ${p.whereSql}`)
+      .join(' UNION ALL ')}) AS all_datasets`,
+    fromSql: `(${parts.map(partSql).join(' UNION ALL ')}) AS all_datasets`,
+    sortables,
+  };
+}
+
+export const LIFECYCLE_STATES = ['active', 'expiring', 'deleted'];
+
+const SORT_TYPES = { text: 'text', number: 'numeric', date: 'date', boolean: 'boolean' };
+// Native timestamps are compared with their time of day; as dates a cursor would fall back to midnight.
+const TIMESTAMP_SORT_TYPES = { 'timestamp without time zone': 'timestamp', 'timestamp with time zone': 'timestamptz' };
+
+/**
+ * Narrows the search output to `keys` (in that order, duplicates dropped); keys the search cannot
+ * return are a 400 naming them.
+ */
+export function pickSelectColumns(selectColumns, keys, label = 'result') {
+  const byKey = new Map(selectColumns.map((c) => [c.key, c]));
+  const unknown = keys.filter((k) => !byKey.has(k));
+  if (unknown.length) throw httpError(400, `Unknown ${label} columns: ${unknown.join(', ')}`);
+  return [...new Set(keys)].map((k) => byKey.get(k));
+}
+
+// Whole-number criteria (counts); anything else is a 400 instead of a failing cast in the query.
+function countCriterion(criteria, key) {
+  const raw = normalizeString(criteria[key]);
+  if (raw == null) return null;
+  if (!/^\d+$/.test(raw)) throw httpError(400, `${key} must be a non-negative whole number`);
+  return clampInt(raw, 0, 2_147_483_647, 0);
+}
+
+// Upper bound of a timestamp range: a plain date includes that whole day, anything else is compared as given.
+export function upperBoundSql(param, raw) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(raw) ? `< ($${param}::date + 1)` : `<= $${param}`;
+}
+
+const REGEX_MAX_LENGTH = clampInt(process.env.SEARCH_REGEX_MAX_LENGTH, 1, 10_000, 200);
+
+/**
+ * Postgres regexes are automata without backtracking, so run time stays linear except for
+ * back-references; those and over-long patterns are refused, and syntax errors become a 400
+ * instead of failing the search query.
+ */
+async function validateRegex(pattern) {
+  if (pattern.length > REGEX_MAX_LENGTH) throw httpError(400, `Regex is too long (max ${REGEX_MAX_LENGTH} characters)`);
+  if (/\\[1-9]/.test(pattern)) throw httpError(400, 'Back-references are not allowed in regex filters');
+  try {
+    await pool.query(`SELECT '' ~ $1;`, [pattern]);
+  } catch (err) {
+    if (err.code === '2201B') throw httpError(400, `Invalid regex: ${err.message}`);
+    throw err;
+  }
+}
+
+const NATIVE_TYPES = {
+  text: ['text', 'character varying', 'character'],
+  int: ['integer', 'bigint', 'smallint'],
+  numeric: ['numeric', 'integer', 'bigint', 'smallint', 'real', 'double precision'],
+  date: ['date'],
+  timestamp: ['timestamp without time zone'],
+  timestamptz: ['timestamp with time zone'],
+};
+
+/**
+ * Immutable casts of ISO text to date / timestamp. Unlike `text::date` they can back expression
+ * indexes (see indexAdvisor.js), and a value of another shape or an impossible day (2024-02-30,
+ * year 0000) gives NULL instead of failing the query. The shape test comes first: a CASE stops
+ * at the first true branch, so the day arithmetic only ever sees matching text.
+ */
+export const ISO_DATE_FN = appTable('ds_iso_date');
+export const ISO_TIMESTAMP_FN = appTable('ds_iso_timestamp');
+const ISO_DAY_RE = '(?!0000)[0-9]{4}-(?:0[1-9]|1[0-2])-(?:0[1-9]|[12][0-9]|3[01])';
+const ISO_TIME_RE = '(?:[ T](?:[01][0-9]|2[0-3]):[0-5][0-9](?::[0-5][0-9](?:\\.[0-9]+)?)?)?';
+
+export const ensureSearchFunctions = lazySchema('search', [
+  `CREATE OR REPLACE FUNCTION ${ISO_DATE_FN}(v text) RETURNS date
+     LANGUAGE sql IMMUTABLE PARALLEL SAFE
+     AS $$ SELECT CASE
+       WHEN v !~ '^${ISO_DAY_RE}' THEN NULL
+       WHEN substr(v, 9, 2)::int > extract(day FROM (substr(v, 1, 7) || '-01')::date + interval '1 month - 1 day') THEN NULL
+       ELSE substr(v, 1, 10)::date
+     END $$;`,
+  `CREATE OR REPLACE FUNCTION ${ISO_TIMESTAMP_FN}(v text) RETURNS timestamp
+     LANGUAGE sql IMMUTABLE PARALLEL SAFE
+     AS $$ SELECT CASE
+       WHEN ${ISO_DATE_FN}(v) IS NULL THEN NULL
+       ELSE substring(v from '^${ISO_DAY_RE}${ISO_TIME_RE}')::timestamp
+     END $$;`,
+]);
+
+/**
+ * Uses the bare column when it already has the wanted type (so indexes apply), else casts the text
+ * form; with `iso`, dates and timestamps go through the ISO casts above. Index definitions are built
+ * from the same SQL, so the planner can match them.
+ */
+export function typedColumnSql(meta, column, type, { iso = false } = {}) {
+  const info = meta.byName.get(String(column).toLowerCase());
+  const col = quoteIdent(column);
+  if (NATIVE_TYPES[type]?.includes(info?.data_type)) return col;
+  if (type === 'text') return `${col}::text`;
+  if (iso && type === 'date') return `${ISO_DATE_FN}(${col}::text)`;
+  if (iso && type === 'timestamp') return `${ISO_TIMESTAMP_FN}(${col}::text)`;
+  return `NULLIF(${col}::text, '')::${type}`;
+}
+
+export function parseSort(raw) {
+  if (!raw) return null;
+  if (typeof raw === 'string') {
+    const [key, dir] = raw.split(':');
+    return { key: key.trim(), dir: String(dir || 'asc').trim().toLowerCase() === 'desc' ? 'desc' : 'asc' };
+  }
+  const key = normalizeString(raw.key);
+  if (!key) return null;
+  return { key, dir: String(raw.dir || 'asc').toLowerCase() === 'desc' ? 'desc' : 'asc' };
+}
+
+function encodeCursor(data) {
+  return Buffer.from(JSON.stringify(data)).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const data = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (data && typeof data === 'object' && typeof data.d === 'string') return data;
+  } catch {
+    // fall through
+  }
+  throw httpError(400, 'Invalid cursor');
+}
+
+/**
+ * ORDER BY for a whitelisted sort key with the domain as tie-breaker, NULLs always last.
+ * With `cursor` (from a previous page's `nextCursor`) it also returns the keyset condition
+ * that continues after that row; its parameters start at `$firstParam`.
+ */
+export function buildOrder(query, sortInput, { cursor = null, firstParam = query.values.length + 1 } = {}) {
+  const sort = parseSort(sortInput) || { key: 'domain', dir: 'asc' };
+  const def = query.sortables.get(sort.key);
+  if (!def) throw httpError(400, `Unsupported sort key: ${sort.key}`);
+
+  const domainSql = quoteIdent(query.domainColumn);
+  // Across datasets the same domain can come twice; its origin then completes the row identity.
+  const originSql = query.originColumn ? quoteIdent(query.originColumn) : null;
+  const idSql = originSql ? `(${domainSql}, ${originSql})` : domainSql;
+  const dir = sort.dir === 'desc' ? 'DESC' : 'ASC';
+  const bySelf = sort.key === 'domain';
+  const tieSql = originSql ? `${domainSql} ASC, ${originSql} ASC` : `${domainSql} ASC`;
+  const orderSql = bySelf
+    ? `${domainSql} ${dir}${originSql ? `, ${originSql} ${dir}` : ''}`
+    : `(${def.sql}) IS NULL ASC, ${def.sql} ${dir}, ${tieSql}`;
+  // Text form of the sort value round-trips through the cursor without timezone/precision loss.
+  const sortValueSql = bySelf ? null : `(${def.sql})::text`;
+
+  let cursorSql = null;
+  const cursorValues = [];
+  if (cursor) {
+    const c = decodeCursor(cursor);
+    if (c.k !== sort.key || c.o !== sort.dir) throw httpError(400, 'Cursor does not match the requested sort');
+    const cmp = dir === 'DESC' ? '<' : '>';
+    const p = (v) => {
+      cursorValues.push(v);
+      return `$${firstParam + cursorValues.length - 1}`;
+    };
+    const id = () => (originSql ? `(${p(c.d)}, ${p(String(c.s ?? ''))})` : p(c.d));
+    if (bySelf) {
+      cursorSql = `${idSql} ${cmp} ${id()}`;
+    } else if (c.v == null) {
+      cursorSql = `(${def.sql} IS NULL AND ${idSql} > ${id()})`;
+    } else {
+      const v = p(c.v);
+      cursorSql = `(${def.sql} IS NULL OR ${def.sql} ${cmp} ${v}::${def.type} OR (${def.sql} = ${v}::${def.type} AND ${idSql} > ${id()}))`;
+    }
+  }
+
+  return {
+    sort,
+    orderSql,
+    sortValueSql,
+    cursorSql,
+    cursorValues,
+    // Cursor pointing after `row`; needs the `__sort_value` column when sorting by anything but the
+    // domain, and the origin column across datasets.
+    cursorFor(row) {
+      const origin = query.originColumn ? row[query.originColumn] : undefined;
+      return encodeCursor({ k: sort.key, o: sort.dir, v: bySelf ? null : row.__sort_value ?? null, d: row.domain, s: origin });
+    },
+  };
+}
@@ -0,0 +1,96 @@
+import { pool } from './db.js';
+import { clampInt, httpError, normalizeString } from './util.js';
+
+/**
+ * Totals for the search. `exact` runs COUNT(*), `estimate` takes the planner's row estimate from
+ * EXPLAIN (instant, but can be far off with many filters), `auto` estimates first and counts exactly
+ * only when the estimate is at most SEARCH_EXACT_COUNT_MAX rows. Results are cached per query
+ * (SQL and parameters) for SEARCH_COUNT_CACHE_SECONDS; identical counts in flight are shared.
+ */
+export const COUNT_MODES = ['exact', 'estimate', 'auto'];
+
+const DEFAULT_COUNT_MODE = COUNT_MODES.includes(process.env.SEARCH_COUNT_MODE) ? process.env.SEARCH_COUNT_MODE : 'exact';
+const EXACT_COUNT_MAX = clampInt(process.env.SEARCH_EXACT_COUNT_MAX, 0, Number.MAX_SAFE_INTEGER, 100_000);
+const CACHE_TTL_MS = clampInt(process.env.SEARCH_COUNT_CACHE_SECONDS, 0, 86_400, 120) * 1000;
+const CACHE_MAX_ENTRIES = clampInt(process.env.SEARCH_COUNT_CACHE_SIZE, 0, 100_000, 1000);
+
+const countCache = new Map(); // kind + SQL + values -> { ts, promise }
+
+export function parseCountMode(raw) {
+  const mode = normalizeString(raw)?.toLowerCase() || DEFAULT_COUNT_MODE;
+  if (!COUNT_MODES.includes(mode)) throw httpError(400, `count must be one of: ${COUNT_MODES.join(', ')}`);
+  return mode;
+}
+
+/**
+ * Drops the cached totals of every query reading `tableSql` (a dataset table, or one of the joined
+ * check / triage / history / name tables), or all of them without it. Called by each write path.
+ */
+export function clearCountCache(tableSql = null) {
+  if (!tableSql) return countCache.clear();
+  for (const key of countCache.keys()) {
+    if (key.includes(tableSql)) countCache.delete(key);
+  }
+}
+
+function cacheKey(kind, sql, values) {
+  return `${kind}\n${sql}\n${JSON.stringify(values)}`;
+}
+
+function cachedPromise(key) {
+  const hit = countCache.get(key);
+  return hit && Date.now() - hit.ts < CACHE_TTL_MS ? hit.promise : null;
+}
+
+function cached(kind, sql, values, run) {
+  const key = cacheKey(kind, sql, values);
+  const hit = cachedPromise(key);
+  if (hit) return { promise: hit, cached: true };
+  const promise = run().catch((err) => {
+    if (countCache.get(key)?.promise === promise) countCache.delete(key);
+    throw err;
+  });
+  if (CACHE_TTL_MS && CACHE_MAX_ENTRIES) {
+    countCache.delete(key);
+    countCache.set(key, { ts: Date.now(), promise });
+    // Oldest first: Map keeps insertion order.
+    while (countCache.size > CACHE_MAX_ENTRIES) countCache.delete(countCache.keys().next().value);
+  }
+  return { promise, cached: false };
+}
+
+const exactSql = (fromSql, whereSql) => `SELECT COUNT(*)::bigint AS total FROM ${fromSql} ${whereSql};`;
+
+async function exactCount(fromSql, whereSql, values) {
+  const sql = exactSql(fromSql, whereSql);
+  const { promise, cached: hit } = cached('exact', sql, values, async () => {
+    const r = await pool.query(sql, values);
+    return Number(r.rows?.[0]?.total || 0);
+  });
+  return { total: await promise, source: hit ? 'cache' : 'exact', estimated: false };
+}
+
+async function estimateCount(fromSql, whereSql, values) {
+  const sql = `EXPLAIN (FORMAT JSON) SELECT 1 FROM ${fromSql} ${whereSql};`;
+  const { promise } = cached('estimate', sql, values, async () => {
+    const r = await pool.query(sql, values);
+    return Math.round(Number(r.rows?.[0]?.['QUERY PLAN']?.[0]?.Plan?.['Plan Rows']) || 0);
+  });
+  return { total: await promise, source: 'estimate', estimated: true };
+}
+
+/**
+ * Total rows of a search query (buildSearchQuery) as `{ total, source, estimated }`, where source
+ * is `exact`, `cache` (an exact count reused) or `estimate`.
+ */
+export async function countSearch(query, mode = DEFAULT_COUNT_MODE) {
+  const args = [query.countFromSql, query.whereSql, query.values];
+  // An exact total at hand beats any estimate.
+  const exactKey = cacheKey('exact', exactSql(query.countFromSql, query.whereSql), query.values);
+  if (mode === 'exact' || cachedPromise(exactKey)) {
+    return exactCount(...args);
+  }
+  const estimate = await estimateCount(...args);
+  if (mode === 'estimate' || estimate.total > EXACT_COUNT_MAX) return estimate;
+  return exactCount(...args);
+}
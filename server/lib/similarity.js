@@ -0,0 +1,126 @@
+import { lazySchema } from './db.js';
+import { clampInt, httpError, normalizeString, splitList } from './util.js';
+
+/**
+ * "Similar to" search: ranks second-level labels by how close they are to seed words. A label
+ * scores the pg_trgm similarity to its best seed, or the weight of a generated variant it equals
+ * exactly (plurals, get-/-hq style affixes, dropped vowels, one-keystroke typos). Hyphens are
+ * ignored on both sides, so `get-brand` is the `getbrand` variant.
+ */
+
+export const ensureTrigram = lazySchema('trigram search', ['CREATE EXTENSION IF NOT EXISTS pg_trgm;']);
+
+export const SIMILARITY_MIN = Math.min(1, Math.max(0, Number(process.env.SEARCH_SIMILARITY_MIN) || 0.3));
+const MAX_SEEDS = clampInt(process.env.SEARCH_SIMILAR_MAX_SEEDS, 1, 50, 10);
+
+// Containing the seed counts a bit less than looking like it as a whole.
+const CONTAINS_WEIGHT = 0.8;
+
+const VARIANT_WEIGHTS = { seed: 1, plural: 0.95, prefix: 0.9, suffix: 0.9, no_vowels: 0.85, typo: 0.8 };
+
+const PREFIXES = ['get', 'go', 'try', 'use', 'my', 'the', 'join', 'hey'];
+const SUFFIXES = ['hq', 'app', 'hub', 'ly', 'ify', 'labs', 'io', 'co', 'now', 'online'];
+
+const VOWELS = /[aeiou]/g;
+
+// Neighbouring keys on a QWERTY keyboard, for substitution typos.
+const KEY_ROWS = ['qwertyuiop', 'asdfghjkl', 'zxcvbnm'];
+const NEIGHBOURS = new Map();
+KEY_ROWS.forEach((row, r) => {
+  [...row].forEach((ch, i) => {
+    const near = [row[i - 1], row[i + 1], KEY_ROWS[r - 1]?.[i], KEY_ROWS[r + 1]?.[i]].filter(Boolean);
+    NEIGHBOURS.set(ch, near);
+  });
+});
+
+function normalizeSeed(raw) {
+  return String(raw)
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}]+/gu, '');
+}
+
+function plurals(seed) {
+  if (/[^aeiou]y$/.test(seed)) return [`${seed.slice(0, -1)}ies`];
+  if (/ies$/.test(seed)) return [`${seed.slice(0, -3)}y`];
+  if (/[^s]s$/.test(seed)) return [seed.slice(0, -1)];
+  if (/(s|x|z|ch|sh)$/.test(seed)) return [`${seed}es`];
+  return [`${seed}s`];
+}
+
+function withoutVowels(seed) {
+  // Vowels past the first letter (`brnd`), and only the last one (`flickr`).
+  const all = seed[0] + seed.slice(1).replace(VOWELS, '');
+  const last = seed.replace(/[aeiou](?=[^aeiou]+$)/, '');
+  return [all, last].filter((v) => v !== seed && v.length >= 3);
+}
+
+function typos(seed) {
+  const out = [];
+  for (let i = 0; i < seed.length; i++) {
+    const ch = seed[i];
+    if (seed.length >= 4) out.push(seed.slice(0, i) + seed.slice(i + 1));
+    if (i < seed.length - 1 && ch !== seed[i + 1]) out.push(seed.slice(0, i) + seed[i + 1] + ch + seed.slice(i + 2));
+    out.push(seed.slice(0, i + 1) + seed.slice(i));
+    for (const near of NEIGHBOURS.get(ch) || []) out.push(seed.slice(0, i) + near + seed.slice(i + 1));
+  }
+  return out;
+}
+
+/**
+ * Seed words (list or comma/space separated string) and their variants as `{ term, kind, weight }`,
+ * each term once under its highest weight, best first. Seeds are lower-cased and stripped to letters
+ * and digits.
+ */
+export function similarityCandidates(raw) {
+  const seeds = [...new Set((Array.isArray(raw) ? raw : splitList(raw)).map(normalizeSeed))].filter((s) => s.length >= 2);
+  if (!seeds.length) return [];
+  if (seeds.length > MAX_SEEDS) throw httpError(400, `similarTo takes at most ${MAX_SEEDS} words`);
+  if (seeds.some((s) => s.length > 63)) throw httpError(400, 'similarTo words must be at most 63 characters long');
+
+  const byTerm = new Map();
+  const add = (term, kind) => {
+    if (term.length < 2 || term.length > 63) return;
+    const prev = byTerm.get(term);
+    if (!prev || VARIANT_WEIGHTS[kind] > prev.weight) byTerm.set(term, { term, kind, weight: VARIANT_WEIGHTS[kind] });
+  };
+  for (const seed of seeds) {
+    add(seed, 'seed');
+    for (const v of plurals(seed)) add(v, 'plural');
+    for (const p of PREFIXES) add(p + seed, 'prefix');
+    for (const s of SUFFIXES) add(seed + s, 'suffix');
+    for (const v of withoutVowels(seed)) add(v, 'no_vowels');
+    for (const v of typos(seed)) add(v, 'typo');
+  }
+  return [...byTerm.values()].sort((a, b) => b.weight - a.weight || a.term.localeCompare(b.term));
+}
+
+export function parseSimilarityMin(raw) {
+  const s = normalizeString(raw);
+  if (s == null) return SIMILARITY_MIN;
+  const n = Number(s);
+  if (!Number.isFinite(n) || n < 0 || n > 1) throw httpError(400, 'similarityMin must be a number from 0 to 1');
+  return n;
+}
+
+/**
+ * LATERAL join giving each row its best `similarity` (0..1) and the `similarity_match` term behind
+ * it. `labelSql` is the row's label; `param(value)` adds a query parameter and returns its placeholder.
+ */
+export function similarityJoinSql(labelSql, candidates, param) {
+  const terms = param(candidates.map((c) => c.term));
+  const kinds = param(candidates.map((c) => c.kind));
+  const weights = param(candidates.map((c) => c.weight));
+  return `LEFT JOIN LATERAL (
+      SELECT
+        t.term AS similarity_match,
+        (CASE
+          WHEN t.term = l.label THEN t.weight
+          ELSE GREATEST(similarity(l.label, t.term), word_similarity(t.term, l.label) * ${CONTAINS_WEIGHT})
+        END)::float8 AS similarity
+      FROM (SELECT replace(${labelSql}, '-', '') AS label) l,
+        unnest(${terms}::text[], ${kinds}::text[], ${weights}::float8[]) AS t(term, kind, weight)
+      WHERE t.kind = 'seed' OR t.term = l.label
+      ORDER BY 2 DESC, t.weight DESC
+      LIMIT 1
+    ) sim ON TRUE`;
+}
@@ -0,0 +1,190 @@
+import { appTable, lazySchema, pool } from './db.js';
+import { clearCountCache } from './searchCount.js';
+import { httpError, normalizeDomain, normalizeString } from './util.js';
+
+export const TRIAGE_STATUSES = ['new', 'shortlisted', 'rejected', 'backordered', 'bought'];
+
+export const TRIAGE_TABLE = appTable('domain_triage');
+const TRIAGE_HISTORY_TABLE = appTable('domain_triage_history');
+
+const MAX_TAGS = 50;
+const MAX_TAG_LENGTH = 64;
+const MAX_NOTES_LENGTH = 10_000;
+export const MAX_BULK_DOMAINS = 5000;
+
+export const ensureTriageTables = lazySchema('triage', [
+  `
+  CREATE TABLE IF NOT EXISTS ${TRIAGE_TABLE} (
+    domain text PRIMARY KEY,
+    status text NOT NULL DEFAULT 'new',
+    tags text[] NOT NULL DEFAULT '{}',
+    notes text,
+    updated_at timestamptz NOT NULL DEFAULT now(),
+    updated_by text
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS domain_triage_status_idx ON ${TRIAGE_TABLE} (status);`,
+  `CREATE INDEX IF NOT EXISTS domain_triage_tags_idx ON ${TRIAGE_TABLE} USING gin (tags);`,
+  `
+  CREATE TABLE IF NOT EXISTS ${TRIAGE_HISTORY_TABLE} (
+    id bigserial PRIMARY KEY,
+    domain text NOT NULL,
+    changed_at timestamptz NOT NULL DEFAULT now(),
+    changed_by text,
+    field text NOT NULL,
+    old_value jsonb,
+    new_value jsonb
+  );
+  `,
+  `CREATE INDEX IF NOT EXISTS domain_triage_history_domain_idx ON ${TRIAGE_HISTORY_TABLE} (domain, changed_at DESC);`,
+]);
+
+async function requireTables() {
+  if (!(await ensureTriageTables())) throw httpError(503, 'Triage is unavailable (database not ready)');
+}
+
+export function normalizeTag(v) {
+  const s = normalizeString(v);
+  if (!s) return null;
+  return s.toLowerCase().replace(/\s+/g, '-').slice(0, MAX_TAG_LENGTH);
+}
+
+function tagList(v) {
+  if (v == null) return [];
+  const list = Array.isArray(v) ? v : String(v).split(',');
+  return [...new Set(list.map(normalizeTag).filter(Boolean))];
+}
+
+function toTriage(domain, row) {
+  return {
+    domain,
+    status: row?.status || 'new',
+    tags: row?.tags || [],
+    notes: row?.notes ?? null,
+    updatedAt: row?.updated_at || null,
+    updatedBy: row?.updated_by || null,
+  };
+}
+
+export async function getTriage(domainInput, { historyLimit = 100 } = {}) {
+  await requireTables();
+  const domain = normalizeDomain(domainInput);
+  if (!domain) throw httpError(400, 'Invalid domain');
+  const [cur, hist] = await Promise.all([
+    pool.query(`SELECT * FROM ${TRIAGE_TABLE} WHERE domain = $1;`, [domain]),
+    pool.query(
+      `
+      SELECT changed_at, changed_by, field, old_value, new_value
+      FROM ${TRIAGE_HISTORY_TABLE}
+      WHERE domain = $1
+      ORDER BY changed_at DESC, id DESC
+      LIMIT $2;
+      `,
+      [domain, historyLimit]
+    ),
+  ]);
+  return {
+    ...toTriage(domain, cur.rows[0]),
+    history: hist.rows.map((h) => ({
+      changedAt: h.changed_at,
+      changedBy: h.changed_by,
+      field: h.field,
+      oldValue: h.old_value,
+      newValue: h.new_value,
+    })),
+  };
+}
+
+/**
+ * Applies { status?, tags?, addTags?, removeTags?, notes? } to the given domains and records one
+ * history entry per changed field and domain. Unchanged fields leave no history. More than
+ * MAX_BULK_DOMAINS domains are a 400, never a partial update.
+ */
+export async function updateTriage(domainsInput, patch = {}, actor = null) {
+  if (domainsInput?.length > MAX_BULK_DOMAINS) throw httpError(400, `At most ${MAX_BULK_DOMAINS} domains per request`);
+  await requireTables();
+  const domains = [...new Set((domainsInput || []).map(normalizeDomain).filter(Boolean))];
+  if (!domains.length) throw httpError(400, 'No valid domains');
+
+  if (patch.status !== undefined && !TRIAGE_STATUSES.includes(patch.status)) {
+    throw httpError(400, `status must be one of: ${TRIAGE_STATUSES.join(', ')}`);
+  }
+  if (patch.notes != null && String(patch.notes).length > MAX_NOTES_LENGTH) throw httpError(400, 'notes are too long');
+  const setTags = patch.tags !== undefined ? tagList(patch.tags) : null;
+  const addTags = tagList(patch.addTags);
+  const removeTags = new Set(tagList(patch.removeTags));
+
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const cur = await client.query(`SELECT * FROM ${TRIAGE_TABLE} WHERE domain = ANY($1::text[]) FOR UPDATE;`, [domains]);
+    const byDomain = new Map(cur.rows.map((r) => [r.domain, r]));
+
+    const results = [];
+    for (const domain of domains) {
+      const before = toTriage(domain, byDomain.get(domain));
+      const after = { ...before };
+      if (patch.status !== undefined) after.status = patch.status;
+      if (patch.notes !== undefined) after.notes = normalizeString(patch.notes);
+      if (setTags || addTags.length || removeTags.size) {
+        const tags = [...(setTags || before.tags), ...addTags].filter((t) => !removeTags.has(t));
+        after.tags = [...new Set(tags)].slice(0, MAX_TAGS);
+      }
+
+      const changes = [];
+      if (after.status !== before.status) changes.push(['status', before.status, after.status]);
+      if (after.notes !== before.notes) changes.push(['notes', before.notes, after.notes]);
+      if (after.tags.join(',') !== before.tags.join(',')) changes.push(['tags', before.tags, after.tags]);
+      if (!changes.length) {
+        results.push(before);
+        continue;
+      }
+
+      const r = await client.query(
+        `
+        INSERT INTO ${TRIAGE_TABLE} (domain, status, tags, notes, updated_at, updated_by)
+        VALUES ($1, $2, $3, $4, now(), $5)
+        ON CONFLICT (domain) DO UPDATE SET
+          status = EXCLUDED.status,
+          tags = EXCLUDED.tags,
+          notes = EXCLUDED.notes,
+          updated_at = EXCLUDED.updated_at,
+          updated_by = EXCLUDED.updated_by
+        RETURNING *;
+        `,
+        [domain, after.status, after.tags, after.notes, actor]
+      );
+      for (const [field, oldValue, newValue] of changes) {
+        await client.query(
+          `INSERT INTO ${TRIAGE_HISTORY_TABLE} (domain, changed_by, field, old_value, new_value) VALUES ($1, $2, $3, $4, $5);`,
+          [domain, actor, field, JSON.stringify(oldValue), JSON.stringify(newValue)]
+        );
+      }
+      results.push(toTriage(domain, r.rows[0]));
+    }
+
+    await client.query('COMMIT');
+    clearCountCache(TRIAGE_TABLE);
+    return results;
+  } catch (err) {
+    await client.query('ROLLBACK').catch(() => {});
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+export async function listTags({ limit = 200 } = {}) {
+  await requireTables();
+  const r = await pool.query(
+    `
+    SELECT tag, COUNT(*)::int AS count
+    FROM ${TRIAGE_TABLE}, unnest(tags) AS tag
+    GROUP BY tag
+    ORDER BY count DESC, tag ASC
+    LIMIT $1;
+    `,
+    [limit]
+  );
+  return r.rows;
+}
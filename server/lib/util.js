@@ -0,0 +1,200 @@
+import { domainToASCII, domainToUnicode } from 'node:url';
+import { log } from './logger.js';
+import { counter, histogram } from './metrics.js';
+
+export function clampInt(v, min, max, fallback) {
+  const n = Number(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(max, Math.max(min, Math.trunc(n)));
+}
+
+export function normalizeString(v) {
+  if (v == null) return null;
+  const s = String(v).trim();
+  return s ? s : null;
+}
+
+export function splitList(v) {
+  const s = normalizeString(v);
+  if (!s) return [];
+  return s
+    .split(/[,\s]+/g)
+    .map((x) => x.trim())
+    .filter(Boolean);
+}
+
+// Escapes LIKE/ILIKE wildcards so user text matches literally.
+export function escapeLike(s) {
+  return String(s).replace(/[\\%_]/g, (c) => `\\${c}`);
+}
+
+export function normalizeDomain(input) {
+  const s = normalizeString(input);
+  if (!s) return null;
+  let x = s.trim();
+  // Strip protocol
+  x = x.replace(/^https?:\/\//i, '');
+  // Strip path/query/hash
+  x = x.split('/')[0];
+  x = x.split('?')[0];
+  x = x.split('#')[0];
+  // Strip port
+  x = x.split(':')[0];
+  // Trim dots
+  x = x.replace(/^\.+/, '').replace(/\.+$/, '');
+  // IDNs are kept in their ASCII (punycode) form; this also validates existing xn-- labels
+  x = domainToASCII(x.toLowerCase());
+  // Basic validation
+  if (!/^[a-z0-9.-]+$/.test(x)) return null;
+  if (!x.includes('.')) return null;
+  return x;
+}
+
+// Display form of a normalized domain: xn-- labels decoded, everything else unchanged.
+export function toUnicodeDomain(domain) {
+  const s = String(domain || '');
+  if (!s.includes('xn--')) return s;
+  return domainToUnicode(s) || s;
+}
+
+export function withTimeout(promise, ms, label = 'timeout') {
+  let t;
+  const timeout = new Promise((_, reject) => {
+    t = setTimeout(() => {
+      const err = new Error(label);
+      err.timeout = true;
+      reject(err);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(t));
+}
+
+export function sleep(ms) {
+  return new Promise((r) => setTimeout(r, ms));
+}
+
+const upstreamRequests = counter(
+  'upstream_requests_total',
+  'Outgoing HTTP attempts by service and outcome (ok, http_error for 429/5xx, timeout, error).',
+  ['service', 'outcome']
+);
+const upstreamRetries = counter('upstream_retries_total', 'Outgoing HTTP attempts repeated after a failure.', ['service']);
+const upstreamDuration = histogram(
+  'upstream_request_duration_seconds',
+  'Duration of outgoing HTTP attempts in seconds.',
+  ['service']
+);
+
+/**
+ * Response body as a Buffer, read chunk by chunk: stops and cancels the stream once `maxBytes`
+ * are in (returning just those), or after `timeoutMs` with a timeout error.
+ */
+export async function readBody(res, { maxBytes = Infinity, timeoutMs = 0 } = {}) {
+  const reader = res.body?.getReader();
+  if (!reader) return Buffer.alloc(0);
+  let timedOut = false;
+  const t = timeoutMs
+    ? setTimeout(() => {
+        timedOut = true;
+        reader.cancel().catch(() => {});
+      }, timeoutMs)
+    : null;
+  const chunks = [];
+  let size = 0;
+  try {
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      size += value.length;
+      if (size >= maxBytes) {
+        await reader.cancel().catch(() => {});
+        break;
+      }
+    }
+  } finally {
+    clearTimeout(t);
+  }
+  if (timedOut) {
+    const err = new Error('fetch_timeout');
+    err.timeout = true;
+    throw err;
+  }
+  return Buffer.concat(chunks).subarray(0, maxBytes);
+}
+
+// `service` names the upstream in the metrics (spamhaus_intel, wayback_cdx, rdap, webhook…).
+// Bodies are read up to `maxBytes`; `body` holds those bytes, `text`/`json` their UTF-8 reading.
+export async function fetchJsonWithRetry(
+  url,
+  options,
+  { timeoutMs = 12_000, retries = 2, backoffMs = 250, service = 'other', maxBytes = Infinity } = {}
+) {
+  let lastErr;
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) upstreamRetries.inc({ service });
+    const endTimer = upstreamDuration.startTimer({ service });
+    try {
+      const res = await withTimeout(fetch(url, options), timeoutMs, 'fetch_timeout');
+      const body = await readBody(res, { maxBytes, timeoutMs });
+      endTimer();
+      const failed = res.status >= 500 || res.status === 429;
+      upstreamRequests.inc({ service, outcome: failed ? 'http_error' : 'ok' });
+      const text = new TextDecoder().decode(body);
+      if (failed) {
+        lastErr = new Error(`HTTP ${res.status} ${text}`.slice(0, 500));
+        if (attempt < retries) {
+          await sleep(backoffMs * Math.pow(2, attempt));
+          continue;
+        }
+      }
+      let json = null;
+      try {
+        json = text ? JSON.parse(text) : null;
+      } catch {
+        json = null;
+      }
+      return { res, body, text, json };
+    } catch (err) {
+      endTimer();
+      upstreamRequests.inc({ service, outcome: err?.timeout ? 'timeout' : 'error' });
+      lastErr = err;
+      if (attempt < retries) {
+        await sleep(backoffMs * Math.pow(2, attempt));
+        continue;
+      }
+    }
+  }
+  throw lastErr || new Error('fetch_failed');
+}
+
+// Error carrying the HTTP status a route should answer with.
+export function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+// Runs fn over items with at most `limit` calls in flight; resolves when all settle.
+export async function mapWithConcurrency(items, limit, fn) {
+  const list = Array.from(items);
+  let next = 0;
+  const worker = async () => {
+    while (next < list.length) {
+      const i = next++;
+      await fn(list[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, list.length)) }, worker));
+}
+
+// Name recorded as the author of changes: the signed-in user (set by the auth middleware).
+export function actorOf(req) {
+  return req.user?.username || null;
+}
+
+// JSON error response for a route; client errors (4xx) are not logged.
+export function sendError(res, err, label) {
+  if (!err.status || err.status >= 500) log.error(label, { err });
+  res.status(err.status || 500).json({ error: err.message || label });
+}
@@ -0,0 +1,425 @@
+import { appTable, lazySchema, pool } from './db.js';
+import { clearCountCache } from './searchCount.js';
+import { clampInt, fetchJsonWithRetry, httpError, mapWithConcurrency, normalizeString } from './util.js';
+
+/**
+ * What a domain used to be, from the Wayback Machine: a day-collapsed CDX listing of the home page
+ * gives the yearly timeline, status/mimetype breakdown and redirect periods; a few archived pages
+ * spread over time give titles, languages, parking and risk keywords. The profile is stored per
+ * domain so the search can filter on it.
+ */
+
+export const HISTORY_TABLE = appTable('domain_history');
+
+// Bump when the profile shape or its detection rules change; older profiles are rebuilt on request.
+const PROFILE_VERSION = 1;
+
+const CDX_URL = normalizeString(process.env.WAYBACK_CDX_URL) ?? 'https://web.archive.org/cdx/search/cdx';
+const ARCHIVE_URL = (normalizeString(process.env.WAYBACK_ARCHIVE_URL) ?? 'https://web.archive.org/web').replace(/\/+$/, '');
+const CDX_LIMIT = 20_000;
+const SAMPLE_COUNT = clampInt(process.env.WAYBACK_HISTORY_SAMPLES, 0, 20, 4);
+const SAMPLE_TIMEOUT_MS = clampInt(process.env.WAYBACK_SAMPLE_TIMEOUT_MS, 1000, 120_000, 15_000);
+const SAMPLE_MAX_BYTES = 1_000_000;
+const LONG_PERIOD_DAYS = clampInt(process.env.WAYBACK_LONG_PERIOD_DAYS, 1, 10_000, 180);
+const HISTORY_TTL_MS = (Number(process.env.WAYBACK_HISTORY_TTL_HOURS ?? 168) || 0) * 60 * 60 * 1000;
+
+export const ensureHistoryTables = lazySchema('wayback history', [
+  `
+  CREATE TABLE IF NOT EXISTS ${HISTORY_TABLE} (
+    domain text PRIMARY KEY,
+    version integer NOT NULL,
+    first_capture date,
+    last_capture date,
+    capture_days integer NOT NULL DEFAULT 0,
+    languages text[] NOT NULL DEFAULT '{}',
+    risk_flags text[] NOT NULL DEFAULT '{}',
+    long_redirect boolean NOT NULL DEFAULT false,
+    long_parking boolean NOT NULL DEFAULT false,
+    profile jsonb NOT NULL,
+    fetched_at timestamptz NOT NULL DEFAULT now()
+  );
+  `,
+]);
+
+const BUILTIN_RISK_KEYWORDS = {
+  casino: ['casino', 'poker', 'slots', 'roulette', 'blackjack', 'jackpot', 'gambling', 'betting', 'sportsbook', 'казино'],
+  pharma: ['viagra', 'cialis', 'levitra', 'tramadol', 'xanax', 'pharmacy', 'phentermine', 'аптека'],
+  adult: ['porn', 'xxx', 'sex', 'escort', 'nude', 'hentai', 'webcam girls', 'порно'],
+};
+
+/**
+ * WAYBACK_RISK_KEYWORDS replaces the built-in list: "casino=casino|poker,pharma=viagra|cialis".
+ * Keywords match at the start of a word, so "casinos" hits and "essex" does not.
+ */
+function parseRiskKeywords(input) {
+  const s = normalizeString(input);
+  if (!s) return BUILTIN_RISK_KEYWORDS;
+  const out = {};
+  for (const part of s.split(',')) {
+    const [flag, words] = part.split('=').map((x) => x?.trim());
+    const list = String(words || '')
+      .split('|')
+      .map((w) => w.trim().toLowerCase())
+      .filter(Boolean);
+    if (flag && list.length) out[flag.toLowerCase()] = list;
+  }
+  return out;
+}
+
+function escapeRegex(s) {
+  return s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+export const RISK_KEYWORDS = parseRiskKeywords(process.env.WAYBACK_RISK_KEYWORDS);
+const RISK_PATTERNS = Object.entries(RISK_KEYWORDS).map(([flag, words]) => ({
+  flag,
+  re: new RegExp(`(?<![\\p{L}\\p{N}])(${words.map(escapeRegex).join('|')})`, 'giu'),
+}));
+
+// Registrar and marketplace placeholders.
+const PARKING_PATTERNS = [
+  /domain (name )?(is |may be )?for sale/i,
+  /buy this domain/i,
+  /this domain (has expired|is parked)/i,
+  /parked (free|domain|by)/i,
+  /\b(sedoparking|parkingcrew|bodis|hugedomains|afternic|dan\.com|undeveloped\.com)\b/i,
+  /домен (продаётся|продается|припаркован)/i,
+];
+
+function cdxDate(ts) {
+  return `${ts.slice(0, 4)}-${ts.slice(4, 6)}-${ts.slice(6, 8)}`;
+}
+
+function daysBetween(a, b) {
+  return Math.round((Date.parse(cdxDate(b)) - Date.parse(cdxDate(a))) / 86_400_000);
+}
+
+// One capture per day of the home page (www and bare host are the same in CDX).
+async function fetchCaptures(domain) {
+  const url =
+    `${CDX_URL}?url=${encodeURIComponent(domain)}&matchType=exact&output=json` +
+    `&fl=timestamp,original,statuscode,mimetype,digest&collapse=timestamp:8&limit=${CDX_LIMIT}`;
+  let result;
+  try {
+    result = await fetchJsonWithRetry(
+      url,
+      { headers: { Accept: 'application/json' } },
+      { timeoutMs: 30_000, retries: 1, service: 'wayback_history' }
+    );
+  } catch (err) {
+    throw httpError(502, `Wayback CDX request failed: ${err?.message || err}`);
+  }
+  const { res, json, text } = result;
+  if (!res.ok) throw httpError(502, `Wayback CDX answered HTTP ${res.status}`);
+  if (!String(text || '').trim()) return [];
+  if (!Array.isArray(json)) throw httpError(502, 'Wayback CDX returned an unexpected body');
+  return json.slice(1).map(([timestamp, original, statuscode, mimetype, digest]) => ({
+    timestamp,
+    original,
+    status: /^\d{3}$/.test(statuscode) ? Number(statuscode) : null,
+    mimetype: mimetype || 'unknown',
+    digest,
+  }));
+}
+
+function statusClass(c) {
+  if (c.mimetype === 'warc/revisit' || c.status == null) return null; // same as the previous capture
+  if (c.status >= 300 && c.status < 400) return 'redirect';
+  if (c.status >= 400) return 'error';
+  return 'ok';
+}
+
+function buildTimeline(captures) {
+  const years = new Map();
+  for (const c of captures) {
+    const year = Number(c.timestamp.slice(0, 4));
+    const y = years.get(year) || { year, captures: 0, ok: 0, redirects: 0, errors: 0 };
+    y.captures += 1;
+    const cls = statusClass(c);
+    if (cls === 'ok') y.ok += 1;
+    else if (cls === 'redirect') y.redirects += 1;
+    else if (cls === 'error') y.errors += 1;
+    years.set(year, y);
+  }
+  return [...years.values()].sort((a, b) => a.year - b.year);
+}
+
+function countBy(captures, key) {
+  const out = {};
+  for (const c of captures) {
+    const k = String(c[key] ?? 'unknown');
+    out[k] = (out[k] || 0) + 1;
+  }
+  return Object.fromEntries(Object.entries(out).sort((a, b) => b[1] - a[1]));
+}
+
+// Runs of consecutive captures in one state; revisits continue whatever state came before.
+function statePeriods(captures, state) {
+  const periods = [];
+  let cur = null;
+  let prev = null;
+  for (const c of captures) {
+    const cls = statusClass(c) ?? prev;
+    prev = cls;
+    if (cls === state) {
+      if (!cur) cur = { from: c.timestamp, to: c.timestamp, captures: 0 };
+      cur.to = c.timestamp;
+      cur.captures += 1;
+    } else if (cur) {
+      periods.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) periods.push(cur);
+  return periods;
+}
+
+function formatPeriod(p) {
+  return { from: cdxDate(p.from), to: cdxDate(p.to), days: daysBetween(p.from, p.to), captures: p.captures };
+}
+
+// Up to SAMPLE_COUNT successful HTML captures spread evenly over time, distinct content first.
+function pickSamples(captures) {
+  const html = captures.filter((c) => c.status === 200 && /html/.test(c.mimetype));
+  const distinct = html.filter((c, i) => i === 0 || c.digest !== html[i - 1].digest);
+  const candidates = distinct.length >= SAMPLE_COUNT ? distinct : html;
+  if (candidates.length <= SAMPLE_COUNT) return candidates;
+  const step = (candidates.length - 1) / Math.max(1, SAMPLE_COUNT - 1);
+  return Array.from({ length: SAMPLE_COUNT }, (_, i) => candidates[Math.round(i * step)]);
+}
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'", nbsp: ' ' };
+
+function decodeEntities(s) {
+  return s.replace(/&(#x[0-9a-f]+|#\d+|[a-z]+);/gi, (m, e) => {
+    if (e[0] === '#') {
+      const code = e[1].toLowerCase() === 'x' ? parseInt(e.slice(2), 16) : parseInt(e.slice(1), 10);
+      return Number.isFinite(code) && code > 0 && code < 0x110000 ? String.fromCodePoint(code) : m;
+    }
+    return ENTITIES[e.toLowerCase()] ?? m;
+  });
+}
+
+function charsetOf(contentType, head) {
+  const fromHeader = /charset=["']?([\w-]+)/i.exec(contentType || '')?.[1];
+  const fromMeta = /<meta[^>]+charset=["']?([\w-]+)/i.exec(head)?.[1];
+  return (fromHeader || fromMeta || 'utf-8').toLowerCase();
+}
+
+function decodeBody(buf, contentType) {
+  const bytes = buf.subarray(0, SAMPLE_MAX_BYTES);
+  const head = new TextDecoder('latin1').decode(bytes.subarray(0, 4096));
+  try {
+    return new TextDecoder(charsetOf(contentType, head)).decode(bytes);
+  } catch {
+    return new TextDecoder('utf-8').decode(bytes);
+  }
+}
+
+export function analyzePage(html) {
+  const title = normalizeString(decodeEntities(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || '').replace(/\s+/g, ' '));
+  const lang =
+    /<html[^>]*\slang=["']?([a-z]{2,3})(?:[-_][a-z0-9]+)?/i.exec(html)?.[1] ||
+    /<meta[^>]+http-equiv=["']?content-language["']?[^>]+content=["']?([a-z]{2,3})/i.exec(html)?.[1] ||
+    null;
+  const text = decodeEntities(
+    html
+      .replace(/<(script|style|noscript)[\s\S]*?<\/\1>/gi, ' ')
+      .replace(/<[^>]+>/g, ' ')
+  )
+    .replace(/\s+/g, ' ')
+    .trim();
+  const haystack = `${title || ''} ${text}`;
+
+  const risks = {};
+  for (const { flag, re } of RISK_PATTERNS) {
+    const hits = new Set([...haystack.matchAll(re)].map((m) => m[1].toLowerCase()));
+    if (hits.size) risks[flag] = [...hits].slice(0, 10);
+  }
+  return {
+    title: title ? title.slice(0, 300) : null,
+    lang: lang ? lang.toLowerCase() : null,
+    parked: PARKING_PATTERNS.some((re) => re.test(haystack)),
+    risks,
+  };
+}
+
+// `id_` asks the archive for the original bytes, without its toolbar and rewritten links.
+async function fetchSample(capture) {
+  const url = `${ARCHIVE_URL}/${capture.timestamp}id_/${capture.original}`;
+  const base = {
+    timestamp: capture.timestamp,
+    date: cdxDate(capture.timestamp),
+    digest: capture.digest,
+    url: `${ARCHIVE_URL}/${capture.timestamp}/${capture.original}`,
+  };
+  try {
+    const { res, body } = await fetchJsonWithRetry(
+      url,
+      { redirect: 'follow' },
+      { timeoutMs: SAMPLE_TIMEOUT_MS, retries: 0, service: 'wayback_archive', maxBytes: SAMPLE_MAX_BYTES }
+    );
+    if (!res.ok) return { ...base, error: `HTTP ${res.status}` };
+    return { ...base, ...analyzePage(decodeBody(body, res.headers.get('content-type'))) };
+  } catch (err) {
+    return { ...base, error: err?.message || String(err) };
+  }
+}
+
+/**
+ * Parked periods, approximately: consecutive parked samples (no unparked sample between them),
+ * stretched over the adjacent captures that still carry the same content digest.
+ */
+function parkedPeriods(captures, samples) {
+  const index = new Map(captures.map((c, i) => [c.timestamp, i]));
+  const ok = samples.filter((s) => !s.error).sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+  const periods = [];
+  let cur = null;
+  for (const s of ok) {
+    if (s.parked) {
+      cur ??= { first: s, last: s, samples: 0 };
+      cur.last = s;
+      cur.samples += 1;
+    } else if (cur) {
+      periods.push(cur);
+      cur = null;
+    }
+  }
+  if (cur) periods.push(cur);
+
+  return periods.map(({ first, last, samples: n }) => {
+    let from = index.get(first.timestamp);
+    let to = index.get(last.timestamp);
+    while (from > 0 && captures[from - 1].digest === first.digest) from -= 1;
+    while (to < captures.length - 1 && captures[to + 1].digest === last.digest) to += 1;
+    return { ...formatPeriod({ from: captures[from].timestamp, to: captures[to].timestamp, captures: to - from + 1 }), samples: n };
+  });
+}
+
+export async function buildHistoryProfile(domain) {
+  const captures = await fetchCaptures(domain);
+  const picked = pickSamples(captures);
+  const samples = new Array(picked.length);
+  await mapWithConcurrency(picked, 2, async (c, i) => {
+    samples[i] = await fetchSample(c);
+  });
+
+  const redirects = statePeriods(captures, 'redirect').map(formatPeriod);
+  const parked = parkedPeriods(captures, samples);
+  const languages = {};
+  const riskFlags = {};
+  for (const s of samples) {
+    if (s.lang) languages[s.lang] = (languages[s.lang] || 0) + 1;
+    for (const [flag, words] of Object.entries(s.risks || {})) {
+      riskFlags[flag] ??= { samples: 0, keywords: new Set() };
+      riskFlags[flag].samples += 1;
+      for (const w of words) riskFlags[flag].keywords.add(w);
+    }
+  }
+
+  return {
+    domain,
+    version: PROFILE_VERSION,
+    firstCapture: captures.length ? cdxDate(captures[0].timestamp) : null,
+    lastCapture: captures.length ? cdxDate(captures.at(-1).timestamp) : null,
+    captureDays: captures.length,
+    truncated: captures.length >= CDX_LIMIT,
+    timeline: buildTimeline(captures),
+    statuses: countBy(captures, 'status'),
+    mimetypes: countBy(captures, 'mimetype'),
+    redirectPeriods: redirects,
+    parkedPeriods: parked,
+    longPeriodDays: LONG_PERIOD_DAYS,
+    samples,
+    languages,
+    risks: Object.fromEntries(
+      Object.entries(riskFlags).map(([flag, r]) => [flag, { samples: r.samples, keywords: [...r.keywords] }])
+    ),
+    flags: {
+      longRedirect: redirects.some((p) => p.days >= LONG_PERIOD_DAYS),
+      longParking: parked.some((p) => p.days >= LONG_PERIOD_DAYS),
+      risky: Object.keys(riskFlags).length > 0,
+    },
+  };
+}
+
+async function saveProfile(profile) {
+  const r = await pool.query(
+    `
+    INSERT INTO ${HISTORY_TABLE}
+      (domain, version, first_capture, last_capture, capture_days, languages, risk_flags, long_redirect, long_parking, profile, fetched_at)
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, now())
+    ON CONFLICT (domain) DO UPDATE SET
+      version = EXCLUDED.version,
+      first_capture = EXCLUDED.first_capture,
+      last_capture = EXCLUDED.last_capture,
+      capture_days = EXCLUDED.capture_days,
+      languages = EXCLUDED.languages,
+      risk_flags = EXCLUDED.risk_flags,
+      long_redirect = EXCLUDED.long_redirect,
+      long_parking = EXCLUDED.long_parking,
+      profile = EXCLUDED.profile,
+      fetched_at = EXCLUDED.fetched_at
+    RETURNING fetched_at;
+    `,
+    [
+      profile.domain,
+      PROFILE_VERSION,
+      profile.firstCapture,
+      profile.lastCapture,
+      profile.captureDays,
+      Object.keys(profile.languages),
+      Object.keys(profile.risks),
+      profile.flags.longRedirect,
+      profile.flags.longParking,
+      JSON.stringify(profile),
+    ]
+  );
+  clearCountCache(HISTORY_TABLE);
+  return r.rows[0].fetched_at;
+}
+
+// The stored profile whatever its age (null when there is none), without fetching anything.
+export async function getStoredHistoryProfile(domain) {
+  if (!(await ensureHistoryTables())) return null;
+  const r = await pool.query(`SELECT profile, fetched_at FROM ${HISTORY_TABLE} WHERE domain = $1 AND version = $2;`, [
+    domain,
+    PROFILE_VERSION,
+  ]);
+  const row = r.rows[0];
+  return row ? { ...row.profile, fetchedAt: row.fetched_at, cached: true } : null;
+}
+
+const inFlight = new Map(); // domain -> Promise<profile>
+
+/**
+ * Stored profile while younger than WAYBACK_HISTORY_TTL_HOURS (and of the current version),
+ * else a fresh one. Concurrent requests for one domain share a build. Without `canFetch` a
+ * missing or stale profile is a 403 instead: building one calls the archive and writes to the DB.
+ */
+export async function getHistoryProfile(domain, { refresh = false, canFetch = true } = {}) {
+  if (!(await ensureHistoryTables())) throw httpError(503, 'Wayback history is unavailable (database not ready)');
+  if (!refresh && HISTORY_TTL_MS) {
+    const r = await pool.query(`SELECT profile, fetched_at FROM ${HISTORY_TABLE} WHERE domain = $1 AND version = $2;`, [
+      domain,
+      PROFILE_VERSION,
+    ]);
+    const row = r.rows[0];
+    if (row && Date.now() - new Date(row.fetched_at).getTime() < HISTORY_TTL_MS) {
+      return { ...row.profile, fetchedAt: row.fetched_at, cached: true };
+    }
+  }
+
+  if (!canFetch) throw httpError(403, 'No stored Wayback history; fetching it requires the analyst role');
+  if (!inFlight.has(domain)) {
+    inFlight.set(
+      domain,
+      (async () => {
+        const profile = await buildHistoryProfile(domain);
+        const fetchedAt = await saveProfile(profile);
+        return { ...profile, fetchedAt, cached: false };
+      })().finally(() => inFlight.delete(domain))
+    );
+  }
+  return inFlight.get(domain);
+}
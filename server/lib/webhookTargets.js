@@ -0,0 +1,98 @@
+import { lookup } from 'node:dns/promises';
+import { BlockList, isIP } from 'node:net';
+import { httpError, splitList } from './util.js';
+
+/**
+ * Where monitor webhooks may point. Only http(s) URLs, and only to public addresses: loopback,
+ * private, link-local (cloud metadata at 169.254.169.254), CGNAT, multicast and reserved ranges
+ * are refused unless the host is listed in MONITOR_WEBHOOK_ALLOW_HOSTS (`*` allows every host,
+ * e.g. for a receiver on the same machine). Checked when a monitor is saved and again before
+ * every delivery, since the name may resolve elsewhere by then.
+ */
+
+const ALLOW_HOSTS = new Set(splitList(process.env.MONITOR_WEBHOOK_ALLOW_HOSTS).map((h) => h.toLowerCase()));
+
+// One list per family: a BlockList also matches IPv4 addresses against IPv4-mapped IPv6 ranges.
+const PRIVATE_V4 = new BlockList();
+const PRIVATE_V6 = new BlockList();
+for (const [net, prefix] of [
+  ['0.0.0.0', 8],
+  ['10.0.0.0', 8],
+  ['100.64.0.0', 10],
+  ['127.0.0.0', 8],
+  ['169.254.0.0', 16],
+  ['172.16.0.0', 12],
+  ['192.0.0.0', 24],
+  ['192.0.2.0', 24],
+  ['192.168.0.0', 16],
+  ['198.18.0.0', 15],
+  ['198.51.100.0', 24],
+  ['203.0.113.0', 24],
+  ['224.0.0.0', 4],
+  ['240.0.0.0', 4],
+]) {
+  PRIVATE_V4.addSubnet(net, prefix, 'ipv4');
+}
+for (const [net, prefix] of [
+  ['::', 127], // unspecified and loopback
+  ['::ffff:0:0', 96], // IPv4-mapped: never needed to reach a public receiver
+  ['64:ff9b::', 96],
+  ['100::', 64],
+  ['2001:db8::', 32],
+  ['fc00::', 7],
+  ['fe80::', 10],
+  ['fec0::', 10],
+  ['ff00::', 8],
+]) {
+  PRIVATE_V6.addSubnet(net, prefix, 'ipv6');
+}
+
+export function isPrivateAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return family === 4 ? PRIVATE_V4.check(address, 'ipv4') : PRIVATE_V6.check(address, 'ipv6');
+}
+
+// Hostname of a parsed URL without the brackets of an IPv6 literal.
+function bareHost(url) {
+  return url.hostname.replace(/^\[(.*)\]$/, '$1').toLowerCase();
+}
+
+function hostAllowed(host) {
+  return ALLOW_HOSTS.has('*') || ALLOW_HOSTS.has(host);
+}
+
+/**
+ * Parses a webhook URL and makes sure it may be called; throws a 400 naming the problem.
+ * Resolves to the normalized URL.
+ */
+export async function assertWebhookTarget(raw) {
+  let url = null;
+  try {
+    url = new URL(raw);
+  } catch {
+    // reported below
+  }
+  if (!url || !['http:', 'https:'].includes(url.protocol)) throw httpError(400, `Invalid webhook URL: ${raw}`);
+
+  const host = bareHost(url);
+  if (hostAllowed(host)) return url.href;
+  let addresses;
+  if (isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      addresses = (await lookup(host, { all: true, verbatim: true })).map((a) => a.address);
+    } catch {
+      throw httpError(400, `Webhook host does not resolve: ${host}`);
+    }
+  }
+  const blocked = addresses.find(isPrivateAddress);
+  if (blocked) {
+    throw httpError(
+      400,
+      `Webhook host ${host} points to a private address (${blocked}); list it in MONITOR_WEBHOOK_ALLOW_HOSTS to allow it`
+    );
+  }
+  return url.href;
+}
@@ -0,0 +1,108 @@
+import { Router } from 'express';
+import {
+  assertSetupAllowed,
+  changePassword,
+  clearSessionCookie,
+  createApiKey,
+  getSpamhausUsage,
+  isSetupRequired,
+  isSetupTokenRequired,
+  listApiKeys,
+  login,
+  logout,
+  requestToken,
+  requireRole,
+  revokeApiKey,
+  setSessionCookie,
+  setupFirstAdmin,
+} from '../lib/auth.js';
+import { clampInt, sendError } from '../lib/util.js';
+
+// Throttled logins tell the client when to try again.
+function sendLoginError(res, err, label) {
+  if (err.retryAfter) res.set('Retry-After', String(err.retryAfter));
+  sendError(res, err, label);
+}
+
+// Login, the current user and their API keys. Mounted before the role check, so each route decides.
+export const authRouter = Router();
+
+authRouter.get('/me', async (req, res) => {
+  try {
+    if (!req.user) {
+      const setupRequired = await isSetupRequired();
+      return res.json({ user: null, setupRequired, setupTokenRequired: setupRequired && isSetupTokenRequired() });
+    }
+    const { id, username, role, via } = req.user;
+    res.json({ user: { id, username, role, via }, spamhausQuota: await getSpamhausUsage(req.user) });
+  } catch (err) {
+    sendError(res, err, 'Auth error');
+  }
+});
+
+authRouter.post('/setup', async (req, res) => {
+  try {
+    assertSetupAllowed(req);
+    const user = await setupFirstAdmin(req.body || {});
+    const session = await login(req.body || {}, { ip: req.ip });
+    setSessionCookie(res, session.token, session.expiresAt);
+    res.status(201).json({ user });
+  } catch (err) {
+    sendLoginError(res, err, 'Setup error');
+  }
+});
+
+// Sets the session cookie for the UI; the token is also returned for scripts (Authorization: Bearer).
+authRouter.post('/login', async (req, res) => {
+  try {
+    const session = await login(req.body || {}, { ip: req.ip });
+    setSessionCookie(res, session.token, session.expiresAt);
+    res.json(session);
+  } catch (err) {
+    sendLoginError(res, err, 'Login error');
+  }
+});
+
+authRouter.post('/logout', async (req, res) => {
+  try {
+    if (req.user?.via === 'session') await logout(requestToken(req));
+    clearSessionCookie(res);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Logout error');
+  }
+});
+
+authRouter.put('/password', requireRole('viewer'), async (req, res) => {
+  try {
+    await changePassword(req.user, req.body || {});
+    clearSessionCookie(res);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Change password error');
+  }
+});
+
+authRouter.get('/keys', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json({ keys: await listApiKeys(req.user.id) });
+  } catch (err) {
+    sendError(res, err, 'API keys error');
+  }
+});
+
+authRouter.post('/keys', requireRole('viewer'), async (req, res) => {
+  try {
+    res.status(201).json(await createApiKey(req.user.id, req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Create API key error');
+  }
+});
+
+authRouter.delete('/keys/:id', requireRole('viewer'), async (req, res) => {
+  try {
+    res.json(await revokeApiKey(req.user.id, clampInt(req.params.id, 1, Number.MAX_SAFE_INTEGER, 0)));
+  } catch (err) {
+    sendError(res, err, 'Revoke API key error');
+  }
+});
@@ -0,0 +1,124 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import {
+  FINAL_STATUSES,
+  cancelJob,
+  createJob,
+  getJob,
+  jobEvents,
+  listJobItems,
+  listJobs,
+  pauseJob,
+  resumeJob,
+} from '../lib/checkJobs.js';
+import { clampInt, normalizeString, sendError } from '../lib/util.js';
+
+export const checkJobsRouter = Router();
+
+function jobIdParam(req) {
+  return clampInt(req.params.id, 1, Number.MAX_SAFE_INTEGER, null);
+}
+
+checkJobsRouter.get('/', async (req, res) => {
+  try {
+    const jobs = await listJobs({
+      status: normalizeString(req.query?.status),
+      limit: clampInt(req.query?.limit, 1, 200, 50),
+    });
+    res.json({ jobs });
+  } catch (err) {
+    sendError(res, err, 'Check jobs error');
+  }
+});
+
+checkJobsRouter.post('/', requireRole('analyst'), async (req, res) => {
+  try {
+    const body = req.body || {};
+    const job = await createJob({
+      domains: Array.isArray(body.domains) ? body.domains : null,
+      criteria: body.criteria || null,
+      dataset: body.dataset || null,
+      force: body.force === true,
+      concurrency: body.concurrency,
+      createdBy: req.user.id,
+    });
+    res.status(201).json(job);
+  } catch (err) {
+    sendError(res, err, 'Create check job error');
+  }
+});
+
+checkJobsRouter.get('/:id', async (req, res) => {
+  try {
+    const job = await getJob(jobIdParam(req));
+    if (!job) return res.status(404).json({ error: 'Job not found' });
+    res.json(job);
+  } catch (err) {
+    sendError(res, err, 'Check job error');
+  }
+});
+
+checkJobsRouter.get('/:id/items', async (req, res) => {
+  try {
+    const items = await listJobItems(jobIdParam(req), {
+      status: normalizeString(req.query?.status),
+      limit: clampInt(req.query?.limit, 1, 1000, 100),
+      offset: clampInt(req.query?.offset, 0, Number.MAX_SAFE_INTEGER, 0),
+    });
+    res.json({ items });
+  } catch (err) {
+    sendError(res, err, 'Check job items error');
+  }
+});
+
+for (const [action, fn] of [
+  ['pause', pauseJob],
+  ['resume', resumeJob],
+  ['cancel', cancelJob],
+]) {
+  checkJobsRouter.post(`/:id/${action}`, requireRole('analyst'), async (req, res) => {
+    try {
+      res.json(await fn(jobIdParam(req)));
+    } catch (err) {
+      sendError(res, err, `Check job ${action} error`);
+    }
+  });
+}
+
+// Server-Sent Events: a `job` snapshot first, then `item` per checked domain and `job` on status changes.
+checkJobsRouter.get('/:id/events', async (req, res) => {
+  let job;
+  try {
+    job = await getJob(jobIdParam(req));
+  } catch (err) {
+    return sendError(res, err, 'Check job events error');
+  }
+  if (!job) return res.status(404).json({ error: 'Job not found' });
+
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+  });
+  const send = (type, data) => res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+
+  let closed = false;
+  const close = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(heartbeat);
+    jobEvents.off('event', onEvent);
+    res.end();
+  };
+  const onEvent = (evt) => {
+    if (evt.jobId !== job.id) return;
+    send(evt.type, evt.data);
+    if (evt.type === 'job' && FINAL_STATUSES.has(evt.data.status)) close();
+  };
+  const heartbeat = setInterval(() => res.write(': ping\n\n'), 15_000);
+
+  jobEvents.on('event', onEvent);
+  req.on('close', close);
+  send('job', job);
+  if (FINAL_STATUSES.has(job.status)) close();
+});
@@ -0,0 +1,33 @@
+import { Router } from 'express';
+import { deleteColumnLayout, getColumnLayout, saveColumnLayout } from '../lib/columnLayouts.js';
+import { actorOf, sendError } from '../lib/util.js';
+
+// Result-table layout of the signed-in user.
+export const columnLayoutsRouter = Router();
+
+columnLayoutsRouter.get('/', async (req, res) => {
+  try {
+    const layout = await getColumnLayout(actorOf(req));
+    if (!layout) return res.status(404).json({ error: 'No saved layout' });
+    res.json(layout);
+  } catch (err) {
+    sendError(res, err, 'Column layout error');
+  }
+});
+
+columnLayoutsRouter.put('/', async (req, res) => {
+  try {
+    res.json(await saveColumnLayout(actorOf(req), req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Save column layout error');
+  }
+});
+
+columnLayoutsRouter.delete('/', async (req, res) => {
+  try {
+    await deleteColumnLayout(actorOf(req));
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Delete column layout error');
+  }
+});
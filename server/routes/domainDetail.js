@@ -0,0 +1,16 @@
+import { Router } from 'express';
+import { getDomainDetail } from '../lib/domainDetail.js';
+import { httpError, normalizeDomain, normalizeString, sendError } from '../lib/util.js';
+
+// Mounted under /api/domains after the search/export/check routes, so "/:domain" never shadows them.
+export const domainDetailRouter = Router();
+
+domainDetailRouter.get('/:domain', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    if (!domain) throw httpError(400, 'Invalid domain');
+    res.json(await getDomainDetail(domain, { dataset: normalizeString(req.query?.dataset)?.toLowerCase() || null }));
+  } catch (err) {
+    sendError(res, err, 'Domain detail error');
+  }
+});
@@ -0,0 +1,21 @@
+import { Router } from 'express';
+import { hasRole } from '../lib/auth.js';
+import { getHistoryProfile } from '../lib/waybackHistory.js';
+import { httpError, normalizeDomain, sendError } from '../lib/util.js';
+
+// Mounted under /api/domains next to the search/export/check routes.
+export const historyRouter = Router();
+
+// Viewers read stored profiles; fetching a new one (refresh or cache miss) takes an analyst, like checks and RDAP.
+historyRouter.get('/:domain/history', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    if (!domain) throw httpError(400, 'Invalid domain');
+    const refresh = req.query.refresh === '1' || req.query.refresh === 'true';
+    const canFetch = hasRole(req.user, 'analyst');
+    if (refresh && !canFetch) throw httpError(403, 'Requires the analyst role');
+    res.json(await getHistoryProfile(domain, { refresh, canFetch }));
+  } catch (err) {
+    sendError(res, err, 'Wayback history error');
+  }
+});
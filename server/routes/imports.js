@@ -0,0 +1,53 @@
+import { Router } from 'express';
+import { createImport, getImport, listImports } from '../lib/imports.js';
+import { clampInt, httpError, normalizeString, sendError } from '../lib/util.js';
+
+export const importsRouter = Router();
+
+function parseMapping(raw) {
+  const s = normalizeString(raw);
+  if (!s) return null;
+  try {
+    return JSON.parse(s);
+  } catch {
+    throw httpError(400, 'mapping must be JSON');
+  }
+}
+
+importsRouter.get('/', async (req, res) => {
+  try {
+    const imports = await listImports({ limit: clampInt(req.query?.limit, 1, 100, 20) });
+    res.json({ imports });
+  } catch (err) {
+    sendError(res, err, 'Imports error');
+  }
+});
+
+// The file is the raw request body; everything else travels in the query string.
+importsRouter.post('/', async (req, res) => {
+  try {
+    const job = await createImport({
+      dataset: req.query?.dataset,
+      format: req.query?.format,
+      fileName: req.query?.fileName,
+      mapping: parseMapping(req.query?.mapping),
+      body: req,
+      createdBy: req.user.id,
+    });
+    res.status(202).json(job);
+  } catch (err) {
+    // An early error leaves the rest of the upload unread; close the connection once answered.
+    if (!req.complete) res.set('Connection', 'close');
+    sendError(res, err, 'Create import error');
+  }
+});
+
+importsRouter.get('/:id', async (req, res) => {
+  try {
+    const job = await getImport(clampInt(req.params.id, 1, Number.MAX_SAFE_INTEGER, null));
+    if (!job) return res.status(404).json({ error: 'Import not found' });
+    res.json(job);
+  } catch (err) {
+    sendError(res, err, 'Import error');
+  }
+});
@@ -0,0 +1,26 @@
+import { Router } from 'express';
+import { adviseIndexes, createIndexes } from '../lib/indexAdvisor.js';
+import { httpError, normalizeString, sendError } from '../lib/util.js';
+
+export const indexesRouter = Router();
+
+indexesRouter.get('/', async (req, res) => {
+  try {
+    res.json(await adviseIndexes(req.query?.dataset));
+  } catch (err) {
+    sendError(res, err, 'Index advice error');
+  }
+});
+
+// Builds run in the background; poll GET for their state.
+indexesRouter.post('/', async (req, res) => {
+  try {
+    const names = req.body?.names;
+    if (names != null && (!Array.isArray(names) || !names.every((n) => normalizeString(n)))) {
+      throw httpError(400, 'names must be a list of index names');
+    }
+    res.status(202).json(await createIndexes(req.body?.dataset, names));
+  } catch (err) {
+    sendError(res, err, 'Create indexes error');
+  }
+});
@@ -0,0 +1,24 @@
+import { Router } from 'express';
+import { authenticate, requestToken, requireRole, tokensEqual } from '../lib/auth.js';
+import { renderMetrics } from '../lib/metrics.js';
+import { normalizeString, sendError } from '../lib/util.js';
+
+export const metricsRouter = Router();
+
+// Scrapers send METRICS_TOKEN as a bearer token; without one configured, an admin account is needed.
+const METRICS_TOKEN = normalizeString(process.env.METRICS_TOKEN);
+
+const metricsAccess = METRICS_TOKEN
+  ? (req, res, next) => {
+      if (tokensEqual(requestToken(req), METRICS_TOKEN)) return next();
+      res.status(401).json({ error: 'Metrics token required' });
+    }
+  : [authenticate, requireRole('admin')];
+
+metricsRouter.get('/', metricsAccess, (_, res) => {
+  try {
+    res.type('text/plain; version=0.0.4; charset=utf-8').send(renderMetrics());
+  } catch (err) {
+    sendError(res, err, 'Metrics error');
+  }
+});
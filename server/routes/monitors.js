@@ -0,0 +1,104 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import {
+  createMonitor,
+  deleteMonitor,
+  getMonitor,
+  getMonitorRun,
+  listMonitorRuns,
+  listMonitors,
+  redeliverRun,
+  runMonitorNow,
+  updateMonitor,
+} from '../lib/monitors.js';
+import { clampInt, sendError } from '../lib/util.js';
+
+export const monitorsRouter = Router();
+
+function idParam(req, name = 'id') {
+  return clampInt(req.params[name], 1, Number.MAX_SAFE_INTEGER, null);
+}
+
+monitorsRouter.get('/', async (_, res) => {
+  try {
+    res.json({ monitors: await listMonitors() });
+  } catch (err) {
+    sendError(res, err, 'Monitors error');
+  }
+});
+
+monitorsRouter.post('/', requireRole('analyst'), async (req, res) => {
+  try {
+    res.status(201).json(await createMonitor(req.body || {}, { createdBy: req.user.id }));
+  } catch (err) {
+    sendError(res, err, 'Create monitor error');
+  }
+});
+
+monitorsRouter.get('/:id', async (req, res) => {
+  try {
+    const monitor = await getMonitor(idParam(req));
+    if (!monitor) return res.status(404).json({ error: 'Monitor not found' });
+    res.json(monitor);
+  } catch (err) {
+    sendError(res, err, 'Monitor error');
+  }
+});
+
+monitorsRouter.patch('/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const monitor = await updateMonitor(idParam(req), req.body || {});
+    if (!monitor) return res.status(404).json({ error: 'Monitor not found' });
+    res.json(monitor);
+  } catch (err) {
+    sendError(res, err, 'Update monitor error');
+  }
+});
+
+monitorsRouter.delete('/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    if (!(await deleteMonitor(idParam(req)))) return res.status(404).json({ error: 'Monitor not found' });
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Delete monitor error');
+  }
+});
+
+// The run goes on in the background; poll its log entry.
+monitorsRouter.post('/:id/run', requireRole('analyst'), async (req, res) => {
+  try {
+    const run = await runMonitorNow(idParam(req));
+    if (!run) return res.status(404).json({ error: 'Monitor not found' });
+    res.status(202).json(run);
+  } catch (err) {
+    sendError(res, err, 'Run monitor error');
+  }
+});
+
+monitorsRouter.get('/:id/runs', async (req, res) => {
+  try {
+    res.json({ runs: await listMonitorRuns(idParam(req), { limit: clampInt(req.query?.limit, 1, 500, 50) }) });
+  } catch (err) {
+    sendError(res, err, 'Monitor runs error');
+  }
+});
+
+monitorsRouter.get('/:id/runs/:runId', async (req, res) => {
+  try {
+    const run = await getMonitorRun(idParam(req), idParam(req, 'runId'));
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.json(run);
+  } catch (err) {
+    sendError(res, err, 'Monitor run error');
+  }
+});
+
+monitorsRouter.post('/:id/runs/:runId/redeliver', requireRole('analyst'), async (req, res) => {
+  try {
+    const run = await redeliverRun(idParam(req), idParam(req, 'runId'));
+    if (!run) return res.status(404).json({ error: 'Run not found' });
+    res.json(run);
+  } catch (err) {
+    sendError(res, err, 'Redeliver run error');
+  }
+});
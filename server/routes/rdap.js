@@ -0,0 +1,57 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import { RDAP_BATCH_MAX, bootstrapInfo, getStoredRdap, lookupRdap, lookupRdapBatch } from '../lib/rdap.js';
+import { httpError, normalizeDomain, sendError } from '../lib/util.js';
+
+export const rdapRouter = Router();
+
+function lookupOptions(body) {
+  const options = { force: body?.force === true };
+  // Omitted: RDAP_WRITE_BACK decides.
+  if (typeof body?.writeBack === 'boolean') options.writeBack = body.writeBack;
+  return options;
+}
+
+rdapRouter.get('/bootstrap', async (_, res) => {
+  try {
+    res.json(await bootstrapInfo());
+  } catch (err) {
+    sendError(res, err, 'RDAP bootstrap error');
+  }
+});
+
+// Looks domains up (fresh stored records are reused unless force) and optionally writes them back.
+rdapRouter.post('/batch', requireRole('analyst'), async (req, res) => {
+  try {
+    const raw = Array.isArray(req.body?.domains) ? req.body.domains : [];
+    if (raw.length > RDAP_BATCH_MAX) throw httpError(400, `At most ${RDAP_BATCH_MAX} domains per batch`);
+    const domains = [...new Set(raw.map(normalizeDomain).filter(Boolean))];
+    if (!domains.length) throw httpError(400, 'domains must list at least one valid domain');
+    const items = await lookupRdapBatch(domains, lookupOptions(req.body));
+    res.json({ items, failed: items.filter((x) => x.error).length });
+  } catch (err) {
+    sendError(res, err, 'RDAP batch error');
+  }
+});
+
+rdapRouter.get('/:domain', async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    if (!domain) throw httpError(400, 'Invalid domain');
+    const stored = await getStoredRdap(domain);
+    if (!stored) throw httpError(404, 'No RDAP data for this domain yet');
+    res.json(stored);
+  } catch (err) {
+    sendError(res, err, 'RDAP read error');
+  }
+});
+
+rdapRouter.post('/:domain', requireRole('analyst'), async (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    if (!domain) throw httpError(400, 'Invalid domain');
+    res.json(await lookupRdap(domain, lookupOptions(req.body)));
+  } catch (err) {
+    sendError(res, err, 'RDAP lookup error');
+  }
+});
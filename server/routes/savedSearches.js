@@ -0,0 +1,71 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import {
+  createSavedSearch,
+  deleteSavedSearch,
+  getSavedSearch,
+  listSavedSearches,
+  updateSavedSearch,
+} from '../lib/savedSearches.js';
+import { migrateSearchState } from '../lib/criteriaSchema.js';
+import { clampInt, sendError } from '../lib/util.js';
+
+export const savedSearchesRouter = Router();
+
+function idParam(req) {
+  return clampInt(req.params.id, 1, Number.MAX_SAFE_INTEGER, null);
+}
+
+savedSearchesRouter.get('/', async (_, res) => {
+  try {
+    res.json({ searches: await listSavedSearches() });
+  } catch (err) {
+    sendError(res, err, 'Saved searches error');
+  }
+});
+
+savedSearchesRouter.post('/', requireRole('analyst'), async (req, res) => {
+  try {
+    res.status(201).json(await createSavedSearch(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Create saved search error');
+  }
+});
+
+// Upgrades a state from a shared link or browser cache without saving it.
+savedSearchesRouter.post('/migrate', (req, res) => {
+  try {
+    res.json(migrateSearchState(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Migrate search state error');
+  }
+});
+
+savedSearchesRouter.get('/:id', async (req, res) => {
+  try {
+    const search = await getSavedSearch(idParam(req));
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+    res.json(search);
+  } catch (err) {
+    sendError(res, err, 'Saved search error');
+  }
+});
+
+savedSearchesRouter.put('/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    const search = await updateSavedSearch(idParam(req), req.body || {});
+    if (!search) return res.status(404).json({ error: 'Saved search not found' });
+    res.json(search);
+  } catch (err) {
+    sendError(res, err, 'Update saved search error');
+  }
+});
+
+savedSearchesRouter.delete('/:id', requireRole('analyst'), async (req, res) => {
+  try {
+    if (!(await deleteSavedSearch(idParam(req)))) return res.status(404).json({ error: 'Saved search not found' });
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Delete saved search error');
+  }
+});
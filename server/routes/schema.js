@@ -0,0 +1,50 @@
+import { Router } from 'express';
+import { getAllDatasetMetas, getDatasetMeta, selectDatasets } from '../lib/datasets.js';
+import { SCHEMA_FIELDS, resolveSchema, saveSchemaOverrides } from '../lib/schema.js';
+import { sendError } from '../lib/util.js';
+
+export const schemaRouter = Router();
+
+async function datasetMeta(req) {
+  return getDatasetMeta(selectDatasets(req.params.dataset, { allowAll: false })[0]);
+}
+
+// Every logical field with its kind, and how each dataset resolves them.
+schemaRouter.get('/', async (req, res) => {
+  try {
+    const metas = await getAllDatasetMetas();
+    res.json({
+      fields: Object.entries(SCHEMA_FIELDS).map(([key, f]) => ({ key, kind: f.kind })),
+      datasets: await Promise.all(metas.map(resolveSchema)),
+    });
+  } catch (err) {
+    sendError(res, err, 'Schema error');
+  }
+});
+
+schemaRouter.get('/:dataset', async (req, res) => {
+  try {
+    res.json(await resolveSchema(await datasetMeta(req)));
+  } catch (err) {
+    sendError(res, err, 'Schema error');
+  }
+});
+
+// Replaces the dataset's overrides: `{ "mapping": { "domain": "hostname", "created": "reg_date", "wayback": null } }`.
+schemaRouter.put('/:dataset', async (req, res) => {
+  try {
+    const meta = await datasetMeta(req);
+    res.json(await saveSchemaOverrides(meta, req.body?.mapping ?? {}, { userId: req.user.id }));
+  } catch (err) {
+    sendError(res, err, 'Save schema mapping error');
+  }
+});
+
+schemaRouter.delete('/:dataset', async (req, res) => {
+  try {
+    const meta = await datasetMeta(req);
+    res.json(await saveSchemaOverrides(meta, {}, { userId: req.user.id }));
+  } catch (err) {
+    sendError(res, err, 'Reset schema mapping error');
+  }
+});
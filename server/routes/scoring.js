@@ -0,0 +1,38 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import { DEFAULT_WEIGHTS, FEATURES_VERSION, SCORE_COMPONENTS, computeNameFeatures } from '../lib/scoring.js';
+import { nameFeatureStats, refreshNameFeatures } from '../lib/nameIndexer.js';
+import { log } from '../lib/logger.js';
+import { httpError, normalizeDomain, sendError } from '../lib/util.js';
+
+export const scoringRouter = Router();
+
+scoringRouter.get('/', async (_, res) => {
+  try {
+    res.json({
+      components: Object.keys(SCORE_COMPONENTS),
+      weights: DEFAULT_WEIGHTS,
+      featuresVersion: FEATURES_VERSION,
+      ...(await nameFeatureStats()),
+    });
+  } catch (err) {
+    sendError(res, err, 'Scoring stats error');
+  }
+});
+
+// Starts an indexing pass in the background (e.g. right after an import); progress shows in GET /.
+scoringRouter.post('/refresh', requireRole('admin'), (_, res) => {
+  refreshNameFeatures().catch((err) => log.warn('Name scoring pass failed', { err }));
+  res.status(202).json({ started: true });
+});
+
+// Name features for any domain, indexed or not — handy for tuning weights.
+scoringRouter.get('/names/:domain', (req, res) => {
+  try {
+    const domain = normalizeDomain(req.params.domain);
+    if (!domain) throw httpError(400, 'Invalid domain');
+    res.json(computeNameFeatures(domain));
+  } catch (err) {
+    sendError(res, err, 'Name features error');
+  }
+});
@@ -0,0 +1,51 @@
+import { Router } from 'express';
+import { requireRole } from '../lib/auth.js';
+import { TRIAGE_STATUSES, getTriage, listTags, updateTriage } from '../lib/triage.js';
+import { actorOf, clampInt, sendError } from '../lib/util.js';
+
+export const triageRouter = Router();
+
+function pickPatch(body) {
+  const patch = {};
+  for (const key of ['status', 'tags', 'addTags', 'removeTags', 'notes']) {
+    if (body?.[key] !== undefined) patch[key] = body[key];
+  }
+  return patch;
+}
+
+triageRouter.get('/statuses', (_, res) => res.json({ statuses: TRIAGE_STATUSES }));
+
+triageRouter.get('/tags', async (req, res) => {
+  try {
+    res.json({ tags: await listTags({ limit: clampInt(req.query?.limit, 1, 1000, 200) }) });
+  } catch (err) {
+    sendError(res, err, 'Triage tags error');
+  }
+});
+
+// Same patch for many domains, e.g. "reject everything selected".
+triageRouter.post('/bulk', requireRole('analyst'), async (req, res) => {
+  try {
+    const domains = Array.isArray(req.body?.domains) ? req.body.domains : [];
+    res.json({ items: await updateTriage(domains, pickPatch(req.body), actorOf(req)) });
+  } catch (err) {
+    sendError(res, err, 'Triage bulk update error');
+  }
+});
+
+triageRouter.get('/:domain', async (req, res) => {
+  try {
+    res.json(await getTriage(req.params.domain));
+  } catch (err) {
+    sendError(res, err, 'Triage error');
+  }
+});
+
+triageRouter.patch('/:domain', requireRole('analyst'), async (req, res) => {
+  try {
+    const [item] = await updateTriage([req.params.domain], pickPatch(req.body), actorOf(req));
+    res.json(item);
+  } catch (err) {
+    sendError(res, err, 'Triage update error');
+  }
+});
@@ -0,0 +1,43 @@
+import { Router } from 'express';
+import { createUser, deleteUser, listUsers, updateUser } from '../lib/auth.js';
+import { clampInt, sendError } from '../lib/util.js';
+
+// User management; mounted behind requireRole('admin').
+export const usersRouter = Router();
+
+function userIdParam(req) {
+  return clampInt(req.params.id, 1, Number.MAX_SAFE_INTEGER, 0);
+}
+
+usersRouter.get('/', async (_, res) => {
+  try {
+    res.json({ users: await listUsers() });
+  } catch (err) {
+    sendError(res, err, 'Users error');
+  }
+});
+
+usersRouter.post('/', async (req, res) => {
+  try {
+    res.status(201).json(await createUser(req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Create user error');
+  }
+});
+
+usersRouter.patch('/:id', async (req, res) => {
+  try {
+    res.json(await updateUser(userIdParam(req), req.body || {}));
+  } catch (err) {
+    sendError(res, err, 'Update user error');
+  }
+});
+
+usersRouter.delete('/:id', async (req, res) => {
+  try {
+    await deleteUser(userIdParam(req));
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Delete user error');
+  }
+});
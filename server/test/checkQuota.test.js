@@ -0,0 +1,128 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { startDnsServer } from './helpers/dnsServer.js';
+
+// Needs a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_quota_${process.pid}`;
+
+// Mock Spamhaus Intel API: listed.example is listed, everything else unknown.
+const intelRequests = [];
+const intel = createServer((req, res) => {
+  intelRequests.push({ url: req.url, auth: req.headers.authorization });
+  res.writeHead(req.url.endsWith('/listed.example') ? 200 : 404, { 'Content-Type': 'application/json' }).end('{}');
+});
+
+describe('Spamhaus quota of checks', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let dns;
+  let pool;
+  let auth;
+  let checks;
+
+  before(async () => {
+    dns = await startDnsServer({ 'listed.example.dbl.test': { A: ['127.0.1.2'] } });
+    intel.listen(0, '127.0.0.1');
+    await once(intel, 'listening');
+
+    process.env.APP_SCHEMA = SCHEMA;
+    process.env.DATASETS = JSON.stringify([{ id: 'quota', table: `${SCHEMA}.domains` }]);
+    process.env.CHECKS_WRITE_BACK = '0';
+    process.env.CHECK_PROVIDERS = 'spamhaus,spamhaus_dbl';
+    process.env.DNSBL_RESOLVERS = dns.address;
+    process.env.CHECK_SPAMHAUS_DBL_ZONE = 'dbl.test';
+    process.env.SPAMHAUS_INTEL_API_KEY = 'test-key';
+    process.env.SPAMHAUS_INTEL_BASE_URL = `http://127.0.0.1:${intel.address().port}`;
+    process.env.SPAMHAUS_DAILY_QUOTA = '5';
+
+    ({ pool } = await import('../lib/db.js'));
+    await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    auth = await import('../lib/auth.js');
+    checks = await import('../lib/checks.js');
+  });
+
+  after(async () => {
+    await dns?.close();
+    intel.close();
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  const check = (domain, userId) => checks.runDomainCheck(domain, { force: true, userId });
+
+  it('takes one lookup per check from the user quota, then falls back to DBL', async () => {
+    const user = await auth.createUser({ username: 'quota-one', password: 'password123', spamhausDailyQuota: 1 });
+    intelRequests.length = 0;
+
+    const first = await check('listed.example', user.id);
+    assert.equal(first.providers.spamhaus.listed, true);
+    assert.deepEqual(intelRequests, [{ url: '/api/intel/v2/byobject/domain/listed.example', auth: 'Bearer test-key' }]);
+
+    const second = await check('listed.example', user.id);
+    assert.deepEqual(second.providers.spamhaus, {
+      supported: false,
+      skipped: 'quota',
+      error: 'Daily Spamhaus quota is used up',
+      source: 'spamhaus',
+    });
+    assert.equal(second.providers.spamhaus_dbl.listed, true);
+    assert.equal(intelRequests.length, 1);
+    assert.deepEqual(await auth.getSpamhausUsage(user), { limit: 1, used: 1, remaining: 0 });
+  });
+
+  it('keeps quota skips out of the caches, so a check after the reset asks Spamhaus again', async () => {
+    const user = await auth.createUser({ username: 'quota-reset', password: 'password123', spamhausDailyQuota: 1 });
+    await check('clean.example', user.id);
+
+    const skipped = await checks.runDomainCheck('later.example', { userId: user.id });
+    assert.equal(skipped.providers.spamhaus.skipped, 'quota');
+
+    // The next day starts with a fresh row.
+    await pool.query(`DELETE FROM ${SCHEMA}.spamhaus_usage WHERE user_id = $1;`, [user.id]);
+    intelRequests.length = 0;
+    const again = await checks.runDomainCheck('later.example', { userId: user.id });
+    assert.equal(again.cached, false);
+    assert.deepEqual(again.providers.spamhaus, { supported: true, source: 'spamhaus_intel', listed: false });
+    assert.deepEqual(
+      intelRequests.map((r) => r.url),
+      ['/api/intel/v2/byobject/domain/later.example']
+    );
+  });
+
+  it('sends no paid lookups for a quota of 0', async () => {
+    const user = await auth.createUser({ username: 'quota-zero', password: 'password123', spamhausDailyQuota: 0 });
+    intelRequests.length = 0;
+    const result = await check('clean.example', user.id);
+    assert.equal(result.providers.spamhaus.supported, false);
+    assert.equal(result.providers.spamhaus_dbl.listed, false);
+    assert.equal(intelRequests.length, 0);
+    assert.deepEqual(await auth.getSpamhausUsage(user), { limit: 0, used: 0, remaining: 0 });
+  });
+
+  it('uses SPAMHAUS_DAILY_QUOTA for users without their own quota', async () => {
+    const user = await auth.createUser({ username: 'quota-default', password: 'password123' });
+    for (let i = 0; i < 6; i++) await check('clean.example', user.id);
+    assert.deepEqual(await auth.getSpamhausUsage(user), { limit: 5, used: 5, remaining: 0 });
+  });
+
+  it('does not count checks made without a user', async () => {
+    intelRequests.length = 0;
+    const result = await check('clean.example', null);
+    assert.deepEqual(result.providers.spamhaus, { supported: true, source: 'spamhaus_intel', listed: false });
+    assert.equal(intelRequests.length, 1);
+  });
+
+  it('does not count checks while no paid provider is configured', async () => {
+    const user = await auth.createUser({ username: 'quota-unconfigured', password: 'password123', spamhausDailyQuota: 1 });
+    delete process.env.SPAMHAUS_INTEL_API_KEY;
+    try {
+      await check('clean.example', user.id);
+      await check('clean.example', user.id);
+    } finally {
+      process.env.SPAMHAUS_INTEL_API_KEY = 'test-key';
+    }
+    assert.deepEqual(await auth.getSpamhausUsage(user), { limit: 1, used: 0, remaining: 1 });
+  });
+});
@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { CRITERIA_VERSION, criteriaFromRequest, migrateSearchState } from '../lib/criteriaSchema.js';
+
+describe('migrateSearchState', () => {
+  it('upgrades unversioned v1 state: drops stale lifecycle keys and defaults the sort', () => {
+    const state = migrateSearchState({
+      criteria: { tld: 'com', lifecycleState: 'expired', expiringWithinDays: '30', expiredState: 'any' },
+      pageSize: 50,
+    });
+    assert.deepEqual(state, {
+      version: CRITERIA_VERSION,
+      criteria: { tld: 'com' },
+      pageSize: 50,
+      sort: { key: 'domain', dir: 'asc' },
+    });
+  });
+
+  it('keeps the sort of v1 state when it has one', () => {
+    const sort = { key: 'score', dir: 'desc' };
+    assert.deepEqual(migrateSearchState({ version: 1, criteria: {}, sort }).sort, sort);
+  });
+
+  it('leaves current state as it is', () => {
+    const criteria = { tld: 'net', lifecycleState: 'active' };
+    assert.deepEqual(migrateSearchState({ version: CRITERIA_VERSION, criteria }), {
+      version: CRITERIA_VERSION,
+      criteria,
+      pageSize: null,
+      sort: null,
+    });
+  });
+
+  it('reads string versions and does not modify the input', () => {
+    const criteria = { lifecycleState: 'expired' };
+    assert.deepEqual(migrateSearchState({ version: '1', criteria }).criteria, {});
+    assert.deepEqual(criteria, { lifecycleState: 'expired' });
+  });
+
+  it('treats missing criteria as empty', () => {
+    assert.deepEqual(migrateSearchState().criteria, {});
+    assert.deepEqual(migrateSearchState({ version: '', criteria: null }).criteria, {});
+  });
+
+  it('rejects versions newer than the server and criteria that are not objects', () => {
+    assert.throws(
+      () => migrateSearchState({ version: CRITERIA_VERSION + 1, criteria: {} }),
+      (err) => err.status === 400 && /Unsupported criteria version/.test(err.message)
+    );
+    for (const criteria of [[], 'tld=com', 42]) {
+      assert.throws(() => migrateSearchState({ criteria }), (err) => err.status === 400);
+    }
+  });
+});
+
+describe('criteriaFromRequest', () => {
+  it('migrates criteria sent with a version', () => {
+    assert.deepEqual(criteriaFromRequest({ criteriaVersion: 1, criteria: { tld: 'com', expiredState: 'x' } }), { tld: 'com' });
+  });
+
+  it('takes criteria without a version as current', () => {
+    const criteria = { tld: 'com', expiredState: 'x' };
+    assert.equal(criteriaFromRequest({ criteria }), criteria);
+    assert.deepEqual(criteriaFromRequest({}), {});
+  });
+});
@@ -0,0 +1,101 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { nextRunAfter, parseSchedule } from '../lib/cron.js';
+
+const at = (iso) => new Date(iso);
+const next = (expr, from) => nextRunAfter(parseSchedule(expr), at(from))?.toISOString() ?? null;
+
+describe('parseSchedule', () => {
+  it('expands lists, ranges and steps', () => {
+    const { fields } = parseSchedule('0,30 9-17/4 * * 1-5');
+    assert.deepEqual([...fields.minutes], [0, 30]);
+    assert.deepEqual([...fields.hours], [9, 13, 17]);
+    assert.deepEqual([...fields.weekdays], [1, 2, 3, 4, 5]);
+    assert.equal(fields.days.size, 31);
+  });
+
+  it('reads a step from a single value up to the field maximum', () => {
+    assert.deepEqual([...parseSchedule('50/5 * * * *').fields.minutes], [50, 55]);
+  });
+
+  it('treats day of week 7 as Sunday', () => {
+    assert.ok(parseSchedule('0 0 * * 7').fields.weekdays.has(0));
+  });
+
+  it('maps shortcuts and normalizes whitespace and case', () => {
+    assert.equal(parseSchedule('  @DAILY ').expr, '@daily');
+    assert.deepEqual([...parseSchedule('@hourly').fields.minutes], [0]);
+    assert.equal(parseSchedule('0  9 *  * *').expr, '0 9 * * *');
+  });
+
+  it('reads @every intervals', () => {
+    assert.equal(parseSchedule('@every 30m').intervalMs, 30 * 60_000);
+    assert.equal(parseSchedule('@every 6h').intervalMs, 6 * 3_600_000);
+    assert.equal(parseSchedule('@every 1d').intervalMs, 86_400_000);
+  });
+
+  it('only flags anyDay when both day fields are restricted', () => {
+    assert.equal(parseSchedule('0 0 1 * 1').anyDay, true);
+    assert.equal(parseSchedule('0 0 1 * *').anyDay, false);
+    assert.equal(parseSchedule('0 0 * * 1').anyDay, false);
+  });
+
+  for (const [expr, message] of [
+    ['', /schedule is required/],
+    ['@every 30s', /cron expression/],
+    ['@every 0m', /at least 1m/],
+    ['* * * *', /5 fields/],
+    ['60 * * * *', /Invalid minute/],
+    ['* 24 * * *', /Invalid hour/],
+    ['* * 0 * *', /Invalid day of month/],
+    ['* * * 13 *', /Invalid month/],
+    ['* * * * 8', /Invalid day of week/],
+    ['5-1 * * * *', /Invalid minute/],
+    ['*/0 * * * *', /Invalid minute/],
+    ['a * * * *', /Invalid minute/],
+  ]) {
+    it(`rejects "${expr}" with a 400`, () => {
+      assert.throws(() => parseSchedule(expr), (err) => err.status === 400 && message.test(err.message));
+    });
+  }
+});
+
+describe('nextRunAfter', () => {
+  it('is strictly after the given time', () => {
+    assert.equal(next('0 9 * * *', '2026-03-10T09:00:00Z'), '2026-03-11T09:00:00.000Z');
+    assert.equal(next('* * * * *', '2026-03-10T09:00:30Z'), '2026-03-10T09:01:00.000Z');
+  });
+
+  it('finds the next slot later the same hour and day', () => {
+    assert.equal(next('0,30 * * * *', '2026-03-10T09:05:00Z'), '2026-03-10T09:30:00.000Z');
+    assert.equal(next('15 18 * * *', '2026-03-10T09:05:00Z'), '2026-03-10T18:15:00.000Z');
+  });
+
+  it('skips weekends for weekday schedules', () => {
+    // 2026-03-13 is a Friday.
+    assert.equal(next('0 9 * * 1-5', '2026-03-13T10:00:00Z'), '2026-03-16T09:00:00.000Z');
+  });
+
+  it('rolls over months and years', () => {
+    assert.equal(next('@monthly', '2026-01-31T12:00:00Z'), '2026-02-01T00:00:00.000Z');
+    assert.equal(next('0 0 1 1 *', '2026-06-01T00:00:00Z'), '2027-01-01T00:00:00.000Z');
+  });
+
+  it('matches either day field when both are restricted', () => {
+    // The 20th or any Monday: Monday 2026-03-16 comes first.
+    assert.equal(next('0 0 20 * 1', '2026-03-14T00:00:00Z'), '2026-03-16T00:00:00.000Z');
+  });
+
+  it('finds leap days', () => {
+    assert.equal(next('0 0 29 2 *', '2026-03-01T00:00:00Z'), '2028-02-29T00:00:00.000Z');
+  });
+
+  it('gives null for schedules that never fire', () => {
+    assert.equal(next('0 0 31 2 *', '2026-01-01T00:00:00Z'), null);
+    assert.equal(next('0 0 30 2 *', '2026-01-01T00:00:00Z'), null);
+  });
+
+  it('adds @every intervals to the given time as is', () => {
+    assert.equal(next('@every 30m', '2026-03-10T09:05:17Z'), '2026-03-10T09:35:17.000Z');
+  });
+});
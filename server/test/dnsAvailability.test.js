@@ -0,0 +1,69 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { dnsAvailability } from '../lib/providers/dnsAvailability.js';
+import { startDnsServer } from './helpers/dnsServer.js';
+
+const ZONE = {
+  test: { SOA: true },
+  'parked.test': { NS: ['ns1.sedoparking.com', 'ns2.sedoparking.com'] },
+  'parked-sub.test': { NS: ['NS1.Park.Bodis.com.'] },
+  'live.test': { NS: ['ns1.example.net'], A: ['203.0.113.10'] },
+  'soa-only.test': { SOA: true },
+  'address-only.test': { A: ['203.0.113.11'] },
+  'broken.test': 'SERVFAIL',
+  'slow.test': 'DROP',
+};
+
+describe('DNS availability provider', () => {
+  let dns;
+  let config;
+  const check = (domain) => dnsAvailability.check(domain, config);
+
+  before(async () => {
+    dns = await startDnsServer(ZONE);
+    config = { timeoutMs: 300, resolvers: [dns.address] };
+  });
+
+  after(() => dns.close());
+
+  it('classifies names on parking nameservers as parked', async () => {
+    const result = await check('parked.test');
+    assert.equal(result.status, 'registered_parked');
+    assert.equal(result.parkedBy, 'sedoparking.com');
+    assert.deepEqual(result.nameservers, ['ns1.sedoparking.com', 'ns2.sedoparking.com']);
+    assert.equal((await check('parked-sub.test')).parkedBy, 'bodis.com');
+  });
+
+  it('classifies delegated names as registered and resolving', async () => {
+    const result = await check('live.test');
+    assert.equal(result.status, 'registered_resolving');
+    assert.deepEqual(result.addresses, ['203.0.113.10']);
+    assert.equal(result.error, undefined);
+  });
+
+  it('counts SOA or address records without NS as registered', async () => {
+    assert.equal((await check('soa-only.test')).status, 'registered_resolving');
+    assert.equal((await check('address-only.test')).status, 'registered_resolving');
+  });
+
+  it('calls NXDOMAIN names likely available once the TLD resolves', async () => {
+    const result = await check('free.test');
+    assert.deepEqual(result, { supported: true, source: 'dns', nameservers: [], addresses: [], status: 'likely_available' });
+    assert.ok(dns.queries.some((q) => q.name === 'test' && q.type === 'SOA'));
+  });
+
+  it('gives no verdict when the resolver does not know the TLD', async () => {
+    const result = await check('free.unknowntld');
+    assert.equal(result.status, 'unknown');
+    assert.match(result.error, /does not answer for \.unknowntld/);
+  });
+
+  it('reports SERVFAIL and timeouts as unknown with an error', async () => {
+    const failed = await check('broken.test');
+    assert.equal(failed.status, 'unknown');
+    assert.match(failed.error, /DNS lookup failed: ESERVFAIL/);
+    const slow = await check('slow.test');
+    assert.equal(slow.status, 'unknown');
+    assert.match(slow.error, /DNS lookup failed: ETIMEOUT/);
+  });
+});
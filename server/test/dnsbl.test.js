@@ -0,0 +1,142 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { spamhausDbl, surbl, uribl } from '../lib/providers/dnsbl.js';
+import { startDnsServer } from './helpers/dnsServer.js';
+
+const ZONE = {
+  'spam.example.dbl.test': { A: ['127.0.1.2'] },
+  'phish.example.dbl.test': { A: ['127.0.1.4', '127.0.1.2'] },
+  'open.example.dbl.test': { A: ['127.255.255.254'] },
+  'odd.example.dbl.test': { A: ['10.0.0.1'] },
+  'broken.example.dbl.test': 'SERVFAIL',
+  'slow.example.surbl.test': 'DROP',
+  'bad.example.surbl.test': { A: ['127.0.0.24'] },
+  'bad.example.uribl.test': { A: ['127.0.0.6'] },
+  'spam.example.dbl.spamhaus.org': { A: ['127.0.1.2'] },
+};
+
+describe('DNSBL providers', () => {
+  let dns;
+  let config;
+
+  before(async () => {
+    dns = await startDnsServer(ZONE);
+    config = { timeoutMs: 500, zone: 'dbl.test', resolvers: [dns.address] };
+  });
+
+  after(() => dns.close());
+
+  it('reports listed names with their decoded reasons', async () => {
+    const result = await spamhausDbl.check('spam.example', config);
+    assert.deepEqual(result, {
+      supported: true,
+      source: 'spamhaus_dbl',
+      zone: 'dbl.test',
+      listed: true,
+      codes: ['127.0.1.2'],
+      reasons: ['spam'],
+    });
+    assert.deepEqual((await spamhausDbl.check('phish.example', config)).reasons, ['phishing', 'spam']);
+    assert.deepEqual(dns.queries[0], { name: 'spam.example.dbl.test', type: 'A' });
+  });
+
+  it('reports NXDOMAIN as not listed', async () => {
+    assert.deepEqual(await spamhausDbl.check('clean.example', config), {
+      supported: true,
+      source: 'spamhaus_dbl',
+      zone: 'dbl.test',
+      listed: false,
+    });
+  });
+
+  it('turns refusal codes into unsupported results', async () => {
+    const result = await spamhausDbl.check('open.example', config);
+    assert.equal(result.supported, false);
+    assert.equal(result.listed, undefined);
+    assert.match(result.error, /open resolvers are refused/);
+  });
+
+  it('reports answers outside 127.0.0.0/8 and DNS failures as errors', async () => {
+    assert.match((await spamhausDbl.check('odd.example', config)).error, /Unexpected answer: 10\.0\.0\.1/);
+    const failed = await spamhausDbl.check('broken.example', config);
+    assert.equal(failed.supported, true);
+    assert.match(failed.error, /DNS lookup failed: ESERVFAIL/);
+  });
+
+  it('decodes bit-coded lists', async () => {
+    const surblResult = await surbl.check('bad.example', { ...config, zone: 'surbl.test' });
+    assert.deepEqual(surblResult.reasons, ['phishing', 'malware']);
+    const uriblResult = await uribl.check('bad.example', { ...config, zone: 'uribl.test' });
+    assert.deepEqual(uriblResult.reasons, ['black', 'grey']);
+  });
+
+  it('falls back to the built-in zone', async () => {
+    const result = await spamhausDbl.check('spam.example', { timeoutMs: 500, zone: null, resolvers: [dns.address] });
+    assert.equal(result.zone, 'dbl.spamhaus.org');
+    assert.equal(result.listed, true);
+  });
+});
+
+describe('provider registry', () => {
+  let dns;
+  let providers;
+
+  before(async () => {
+    dns = await startDnsServer(ZONE);
+    process.env.CHECK_PROVIDERS = 'spamhaus_dbl,surbl,spamhaus,no_such_provider';
+    process.env.DNSBL_RESOLVERS = dns.address;
+    process.env.CHECK_SPAMHAUS_DBL_ZONE = 'dbl.test';
+    process.env.CHECK_SURBL_ZONE = 'surbl.test';
+    process.env.CHECK_SURBL_TIMEOUT_MS = '300';
+    delete process.env.SPAMHAUS_INTEL_API_KEY;
+    providers = await import('../lib/providers/index.js');
+  });
+
+  after(() => dns.close());
+
+  it('enables the providers listed in CHECK_PROVIDERS, in that order, skipping unknown ids', () => {
+    assert.deepEqual(providers.enabledProviderIds(), ['spamhaus_dbl', 'surbl', 'spamhaus']);
+  });
+
+  it('lists every provider with its per-provider config', () => {
+    const list = providers.listProviders();
+    const byId = Object.fromEntries(list.map((p) => [p.id, p]));
+    assert.deepEqual(Object.keys(byId).sort(), ['availability', 'spamhaus', 'spamhaus_dbl', 'surbl', 'uribl', 'wayback']);
+    assert.deepEqual(byId.spamhaus_dbl, {
+      id: 'spamhaus_dbl',
+      label: 'Spamhaus DBL',
+      kind: 'blocklist',
+      enabled: true,
+      timeoutMs: 5000,
+      zone: 'dbl.test',
+    });
+    assert.equal(byId.surbl.timeoutMs, 300);
+    assert.equal(byId.uribl.enabled, false);
+    assert.equal(byId.uribl.zone, 'multi.uribl.com');
+  });
+
+  it('counts a paid provider only once it has credentials', () => {
+    assert.deepEqual(providers.paidProviderIds(), []);
+    process.env.SPAMHAUS_INTEL_API_KEY = 'test-key';
+    try {
+      assert.deepEqual(providers.paidProviderIds(), ['spamhaus']);
+    } finally {
+      delete process.env.SPAMHAUS_INTEL_API_KEY;
+    }
+  });
+
+  it('keys results by provider id', async () => {
+    const results = await providers.runProviders('spam.example', ['spamhaus_dbl', 'spamhaus']);
+    assert.deepEqual(Object.keys(results), ['spamhaus_dbl', 'spamhaus']);
+    assert.equal(results.spamhaus_dbl.listed, true);
+    assert.equal(results.spamhaus.supported, false);
+    assert.equal(providers.isTransientError(results.spamhaus), false);
+  });
+
+  it('cuts off a provider at its timeout', async () => {
+    const results = await providers.runProviders('slow.example', ['surbl']);
+    assert.equal(results.surbl.supported, true);
+    assert.match(results.surbl.error, /Timed out after 300 ms|ETIMEOUT/);
+    assert.equal(providers.isTransientError(results.surbl), true);
+  });
+});
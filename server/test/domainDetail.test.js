@@ -0,0 +1,49 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+// Needs a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_detail_${process.pid}`;
+
+describe('domain detail', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let getDomainDetail;
+
+  before(async () => {
+    process.env.APP_SCHEMA = SCHEMA;
+    process.env.DATASETS = JSON.stringify([
+      { id: 'mapped', table: `${SCHEMA}.domains`, columns: { registrar: 'seller', created: 'reg_date' } },
+    ]);
+    ({ pool } = await import('../lib/db.js'));
+    await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    await pool.query(`CREATE TABLE ${SCHEMA}.domains (domain text, seller text, reg_date date);`);
+    await pool.query(
+      `INSERT INTO ${SCHEMA}.domains VALUES
+        ('a.com', 'Reg One', '2024-03-01'),
+        ('b.com', 'REG ONE', '2024-03-20'),
+        ('c.com', 'Reg One', '2020-01-01'),
+        ('d.com', 'Reg Two', '2024-03-02');`
+    );
+    ({ getDomainDetail } = await import('../lib/domainDetail.js'));
+  });
+
+  after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  it('finds similar domains through a mapped registrar column', async () => {
+    const detail = await getDomainDetail('a.com', { dataset: 'mapped' });
+    assert.equal(detail.record.registrar, 'Reg One');
+    assert.equal(detail.similar.registrar, 'Reg One');
+    assert.deepEqual(
+      detail.similar.items.map((x) => [x.domain, x.created]),
+      [['b.com', '2024-03-20']]
+    );
+  });
+
+  it('answers 404 for unknown domains', async () => {
+    await assert.rejects(getDomainDetail('nowhere.com', { dataset: 'mapped' }), (err) => err.status === 404);
+  });
+});
@@ -0,0 +1,59 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+// Needs a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_filters_${process.pid}`;
+
+describe('date column filters', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let buildSearchQuery;
+
+  before(async () => {
+    process.env.APP_SCHEMA = SCHEMA;
+    process.env.DATASETS = JSON.stringify([{ id: 'dates', table: `${SCHEMA}.domains` }]);
+    ({ pool } = await import('../lib/db.js'));
+    await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    await pool.query(`CREATE TABLE ${SCHEMA}.domains (domain text, seen_at timestamp, seen_text text);`);
+    await pool.query(
+      `INSERT INTO ${SCHEMA}.domains VALUES
+        ('a.com', '2024-05-01 00:00', '2024-05-01'),
+        ('b.com', '2024-05-01 13:45', '2024-05-01T13:45:00Z'),
+        ('c.com', '2024-05-02 08:00', '2024-05-02'),
+        ('d.com', '2024-04-30 23:59', '2024-04-30'),
+        ('e.com', NULL, NULL);`
+    );
+    ({ buildSearchQuery } = await import('../lib/search.js'));
+  });
+
+  after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  async function matching(column, op, value) {
+    const query = await buildSearchQuery({ filters: [{ column, op, value }] }, { dataset: 'dates' });
+    const { rows } = await pool.query(
+      `SELECT domain FROM ${query.fromSql} ${query.whereSql} ORDER BY domain;`,
+      query.values
+    );
+    return rows.map((r) => r.domain);
+  }
+
+  for (const column of ['seen_at', 'seen_text']) {
+    it(`compares whole days on ${column}`, async () => {
+      assert.deepEqual(await matching(column, 'equals', '2024-05-01'), ['a.com', 'b.com']);
+      assert.deepEqual(await matching(column, 'notEquals', '2024-05-01'), ['c.com', 'd.com', 'e.com']);
+      assert.deepEqual(await matching(column, 'in', ['2024-05-01', '2024-04-30']), ['a.com', 'b.com', 'd.com']);
+      assert.deepEqual(await matching(column, 'notIn', '2024-05-01, 2024-04-30'), ['c.com', 'e.com']);
+    });
+  }
+
+  it('rejects values that are not dates', async () => {
+    await assert.rejects(
+      buildSearchQuery({ filters: [{ column: 'seen_at', op: 'notIn', value: ['2024-05-01', 'soon'] }] }, { dataset: 'dates' }),
+      { status: 400, message: 'filters[0]: "soon" is not a date (YYYY-MM-DD)' }
+    );
+  });
+});
@@ -0,0 +1,93 @@
+import { createSocket } from 'node:dgram';
+import { once } from 'node:events';
+
+/**
+ * Local DNS stand-in for the provider tests: a UDP server on 127.0.0.1 answering A, NS and SOA
+ * queries from a table of names. `zone` maps a name to `{ A: [...], NS: [...], SOA: true }`, or
+ * to 'SERVFAIL' / 'DROP' (never answered). Unknown names get NXDOMAIN, known names without the
+ * asked type an empty answer (NODATA). `address` is the `host:port` for Resolver#setServers.
+ */
+
+const TYPES = { A: 1, NS: 2, SOA: 6 };
+const RCODE = { NOERROR: 0, SERVFAIL: 2, NXDOMAIN: 3 };
+
+function readName(msg, offset) {
+  const labels = [];
+  while (msg[offset]) {
+    labels.push(msg.toString('ascii', offset + 1, offset + 1 + msg[offset]));
+    offset += msg[offset] + 1;
+  }
+  return { name: labels.join('.'), end: offset + 1 };
+}
+
+function encodeName(name) {
+  const parts = name.split('.').filter(Boolean);
+  return Buffer.concat([...parts.map((p) => Buffer.concat([Buffer.from([p.length]), Buffer.from(p, 'ascii')])), Buffer.from([0])]);
+}
+
+function u16(n) {
+  const b = Buffer.alloc(2);
+  b.writeUInt16BE(n);
+  return b;
+}
+
+function u32(n) {
+  const b = Buffer.alloc(4);
+  b.writeUInt32BE(n);
+  return b;
+}
+
+function rdata(type, value, name) {
+  if (type === TYPES.A) return Buffer.from(value.split('.').map(Number));
+  if (type === TYPES.NS) return encodeName(value);
+  return Buffer.concat([encodeName(`ns1.${name}`), encodeName(`hostmaster.${name}`), u32(1), u32(3600), u32(600), u32(86400), u32(60)]);
+}
+
+function answerRecords(entry, type, name) {
+  if (type === TYPES.A) return entry.A || [];
+  if (type === TYPES.NS) return entry.NS || [];
+  if (type === TYPES.SOA) return entry.SOA ? [true] : [];
+  return [];
+}
+
+function respond(query, zone) {
+  const { name, end } = readName(query, 12);
+  const type = query.readUInt16BE(end);
+  const question = query.subarray(12, end + 4);
+  const entry = zone[name.toLowerCase()];
+  if (entry === 'DROP') return { name, type, response: null };
+
+  let rcode = RCODE.NOERROR;
+  let records = [];
+  if (entry === 'SERVFAIL') rcode = RCODE.SERVFAIL;
+  else if (!entry) rcode = RCODE.NXDOMAIN;
+  else records = answerRecords(entry, type, name);
+
+  const header = Buffer.alloc(12);
+  query.copy(header, 0, 0, 2);
+  header.writeUInt16BE(0x8000 | (query.readUInt16BE(2) & 0x0100) | 0x0400 | 0x0080 | rcode, 2);
+  header.writeUInt16BE(1, 4);
+  header.writeUInt16BE(records.length, 6);
+  const answers = records.map((value) => {
+    const data = rdata(type, value, name);
+    return Buffer.concat([u16(0xc00c), u16(type), u16(1), u32(60), u16(data.length), data]);
+  });
+  return { name, type, response: Buffer.concat([header, question, ...answers]) };
+}
+
+export async function startDnsServer(zone) {
+  const socket = createSocket('udp4');
+  const queries = [];
+  socket.on('message', (msg, from) => {
+    const { name, type, response } = respond(msg, zone);
+    queries.push({ name, type: Object.keys(TYPES).find((k) => TYPES[k] === type) || type });
+    if (response) socket.send(response, from.port, from.address);
+  });
+  socket.bind(0, '127.0.0.1');
+  await once(socket, 'listening');
+  return {
+    address: `127.0.0.1:${socket.address().port}`,
+    queries,
+    close: () => new Promise((resolve) => socket.close(resolve)),
+  };
+}
@@ -0,0 +1,194 @@
+import assert from 'node:assert/strict';
+import { createHmac } from 'node:crypto';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+// Needs a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_monitors_${process.pid}`;
+
+process.env.APP_SCHEMA = SCHEMA;
+process.env.DATASETS = JSON.stringify([{ id: 'mon', table: `${SCHEMA}.domains` }]);
+process.env.MONITOR_WEBHOOK_ALLOW_HOSTS = '127.0.0.1';
+process.env.MONITOR_WEBHOOK_RETRIES = '2';
+process.env.MONITOR_WEBHOOK_BACKOFF_MS = '0';
+
+// Webhook receiver: records every request and answers with the queued statuses, then 200.
+const received = [];
+const statuses = [];
+const receiver = createServer((req, res) => {
+  let body = '';
+  req.on('data', (chunk) => (body += chunk));
+  req.on('end', () => {
+    received.push({ headers: req.headers, body });
+    res.writeHead(statuses.shift() ?? 200).end();
+  });
+});
+
+describe('monitors', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let monitors;
+  let hookUrl;
+
+  const sql = (text, values) => pool.query(text, values);
+  const domains = (...names) =>
+    sql(`INSERT INTO ${SCHEMA}.domains (domain, tld) SELECT d, 'com' FROM unnest($1::text[]) d;`, [names]);
+
+  async function run(id) {
+    const started = await monitors.runMonitorNow(id);
+    for (;;) {
+      const run = await monitors.getMonitorRun(id, started.id);
+      if (run.status !== 'running') return run;
+      await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+  }
+
+  before(async () => {
+    receiver.listen(0, '127.0.0.1');
+    await once(receiver, 'listening');
+    hookUrl = `http://127.0.0.1:${receiver.address().port}/hook`;
+
+    ({ pool } = await import('../lib/db.js'));
+    await sql(`CREATE SCHEMA ${SCHEMA};`);
+    await sql(`CREATE TABLE ${SCHEMA}.domains (domain text, tld text);`);
+    monitors = await import('../lib/monitors.js');
+  });
+
+  after(async () => {
+    receiver.close();
+    if (!pool) return;
+    await sql(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  beforeEach(async () => {
+    received.length = 0;
+    statuses.length = 0;
+    await sql(`TRUNCATE ${SCHEMA}.domains;`);
+  });
+
+  async function createMonitor(name) {
+    return monitors.createMonitor({
+      name,
+      dataset: 'mon',
+      criteria: { tld: 'com' },
+      schedule: '@daily',
+      webhooks: [{ url: hookUrl, secret: 's3cret' }],
+    });
+  }
+
+  it('records a baseline first and delivers nothing', async () => {
+    await domains('a.com', 'b.com');
+    const monitor = await createMonitor('baseline');
+    const first = await run(monitor.id);
+    assert.equal(first.status, 'completed');
+    assert.equal(first.baseline, true);
+    assert.equal(first.total, 2);
+    assert.equal(first.payload, null);
+    assert.equal(received.length, 0);
+  });
+
+  it('posts the added and removed domains between runs, signed with the secret', async () => {
+    await domains('a.com', 'b.com');
+    const monitor = await createMonitor('diff');
+    await run(monitor.id);
+
+    await sql(`DELETE FROM ${SCHEMA}.domains WHERE domain = 'a.com';`);
+    await domains('c.com', 'd.com');
+    const second = await run(monitor.id);
+    assert.equal(second.status, 'completed');
+    assert.equal(second.baseline, false);
+    assert.deepEqual([second.total, second.added, second.removed], [3, 2, 1]);
+
+    assert.equal(received.length, 1);
+    const { headers, body } = received[0];
+    const payload = JSON.parse(body);
+    assert.equal(payload.event, 'monitor.matches_changed');
+    assert.equal(headers['x-monitor-event'], 'monitor.matches_changed');
+    assert.equal(headers['x-signature-256'], `sha256=${createHmac('sha256', 's3cret').update(body).digest('hex')}`);
+    assert.deepEqual(
+      payload.added.map((x) => [x.domain, x.dataset]),
+      [
+        ['c.com', 'mon'],
+        ['d.com', 'mon'],
+      ]
+    );
+    assert.deepEqual(
+      payload.removed.map((x) => x.domain),
+      ['a.com']
+    );
+    assert.deepEqual([payload.total, payload.addedCount, payload.removedCount, payload.truncated], [3, 2, 1, false]);
+    assert.deepEqual(second.deliveries.map((d) => [d.url, d.ok, d.status]), [[hookUrl, true, 200]]);
+
+    // Nothing changed: no delivery.
+    const third = await run(monitor.id);
+    assert.deepEqual([third.added, third.removed, third.payload], [0, 0, null]);
+    assert.equal(received.length, 1);
+  });
+
+  it('retries 5xx answers and succeeds once the receiver recovers', async () => {
+    const monitor = await createMonitor('retry');
+    await run(monitor.id);
+    await domains('a.com');
+    statuses.push(503, 500);
+    const second = await run(monitor.id);
+    assert.equal(received.length, 3);
+    assert.deepEqual(second.deliveries.map((d) => [d.ok, d.status]), [[true, 200]]);
+  });
+
+  it('logs a failed delivery after the last retry and redelivers on request', async () => {
+    const monitor = await createMonitor('failure');
+    await run(monitor.id);
+    await domains('a.com');
+    statuses.push(500, 500, 500);
+    const second = await run(monitor.id);
+    assert.equal(second.status, 'completed');
+    assert.equal(received.length, 3);
+    assert.equal(second.deliveries[0].ok, false);
+    assert.match(second.deliveries[0].error, /HTTP 500/);
+
+    const redelivered = await monitors.redeliverRun(monitor.id, second.id);
+    assert.equal(received.length, 4);
+    assert.equal(JSON.parse(received[3].body).redelivery, true);
+    assert.deepEqual(redelivered.deliveries.map((d) => [d.ok, d.status]), [[true, 200]]);
+  });
+
+  it('does not follow redirects', async () => {
+    const monitor = await createMonitor('redirect');
+    await run(monitor.id);
+    await domains('a.com');
+    statuses.push(302);
+    const second = await run(monitor.id);
+    assert.equal(received.length, 1);
+    assert.deepEqual(second.deliveries.map((d) => [d.ok, d.status]), [[false, 302]]);
+  });
+
+  it('refuses webhooks on private addresses that are not allowed', async () => {
+    for (const url of ['http://10.0.0.1/hook', 'http://169.254.169.254/latest', 'http://[::1]:8080/', 'ftp://127.0.0.1/']) {
+      await assert.rejects(
+        monitors.createMonitor({ name: 'private', criteria: {}, schedule: '@daily', webhooks: [url] }),
+        (err) => err.status === 400,
+        url
+      );
+    }
+  });
+
+  it('fails only runs whose heartbeat stopped', async () => {
+    const monitor = await createMonitor('heartbeat');
+    await sql(
+      `INSERT INTO ${SCHEMA}.monitor_runs (monitor_id, trigger, heartbeat_at)
+       VALUES ($1, 'stale', now() - interval '10 minutes'), ($1, 'live', now());`,
+      [monitor.id]
+    );
+    await monitors.failInterruptedRuns();
+    const runs = await monitors.listMonitorRuns(monitor.id);
+    assert.deepEqual(
+      runs.map((r) => [r.trigger, r.status]),
+      [
+        ['live', 'running'],
+        ['stale', 'failed'],
+      ]
+    );
+  });
+});
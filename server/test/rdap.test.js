@@ -0,0 +1,204 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, beforeEach, describe, it } from 'node:test';
+
+// The lookups store their results, so most of this needs a Postgres database (DB_URL); everything
+// lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_rdap_${process.pid}`;
+
+const EXAMPLE = {
+  objectClassName: 'domain',
+  ldhName: 'EXAMPLE.TEST',
+  status: ['client transfer prohibited', 'Active'],
+  events: [
+    { eventAction: 'registration', eventDate: '2001-02-03T04:05:06Z' },
+    { eventAction: 'expiration', eventDate: '2030-02-03T04:05:06Z' },
+    { eventAction: 'last changed', eventDate: '2024-05-06T07:08:09Z' },
+    { eventAction: 'last update of RDAP database', eventDate: '2026-01-01T00:00:00Z' },
+  ],
+  nameservers: [{ ldhName: 'NS1.EXAMPLE.NET.' }, { ldhName: 'ns2.example.net' }],
+  entities: [
+    { roles: ['registrant'], handle: 'REG-1' },
+    {
+      roles: ['registrar'],
+      handle: '9999',
+      publicIds: [{ type: 'IANA Registrar ID', identifier: '9999' }],
+      vcardArray: ['vcard', [['version', {}, 'text', '4.0'], ['fn', {}, 'text', 'Test Registrar, Inc.']]],
+    },
+  ],
+};
+
+// Mock bootstrap registry and RDAP servers: /rdap/ answers for .test, /rdap-co/ for .co.test.
+const requests = [];
+const rdap = createServer((req, res) => {
+  requests.push(req.url);
+  const send = (status, body) => res.writeHead(status, { 'Content-Type': 'application/rdap+json' }).end(JSON.stringify(body));
+  const base = `http://127.0.0.1:${rdap.address().port}`;
+  if (req.url === '/bootstrap.json') {
+    return send(200, {
+      services: [
+        [['test'], [`${base}/rdap/`]],
+        [['co.test'], [`${base}/rdap-co`]],
+      ],
+    });
+  }
+  if (req.url === '/rdap/domain/example.test' || req.url === '/rdap/domain/indexed.test') {
+    return send(200, { ...EXAMPLE, ldhName: req.url.split('/').pop() });
+  }
+  if (req.url === '/rdap-co/domain/shop.co.test') return send(200, { ...EXAMPLE, entities: [] });
+  if (req.url === '/pinned/domain/a.pinned') return send(200, EXAMPLE);
+  if (req.url === '/rdap/domain/broken.test') return send(500, { errorCode: 500 });
+  return send(404, { errorCode: 404 });
+});
+
+before(async () => {
+  rdap.listen(0, '127.0.0.1');
+  await once(rdap, 'listening');
+  const base = `http://127.0.0.1:${rdap.address().port}`;
+  process.env.APP_SCHEMA = SCHEMA;
+  process.env.DATASETS = JSON.stringify([
+    { id: 'indexed', table: `${SCHEMA}.indexed_domains` },
+    { id: 'plain', table: `${SCHEMA}.plain_domains` },
+  ]);
+  process.env.RDAP_BOOTSTRAP_URL = `${base}/bootstrap.json`;
+  process.env.RDAP_SERVERS = `pinned=${base}/pinned/`;
+});
+
+after(() => rdap.close());
+
+describe('parseRdapDomain', () => {
+  it('reduces an RDAP domain object to registrar, statuses, nameservers and dates', async () => {
+    const { parseRdapDomain } = await import('../lib/rdap.js');
+    assert.deepEqual(parseRdapDomain(EXAMPLE), {
+      registrar: 'Test Registrar, Inc.',
+      registrarIanaId: '9999',
+      statuses: ['client transfer prohibited', 'active'],
+      nameservers: ['ns1.example.net', 'ns2.example.net'],
+      registeredAt: '2001-02-03T04:05:06.000Z',
+      expiresAt: '2030-02-03T04:05:06.000Z',
+      changedAt: '2024-05-06T07:08:09.000Z',
+    });
+  });
+
+  it('finds registrars nested in other entities and falls back to their handle', async () => {
+    const { parseRdapDomain } = await import('../lib/rdap.js');
+    const parsed = parseRdapDomain({ entities: [{ roles: ['registrant'], entities: [{ roles: ['registrar'], handle: 'R-42' }] }] });
+    assert.equal(parsed.registrar, 'R-42');
+    assert.equal(parsed.registrarIanaId, null);
+    assert.deepEqual([parsed.statuses, parsed.nameservers, parsed.registeredAt], [[], [], null]);
+  });
+});
+
+describe('RDAP bootstrap', () => {
+  it('loads the configured registry', async () => {
+    const { bootstrapInfo } = await import('../lib/rdap.js');
+    const info = await bootstrapInfo();
+    assert.equal(info.source, process.env.RDAP_BOOTSTRAP_URL);
+    assert.equal(info.tlds, 2);
+    assert.deepEqual(info.overrides, { pinned: process.env.RDAP_SERVERS.split('=')[1] });
+  });
+});
+
+describe('RDAP lookups', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let lookupRdap;
+  let lookupRdapBatch;
+
+  const columns = `domain text, registrar text, domain_creation_date date, domain_expiration_date timestamptz,
+    rdap_whois_method text, rdap_whois_last_data_checked text`;
+  const row = async (table, domain) =>
+    (await pool.query(`SELECT *, domain_creation_date::text AS created FROM ${SCHEMA}.${table} WHERE domain = $1;`, [domain]))
+      .rows[0];
+
+  before(async () => {
+    ({ pool } = await import('../lib/db.js'));
+    await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    await pool.query(`CREATE TABLE ${SCHEMA}.indexed_domains (${columns});`);
+    await pool.query(`CREATE INDEX ON ${SCHEMA}.indexed_domains (lower(domain));`);
+    await pool.query(`CREATE TABLE ${SCHEMA}.plain_domains (${columns});`);
+    for (const table of ['indexed_domains', 'plain_domains']) {
+      await pool.query(`INSERT INTO ${SCHEMA}.${table} (domain, registrar) VALUES ('Indexed.test', 'Old Registrar');`);
+    }
+    ({ lookupRdap, lookupRdapBatch } = await import('../lib/rdap.js'));
+  });
+
+  after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  beforeEach(() => {
+    requests.length = 0;
+  });
+
+  it('asks the server the bootstrap names for the TLD and stores the parsed record', async () => {
+    const record = await lookupRdap('example.test', { force: true, writeBack: false });
+    assert.deepEqual(requests, ['/rdap/domain/example.test']);
+    assert.equal(record.found, true);
+    assert.equal(record.server, `http://127.0.0.1:${rdap.address().port}/rdap/`);
+    assert.equal(record.registrar, 'Test Registrar, Inc.');
+    assert.deepEqual(record.nameservers, ['ns1.example.net', 'ns2.example.net']);
+    assert.equal(record.expiresAt, '2030-02-03T04:05:06.000Z');
+    assert.equal(record.cached, false);
+    assert.deepEqual(record.writtenColumns, []);
+  });
+
+  it('reuses the stored record until forced', async () => {
+    await lookupRdap('example.test', { force: true, writeBack: false });
+    const again = await lookupRdap('example.test', { writeBack: false });
+    assert.equal(again.cached, true);
+    assert.equal(requests.length, 1);
+  });
+
+  it('prefers the longest matching zone and RDAP_SERVERS overrides', async () => {
+    assert.equal((await lookupRdap('shop.co.test', { force: true, writeBack: false })).found, true);
+    assert.equal((await lookupRdap('a.pinned', { force: true, writeBack: false })).found, true);
+    assert.deepEqual(requests, ['/rdap-co/domain/shop.co.test', '/pinned/domain/a.pinned']);
+  });
+
+  it('records a 404 as not found and refuses unknown TLDs', async () => {
+    const missing = await lookupRdap('free.test', { force: true, writeBack: false });
+    assert.equal(missing.found, false);
+    assert.equal(missing.registrar, null);
+    await assert.rejects(lookupRdap('example.nowhere', { force: true }), (err) => err.status === 422);
+  });
+
+  it('reports per-domain errors in batches', async () => {
+    const items = await lookupRdapBatch(['example.test', 'broken.test', 'example.nowhere'], { force: true, writeBack: false });
+    assert.equal(items[0].found, true);
+    assert.match(items[1].error, /answered HTTP 500/);
+    assert.match(items[2].error, /No RDAP server known for \.nowhere/);
+  });
+
+  it('writes back to tables with the lower(domain) index and reports the others', async () => {
+    const record = await lookupRdap('indexed.test', { force: true, writeBack: true });
+    assert.deepEqual(record.writtenColumns, [
+      'registrar',
+      'domain_creation_date',
+      'domain_expiration_date',
+      'rdap_whois_method',
+      'rdap_whois_last_data_checked',
+    ]);
+    assert.deepEqual(record.writeBackSkipped, [`${SCHEMA}.plain_domains`]);
+
+    const written = await row('indexed_domains', 'Indexed.test');
+    assert.equal(written.registrar, 'Test Registrar, Inc.');
+    assert.equal(written.created, '2001-02-03');
+    assert.equal(written.domain_expiration_date.toISOString(), '2030-02-03T04:05:06.000Z');
+    assert.equal(written.rdap_whois_method, 'rdap');
+    assert.equal(written.rdap_whois_last_data_checked, record.fetchedAt.slice(0, 10));
+
+    assert.equal((await row('plain_domains', 'Indexed.test')).registrar, 'Old Registrar');
+  });
+
+  it('never blanks a column with missing data', async () => {
+    await lookupRdap('free.test', { force: true, writeBack: true });
+    await pool.query(`UPDATE ${SCHEMA}.indexed_domains SET domain = 'free.test';`);
+    const record = await lookupRdap('free.test', { force: true, writeBack: true });
+    assert.deepEqual(record.writtenColumns, ['rdap_whois_method', 'rdap_whois_last_data_checked']);
+    assert.equal((await row('indexed_domains', 'free.test')).registrar, 'Test Registrar, Inc.');
+  });
+});
@@ -0,0 +1,123 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { computeNameFeatures, parseWeights, scoreSql, segmentWords, splitDomain } from '../lib/scoring.js';
+
+describe('splitDomain', () => {
+  it('takes the label left of the TLD, or of a ranked two-level suffix', () => {
+    assert.deepEqual(splitDomain('Shop.Example.COM.'), { label: 'example', tld: 'com' });
+    assert.deepEqual(splitDomain('shop.co.uk'), { label: 'shop', tld: 'co.uk' });
+    assert.deepEqual(splitDomain('co.uk'), { label: 'co', tld: 'uk' });
+    assert.deepEqual(splitDomain('localhost'), { label: 'localhost', tld: '' });
+  });
+
+  it('measures punycode names in their Unicode form', () => {
+    assert.deepEqual(splitDomain('xn--mnchen-3ya.de'), { label: 'münchen', tld: 'de' });
+  });
+});
+
+describe('segmentWords', () => {
+  it('splits into dictionary words', () => {
+    assert.deepEqual(segmentWords('bestshop'), [
+      { text: 'best', word: true },
+      { text: 'shop', word: true },
+    ]);
+  });
+
+  it('leaves uncovered letters as single pieces', () => {
+    assert.deepEqual(segmentWords('qbestx'), [
+      { text: 'q', word: false },
+      { text: 'best', word: true },
+      { text: 'x', word: false },
+    ]);
+    assert.deepEqual(segmentWords(''), []);
+  });
+});
+
+describe('computeNameFeatures', () => {
+  it('scores a short two-word .com name high on every lexical feature', () => {
+    const f = computeNameFeatures('BestShop.com');
+    assert.equal(f.domain, 'bestshop.com');
+    assert.deepEqual(f.words, ['best', 'shop']);
+    assert.deepEqual(
+      [f.labelLength, f.dictionaryCoverage, f.dictionaryScore, f.digitsScore, f.hyphensScore, f.tldRank, f.tldScore],
+      [8, 1, 1, 1, 1, 1, 1]
+    );
+    assert.equal(f.lengthScore, 0.8);
+  });
+
+  it('penalizes digits, hyphens and consonant runs', () => {
+    const f = computeNameFeatures('x-9z.xyz');
+    assert.deepEqual([f.digitCount, f.hyphenCount], [1, 1]);
+    assert.equal(f.digitsScore, 0.75);
+    assert.equal(f.hyphensScore, 0.6);
+    assert.equal(f.pronounceability, 0);
+    assert.equal(computeNameFeatures('bcdfghjkl.io').pronounceability, 0);
+  });
+
+  it('treats all-digit names as their own market', () => {
+    assert.equal(computeNameFeatures('12345.net').digitsScore, 0.6);
+  });
+
+  it('discounts names made of many words and long labels', () => {
+    const f = computeNameFeatures('thebestonlineshopnow.info');
+    assert.deepEqual(f.words, ['the', 'best', 'online', 'shop', 'now']);
+    assert.equal(f.dictionaryCoverage, 1);
+    assert.equal(f.dictionaryScore, 0.4);
+    assert.equal(f.lengthScore, 0);
+  });
+
+  it('gives unknown TLDs the lowest rank score', () => {
+    const f = computeNameFeatures('shop.example');
+    assert.equal(f.tldRank, null);
+    assert.equal(f.tldScore, 0.1);
+  });
+
+  it('scores IDN names the same in either form and keeps non-Latin ones neutral', () => {
+    const { domain: _unicode, ...unicode } = computeNameFeatures('münchen.de');
+    const { domain: _ascii, ...ascii } = computeNameFeatures('xn--mnchen-3ya.de');
+    assert.deepEqual(unicode, ascii);
+    assert.equal(computeNameFeatures('例子.cn').pronounceability, 0.5);
+  });
+
+  it('keeps every score within 0..1', () => {
+    for (const domain of ['a.com', 'zzzzzzzzzzzzzzzzzzzzzzzzzzzzz.zz', '1-2-3-4.biz', 'ёлка.рф']) {
+      const f = computeNameFeatures(domain);
+      for (const key of ['lengthScore', 'digitsScore', 'hyphensScore', 'pronounceability', 'dictionaryScore', 'tldScore']) {
+        assert.ok(f[key] >= 0 && f[key] <= 1, `${domain} ${key}=${f[key]}`);
+      }
+    }
+  });
+});
+
+describe('parseWeights', () => {
+  it('overrides the base weights from an object or a string', () => {
+    assert.deepEqual(parseWeights({ age: 5 }, { age: 1, tld: 2 }), { age: 5, tld: 2 });
+    assert.deepEqual(parseWeights(' age = 0 , tld=3.5,', { age: 1, tld: 2 }), { age: 0, tld: 3.5 });
+    assert.deepEqual(parseWeights('', { age: 1 }), { age: 1 });
+  });
+
+  it('rejects unknown components, bad weights and other shapes', () => {
+    for (const input of [{ beauty: 1 }, { age: -1 }, 'age=abc', { tld: Infinity }, [1, 2]]) {
+      assert.throws(() => parseWeights(input), (err) => err.status === 400, JSON.stringify(input));
+    }
+  });
+});
+
+describe('scoreSql', () => {
+  it('averages the weighted components and drops metrics the table lacks', () => {
+    const sql = scoreSql({ length: 1, age: 1, wayback: 2, pr: 0 }, { ageYears: 't.age', wayback: null });
+    assert.equal(
+      sql,
+      'ROUND((100 * (1 * COALESCE(nf.length_score, 0) + 1 * COALESCE(LEAST(1, GREATEST(t.age, 0) / 20), 0)) / 2)::numeric, 1)'
+    );
+  });
+
+  it('scales open-ended counts logarithmically', () => {
+    assert.match(scoreSql({ hosts: 1 }, { detected_hosts: 'h' }, 'x'), /LN\(1 \+ GREATEST\(h, 0\)\) \/ LN\(101\)/);
+  });
+
+  it('needs at least one usable positive weight', () => {
+    assert.throws(() => scoreSql({ length: 0 }, {}), (err) => err.status === 400);
+    assert.throws(() => scoreSql({ age: 1 }, {}), (err) => err.status === 400);
+  });
+});
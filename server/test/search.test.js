@@ -0,0 +1,66 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+// Needs a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_search_${process.pid}`;
+
+describe('keyset pagination', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let search;
+
+  before(async () => {
+    process.env.APP_SCHEMA = SCHEMA;
+    process.env.DATASETS = JSON.stringify([{ id: 'paged', table: `${SCHEMA}.domains` }]);
+    ({ pool } = await import('../lib/db.js'));
+    await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    await pool.query(`CREATE TABLE ${SCHEMA}.domains (domain text, seen_at timestamptz, seen_local timestamp);`);
+    await pool.query(
+      `INSERT INTO ${SCHEMA}.domains
+       SELECT d, t, t FROM (VALUES
+         ('a.com', '2024-05-01 09:00:00+00'::timestamptz),
+         ('b.com', '2024-05-01 18:30:00+00'),
+         ('c.com', '2024-05-01 12:15:00.5+00'),
+         ('d.com', '2024-05-01 23:59:59+00'),
+         ('e.com', '2024-05-02 00:00:00+00'),
+         ('f.com', NULL)
+       ) AS v(d, t);`
+    );
+    search = await import('../lib/search.js');
+  });
+
+  after(async () => {
+    if (!pool) return;
+    await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  // Every domain in order, fetched two rows per page the way POST /api/domains/search does.
+  async function pages(sort) {
+    const domains = [];
+    let cursor = null;
+    for (let i = 0; i < 10; i++) {
+      const query = await search.buildSearchQuery({}, { dataset: 'paged' });
+      const order = search.buildOrder(query, sort, { cursor });
+      const where = order.cursorSql ? [...query.where, order.cursorSql] : query.where;
+      const values = [...query.values, ...order.cursorValues];
+      const { rows } = await pool.query(
+        `SELECT ${query.selectCols.join(', ')}, ${order.sortValueSql} AS __sort_value
+         FROM ${query.fromSql} ${where.length ? `WHERE ${where.join(' AND ')}` : ''}
+         ORDER BY ${order.orderSql} LIMIT 2;`,
+        values
+      );
+      domains.push(...rows.map((r) => r.domain));
+      if (rows.length < 2) return domains;
+      cursor = order.cursorFor(rows[rows.length - 1]);
+    }
+    throw new Error(`pagination did not end: ${domains.join(', ')}`);
+  }
+
+  it('pages through timestamps on one day without repeating or skipping rows', async () => {
+    for (const key of ['seen_at', 'seen_local']) {
+      assert.deepEqual(await pages({ key, dir: 'asc' }), ['a.com', 'c.com', 'b.com', 'd.com', 'e.com', 'f.com'], key);
+      assert.deepEqual(await pages({ key, dir: 'desc' }), ['e.com', 'd.com', 'b.com', 'c.com', 'a.com', 'f.com'], key);
+    }
+  });
+});
@@ -0,0 +1,102 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+import { parseSimilarityMin, SIMILARITY_MIN, similarityCandidates } from '../lib/similarity.js';
+
+// The ranking query needs a Postgres database (DB_URL) with pg_trgm available.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+
+const find = (candidates, term) => candidates.find((c) => c.term === term);
+
+describe('similarityCandidates', () => {
+  it('normalizes and de-duplicates the seeds', () => {
+    const seeds = similarityCandidates(' Brand, BRAND city x ').filter((c) => c.kind === 'seed');
+    assert.deepEqual(
+      seeds.map((c) => c.term),
+      ['brand', 'city']
+    );
+    assert.deepEqual(similarityCandidates(['my-Brand!'])[0], { term: 'mybrand', kind: 'seed', weight: 1 });
+    assert.deepEqual(similarityCandidates(''), []);
+  });
+
+  it('generates plurals, affixes, vowel-less forms and typos', () => {
+    const candidates = similarityCandidates('brand, city, box');
+    assert.deepEqual(find(candidates, 'brands'), { term: 'brands', kind: 'plural', weight: 0.95 });
+    assert.equal(find(candidates, 'cities').kind, 'plural');
+    assert.equal(find(candidates, 'boxes').kind, 'plural');
+    assert.equal(find(candidates, 'getbrand').kind, 'prefix');
+    assert.equal(find(candidates, 'brandhq').kind, 'suffix');
+    assert.equal(find(candidates, 'brnd').kind, 'no_vowels');
+    assert.equal(find(candidates, 'cty').kind, 'no_vowels');
+    for (const typo of ['brnad', 'bran', 'brandd', 'vrand']) assert.equal(find(candidates, typo).kind, 'typo', typo);
+  });
+
+  it('keeps each term once under its highest weight, best first', () => {
+    // `brands` is both the plural of `brand` and a seed of its own.
+    const candidates = similarityCandidates('brand brands');
+    assert.equal(candidates.filter((c) => c.term === 'brands').length, 1);
+    assert.equal(find(candidates, 'brands').kind, 'seed');
+    const weights = candidates.map((c) => c.weight);
+    assert.deepEqual(weights, [...weights].sort((a, b) => b - a));
+  });
+
+  it('limits the number and length of seeds', () => {
+    const many = Array.from({ length: 11 }, (_, i) => `word${i}`);
+    assert.throws(() => similarityCandidates(many), (err) => err.status === 400);
+    assert.throws(() => similarityCandidates('a'.repeat(64)), (err) => err.status === 400);
+  });
+});
+
+describe('parseSimilarityMin', () => {
+  it('accepts 0..1 and falls back to SEARCH_SIMILARITY_MIN', () => {
+    assert.equal(parseSimilarityMin('0.5'), 0.5);
+    assert.equal(parseSimilarityMin('0'), 0);
+    assert.equal(parseSimilarityMin(''), SIMILARITY_MIN);
+    assert.equal(parseSimilarityMin(undefined), SIMILARITY_MIN);
+    for (const raw of ['1.5', '-0.1', 'abc']) assert.throws(() => parseSimilarityMin(raw), (err) => err.status === 400, raw);
+  });
+});
+
+describe('similarityJoinSql', { skip: !DB_URL && 'DB_URL is not set' }, () => {
+  let pool;
+  let similarityJoinSql;
+
+  before(async () => {
+    ({ pool } = await import('../lib/db.js'));
+    ({ similarityJoinSql } = await import('../lib/similarity.js'));
+  });
+
+  after(() => pool?.end());
+
+  async function rank(labels, seeds) {
+    const values = [labels];
+    const param = (value) => {
+      values.push(value);
+      return `$${values.length}`;
+    };
+    const join = similarityJoinSql('d.label', similarityCandidates(seeds), param);
+    const { rows } = await pool.query(
+      `SELECT d.label, sim.similarity_match AS match, round(sim.similarity::numeric, 2)::float8 AS similarity
+       FROM unnest($1::text[]) AS d(label) ${join}
+       ORDER BY sim.similarity DESC NULLS LAST, d.label;`,
+      values
+    );
+    return rows;
+  }
+
+  it('scores exact variants by their weight and ignores hyphens', async () => {
+    const rows = await rank(['brand', 'get-brand', 'brnd', 'brnad'], 'brand');
+    assert.deepEqual(rows, [
+      { label: 'brand', match: 'brand', similarity: 1 },
+      { label: 'get-brand', match: 'getbrand', similarity: 0.9 },
+      { label: 'brnd', match: 'brnd', similarity: 0.85 },
+      { label: 'brnad', match: 'brnad', similarity: 0.8 },
+    ]);
+  });
+
+  it('falls back to trigram similarity against the seeds', async () => {
+    const [near, far] = await rank(['brandingagency', 'zzzz'], 'brand');
+    assert.equal(near.match, 'brand');
+    assert.ok(near.similarity > 0.3 && near.similarity < 0.8, String(near.similarity));
+    assert.equal(far.similarity, 0);
+  });
+});
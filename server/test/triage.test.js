@@ -0,0 +1,44 @@
+import assert from 'node:assert/strict';
+import { after, before, describe, it } from 'node:test';
+
+// Bulk updates need a Postgres database (DB_URL); everything lives in a throwaway schema dropped at the end.
+const DB_URL = process.env.DB_URL || process.env.DATABASE_URL;
+const SCHEMA = `test_triage_${process.pid}`;
+
+process.env.APP_SCHEMA = SCHEMA;
+
+describe('bulk triage', () => {
+  let pool;
+  let triage;
+
+  before(async () => {
+    ({ pool } = await import('../lib/db.js'));
+    if (DB_URL) await pool.query(`CREATE SCHEMA ${SCHEMA};`);
+    triage = await import('../lib/triage.js');
+  });
+
+  after(async () => {
+    if (DB_URL) await pool.query(`DROP SCHEMA IF EXISTS ${SCHEMA} CASCADE;`);
+    await pool.end();
+  });
+
+  it('refuses more than MAX_BULK_DOMAINS domains instead of updating some of them', async () => {
+    const domains = Array.from({ length: triage.MAX_BULK_DOMAINS + 1 }, (_, i) => `d${i}.com`);
+    await assert.rejects(triage.updateTriage(domains, { status: 'rejected' }), {
+      status: 400,
+      message: `At most ${triage.MAX_BULK_DOMAINS} domains per request`,
+    });
+  });
+
+  it('applies the patch to every listed domain', { skip: !DB_URL && 'DB_URL is not set' }, async () => {
+    const items = await triage.updateTriage(['a.com', 'B.com', 'a.com', 'c.com'], { status: 'shortlisted', addTags: ['x'] });
+    assert.deepEqual(
+      items.map((x) => [x.domain, x.status, x.tags]),
+      [
+        ['a.com', 'shortlisted', ['x']],
+        ['b.com', 'shortlisted', ['x']],
+        ['c.com', 'shortlisted', ['x']],
+      ]
+    );
+  });
+});
@@ -0,0 +1,52 @@
+import assert from 'node:assert/strict';
+import { once } from 'node:events';
+import { createServer } from 'node:http';
+import { after, before, describe, it } from 'node:test';
+import { fetchJsonWithRetry } from '../lib/util.js';
+
+// /endless streams 64 KB chunks until the client hangs up; /stall sends headers and then nothing.
+let closed = null;
+const server = createServer((req, res) => {
+  if (req.url === '/json') return res.writeHead(200, { 'Content-Type': 'application/json' }).end('{"ok":true}');
+  res.writeHead(200, { 'Content-Type': 'text/html' });
+  if (req.url === '/stall') return res.flushHeaders();
+  const chunk = Buffer.alloc(64 * 1024, 'a');
+  const pump = () => {
+    while (res.write(chunk));
+  };
+  res.on('drain', pump);
+  res.on('close', () => closed?.());
+  pump();
+});
+
+describe('fetchJsonWithRetry', () => {
+  let base;
+
+  before(async () => {
+    server.listen(0, '127.0.0.1');
+    await once(server, 'listening');
+    base = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  after(() => server.close());
+
+  it('returns the body as bytes, text and JSON', async () => {
+    const { res, body, text, json } = await fetchJsonWithRetry(`${base}/json`, {}, { retries: 0 });
+    assert.equal(res.status, 200);
+    assert.equal(body.toString(), '{"ok":true}');
+    assert.equal(text, '{"ok":true}');
+    assert.deepEqual(json, { ok: true });
+  });
+
+  it('stops reading at maxBytes and hangs up', async () => {
+    const hungUp = new Promise((resolve) => (closed = resolve));
+    const { body, json } = await fetchJsonWithRetry(`${base}/endless`, {}, { retries: 0, maxBytes: 200_000 });
+    assert.equal(body.length, 200_000);
+    assert.equal(json, null);
+    await hungUp;
+  });
+
+  it('times out on a body that never arrives', async () => {
+    await assert.rejects(fetchJsonWithRetry(`${base}/stall`, {}, { retries: 0, timeoutMs: 200 }), (err) => err.timeout === true);
+  });
+});
@@ -0,0 +1,42 @@
+import assert from 'node:assert/strict';
+import { describe, it } from 'node:test';
+import { assertWebhookTarget, isPrivateAddress } from '../lib/webhookTargets.js';
+
+describe('isPrivateAddress', () => {
+  for (const address of [
+    '127.0.0.1',
+    '10.20.30.40',
+    '172.31.255.255',
+    '192.168.1.1',
+    '169.254.169.254',
+    '100.64.0.1',
+    '0.0.0.0',
+    '224.0.0.251',
+    '255.255.255.255',
+    '::',
+    '::1',
+    '::ffff:127.0.0.1',
+    'fd00::1',
+    'fe80::1',
+    'ff02::1',
+    'not-an-ip',
+  ]) {
+    it(`refuses ${address}`, () => assert.equal(isPrivateAddress(address), true));
+  }
+
+  for (const address of ['8.8.8.8', '1.1.1.1', '172.32.0.1', '2606:4700:4700::1111']) {
+    it(`accepts ${address}`, () => assert.equal(isPrivateAddress(address), false));
+  }
+});
+
+describe('assertWebhookTarget', () => {
+  it('normalizes public IP literals', async () => {
+    assert.equal(await assertWebhookTarget('HTTPS://8.8.8.8/hook?x=1'), 'https://8.8.8.8/hook?x=1');
+  });
+
+  for (const url of ['ftp://8.8.8.8/', 'file:///etc/passwd', 'not a url', 'http://0x7f000001/', 'http://[::ffff:7f00:1]/']) {
+    it(`rejects ${url} with a 400`, async () => {
+      await assert.rejects(assertWebhookTarget(url), (err) => err.status === 400);
+    });
+  }
+});